@@ -11,11 +11,23 @@
  * 1. FILE MANAGEMENT:
  *    - FileUploadHandler: Manages drag-drop, file validation, and preview generation
  *    - ProcessedImageModal: Handles processed image gallery and selection
+ *    - ExifReader / ImageOrientation: Reads EXIF metadata and uprights rotated photos
+ *    - MetadataWriter: Embeds copyright EXIF/IPTC/XMP into output files
+ *    - PresetManager: Saves and applies named watermark setting snapshots
+ *    - SessionStore: Keeps the working session in IndexedDB across reloads
+ *    - OutputFolder: Writes processed images into a local folder (File System Access API)
+ *    - ZipStream: Writes ZIP archives entry by entry, to disk where the browser allows
+ *    - SettingsHistory: Undo/redo stacks for watermark setting changes
+ *    - SettingsLink: Shares watermark settings as a URL fragment
  *    - BulkWatermarkApp: Core application orchestrating all components
+ *    - WatermarkRenderer: DOM-free rendering and encoding, shared by the app and workers
+ *    - WatermarkWorker / WatermarkWorkerPool: Batch processing in Web Workers with OffscreenCanvas
  *
  * 2. WATERMARK RENDERING PIPELINE:
  *    - Dual-mode support: Text watermarks with effects, Logo/image watermarks
+ *    - Layers: Ordered stack of text/logo watermarks, each with its own settings
  *    - Pattern layouts: Single placement, diagonal grids, orthogonal grids
+ *    - Per-image overrides: Single images can change each layer's position, offset, scale, opacity, colour or skip the watermark
  *    - Performance optimization: Intelligent caching system for repeated operations
  *    - Real-time preview: Immediate feedback for all setting changes
  *
@@ -29,7 +41,7 @@
  *    - Watermark caching: Pre-renders watermarks to offscreen canvas
  *    - Quantized cache keys: Enables reuse across similar image sizes
  *    - Viewport culling: Only renders visible tiles in patterns
- *    - Sequential processing: Prevents memory exhaustion in batch operations
+ *    - Worker pool: Renders batches off the main thread with bounded concurrency
  *
  * 5. USER EXPERIENCE:
  *    - Separate control containers for text vs logo modes
@@ -59,46 +71,46 @@
  * REFACTORING OPPORTUNITIES:
  * -------------------------
  * 1. Extract spacing logic into separate class for better testability
- * 2. Implement async processing with Web Workers for large batches
- * 3. Add more sophisticated error handling with user notifications
- * 4. Consider WebGL acceleration for pattern rendering
- * 5. Implement undo/redo system for setting changes
+ * 2. Add more sophisticated error handling with user notifications
+ * 3. Consider WebGL acceleration for pattern rendering
  */
 
-/* THEME MANAGEMENT: Dark/Light Mode Switcher */
-document.addEventListener('DOMContentLoaded', function () {
-	const themeBtn = document.getElementById('themeSwitcher');
-	if (!themeBtn) return;
+/* THEME MANAGEMENT: Dark/Light Mode Switcher (skipped when loaded as a processing worker) */
+if (typeof document !== 'undefined') {
+	document.addEventListener('DOMContentLoaded', function () {
+		const themeBtn = document.getElementById('themeSwitcher');
+		if (!themeBtn) return;
 
-	/**
-	 * Apply theme to document with proper CSS custom properties.
-	 * @param {boolean} dark - Whether to apply dark theme
-	 */
-	function setTheme(dark) {
-		document.documentElement.setAttribute('data-color-scheme', dark ? 'dark' : 'light');
-		document.body.classList.toggle('dark-mode', dark);
-		themeBtn.textContent = dark ? '🌒 Dark Mode' : '🌖 Light Mode';
-	}
+		/**
+		 * Apply theme to document with proper CSS custom properties.
+		 * @param {boolean} dark - Whether to apply dark theme
+		 */
+		function setTheme(dark) {
+			document.documentElement.setAttribute('data-color-scheme', dark ? 'dark' : 'light');
+			document.body.classList.toggle('dark-mode', dark);
+			themeBtn.textContent = dark ? '🌒 Dark Mode' : '🌖 Light Mode';
+		}
 
-	/*
-	 * THEME INITIALIZATION: Detect user's preferred color scheme.
-	 * Falls back to dark mode if preference cannot be determined.
-	 */
-	let isDark = true;
-	try {
-		const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
-		const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
-		isDark = prefersDark || !prefersLight;
-	} catch (err) {
-		isDark = true; // Default to dark mode on error
-	}
+		/*
+		 * THEME INITIALIZATION: Detect user's preferred color scheme.
+		 * Falls back to dark mode if preference cannot be determined.
+		 */
+		let isDark = true;
+		try {
+			const prefersDark = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches;
+			const prefersLight = window.matchMedia && window.matchMedia('(prefers-color-scheme: light)').matches;
+			isDark = prefersDark || !prefersLight;
+		} catch (err) {
+			isDark = true; // Default to dark mode on error
+		}
 
-	setTheme(isDark);
-	themeBtn.addEventListener('click', function () {
-		isDark = !isDark;
 		setTheme(isDark);
+		themeBtn.addEventListener('click', function () {
+			isDark = !isDark;
+			setTheme(isDark);
+		});
 	});
-});
+}
 
 /**
  * FILE UPLOAD HANDLER
@@ -109,6 +121,8 @@ document.addEventListener('DOMContentLoaded', function () {
  *
  * FEATURES:
  * - Format validation (JPEG, PNG, GIF, WebP)
+ * - Dropped folders are walked recursively, keeping each file's folder path
+ * - ZIP archives are extracted; their images keep the folder path inside the archive
  * - Preview image generation with proper scaling
  * - Error handling for unsupported files
  * - Integration with main application file management
@@ -447,7 +461,13 @@ class FileUploadHandler {
 		this.processFiles(Array.from(files));
 	}
 
-	processFiles(files) {
+	/**
+	 * @param {File[]} files - Selected or dropped files
+	 * @param {Map} [folders] - File -> folder path inside a dropped folder (e.g. "Shoot/Raw")
+	 * @param {string[]} [notes] - Problems found earlier (e.g. skipped archive entries), reported
+	 *   together with the validation errors
+	 */
+	processFiles(files, folders = new Map(), notes = []) {
 		this.debug('processFiles called', { count: files.length });
 
 		if (!files || files.length === 0) {
@@ -455,11 +475,17 @@ class FileUploadHandler {
 			return;
 		}
 
+		// Archives are extracted first, then their images are processed like any other file
+		if (files.some((file) => this.isArchive(file))) {
+			this.importArchives(files, folders);
+			return;
+		}
+
 		// Set processing flag
 		this.isProcessing = true;
 
 		const validFiles = [];
-		const errors = [];
+		const errors = [...notes];
 
 		files.forEach((file) => {
 			const validation = this.validateFile(file);
@@ -481,14 +507,14 @@ class FileUploadHandler {
 		});
 
 		if (errors.length > 0) {
-			this.showError(`File validation errors:\n${errors.join('\n')}`);
+			this.showError(`Some files were skipped:\n${errors.join('\n')}`);
 		}
 
 		if (validFiles.length > 0) {
 			this.showStatus(`Processing ${validFiles.length} valid files...`);
 			if (window.watermarkApp) {
 				this.debug('Calling watermarkApp.addFiles');
-				window.watermarkApp.addFiles(validFiles);
+				window.watermarkApp.addFiles(validFiles, folders);
 			} else {
 				this.debug('ERROR: watermarkApp not found');
 				this.showError('Application not ready. Please refresh the page.');
@@ -503,6 +529,150 @@ class FileUploadHandler {
 		}, 1000);
 	}
 
+	/**
+	 * @param {File} file
+	 * @returns {boolean} True for ZIP archives
+	 */
+	isArchive(file) {
+		const type = (file.type || '').toLowerCase();
+		return type === 'application/zip' || type === 'application/x-zip-compressed' || /\.zip$/i.test(file.name);
+	}
+
+	/**
+	 * Image types by file extension, for archive entries (which carry no MIME type).
+	 */
+	static get ARCHIVE_IMAGE_TYPES() {
+		return {
+			jpg: 'image/jpeg',
+			jpeg: 'image/jpeg',
+			png: 'image/png',
+			gif: 'image/gif',
+			webp: 'image/webp',
+			heic: 'image/heic',
+			heif: 'image/heif',
+		};
+	}
+
+	/**
+	 * Replace ZIP archives in a selection by the images they contain, then process the result.
+	 * Entries that are not images, and images over the size limit, are skipped and reported;
+	 * the rest are still checked by validateFile in processFiles.
+	 * @param {File[]} files - Selection containing at least one archive
+	 * @param {Map} folders - File -> folder path of the selection
+	 */
+	async importArchives(files, folders) {
+		if (typeof JSZip === 'undefined') {
+			this.showError('ZIP import is unavailable because the ZIP library failed to load.');
+			return;
+		}
+
+		const expanded = [];
+		const expandedFolders = new Map();
+		const notes = [];
+
+		for (const file of files) {
+			const folder = folders.get(file) || '';
+			if (!this.isArchive(file)) {
+				expanded.push(file);
+				if (folder) expandedFolders.set(file, folder);
+				continue;
+			}
+
+			this.showStatus(`Extracting ${file.name}...`);
+			try {
+				const { images, skipped, oversized, unsized } = await this.extractArchive(file);
+				images.forEach(({ image, path }) => {
+					const imageFolder = [folder, path].filter(Boolean).join('/');
+					expanded.push(image);
+					if (imageFolder) expandedFolders.set(image, imageFolder);
+				});
+				if (skipped.length > 0) {
+					const listed = skipped.slice(0, 5).join(', ') + (skipped.length > 5 ? ', …' : '');
+					notes.push(`${file.name}: ${skipped.length} entries are not images (${listed})`);
+				}
+				if (oversized.length > 0) {
+					const listed = oversized.slice(0, 5).join(', ') + (oversized.length > 5 ? ', …' : '');
+					const limit = `${Math.round(this.maxFileSize / 1048576)}MB`;
+					notes.push(
+						`${file.name}: ${oversized.length} images are over ${limit} and were skipped (${listed})`,
+					);
+				}
+				if (unsized.length > 0) {
+					const listed = unsized.slice(0, 5).join(', ') + (unsized.length > 5 ? ', …' : '');
+					notes.push(
+						`${file.name}: ${unsized.length} images have no readable size and were skipped (${listed})`,
+					);
+				}
+				if (images.length + oversized.length + unsized.length === 0) {
+					notes.push(`${file.name}: No images found in archive`);
+				}
+			} catch (error) {
+				console.error(`Failed to read ${file.name}:`, error);
+				notes.push(`${file.name}: Not a readable ZIP archive`);
+			}
+		}
+
+		if (expanded.length === 0) {
+			this.showError(`No images to add:\n${notes.join('\n')}`);
+			return;
+		}
+		this.processFiles(expanded, expandedFolders, notes);
+	}
+
+	/**
+	 * @param {File} archive - ZIP file
+	 * @returns {Promise<Object>} { images: [{ image: File, path }], skipped, oversized, unsized }
+	 *   where path is the folder inside the archive, skipped lists entries that are not images,
+	 *   oversized images over maxFileSize and unsized images whose size the archive does not
+	 *   state. Oversized and unsized entries are never inflated.
+	 */
+	async extractArchive(archive) {
+		const zip = await JSZip.loadAsync(archive);
+		const types = FileUploadHandler.ARCHIVE_IMAGE_TYPES;
+		const images = [];
+		const skipped = [];
+		const oversized = [];
+		const unsized = [];
+
+		const entries = Object.values(zip.files)
+			.filter((entry) => !entry.dir)
+			.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+
+		for (const entry of entries) {
+			const parts = entry.name.split('/');
+			const name = parts.pop();
+			// macOS resource forks and hidden files are not content
+			if (parts[0] === '__MACOSX' || name.startsWith('.')) continue;
+
+			const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+			if (!types[extension]) {
+				skipped.push(entry.name);
+				continue;
+			}
+
+			/*
+			 * The size from the ZIP directory, so a small archive cannot inflate to gigabytes in
+			 * memory. JSZip has no public API for it: _data is internal to JSZip 3.x, so an entry
+			 * without it is rejected rather than inflated blindly.
+			 */
+			const size = entry._data ? entry._data.uncompressedSize : undefined;
+			if (typeof size !== 'number' || !isFinite(size)) {
+				unsized.push(entry.name);
+				continue;
+			}
+			if (size > this.maxFileSize) {
+				oversized.push(entry.name);
+				continue;
+			}
+
+			const blob = await entry.async('blob');
+			const image = new File([blob], name, { type: types[extension], lastModified: entry.date.getTime() });
+			images.push({ image, path: parts.join('/') });
+		}
+
+		return { images, skipped, oversized, unsized };
+	}
+
 	validateFile(file) {
 		if (!file) return { isValid: false, error: 'Invalid file' };
 
@@ -638,12 +808,123 @@ class FileUploadHandler {
 			this.uploadArea.classList.remove('drag-over');
 			const dt = e.dataTransfer;
 			if (!dt) return;
+
+			// Entries are only available while the drop event is dispatched; read them afterwards
+			const sources = this.getDroppedSources(dt);
+			if (sources) {
+				this.readDroppedSources(sources)
+					.then(({ files, folders }) => {
+						if (files.length > 0) this.processFiles(files, folders);
+						else this.showError('The dropped folders contain no files.');
+					})
+					.catch((error) => {
+						console.error('Failed to read dropped folders:', error);
+						this.showError(`Could not read the dropped folders: ${error.message}`);
+					});
+				return;
+			}
+
 			const files = dt.files;
 			if (files && files.length > 0) {
 				this.processFiles(Array.from(files));
 			}
 		});
 	}
+
+	/**
+	 * Take the file system entries of a drop, so dropped folders can be walked.
+	 * @param {DataTransfer} dt - Drop data
+	 * @returns {Object[]|null} { entry }, { handle } (a promise) or { file } per dropped item;
+	 *   null when the browser exposes no entries and dt.files must be used
+	 */
+	getDroppedSources(dt) {
+		const items = Array.from(dt.items || []).filter((item) => item.kind === 'file');
+		const supported = items.some(
+			(item) => typeof item.webkitGetAsEntry === 'function' || typeof item.getAsFileSystemHandle === 'function',
+		);
+		if (!supported) return null;
+
+		return items.map((item) => {
+			const entry = typeof item.webkitGetAsEntry === 'function' ? item.webkitGetAsEntry() : null;
+			if (entry) return { entry };
+			if (typeof item.getAsFileSystemHandle === 'function') return { handle: item.getAsFileSystemHandle() };
+			return { file: item.getAsFile() };
+		});
+	}
+
+	/**
+	 * Read dropped items, walking folders recursively. Files in a folder are sorted by name,
+	 * and hidden files (.DS_Store, ._*) are skipped.
+	 * @param {Object[]} sources - Output of getDroppedSources
+	 * @returns {Promise<{files: File[], folders: Map}>} Files, and File -> folder path for files
+	 *   that came from a dropped folder
+	 */
+	async readDroppedSources(sources) {
+		const found = [];
+		for (const source of sources) {
+			if (source.entry) {
+				await this.walkEntry(source.entry, '', found);
+			} else if (source.handle) {
+				const handle = await source.handle;
+				if (handle) await this.walkHandle(handle, '', found);
+			} else if (source.file) {
+				found.push({ file: source.file, folder: '' });
+			}
+		}
+
+		const visible = found.filter(({ file }) => !file.name.startsWith('.'));
+		const folders = new Map();
+		visible.forEach(({ file, folder }) => {
+			if (folder) folders.set(file, folder);
+		});
+		return { files: visible.map(({ file }) => file), folders };
+	}
+
+	/**
+	 * @param {FileSystemEntry} entry - File or directory entry (webkitGetAsEntry)
+	 * @param {string} folder - Path of the directory containing the entry
+	 * @param {Object[]} found - Receives { file, folder }
+	 */
+	async walkEntry(entry, folder, found) {
+		if (entry.isFile) {
+			const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+			found.push({ file, folder });
+			return;
+		}
+		if (!entry.isDirectory) return;
+
+		// readEntries returns at most 100 entries per call; read until it returns none
+		const reader = entry.createReader();
+		const children = [];
+		let batch;
+		do {
+			batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+			children.push(...batch);
+		} while (batch.length > 0);
+
+		const path = folder ? `${folder}/${entry.name}` : entry.name;
+		children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+		for (const child of children) await this.walkEntry(child, path, found);
+	}
+
+	/**
+	 * @param {FileSystemHandle} handle - File or directory handle (getAsFileSystemHandle)
+	 * @param {string} folder - Path of the directory containing the handle
+	 * @param {Object[]} found - Receives { file, folder }
+	 */
+	async walkHandle(handle, folder, found) {
+		if (handle.kind === 'file') {
+			found.push({ file: await handle.getFile(), folder });
+			return;
+		}
+
+		const children = [];
+		for await (const child of handle.values()) children.push(child);
+
+		const path = folder ? `${folder}/${handle.name}` : handle.name;
+		children.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+		for (const child of children) await this.walkHandle(child, path, found);
+	}
 }
 
 class ProcessedImageModal {
@@ -651,6 +932,9 @@ class ProcessedImageModal {
 		this.modal = null;
 		this.imageViewer = null;
 		this.processedImages = [];
+		this.failedImages = []; // { name, reason } for images that could not be processed
+		this.onRetryFailed = null; // Set by the app to reprocess failed images
+		this.onSaveZip = null; // Set by the app to archive images (see BulkWatermarkApp.saveZip)
 		this.init();
 	}
 
@@ -700,8 +984,9 @@ class ProcessedImageModal {
 		});
 	}
 
-	showModal(processedImages) {
+	showModal(processedImages, failedImages = []) {
 		this.processedImages = processedImages;
+		this.failedImages = failedImages;
 		this.populateGallery();
 
 		if (this.modal) {
@@ -713,6 +998,7 @@ class ProcessedImageModal {
 			const countEl = document.getElementById('galleryCount');
 			if (countEl) {
 				countEl.textContent = `${processedImages.length} images processed`;
+				if (failedImages.length > 0) countEl.textContent += `, ${failedImages.length} failed`;
 			}
 
 			// focus the modal for accessibility
@@ -727,6 +1013,31 @@ class ProcessedImageModal {
 		}
 	}
 
+	/**
+	 * @param {Object} metadata - Metadata report from BulkWatermarkApp.processImage
+	 * @returns {string} Human-readable description of what was written
+	 */
+	getMetadataSummary(metadata) {
+		const label = MetadataWriter.POLICY_LABELS[metadata.policy] || metadata.policy;
+		return metadata.copyright ? `${label}, copyright added` : label;
+	}
+
+	/**
+	 * @param {Object} encoding - Encoding report from WatermarkRenderer.renderImage
+	 * @returns {string} e.g. "1.84 MB · quality 82% · 3000×2000"
+	 */
+	getEncodingSummary(encoding) {
+		const size =
+			encoding.bytes >= 1024 * 1024
+				? `${(encoding.bytes / (1024 * 1024)).toFixed(2)} MB`
+				: `${Math.max(1, Math.round(encoding.bytes / 1024))} KB`;
+		const parts = [size];
+		if (encoding.quality !== undefined) parts.push(`quality ${Math.round(encoding.quality * 100)}%`);
+		parts.push(`${encoding.width}×${encoding.height}`);
+		if (!encoding.withinBudget) parts.push('over size limit');
+		return parts.join(' · ');
+	}
+
 	populateGallery() {
 		const galleryGrid = document.getElementById('galleryGrid');
 		if (!galleryGrid) return;
@@ -736,7 +1047,8 @@ class ProcessedImageModal {
 		if (existingToolbar) existingToolbar.remove();
 		galleryGrid.innerHTML = '';
 
-		if (!this.processedImages || this.processedImages.length === 0) {
+		const hasFailures = this.failedImages && this.failedImages.length > 0;
+		if ((!this.processedImages || this.processedImages.length === 0) && !hasFailures) {
 			// Show an empty state card
 			const empty = document.createElement('div');
 			empty.className = 'empty-state';
@@ -752,9 +1064,41 @@ class ProcessedImageModal {
 				<label><input type="checkbox" id="selectAllImages" checked> Select All</label>
 				<button id="downloadSelectedBtn" class="btn btn--primary btn--sm">Download Selected</button>
 			`;
+		const batchMetadata = this.processedImages.length > 0 ? this.processedImages[0].metadata : null;
+		if (batchMetadata) {
+			const policy = document.createElement('span');
+			policy.className = 'gallery-metadata-policy';
+			policy.textContent = this.getMetadataSummary(batchMetadata);
+			toolbar.appendChild(policy);
+		}
+		if (hasFailures && this.onRetryFailed) {
+			const retryBtn = document.createElement('button');
+			retryBtn.className = 'btn btn--outline btn--sm';
+			retryBtn.textContent = `Retry ${this.failedImages.length} Failed`;
+			retryBtn.addEventListener('click', () => this.onRetryFailed());
+			toolbar.appendChild(retryBtn);
+		}
 		galleryGrid.parentNode.insertBefore(toolbar, galleryGrid);
 
-		this.processedImages.forEach((imageData, index) => {
+		// Group results by export variant, with a heading per group when there are several
+		const variants = [...new Set(this.processedImages.map((imageData) => imageData.variant))];
+		const ordered = [];
+		variants.forEach((variant) => {
+			this.processedImages.forEach((imageData, index) => {
+				if (imageData.variant === variant) ordered.push({ imageData, index });
+			});
+		});
+		let currentVariant = null;
+
+		ordered.forEach(({ imageData, index }) => {
+			if (variants.length > 1 && imageData.variant !== currentVariant) {
+				currentVariant = imageData.variant;
+				const heading = document.createElement('h4');
+				heading.className = 'gallery-group-title';
+				heading.textContent = currentVariant;
+				galleryGrid.appendChild(heading);
+			}
+
 			const galleryItem = document.createElement('div');
 			galleryItem.className = 'gallery-item';
 
@@ -767,6 +1111,41 @@ class ProcessedImageModal {
 				</div>
 			`;
 
+			// Freed after saving to disk: keep the entry, without preview or download
+			if (!imageData.blob) {
+				const placeholder = document.createElement('div');
+				placeholder.className = 'gallery-released';
+				placeholder.textContent = `Saved to ${imageData.savedTo}`;
+				galleryItem.querySelector('img').replaceWith(placeholder);
+				galleryItem.querySelector('.download-btn').remove();
+				const checkbox = galleryItem.querySelector('.image-select');
+				checkbox.checked = false;
+				checkbox.disabled = true;
+			}
+
+			if (imageData.encoding) {
+				const encodingInfo = document.createElement('small');
+				encodingInfo.className = 'encoding-info';
+				if (!imageData.encoding.withinBudget) encodingInfo.classList.add('encoding-info--over');
+				encodingInfo.textContent = this.getEncodingSummary(imageData.encoding);
+				galleryItem.querySelector('.gallery-info').appendChild(encodingInfo);
+			}
+
+			// Per-file metadata badge; failures fall back to a file without metadata
+			if (imageData.metadata) {
+				const badge = document.createElement('span');
+				badge.className = 'metadata-badge';
+				if (imageData.metadata.error) {
+					badge.classList.add('metadata-badge--error');
+					badge.textContent = 'Metadata not written';
+					badge.title = imageData.metadata.error;
+				} else {
+					badge.textContent = `Metadata: ${imageData.metadata.policy}`;
+					badge.title = this.getMetadataSummary(imageData.metadata);
+				}
+				galleryItem.appendChild(badge);
+			}
+
 			// Click to view full size
 			const img = galleryItem.querySelector('img');
 			if (img) {
@@ -785,6 +1164,23 @@ class ProcessedImageModal {
 			galleryGrid.appendChild(galleryItem);
 		});
 
+		// Failed images are listed after the results, with the reason
+		(this.failedImages || []).forEach((failed) => {
+			const failedItem = document.createElement('div');
+			failedItem.className = 'gallery-item gallery-item--failed';
+
+			const status = document.createElement('strong');
+			status.textContent = 'Failed';
+			const name = document.createElement('span');
+			name.className = 'filename';
+			name.textContent = failed.name;
+			const reason = document.createElement('small');
+			reason.textContent = failed.reason;
+
+			failedItem.append(status, name, reason);
+			galleryGrid.appendChild(failedItem);
+		});
+
 		// Wire toolbar controls
 		const selectAll = document.getElementById('selectAllImages');
 		const downloadSelectedBtn = document.getElementById('downloadSelectedBtn');
@@ -792,7 +1188,7 @@ class ProcessedImageModal {
 		if (selectAll) {
 			selectAll.addEventListener('change', (e) => {
 				document.querySelectorAll('.image-select').forEach((cb) => {
-					cb.checked = selectAll.checked;
+					cb.checked = selectAll.checked && !cb.disabled;
 				});
 			});
 		}
@@ -855,26 +1251,12 @@ class ProcessedImageModal {
 			return;
 		}
 
-		try {
-			const zip = new JSZip();
-
-			for (const imageData of this.processedImages) {
-				zip.file(imageData.name, imageData.blob);
-			}
-
-			const zipBlob = await zip.generateAsync({ type: 'blob' });
-
-			const url = URL.createObjectURL(zipBlob);
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = 'watermarked_images.zip';
-			document.body.appendChild(a);
-			a.click();
-			document.body.removeChild(a);
-			URL.revokeObjectURL(url);
-		} catch (error) {
-			console.error('Error creating ZIP file:', error);
-			alert('Error creating ZIP file.');
+		if (this.onSaveZip) {
+			await this.onSaveZip(
+				this.processedImages,
+				'watermarked_images.zip',
+				document.getElementById('modalDownloadAllBtn'),
+			);
 		}
 	}
 
@@ -882,7 +1264,7 @@ class ProcessedImageModal {
 		// collect selected indexes
 		const selected = [];
 		document.querySelectorAll('.image-select').forEach((cb) => {
-			if (cb.checked) selected.push(Number(cb.dataset.idx));
+			if (cb.checked && !cb.disabled) selected.push(Number(cb.dataset.idx));
 		});
 
 		let items = this.processedImages;
@@ -895,2691 +1277,7898 @@ class ProcessedImageModal {
 			return;
 		}
 
-		try {
-			const zip = new JSZip();
-
-			for (const imageData of items) {
-				zip.file(imageData.name, imageData.blob);
-			}
-
-			const zipBlob = await zip.generateAsync({ type: 'blob' });
-
-			const url = URL.createObjectURL(zipBlob);
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = 'watermarked_images_selected.zip';
-			document.body.appendChild(a);
-			a.click();
-			document.body.removeChild(a);
-			URL.revokeObjectURL(url);
-		} catch (error) {
-			console.error('Error creating ZIP:', error);
-			alert('Error creating ZIP file.');
+		if (this.onSaveZip) {
+			await this.onSaveZip(
+				items,
+				'watermarked_images_selected.zip',
+				document.getElementById('downloadSelectedBtn'),
+			);
 		}
 	}
 }
 
 /**
- * BULK WATERMARK APPLICATION - Main Application Class
+ * EXIF METADATA
+ * =============
  *
- * A comprehensive image watermarking tool supporting both text and logo watermarks
- * with advanced pattern layouts, spacing controls, and batch processing capabilities.
+ * Minimal EXIF reader for JPEG (APP1), PNG (eXIf), WebP (EXIF chunk) and HEIC/HEIF (Exif item) files.
  *
- * KEY FEATURES:
- * - Dual watermark types: text with effects, logo images
- * - Pattern modes: single placement, diagonal grids, orthogonal grids
- * - Independent X/Y spacing controls with intuitive 0-20 scale
- * - Performance-optimized with intelligent caching system
- * - Batch processing with ZIP download
- * - Real-time preview with responsive scaling
+ * Every IFD entry is kept in its raw form ({ tag, type, count, bytes }) next to the
+ * decoded named values, so metadata can be written back out unchanged (see MetadataWriter).
+ * Only the tags listed in TAG_NAMES are decoded into `tags`.
+ *
+ * readSourceMetadata() additionally collects the XMP packet of JPEG, PNG and WebP files so
+ * it can be copied into the output.
  */
-class BulkWatermarkApp {
-	constructor() {
-		// File management arrays
-		this.uploadedFiles = []; // Original uploaded image files with metadata
-		this.processedImages = []; // Final watermarked images ready for download
-		this.currentPreviewFileId = null; // Track which file is currently being previewed
+class ExifReader {
+	static get TAG_NAMES() {
+		return {
+			// IFD0
+			0x010e: 'ImageDescription',
+			0x010f: 'Make',
+			0x0110: 'Model',
+			0x0112: 'Orientation',
+			0x0131: 'Software',
+			0x0132: 'DateTime',
+			0x013b: 'Artist',
+			0x8298: 'Copyright',
+			// Exif sub-IFD
+			0x829a: 'ExposureTime',
+			0x829d: 'FNumber',
+			0x8827: 'ISOSpeedRatings',
+			0x9003: 'DateTimeOriginal',
+			0x9004: 'DateTimeDigitized',
+			0x9010: 'OffsetTime',
+			0x9011: 'OffsetTimeOriginal',
+			0x920a: 'FocalLength',
+			0xa002: 'PixelXDimension',
+			0xa003: 'PixelYDimension',
+			0xa405: 'FocalLengthIn35mmFilm',
+			0xa430: 'CameraOwnerName',
+			0xa431: 'BodySerialNumber',
+			0xa433: 'LensMake',
+			0xa434: 'LensModel',
+			0xa435: 'LensSerialNumber',
+		};
+	}
 
-		/*
-		 * WATERMARK CONFIGURATION: Complete settings object defining appearance and behavior.
-		 * These settings drive all watermark rendering and are synchronized with UI controls.
-		 */
-		this.watermarkSettings = {
-			// Core watermark properties
-			type: 'text', // "text" | "logo" - determines rendering pipeline
-			patternMode: 'single', // "single" | "diagonal" | "grid" - layout mode
+	static get EXIF_IFD_POINTER() {
+		return 0x8769;
+	}
 
-			// Text watermark configuration
-			text: '© Your Watermark', // Displayed text content
-			fontSize: 24, // Base font size (scaled by canvas)
-			fontFamily: 'Arial', // Font family name
-			textColor: '#ffffff', // Text fill color (hex format)
+	static get GPS_IFD_POINTER() {
+		return 0x8825;
+	}
 
-			// Common properties
-			opacity: 70, // Transparency percentage (0-100)
-			position: 'bottom-right', // Single mode position key
-			offsetX: 0, // Fine position adjustment (pixels)
-			offsetY: 0, // Fine position adjustment (pixels)
-			watermarkRotation: 0, // Individual watermark rotation (degrees)
+	/* Byte size of one value of each TIFF field type */
+	static get TYPE_SIZES() {
+		return { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+	}
 
-			// Logo watermark configuration
-			watermarkLogo: null, // Image object for logo mode
-			logoScale: 20, // Logo size percentage (1-500)
+	/**
+	 * Read EXIF metadata from an image file.
+	 * @param {File|Blob} file - Original (unconverted) image file
+	 * @returns {Promise<Object|null>} { littleEndian, ifd0, exif, gps, tags } or null when absent
+	 */
+	static async readFile(file) {
+		const bytes = new Uint8Array(await file.arrayBuffer());
+		const tiff = ExifReader.findTiff(bytes);
+		return tiff ? ExifReader.parseTiff(tiff) : null;
+	}
 
-			// Pattern spacing configuration (NEW: 0-20 UI scale)
-			patternSpacing: 6, // Legacy: unified spacing (deprecated)
-			patternSpacingX: 6, // Horizontal spacing (0=touching, 20=maximum)
-			patternSpacingY: 7, // Vertical spacing (0=touching, 20=maximum)
-			patternAngle: -45, // Pattern rotation angle (degrees)
+	/**
+	 * Locate the TIFF structure holding EXIF data inside a container.
+	 * @param {Uint8Array} bytes - Whole file
+	 * @returns {Uint8Array|null} View starting at the TIFF byte-order mark
+	 */
+	static findTiff(bytes) {
+		if (bytes[0] === 0xff && bytes[1] === 0xd8) return ExifReader.findTiffInJpeg(bytes);
+		if (ExifReader.fourCC(bytes, 0) === 'RIFF' && ExifReader.fourCC(bytes, 8) === 'WEBP') {
+			return ExifReader.findTiffInWebp(bytes);
+		}
+		if (ExifReader.fourCC(bytes, 4) === 'ftyp') return ExifReader.findTiffInHeif(bytes);
+		if (ExifReader.fourCC(bytes, 1) === 'PNG\r') {
+			const exif = ExifReader.readPngChunks(bytes).find((chunk) => chunk.type === 'eXIf');
+			return exif ? exif.data : null;
+		}
+		return null;
+	}
 
-			/*
-			 * TEXT EFFECTS: Advanced visual enhancements for text watermarks.
-			 * Each effect can be independently enabled/configured.
-			 */
-			textEffects: {
-				// Shadow effect
-				shadow: false, // Enable/disable shadow
-				shadowColor: '#000000', // Shadow color
-				shadowBlur: 6, // Shadow blur radius
-				shadowOffsetX: 2, // Shadow horizontal offset
-				shadowOffsetY: 2, // Shadow vertical offset
+	/**
+	 * Read everything an export may copy from the original file.
+	 * HEIC files only provide EXIF. Colour profiles are not read: decoded pixels are already
+	 * converted to sRGB, so the source profile no longer describes the output.
+	 *
+	 * @param {File|Blob} file - Original (unconverted) image file
+	 * @returns {Promise<{exif: Object|null, xmp: string|null}>} Source metadata
+	 */
+	static async readSourceMetadata(file) {
+		const bytes = new Uint8Array(await file.arrayBuffer());
+		const tiff = ExifReader.findTiff(bytes);
+		const source = { exif: tiff ? ExifReader.parseTiff(tiff) : null, xmp: null };
+		const decodeText = (data) => new TextDecoder().decode(data);
+
+		if (bytes[0] === 0xff && bytes[1] === 0xd8) {
+			ExifReader.readJpegSegments(bytes).forEach(({ marker, data }) => {
+				if (marker === 0xe1 && ExifReader.startsWith(data, MetadataWriter.XMP_NAMESPACE)) {
+					source.xmp = decodeText(data.subarray(MetadataWriter.XMP_NAMESPACE.length));
+				}
+			});
+		} else if (ExifReader.fourCC(bytes, 1) === 'PNG\r') {
+			for (const { type, data } of ExifReader.readPngChunks(bytes)) {
+				if (type === 'iTXt' && ExifReader.startsWith(data, 'XML:com.adobe.xmp\0') && data[18] === 0) {
+					// Uncompressed iTXt: skip keyword, flags, language tag and translated keyword
+					let p = 20;
+					p = data.indexOf(0, p) + 1;
+					p = data.indexOf(0, p) + 1;
+					source.xmp = decodeText(data.subarray(p));
+				}
+			}
+		} else if (ExifReader.fourCC(bytes, 0) === 'RIFF' && ExifReader.fourCC(bytes, 8) === 'WEBP') {
+			ExifReader.readRiffChunks(bytes).forEach(({ type, data }) => {
+				if (type === 'XMP ') source.xmp = decodeText(data);
+			});
+		}
 
-				// Text outline effect
-				outline: false, // Enable/disable outline
-				outlineColor: '#000000', // Outline stroke color
-				outlineThickness: 2, // Outline stroke width
-				outlineOpacity: 100, // Outline opacity (0-100)
+		return source;
+	}
 
-				// Glow effect
-				glow: false, // Enable/disable glow
-				glowColor: '#ffffff', // Glow color (usually matches text)
-				glowSpread: 12, // Glow spread/blur radius (renamed from glowBlur)
-				glowIntensity: 100, // Glow intensity/transparency (0-100)
-			},
+	/**
+	 * @returns {Array<{marker: number, data: Uint8Array}>} JPEG marker segments before the image data
+	 */
+	static readJpegSegments(bytes) {
+		const segments = [];
+		let offset = 2;
+		while (offset + 4 <= bytes.length && bytes[offset] === 0xff) {
+			const marker = bytes[offset + 1];
+			if (marker === 0xff) {
+				offset++; // Fill byte
+				continue;
+			}
+			if (marker === 0xd9 || marker === 0xda) break; // End of image / start of scan
+			const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+			segments.push({ marker, data: bytes.subarray(offset + 4, offset + 2 + length) });
+			offset += 2 + length;
+		}
+		return segments;
+	}
 
-			// Logo overlay effects
-			overlayEffect: 'none', // "none" | "tint" - logo processing mode
-		};
+	/**
+	 * @returns {Array<{type: string, data: Uint8Array}>} PNG chunks (CRCs are not verified)
+	 */
+	static readPngChunks(bytes) {
+		const chunks = [];
+		let offset = 8;
+		while (offset + 12 <= bytes.length) {
+			const length = ExifReader.readUint32(bytes, offset);
+			const type = ExifReader.fourCC(bytes, offset + 4);
+			chunks.push({ type, data: bytes.subarray(offset + 8, offset + 8 + length) });
+			if (type === 'IEND') break;
+			offset += 12 + length;
+		}
+		return chunks;
+	}
 
-		/*
-		 * PERFORMANCE OPTIMIZATION: Watermark cache system using Map for O(1) lookups.
-		 * Caches are keyed by comprehensive settings hash including quantized canvas dimensions.
-		 * This enables intelligent cache reuse across similar images and identical settings.
-		 */
-		this._watermarkCacheMap = new Map();
+	/**
+	 * @returns {Array<{type: string, data: Uint8Array}>} Chunks of a RIFF/WebP file
+	 */
+	static readRiffChunks(bytes) {
+		const chunks = [];
+		let offset = 12;
+		while (offset + 8 <= bytes.length) {
+			const size = ExifReader.readUint32(bytes, offset + 4, true);
+			chunks.push({
+				type: ExifReader.fourCC(bytes, offset),
+				data: bytes.subarray(offset + 8, offset + 8 + size),
+			});
+			offset += 8 + size + (size % 2); // Chunks are padded to even sizes
+		}
+		return chunks;
+	}
 
-		/*
-		 * POSITION MAPPING: Predefined coordinates for single watermark placement.
-		 * Values are normalized (0-1) relative to canvas dimensions.
-		 * Coordinates positioned for tight corner alignment without excessive padding.
-		 */
-		this.positionMap = {
-			'top-left': { x: 0.06, y: 0.06 }, // Near top-left corner
-			'top-center': { x: 0.5, y: 0.06 }, // Top edge, centered
-			'top-right': { x: 0.94, y: 0.06 }, // Near top-right corner
-			'middle-left': { x: 0.06, y: 0.5 }, // Left edge, centered
-			center: { x: 0.5, y: 0.5 }, // Exact center
-			'middle-right': { x: 0.94, y: 0.5 }, // Right edge, centered
-			'bottom-left': { x: 0.06, y: 0.94 }, // Near bottom-left corner
-			'bottom-center': { x: 0.5, y: 0.94 }, // Bottom edge, centered
-			'bottom-right': { x: 0.94, y: 0.94 }, // Near bottom-right corner
-		};
+	static startsWith(bytes, text) {
+		if (bytes.length < text.length) return false;
+		for (let i = 0; i < text.length; i++) {
+			if (bytes[i] !== text.charCodeAt(i)) return false;
+		}
+		return true;
+	}
 
-		// Initialize application components and event bindings
-		this.init();
+	static findTiffInJpeg(bytes) {
+		const segment = ExifReader.readJpegSegments(bytes).find(
+			({ marker, data }) => marker === 0xe1 && ExifReader.isExifHeader(data, 0),
+		);
+		return segment ? segment.data.subarray(6) : null;
+	}
+
+	static findTiffInWebp(bytes) {
+		const chunk = ExifReader.readRiffChunks(bytes).find(({ type }) => type === 'EXIF');
+		if (!chunk) return null;
+		// Some encoders keep the JPEG-style "Exif\0\0" prefix
+		return ExifReader.isExifHeader(chunk.data, 0) ? chunk.data.subarray(6) : chunk.data;
 	}
 
-	// Convert UI spacing values (0-20) to actual pixel values for rendering
-	// This function now handles the complete spacing calculation including canvas scaling
 	/**
-	 * Convert UI spacing values (0-20) to actual pixel values for watermark positioning.
-	 * This is the core spacing calculation that determines center-to-center distances between watermarks.
-	 *
-	 * @param {number} uiValue - User input value from 0-20 slider
-	 * @param {number} baseSize - The watermark's base dimension (width for X, height for Y)
-	 * @param {number} canvasScale - Canvas scaling factor (canvasSize/800) for responsive sizing
-	 * @param {boolean} isVertical - Whether this is vertical (Y) spacing calculation
-	 * @returns {number} Center-to-center distance in pixels
+	 * HEIF stores EXIF as an item: find its id in `iinf`, its location in `iloc`.
 	 */
-	convertSpacingToPixels(uiValue, baseSize, canvasScale = 1, isVertical = false) {
-		// Scale the watermark size to match the current canvas dimensions
-		const actualWatermarkSize = baseSize * canvasScale;
-
-		if (uiValue <= 0) {
-			// Value 0 = "touching" behavior: watermarks placed edge-to-edge with no gap
-			// Add a small buffer (2-5% of size) to prevent actual overlap due to rendering variations
-			const touchingBuffer = Math.max(2, actualWatermarkSize * 0.02);
-			const result = actualWatermarkSize + touchingBuffer;
+	static findTiffInHeif(bytes) {
+		const meta = ExifReader.readBoxes(bytes, 0, bytes.length).find((box) => box.type === 'meta');
+		if (!meta) return null;
+
+		const metaChildren = ExifReader.readBoxes(bytes, meta.start + 4, meta.end); // Skip version/flags
+		const iinf = metaChildren.find((box) => box.type === 'iinf');
+		const iloc = metaChildren.find((box) => box.type === 'iloc');
+		if (!iinf || !iloc) return null;
+
+		// Item info: find the item whose type is 'Exif'
+		const iinfVersion = bytes[iinf.start];
+		const entriesStart = iinf.start + 4 + (iinfVersion === 0 ? 2 : 4);
+		let exifItemId = null;
+		ExifReader.readBoxes(bytes, entriesStart, iinf.end).forEach((infe) => {
+			if (infe.type !== 'infe') return;
+			const version = bytes[infe.start];
+			if (version < 2) return;
+			const idSize = version === 2 ? 2 : 4;
+			const itemId =
+				idSize === 2
+					? ExifReader.readUint16(bytes, infe.start + 4)
+					: ExifReader.readUint32(bytes, infe.start + 4);
+			if (ExifReader.fourCC(bytes, infe.start + 4 + idSize + 2) === 'Exif') exifItemId = itemId;
+		});
+		if (exifItemId === null) return null;
+
+		// Item location
+		let p = iloc.start;
+		const version = bytes[p];
+		p += 4;
+		const offsetSize = bytes[p] >> 4;
+		const lengthSize = bytes[p] & 0x0f;
+		const baseOffsetSize = bytes[p + 1] >> 4;
+		const indexSize = version === 1 || version === 2 ? bytes[p + 1] & 0x0f : 0;
+		p += 2;
+		const readSized = (size) => {
+			let value = 0;
+			for (let i = 0; i < size; i++) value = value * 256 + bytes[p + i];
+			p += size;
+			return value;
+		};
+		const itemCount = readSized(version < 2 ? 2 : 4);
+
+		for (let i = 0; i < itemCount; i++) {
+			const itemId = readSized(version < 2 ? 2 : 4);
+			if (version === 1 || version === 2) p += 2; // construction_method
+			p += 2; // data_reference_index
+			const baseOffset = readSized(baseOffsetSize);
+			const extentCount = readSized(2);
+			let extentOffset = 0;
+			let extentLength = 0;
+			for (let e = 0; e < extentCount; e++) {
+				readSized(indexSize);
+				const off = readSized(offsetSize);
+				const len = readSized(lengthSize);
+				if (e === 0) {
+					extentOffset = off;
+					extentLength = len;
+				}
+			}
 
-			return result;
+			if (itemId === exifItemId) {
+				const start = baseOffset + extentOffset;
+				const data = bytes.subarray(start, start + extentLength);
+				// Exif item payload starts with the offset of the TIFF header
+				const tiffOffset = ExifReader.readUint32(data, 0) + 4;
+				return data.subarray(tiffOffset);
+			}
 		}
-		/*
-		 * For values 1-20, create smooth progressive spacing.
-		 * Start with a small gap for value 1 and scale up smoothly.
-		 */
-
-		// Small minimum gap for value 1 - just enough to see separation
-		// Use a much smaller gap to reduce the jump between 0 and 1
-		const minGap = Math.max(5 * canvasScale, actualWatermarkSize * 0.08);
+		return null;
+	}
 
-		// Maximum gap for value 20 - scales with watermark size for proportional spacing
-		const maxGap = Math.max(actualWatermarkSize * 2.5, 400 * canvasScale);
+	/**
+	 * List ISO base media boxes between two offsets.
+	 * @returns {Array<{type: string, start: number, end: number}>} Box payload ranges
+	 */
+	static readBoxes(bytes, start, end) {
+		const boxes = [];
+		let offset = start;
+		while (offset + 8 <= end) {
+			let size = ExifReader.readUint32(bytes, offset);
+			const type = ExifReader.fourCC(bytes, offset + 4);
+			let header = 8;
+			if (size === 1) {
+				size = ExifReader.readUint32(bytes, offset + 8) * 2 ** 32 + ExifReader.readUint32(bytes, offset + 12);
+				header = 16;
+			} else if (size === 0) {
+				size = end - offset;
+			}
+			if (size < header) break;
+			boxes.push({ type, start: offset + header, end: Math.min(end, offset + size) });
+			offset += size;
+		}
+		return boxes;
+	}
 
-		// Smooth interpolation between min and max gaps
-		const gapRange = maxGap - minGap;
-		const gapSize = minGap + ((uiValue - 1) / 19) * gapRange;
+	/**
+	 * Parse a TIFF structure into raw IFD entries and decoded tag values.
+	 * @param {Uint8Array} tiff - Bytes starting at the byte-order mark
+	 * @returns {Object|null} Parsed metadata
+	 */
+	static parseTiff(tiff) {
+		if (tiff.length < 8) return null;
+		const order = String.fromCharCode(tiff[0], tiff[1]);
+		if (order !== 'II' && order !== 'MM') return null;
+		const littleEndian = order === 'II';
+		if (ExifReader.readUint16(tiff, 2, littleEndian) !== 42) return null;
+
+		const ifd0 = ExifReader.readIfd(tiff, ExifReader.readUint32(tiff, 4, littleEndian), littleEndian);
+		const pointer = (entries, tag) => {
+			const entry = entries.find((e) => e.tag === tag);
+			return entry ? ExifReader.readUint32(entry.bytes, 0, littleEndian) : 0;
+		};
+		const exifOffset = pointer(ifd0, ExifReader.EXIF_IFD_POINTER);
+		const gpsOffset = pointer(ifd0, ExifReader.GPS_IFD_POINTER);
+		const exif = exifOffset ? ExifReader.readIfd(tiff, exifOffset, littleEndian) : [];
+		const gps = gpsOffset ? ExifReader.readIfd(tiff, gpsOffset, littleEndian) : [];
+
+		const tags = {};
+		[...ifd0, ...exif].forEach((entry) => {
+			const name = ExifReader.TAG_NAMES[entry.tag];
+			if (name) tags[name] = ExifReader.decodeValue(entry, littleEndian);
+		});
 
-		// Final result: watermark size + calculated gap = center-to-center distance
-		const result = Math.round(actualWatermarkSize + gapSize);
+		return { littleEndian, ifd0, exif, gps, tags };
+	}
 
-		return result;
+	static readIfd(tiff, offset, littleEndian) {
+		const entries = [];
+		if (offset <= 0 || offset + 2 > tiff.length) return entries;
+
+		const count = ExifReader.readUint16(tiff, offset, littleEndian);
+		for (let i = 0; i < count; i++) {
+			const p = offset + 2 + i * 12;
+			if (p + 12 > tiff.length) break;
+			const tag = ExifReader.readUint16(tiff, p, littleEndian);
+			const type = ExifReader.readUint16(tiff, p + 2, littleEndian);
+			const valueCount = ExifReader.readUint32(tiff, p + 4, littleEndian);
+			const size = (ExifReader.TYPE_SIZES[type] || 1) * valueCount;
+			const valueOffset = size > 4 ? ExifReader.readUint32(tiff, p + 8, littleEndian) : p + 8;
+			if (valueOffset + size > tiff.length) continue; // Truncated or corrupt entry
+			entries.push({ tag, type, count: valueCount, bytes: tiff.slice(valueOffset, valueOffset + size) });
+		}
+		return entries;
 	}
-	init() {
-		/* Make globally available */
-		window.watermarkApp = this;
 
-		/* Initialize components */
-		this.fileUploadHandler = new FileUploadHandler();
-		this.modal = new ProcessedImageModal();
+	/**
+	 * Decode a raw entry: ASCII to string, numbers and rationals to numbers
+	 * (arrays when count > 1), anything else stays as bytes.
+	 */
+	static decodeValue(entry, littleEndian) {
+		const { type, count, bytes } = entry;
+		if (type === 2) {
+			const end = bytes.indexOf(0);
+			return String.fromCharCode(...bytes.subarray(0, end === -1 ? bytes.length : end)).trim();
+		}
 
-		/* Wait for DOM then bind events */
-		if (document.readyState === 'loading') {
-			document.addEventListener('DOMContentLoaded', () => {
-				this.bindEvents();
-				this.initializeControls();
-				/* Ensure 'single' pattern is selected on load */
-				try {
-					this.watermarkSettings.patternMode = 'single';
-					const radios = document.querySelectorAll('input[name="patternMode"]');
-					radios.forEach((r) => {
-						r.checked = r.value === 'single';
-					});
-					this.updatePatternModeUI();
-					this.updatePreview();
-				} catch (err) {
-					console.warn('Failed to enforce single pattern mode on init', err);
+		const values = [];
+		for (let i = 0; i < count; i++) {
+			switch (type) {
+				case 1:
+					values.push(bytes[i]);
+					break;
+				case 3:
+					values.push(ExifReader.readUint16(bytes, i * 2, littleEndian));
+					break;
+				case 4:
+					values.push(ExifReader.readUint32(bytes, i * 4, littleEndian));
+					break;
+				case 9:
+					values.push(ExifReader.readUint32(bytes, i * 4, littleEndian) | 0);
+					break;
+				case 5:
+				case 10: {
+					let num = ExifReader.readUint32(bytes, i * 8, littleEndian);
+					let den = ExifReader.readUint32(bytes, i * 8 + 4, littleEndian);
+					if (type === 10) {
+						num |= 0;
+						den |= 0;
+					}
+					values.push(den === 0 ? 0 : num / den);
+					break;
 				}
-				this.updateUI();
-			});
-		} else {
-			this.bindEvents();
-			this.initializeControls();
-			/* Ensure 'single' pattern is selected on load */
-			try {
-				this.watermarkSettings.patternMode = 'single';
-				const radios = document.querySelectorAll('input[name="patternMode"]');
-				radios.forEach((r) => {
-					r.checked = r.value === 'single';
-				});
-				this.updatePatternModeUI();
-				this.updatePreview();
-			} catch (err) {
-				console.warn('Failed to enforce single pattern mode on init', err);
+				default:
+					return bytes;
 			}
-			this.updateUI();
 		}
+		return count === 1 ? values[0] : values;
 	}
 
-	addFiles(files) {
-		files.forEach((file) => {
-			const fileData = {
-				file: file,
-				name: file.name,
-				size: file.size,
-				id: Date.now() + Math.random(),
-				preview: null,
-				loaded: false,
-				error: null,
-			};
-
-			this.uploadedFiles.push(fileData);
-			this.loadImagePreview(fileData);
+	/**
+	 * Format decoded tags for use in watermark text ({exif.Name} tokens).
+	 * @param {Object} tags - Decoded tags from parseTiff
+	 * @returns {Object} String values keyed by tag name
+	 */
+	static toTokenValues(tags) {
+		const values = {};
+		Object.keys(tags).forEach((name) => {
+			let value = tags[name];
+			if (value instanceof Uint8Array) return;
+			if (Array.isArray(value)) value = value[0];
+
+			if (typeof value === 'string' && /^DateTime/.test(name)) {
+				// "2024:05:01 12:34:56" -> "2024-05-01 12:34:56"
+				value = value.replace(/^(\d{4}):(\d{2}):(\d{2})/, '$1-$2-$3');
+			} else if (name === 'ExposureTime' && value > 0 && value < 1) {
+				value = `1/${Math.round(1 / value)}`;
+			} else if (typeof value === 'number' && !Number.isInteger(value)) {
+				value = Math.round(value * 10) / 10;
+			}
+			values[name] = String(value);
 		});
+		return values;
+	}
 
-		this.updateUI();
+	static isExifHeader(bytes, offset) {
+		return ExifReader.fourCC(bytes, offset) === 'Exif' && bytes[offset + 4] === 0 && bytes[offset + 5] === 0;
 	}
 
-	/**
-	 * Load image preview for a file and update UI when complete.
-	 *
-	 * ASYNC LOADING:
-	 * - Uses FileReader to load image data asynchronously
-	 * - Updates file metadata when loading completes
-	 * - Re-renders image grid to show loading progress
-	 * - Updates UI elements to reflect current loaded file count
-	 * - Triggers preview update for first loaded file
-	 *
-	 * @param {Object} fileData - File data object with metadata
-	 */
-	async loadImagePreview(fileData) {
-		const fileName = fileData.file.name.toLowerCase();
-		const isHEIC =
-			fileData.file.type === 'image/heic' ||
-			fileData.file.type === 'image/heif' ||
-			fileName.endsWith('.heic') ||
-			fileName.endsWith('.heif');
+	static fourCC(bytes, offset) {
+		if (offset + 4 > bytes.length) return '';
+		return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+	}
 
-		let fileToRead = fileData.file;
+	static readUint16(bytes, offset, littleEndian = false) {
+		return littleEndian ? bytes[offset] | (bytes[offset + 1] << 8) : (bytes[offset] << 8) | bytes[offset + 1];
+	}
 
-		if (isHEIC) {
-			try {
-				if (typeof heic2any === 'undefined') {
-					throw new Error('HEIC converter not loaded');
-				}
+	static readUint32(bytes, offset, littleEndian = false) {
+		const b0 = bytes[offset];
+		const b1 = bytes[offset + 1];
+		const b2 = bytes[offset + 2];
+		const b3 = bytes[offset + 3];
+		return littleEndian
+			? (b0 | (b1 << 8) | (b2 << 16) | (b3 << 24)) >>> 0
+			: ((b0 << 24) | (b1 << 16) | (b2 << 8) | b3) >>> 0;
+	}
+}
 
-				const convertedBlob = await heic2any({
-					blob: fileData.file,
-					toType: 'image/jpeg',
-					quality: 0.9,
-				});
+/**
+ * METADATA WRITER
+ * ===============
+ *
+ * Embeds metadata into encoded output files, since canvas.toBlob() drops it.
+ * compose() decides what to write for one file: original metadata according to the
+ * batch policy (see POLICY_LABELS) plus the optional copyright fields.
+ * embed() then writes that payload in the output format's native containers:
+ * - JPEG: EXIF (APP1), XMP (APP1) and IPTC-IIM (APP13 Photoshop resource)
+ * - PNG: eXIf, iTXt text chunks and an XMP iTXt chunk
+ * - WebP: EXIF and XMP chunks (the file is upgraded to the extended VP8X layout)
+ *
+ * Output pixels are sRGB, so source colour profiles are never copied and EXIF ColorSpace
+ * is rewritten as sRGB.
+ *
+ * Copyright fields: { copyright, artist, creditLine, usageTerms, contactUrl }; empty fields are omitted.
+ */
+class MetadataWriter {
+	static get XMP_NAMESPACE() {
+		return 'http://ns.adobe.com/xap/1.0/\0';
+	}
 
-				fileToRead = Array.isArray(convertedBlob) ? convertedBlob[0] : convertedBlob;
-			} catch (error) {
-				console.error('HEIC conversion failed:', error);
-				fileData.error = 'Failed to convert HEIC image';
-				this.renderImageGrid();
-				this.updateUI();
-				return;
+	/* Original metadata policies, as reported in the gallery */
+	static get POLICY_LABELS() {
+		return {
+			keep: 'Original metadata kept, including GPS',
+			safe: 'Original metadata kept without GPS and serial numbers',
+			strip: 'Original metadata removed',
+		};
+	}
+
+	/* Tags that identify the owner or the device, removed by the 'safe' policy */
+	static get PRIVATE_TAGS() {
+		return [
+			0xa420, // ImageUniqueID
+			0xa430, // CameraOwnerName
+			0xa431, // BodySerialNumber
+			0xa435, // LensSerialNumber
+			0xc62f, // CameraSerialNumber (DNG)
+		];
+	}
+
+	/* Tags that no longer describe the output file and are dropped or rewritten */
+	static get STALE_TAGS() {
+		return [
+			0x0112, // Orientation: output pixels are always upright, rewritten as 1
+			0xa002, // PixelXDimension: rewritten with the output size
+			0xa003, // PixelYDimension
+			0xa005, // Interoperability IFD pointer (that IFD is not copied)
+			0xa001, // ColorSpace: output pixels are sRGB, rewritten as 1
+			0x927c, // MakerNote: vendor data with offsets into the original file, broken once moved
+		];
+	}
+
+	/**
+	 * Decide which metadata to write into one output file.
+	 *
+	 * @param {Object|null} source - Original metadata (see ExifReader.readSourceMetadata)
+	 * @param {Object} options
+	 * @param {string} options.policy - 'keep' | 'safe' | 'strip' for the original metadata
+	 * @param {Object|null} options.copyright - Copyright fields to add, or null
+	 * @param {number} options.width - Output width in pixels
+	 * @param {number} options.height - Output height in pixels
+	 * @returns {Object} Payload for embed(): { exif, xmp, iptc, text }
+	 */
+	static compose(source, { policy, copyright, width, height }) {
+		const payload = { exif: null, xmp: null, iptc: null, text: {} };
+		let ifds = { ifd0: [], exif: [], gps: [] };
+		let littleEndian = false;
+
+		if (source && policy !== 'strip') {
+			if (policy === 'keep') payload.xmp = source.xmp; // XMP may repeat GPS and serial numbers
+			if (source.exif) {
+				littleEndian = source.exif.littleEndian;
+				const dropped = MetadataWriter.STALE_TAGS.concat(policy === 'safe' ? MetadataWriter.PRIVATE_TAGS : []);
+				const kept = (entries) => entries.filter((entry) => !dropped.includes(entry.tag));
+				ifds = {
+					ifd0: [...kept(source.exif.ifd0), MetadataWriter.numberEntry(0x0112, 3, 1, littleEndian)],
+					exif: kept(source.exif.exif),
+					gps: policy === 'keep' ? source.exif.gps : [],
+				};
+				if (ifds.exif.length > 0) {
+					ifds.exif.push(MetadataWriter.numberEntry(0xa001, 3, 1, littleEndian));
+					ifds.exif.push(MetadataWriter.numberEntry(0xa002, 4, width, littleEndian));
+					ifds.exif.push(MetadataWriter.numberEntry(0xa003, 4, height, littleEndian));
+				}
 			}
 		}
 
-		const reader = new FileReader();
+		if (copyright) {
+			const entries = [];
+			if (copyright.artist) entries.push(MetadataWriter.asciiEntry(0x013b, copyright.artist));
+			if (copyright.copyright) entries.push(MetadataWriter.asciiEntry(0x8298, copyright.copyright));
+			ifds.ifd0 = ifds.ifd0.filter((entry) => !entries.some((e) => e.tag === entry.tag)).concat(entries);
+
+			// Formats allow a single XMP packet, so the copyright packet replaces the original one
+			payload.xmp = MetadataWriter.buildXmp(copyright);
+			payload.iptc = MetadataWriter.buildIptc(copyright);
+			payload.text = {
+				Copyright: copyright.copyright,
+				Author: copyright.artist,
+				Source: copyright.creditLine,
+				Disclaimer: copyright.usageTerms,
+				URL: copyright.contactUrl,
+			};
+		}
 
-		reader.onload = (e) => {
-			fileData.preview = e.target.result;
-			fileData.loaded = true;
-			this.updateUI();
+		if (ifds.ifd0.length > 0 || ifds.exif.length > 0 || ifds.gps.length > 0) {
+			payload.exif = MetadataWriter.buildTiff(ifds, littleEndian);
+		}
+		return payload;
+	}
 
-			if (this.getLoadedFiles().length === 1) {
-				this.currentPreviewFileId = fileData.id;
-				setTimeout(() => this.updatePreview(), 500);
-			}
+	/* Output types embed() can write metadata into */
+	static get SUPPORTED_TYPES() {
+		return ['image/jpeg', 'image/png', 'image/webp'];
+	}
 
-			// Re-render grid to show selection state
-			this.renderImageGrid();
-		};
+	/**
+	 * @param {Blob} blob - Encoded image from canvas.toBlob()
+	 * @param {Object} payload - Output of compose()
+	 * @returns {Promise<Blob>} New blob with metadata, or the input blob for other formats
+	 */
+	static async embed(blob, payload) {
+		const bytes = new Uint8Array(await blob.arrayBuffer());
+		let output = null;
 
-		reader.onerror = () => {
-			fileData.error = 'Failed to load image';
-			this.renderImageGrid();
-			this.updateUI();
-		};
+		if (blob.type === 'image/jpeg') output = MetadataWriter.embedJpeg(bytes, payload);
+		else if (blob.type === 'image/png') output = MetadataWriter.embedPng(bytes, payload);
+		else if (blob.type === 'image/webp') output = MetadataWriter.embedWebp(bytes, payload);
 
-		reader.readAsDataURL(fileToRead);
+		return output ? new Blob([output], { type: blob.type }) : blob;
 	}
 
-	bindEvents() {
-		/* Clear files */
-		const clearBtn = document.getElementById('clearFiles');
-		if (clearBtn) {
-			clearBtn.addEventListener('click', () => this.clearAllFiles());
-		}
+	static embedJpeg(bytes, payload) {
+		if (bytes[0] !== 0xff || bytes[1] !== 0xd8) return null;
 
-		/* Reset to defaults button */
-		const resetBtn = document.getElementById('resetDefaults');
-		if (resetBtn) {
-			resetBtn.addEventListener('click', () => this.resetToDefaults());
+		const segments = [];
+		if (payload.exif) {
+			const exifPayload = MetadataWriter.concat([MetadataWriter.ascii('Exif\0\0'), payload.exif]);
+			segments.push(MetadataWriter.jpegSegment(0xe1, exifPayload));
+		}
+		if (payload.xmp) {
+			const xmpPayload = MetadataWriter.concat([
+				MetadataWriter.ascii(MetadataWriter.XMP_NAMESPACE),
+				MetadataWriter.utf8(payload.xmp),
+			]);
+			segments.push(MetadataWriter.jpegSegment(0xe1, xmpPayload));
+		}
+		if (payload.iptc) {
+			segments.push(MetadataWriter.jpegSegment(0xed, MetadataWriter.buildPhotoshopIptcResource(payload.iptc)));
 		}
 
-		// Watermark type toggles
-		const textToggle = document.getElementById('textToggle');
-		const logoToggle = document.getElementById('logoToggle');
-		if (textToggle) textToggle.addEventListener('click', () => this.setWatermarkType('text'));
-		if (logoToggle) logoToggle.addEventListener('click', () => this.setWatermarkType('logo'));
+		// Insert after SOI and the JFIF APP0 segment, if present
+		let insertAt = 2;
+		if (bytes[2] === 0xff && bytes[3] === 0xe0) insertAt = 4 + ((bytes[4] << 8) | bytes[5]);
 
-		// Pattern mode
-		document.querySelectorAll('input[name="patternMode"]').forEach((radio) => {
-			radio.addEventListener('change', (e) => {
-				this.watermarkSettings.patternMode = e.target.value;
-				this.updatePatternModeUI();
-				this.updatePreview();
-			});
-		});
+		return MetadataWriter.concat([bytes.subarray(0, insertAt), ...segments, bytes.subarray(insertAt)]);
+	}
 
-		// Text controls
-		this.bindTextControls();
+	static jpegSegment(marker, payload) {
+		const segment = new Uint8Array(4 + payload.length);
+		const length = payload.length + 2;
+		if (length > 0xffff) throw new Error('Metadata segment too large');
+		segment.set([0xff, marker, length >> 8, length & 0xff]);
+		segment.set(payload, 4);
+		return segment;
+	}
 
-		// Image controls
-		this.bindLogoControls();
+	static embedPng(bytes, payload) {
+		if (ExifReader.fourCC(bytes, 1) !== 'PNG\r') return null;
 
-		// Range controls
-		this.bindRangeControls();
+		const chunks = [];
+		if (payload.exif) chunks.push(MetadataWriter.pngChunk('eXIf', payload.exif));
+		Object.keys(payload.text).forEach((keyword) => {
+			if (payload.text[keyword]) chunks.push(MetadataWriter.pngITxt(keyword, payload.text[keyword]));
+		});
+		if (payload.xmp) chunks.push(MetadataWriter.pngITxt('XML:com.adobe.xmp', payload.xmp));
+
+		// Rebuild the file with the new chunks directly after IHDR, so they precede IDAT
+		const parts = [bytes.subarray(0, 8)];
+		let offset = 8;
+		while (offset + 12 <= bytes.length) {
+			const length = ExifReader.readUint32(bytes, offset);
+			const type = ExifReader.fourCC(bytes, offset + 4);
+			parts.push(bytes.subarray(offset, offset + 12 + length));
+			if (type === 'IHDR') parts.push(...chunks);
+			offset += 12 + length;
+		}
+		return MetadataWriter.concat(parts);
+	}
 
-		// Position controls
-		this.bindPositionControls();
+	static pngChunk(type, data) {
+		const typeAndData = MetadataWriter.concat([MetadataWriter.ascii(type), data]);
+		const chunk = new Uint8Array(12 + data.length);
+		MetadataWriter.writeUint32(chunk, 0, data.length);
+		chunk.set(typeAndData, 4);
+		MetadataWriter.writeUint32(chunk, 8 + data.length, MetadataWriter.crc32(typeAndData));
+		return chunk;
+	}
 
-		// Processing
-		this.bindProcessingControls();
+	static pngITxt(keyword, text) {
+		// keyword \0 compression flag, method \0 language tag \0 translated keyword \0 text
+		const data = MetadataWriter.concat([
+			MetadataWriter.ascii(keyword),
+			new Uint8Array([0, 0, 0, 0, 0]),
+			MetadataWriter.utf8(text),
+		]);
+		return MetadataWriter.pngChunk('iTXt', data);
 	}
 
-	bindTextControls() {
-		const textContent = document.getElementById('textContent');
-		const fontFamily = document.getElementById('fontFamily');
-		const textColor = document.getElementById('textColor');
+	static embedWebp(bytes, payload) {
+		if (ExifReader.fourCC(bytes, 0) !== 'RIFF' || ExifReader.fourCC(bytes, 8) !== 'WEBP') return null;
+		if (!payload.exif && !payload.xmp) return null;
 
-		if (textContent) {
-			textContent.addEventListener('input', () => {
-				this.watermarkSettings.text = textContent.value;
-				this.updatePreview();
-			});
-		}
+		let chunks = ExifReader.readRiffChunks(bytes).map(({ type, data }) => MetadataWriter.riffChunk(type, data));
+		let flags = 0;
+		if (payload.exif) flags |= 0x08;
+		if (payload.xmp) flags |= 0x04;
 
-		if (fontFamily) {
-			fontFamily.addEventListener('change', () => {
-				this.watermarkSettings.fontFamily = fontFamily.value;
-				this.updatePreview();
-			});
+		if (ExifReader.fourCC(chunks[0], 0) === 'VP8X') {
+			chunks[0][8] |= flags;
+		} else {
+			// Simple format: derive canvas size from the bitstream header and add a VP8X chunk
+			const size = MetadataWriter.webpBitstreamSize(chunks[0]);
+			if (!size) return null;
+			if (size.alpha) flags |= 0x10;
+			const vp8x = new Uint8Array(10);
+			vp8x[0] = flags;
+			vp8x.set([(size.width - 1) & 0xff, ((size.width - 1) >> 8) & 0xff, (size.width - 1) >> 16], 4);
+			vp8x.set([(size.height - 1) & 0xff, ((size.height - 1) >> 8) & 0xff, (size.height - 1) >> 16], 7);
+			chunks.unshift(MetadataWriter.riffChunk('VP8X', vp8x));
 		}
 
-		if (textColor) {
-			textColor.addEventListener('change', () => {
-				this.watermarkSettings.textColor = textColor.value;
-				this.updatePreview();
-			});
+		// Chunk order: VP8X, image data, EXIF, XMP
+		if (payload.exif) chunks.push(MetadataWriter.riffChunk('EXIF', payload.exif));
+		if (payload.xmp) chunks.push(MetadataWriter.riffChunk('XMP ', MetadataWriter.utf8(payload.xmp)));
+
+		const riffBody = MetadataWriter.concat([MetadataWriter.ascii('WEBP'), ...chunks]);
+		const header = MetadataWriter.concat([MetadataWriter.ascii('RIFF'), new Uint8Array(4)]);
+		MetadataWriter.writeUint32LE(header, 4, riffBody.length);
+		return MetadataWriter.concat([header, riffBody]);
+	}
+
+	static webpBitstreamSize(body) {
+		const type = ExifReader.fourCC(body, 0);
+		const data = body.subarray(8);
+		if (type === 'VP8 ') {
+			// Key frame: 3-byte frame tag, 3-byte start code, then 14-bit width and height
+			return {
+				width: ExifReader.readUint16(data, 6, true) & 0x3fff,
+				height: ExifReader.readUint16(data, 8, true) & 0x3fff,
+				alpha: false,
+			};
+		}
+		if (type === 'VP8L') {
+			// Signature byte, then 14-bit width-1, 14-bit height-1, 1-bit alpha
+			const bits = ExifReader.readUint32(data, 1, true);
+			return {
+				width: (bits & 0x3fff) + 1,
+				height: ((bits >> 14) & 0x3fff) + 1,
+				alpha: ((bits >> 28) & 1) === 1,
+			};
 		}
+		return null;
 	}
 
-	bindLogoControls() {
-		const watermarkLogo = document.getElementById('watermarkLogo');
-		if (watermarkLogo) {
-			watermarkLogo.addEventListener('change', (e) => {
-				const file = e.target.files[0];
-				if (file) {
-					const reader = new FileReader();
-					reader.onload = (e) => {
-						const img = new Image();
-						img.onload = () => {
-							this.watermarkSettings.watermarkLogo = img;
-							/* Switch to logo watermark mode */
-							try {
-								this.setWatermarkType('logo');
-							} catch (err) {
-								this.watermarkSettings.type = 'logo';
-							}
+	static riffChunk(fourCC, data) {
+		const padded = data.length % 2;
+		const chunk = new Uint8Array(8 + data.length + padded);
+		chunk.set(MetadataWriter.ascii(fourCC), 0);
+		MetadataWriter.writeUint32LE(chunk, 4, data.length);
+		chunk.set(data, 8);
+		return chunk;
+	}
 
-							/* Update logo control visibility now that logo is uploaded */
-							this.updateLogoControlsVisibility();
+	/**
+	 * @param {number} tag - TIFF tag id
+	 * @param {string} text - Value (written as UTF-8; readers treat ASCII as a subset)
+	 * @returns {Object} Raw IFD entry in the ExifReader format
+	 */
+	static asciiEntry(tag, text) {
+		const bytes = MetadataWriter.concat([MetadataWriter.utf8(text), new Uint8Array([0])]);
+		return { tag, type: 2, count: bytes.length, bytes };
+	}
 
-							const previewImg = document.getElementById('watermarkPreviewImg');
-							const watermarkPreview = document.getElementById('watermarkPreview');
+	/**
+	 * @param {number} tag - TIFF tag id
+	 * @param {number} type - 3 (SHORT) or 4 (LONG)
+	 * @param {number} value - Unsigned value
+	 * @param {boolean} littleEndian - Byte order of the TIFF it will be written to
+	 * @returns {Object} Raw IFD entry in the ExifReader format
+	 */
+	static numberEntry(tag, type, value, littleEndian) {
+		const bytes = new Uint8Array(type === 3 ? 2 : 4);
+		for (let i = 0; i < bytes.length; i++) {
+			const shift = 8 * (littleEndian ? i : bytes.length - 1 - i);
+			bytes[i] = (value >>> shift) & 0xff;
+		}
+		return { tag, type, count: 1, bytes };
+	}
 
-							if (previewImg && watermarkPreview) {
-								previewImg.src = e.target.result;
-								watermarkPreview.classList.remove('hidden');
-							}
+	/**
+	 * Serialize raw IFD entries (see ExifReader.readIfd) into a TIFF structure.
+	 * Entry bytes must already be in the requested byte order.
+	 *
+	 * @param {{ifd0: Object[], exif?: Object[], gps?: Object[]}} ifds - Entries per IFD
+	 * @param {boolean} littleEndian - Byte order of the output and of the entry bytes
+	 * @returns {Uint8Array} TIFF bytes starting with the byte-order mark
+	 */
+	static buildTiff(ifds, littleEndian) {
+		const exif = ifds.exif || [];
+		const gps = ifds.gps || [];
+		const pointerTags = [ExifReader.EXIF_IFD_POINTER, ExifReader.GPS_IFD_POINTER];
+		const ifd0 = ifds.ifd0.filter((entry) => !pointerTags.includes(entry.tag));
+		const pointer = (tag) => ({ tag, type: 4, count: 1, bytes: new Uint8Array(4) });
+		if (exif.length) ifd0.push(pointer(ExifReader.EXIF_IFD_POINTER));
+		if (gps.length) ifd0.push(pointer(ExifReader.GPS_IFD_POINTER));
+
+		const tables = [ifd0, exif, gps].filter((entries) => entries.length > 0);
+		tables.forEach((entries) => entries.sort((a, b) => a.tag - b.tag));
+
+		// Layout: header, then each IFD followed by its out-of-line values (word aligned)
+		const ifdSize = (entries) => 2 + entries.length * 12 + 4;
+		const valueSize = (entry) => (entry.bytes.length > 4 ? entry.bytes.length + (entry.bytes.length % 2) : 0);
+		const dataSize = (entries) => entries.reduce((sum, entry) => sum + valueSize(entry), 0);
+		const offsets = [];
+		let offset = 8;
+		tables.forEach((entries) => {
+			offsets.push(offset);
+			offset += ifdSize(entries) + dataSize(entries);
+		});
 
-							/* Ensure logoScale setting is synced */
-							const logoScaleEl = document.getElementById('logoScale');
-							const logoScaleNum = document.getElementById('logoScaleNumber');
-							if (logoScaleEl)
-								this.watermarkSettings.logoScale =
-									Number(logoScaleEl.value) || this.watermarkSettings.logoScale;
-							if (logoScaleNum)
-								this.watermarkSettings.logoScale =
-									Number(logoScaleNum.value) || this.watermarkSettings.logoScale;
+		const out = new Uint8Array(offset);
+		const u16 = (at, v) => (littleEndian ? out.set([v & 0xff, v >> 8], at) : out.set([v >> 8, v & 0xff], at));
+		const u32 = (at, v) =>
+			littleEndian
+				? out.set([v & 0xff, (v >> 8) & 0xff, (v >> 16) & 0xff, v >>> 24], at)
+				: out.set([v >>> 24, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff], at);
+
+		out.set(littleEndian ? [0x49, 0x49] : [0x4d, 0x4d], 0);
+		u16(2, 42);
+		u32(4, 8);
+
+		tables.forEach((entries, t) => {
+			const start = offsets[t];
+			let dataOffset = start + ifdSize(entries);
+			u16(start, entries.length);
+			entries.forEach((entry, i) => {
+				const p = start + 2 + i * 12;
+				u16(p, entry.tag);
+				u16(p + 2, entry.type);
+				u32(p + 4, entry.count);
+				if (entry.tag === ExifReader.EXIF_IFD_POINTER) {
+					u32(p + 8, offsets[tables.indexOf(exif)]);
+				} else if (entry.tag === ExifReader.GPS_IFD_POINTER) {
+					u32(p + 8, offsets[tables.indexOf(gps)]);
+				} else if (entry.bytes.length > 4) {
+					u32(p + 8, dataOffset);
+					out.set(entry.bytes, dataOffset);
+					dataOffset += valueSize(entry);
+				} else {
+					out.set(entry.bytes, p + 8);
+				}
+			});
+			u32(start + 2 + entries.length * 12, 0); // No next IFD
+		});
 
-							/* Prebuild watermark cache for immediate rendering */
-							try {
-								const tempCanvas = document.createElement('canvas');
-								tempCanvas.width = Math.max(200, img.width);
-								tempCanvas.height = Math.max(200, img.height);
-								const tctx = tempCanvas.getContext('2d');
-								this.buildWatermarkCache(tctx, tempCanvas.width, tempCanvas.height);
-							} catch (err) {
-								/* fail silently */
-							}
+		return out;
+	}
 
-							this.updateFormControls();
-							this.updatePreview();
-						};
-						img.src = e.target.result;
+	static buildXmp(metadata) {
+		const esc = (value) =>
+			String(value).replace(/[<>&"]/g, (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]);
+		const alt = (value) => `<rdf:Alt><rdf:li xml:lang="x-default">${esc(value)}</rdf:li></rdf:Alt>`;
+		const props = [];
+		if (metadata.artist) {
+			props.push(`<dc:creator><rdf:Seq><rdf:li>${esc(metadata.artist)}</rdf:li></rdf:Seq></dc:creator>`);
+		}
+		if (metadata.copyright) {
+			props.push(`<dc:rights>${alt(metadata.copyright)}</dc:rights>`);
+			props.push('<xmpRights:Marked>True</xmpRights:Marked>');
+		}
+		if (metadata.creditLine) props.push(`<photoshop:Credit>${esc(metadata.creditLine)}</photoshop:Credit>`);
+		if (metadata.usageTerms) props.push(`<xmpRights:UsageTerms>${alt(metadata.usageTerms)}</xmpRights:UsageTerms>`);
+		if (metadata.contactUrl) {
+			props.push(`<xmpRights:WebStatement>${esc(metadata.contactUrl)}</xmpRights:WebStatement>`);
+			props.push(
+				`<Iptc4xmpCore:CreatorContactInfo rdf:parseType="Resource"><Iptc4xmpCore:CiUrlWork>${esc(metadata.contactUrl)}</Iptc4xmpCore:CiUrlWork></Iptc4xmpCore:CreatorContactInfo>`,
+			);
+		}
+
+		return [
+			'<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+			'<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+			'<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+			'<rdf:Description rdf:about=""',
+			' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+			' xmlns:photoshop="http://ns.adobe.com/photoshop/1.0/"',
+			' xmlns:xmpRights="http://ns.adobe.com/xap/1.0/rights/"',
+			' xmlns:Iptc4xmpCore="http://iptc.org/std/Iptc4xmpCore/1.0/xmlns/">',
+			...props,
+			'</rdf:Description>',
+			'</rdf:RDF>',
+			'</x:xmpmeta>',
+			'<?xpacket end="w"?>',
+		].join('\n');
+	}
+
+	/**
+	 * Build IPTC-IIM datasets (UTF-8): By-line, Credit, Copyright Notice, Contact.
+	 * Usage terms have no IIM field and are written to XMP only.
+	 * @returns {Uint8Array|null} IIM bytes or null when no field is set
+	 */
+	static buildIptc(metadata) {
+		const fields = [
+			[80, metadata.artist],
+			[110, metadata.creditLine],
+			[116, metadata.copyright],
+			[118, metadata.contactUrl],
+		].filter(([, value]) => value);
+		if (fields.length === 0) return null;
+
+		const dataset = (record, id, data) => {
+			const out = new Uint8Array(5 + data.length);
+			out.set([0x1c, record, id, (data.length >> 8) & 0x7f, data.length & 0xff]);
+			out.set(data, 5);
+			return out;
+		};
+		return MetadataWriter.concat([
+			dataset(1, 90, new Uint8Array([0x1b, 0x25, 0x47])), // Coded character set: UTF-8
+			dataset(2, 0, new Uint8Array([0x00, 0x04])), // Record version
+			...fields.map(([id, value]) => dataset(2, id, MetadataWriter.utf8(value).subarray(0, 0x7fff))),
+		]);
+	}
+
+	/**
+	 * Wrap IIM data in a Photoshop image resource block (8BIM 0x0404) for APP13.
+	 */
+	static buildPhotoshopIptcResource(iptc) {
+		const padded = iptc.length % 2;
+		const resource = new Uint8Array(12 + iptc.length + padded);
+		resource.set(MetadataWriter.ascii('8BIM'), 0);
+		resource.set([0x04, 0x04, 0x00, 0x00], 4); // Resource id, empty Pascal name padded to even length
+		MetadataWriter.writeUint32(resource, 8, iptc.length);
+		resource.set(iptc, 12);
+		return MetadataWriter.concat([MetadataWriter.ascii('Photoshop 3.0\0'), resource]);
+	}
+
+	static crc32(bytes) {
+		if (!MetadataWriter._crcTable) {
+			MetadataWriter._crcTable = new Uint32Array(256);
+			for (let n = 0; n < 256; n++) {
+				let c = n;
+				for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+				MetadataWriter._crcTable[n] = c >>> 0;
+			}
+		}
+		let crc = 0xffffffff;
+		for (let i = 0; i < bytes.length; i++) crc = MetadataWriter._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+		return (crc ^ 0xffffffff) >>> 0;
+	}
+
+	static writeUint32(bytes, offset, value) {
+		bytes.set([value >>> 24, (value >> 16) & 0xff, (value >> 8) & 0xff, value & 0xff], offset);
+	}
+
+	static writeUint32LE(bytes, offset, value) {
+		bytes.set([value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, value >>> 24], offset);
+	}
+
+	static ascii(text) {
+		return Uint8Array.from(text, (c) => c.charCodeAt(0));
+	}
+
+	static utf8(text) {
+		return new TextEncoder().encode(text);
+	}
+
+	static concat(parts) {
+		const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+		let offset = 0;
+		parts.forEach((part) => {
+			out.set(part, offset);
+			offset += part.length;
+		});
+		return out;
+	}
+}
+
+/**
+ * IMAGE ORIENTATION
+ * =================
+ *
+ * Current browsers apply the EXIF Orientation tag themselves when decoding images,
+ * older ones draw the raw sensor orientation. Detect which behavior we have once,
+ * then rotate/flip manually only when the browser does not.
+ */
+class ImageOrientation {
+	/**
+	 * @returns {Promise<boolean>} True when decoded images are already oriented
+	 */
+	static browserAppliesOrientation() {
+		if (!ImageOrientation._detection) {
+			ImageOrientation._detection = new Promise((resolve) => {
+				try {
+					// 2x1 JPEG tagged with Orientation 6 (rotate 90°): an orienting browser decodes it as 1x2
+					const canvas = document.createElement('canvas');
+					canvas.width = 2;
+					canvas.height = 1;
+					const jpeg = ImageOrientation.dataUrlToBytes(canvas.toDataURL('image/jpeg'));
+					if (jpeg[0] !== 0xff || jpeg[1] !== 0xd8) {
+						resolve(true);
+						return;
+					}
+
+					// prettier-ignore
+					const app1 = [
+						0xff, 0xe1, 0x00, 0x22, // APP1 marker and length (34)
+						0x45, 0x78, 0x69, 0x66, 0x00, 0x00, // "Exif\0\0"
+						0x4d, 0x4d, 0x00, 0x2a, 0x00, 0x00, 0x00, 0x08, // Big-endian TIFF header, IFD0 at 8
+						0x00, 0x01, // One entry
+						0x01, 0x12, 0x00, 0x03, 0x00, 0x00, 0x00, 0x01, 0x00, 0x06, 0x00, 0x00, // Orientation = 6
+						0x00, 0x00, 0x00, 0x00, // No next IFD
+					];
+					const tagged = new Uint8Array(jpeg.length + app1.length);
+					tagged.set(jpeg.subarray(0, 2), 0);
+					tagged.set(app1, 2);
+					tagged.set(jpeg.subarray(2), 2 + app1.length);
+
+					const url = URL.createObjectURL(new Blob([tagged], { type: 'image/jpeg' }));
+					const img = new Image();
+					img.onload = () => {
+						URL.revokeObjectURL(url);
+						resolve(img.naturalWidth === 1 && img.naturalHeight === 2);
 					};
-					reader.readAsDataURL(file);
+					img.onerror = () => {
+						URL.revokeObjectURL(url);
+						resolve(true); // Assume modern behavior rather than risk double rotation
+					};
+					img.src = url;
+				} catch (err) {
+					resolve(true);
 				}
 			});
 		}
+		return ImageOrientation._detection;
 	}
 
-	bindRangeControls() {
-		const controls = ['fontSize', 'logoScale', 'opacity', 'patternAngle', 'watermarkRotation'];
-		const logoControls = ['logoOpacity', 'logoRotation', 'logoPatternAngle'];
+	static dataUrlToBytes(dataUrl) {
+		const binary = atob(dataUrl.slice(dataUrl.indexOf(',') + 1));
+		const bytes = new Uint8Array(binary.length);
+		for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+		return bytes;
+	}
 
-		controls.forEach((controlId) => {
-			const rangeEl = document.getElementById(controlId);
-			const numberEl = document.getElementById(controlId + 'Number');
+	/**
+	 * Return a drawable with the given EXIF orientation applied.
+	 * @param {HTMLImageElement} img - Decoded image (not yet oriented)
+	 * @param {number} orientation - EXIF Orientation value (1-8)
+	 * @returns {HTMLImageElement|HTMLCanvasElement} The image itself for 1, otherwise an oriented canvas
+	 */
+	static apply(img, orientation) {
+		if (!orientation || orientation === 1 || orientation > 8) return img;
+
+		const width = img.width;
+		const height = img.height;
+		const swapsAxes = orientation >= 5;
+		const canvas = document.createElement('canvas');
+		canvas.width = swapsAxes ? height : width;
+		canvas.height = swapsAxes ? width : height;
+		const ctx = canvas.getContext('2d');
 
-			if (rangeEl) {
-				rangeEl.addEventListener('input', (e) => {
-					const value = parseInt(e.target.value);
-					this.watermarkSettings[controlId] = value;
-					this.syncControls(controlId, value);
-					this.updatePreview();
-				});
+		switch (orientation) {
+			case 2:
+				ctx.transform(-1, 0, 0, 1, width, 0); // Mirror horizontal
+				break;
+			case 3:
+				ctx.transform(-1, 0, 0, -1, width, height); // Rotate 180°
+				break;
+			case 4:
+				ctx.transform(1, 0, 0, -1, 0, height); // Mirror vertical
+				break;
+			case 5:
+				ctx.transform(0, 1, 1, 0, 0, 0); // Transpose
+				break;
+			case 6:
+				ctx.transform(0, 1, -1, 0, height, 0); // Rotate 90° clockwise
+				break;
+			case 7:
+				ctx.transform(0, -1, -1, 0, height, width); // Transverse
+				break;
+			case 8:
+				ctx.transform(0, -1, 1, 0, 0, width); // Rotate 90° counter-clockwise
+				break;
+		}
+		ctx.drawImage(img, 0, 0);
+		return canvas;
+	}
+}
+
+/**
+ * SETTINGS FILE FORMAT
+ * ====================
+ *
+ * Versioned JSON document used to export, import and store watermark settings:
+ *
+ *   { "format": "bulk-image-watermark-settings", "version": 12, "exportedAt": "...",
+ *     "settings": { "layers": [{ ... }, ...], "activeLayer": 0 } }
+ *
+ * VERSION HISTORY:
+ * - 1: Unwrapped settings object with a single `patternSpacing` value
+ * - 2: Independent `patternSpacingX` / `patternSpacingY`, legacy field removed
+ * - 3: Ordered list of watermark layers; each layer holds a version 2 settings object
+ * - 4: Optional `output` options (copyright metadata)
+ * - 5: `output.metadataPolicy` for original metadata
+ * - 6: `output.format`, `output.quality` and `output.background`
+ * - 7: `output.maxFileSize` and `output.allowDownscale`
+ * - 8: `output.variants` (export sizes)
+ * - 9: `output.cropAspect` and `output.cropAnchor`
+ * - 10: `output.filenameTemplate`
+ * - 11: Optional `freePosition` on layers (dragged placement)
+ * - 12: Offsets and the safe margin are measured in the layer's `offsetUnit` instead of
+ *      pixels at an 800x600 reference size with a fixed 10px margin
+ *
+ * The version is raised whenever the schema gains keys, so older builds report a newer file
+ * instead of rejecting its unknown keys. Older documents are migrated step by step on load
+ * (versions that only add optional keys need no step), then validated against
+ * LAYERS_SCHEMA so unknown keys and out-of-range values are reported clearly.
+ */
+const MAX_WATERMARK_LAYERS = 10;
+
+/* Settings of a single watermark layer */
+const SETTINGS_SCHEMA = {
+	visible: { type: 'boolean' },
+	type: { type: 'enum', values: ['text', 'logo'] },
+	patternMode: { type: 'enum', values: ['single', 'tiled'] },
+	text: { type: 'string', maxLength: 500 },
+	fontSize: { type: 'number', min: 10, max: 500 },
+	fontFamily: { type: 'string', maxLength: 100 },
+	textColor: { type: 'color' },
+	opacity: { type: 'number', min: 0, max: 100 },
+	position: {
+		type: 'enum',
+		values: [
+			'top-left',
+			'top-center',
+			'top-right',
+			'middle-left',
+			'center',
+			'middle-right',
+			'bottom-left',
+			'bottom-center',
+			'bottom-right',
+		],
+	},
+	offsetUnit: { type: 'enum', values: ['width', 'short', 'px'] },
+	offsetX: { type: 'number', min: -10000, max: 10000 },
+	offsetY: { type: 'number', min: -10000, max: 10000 },
+	safeMargin: { type: 'number', min: 0, max: 10000 },
+	freePosition: {
+		type: 'object',
+		nullable: true,
+		schema: {
+			x: { type: 'number', min: 0, max: 1, required: true },
+			y: { type: 'number', min: 0, max: 1, required: true },
+		},
+	},
+	watermarkRotation: { type: 'number', min: -180, max: 180 },
+	watermarkLogo: { type: 'dataUrl', nullable: true },
+	logoScale: { type: 'number', min: 1, max: 500 },
+	patternSpacingX: { type: 'number', min: 0, max: 20 },
+	patternSpacingY: { type: 'number', min: 0, max: 20 },
+	patternAngle: { type: 'number', min: -180, max: 180 },
+	overlayEffect: { type: 'enum', values: ['none', 'tint'] },
+	textEffects: {
+		type: 'object',
+		schema: {
+			shadow: { type: 'boolean' },
+			shadowColor: { type: 'color' },
+			shadowBlur: { type: 'number', min: 0, max: 80 },
+			shadowOffsetX: { type: 'number', min: -80, max: 80 },
+			shadowOffsetY: { type: 'number', min: -80, max: 80 },
+			outline: { type: 'boolean' },
+			outlineColor: { type: 'color' },
+			outlineThickness: { type: 'number', min: 1, max: 40 },
+			outlineOpacity: { type: 'number', min: 0, max: 100 },
+			glow: { type: 'boolean' },
+			glowColor: { type: 'color' },
+			glowSpread: { type: 'number', min: 0, max: 80 },
+			glowIntensity: { type: 'number', min: 0, max: 100 },
+		},
+	},
+};
+
+/* Output file options shared by all layers */
+const MAX_EXPORT_VARIANTS = 8;
+
+/* One named output size; every source file is exported once per variant */
+const VARIANT_SCHEMA = {
+	name: { type: 'string', maxLength: 60 },
+	resize: { type: 'enum', values: ['none', 'fit', 'fill', 'exact', 'long-edge'] },
+	width: { type: 'number', min: 1, max: 20000 },
+	height: { type: 'number', min: 1, max: 20000 },
+	stage: { type: 'enum', values: ['before', 'after'] },
+};
+
+const OUTPUT_SCHEMA = {
+	cropAspect: { type: 'enum', values: ['original', '1:1', '4:5', '9:16', '16:9', '3:2', '2:3', '4:3', '1.91:1'] },
+	cropAnchor: { type: 'enum', values: ['center', 'top', 'smart'] },
+	filenameTemplate: { type: 'string', maxLength: 200 },
+	variants: {
+		type: 'array',
+		minItems: 1,
+		maxItems: MAX_EXPORT_VARIANTS,
+		items: { type: 'object', schema: VARIANT_SCHEMA },
+	},
+	format: { type: 'enum', values: ['original', 'jpeg', 'png', 'webp', 'avif'] },
+	quality: { type: 'number', min: 1, max: 100 },
+	background: { type: 'color' },
+	maxFileSize: { type: 'number', min: 0, max: 100 },
+	allowDownscale: { type: 'boolean' },
+	metadataPolicy: { type: 'enum', values: ['strip', 'safe', 'keep'] },
+	writeMetadata: { type: 'boolean' },
+	copyright: { type: 'string', maxLength: 500 },
+	artist: { type: 'string', maxLength: 200 },
+	creditLine: { type: 'string', maxLength: 200 },
+	usageTerms: { type: 'string', maxLength: 1000 },
+	contactUrl: { type: 'string', maxLength: 500 },
+};
+
+/* Layer stack, drawn in array order (first layer at the bottom) */
+const LAYERS_SCHEMA = {
+	layers: {
+		type: 'array',
+		required: true,
+		minItems: 1,
+		maxItems: MAX_WATERMARK_LAYERS,
+		items: { type: 'object', schema: SETTINGS_SCHEMA },
+	},
+	activeLayer: { type: 'number', min: 0, max: MAX_WATERMARK_LAYERS - 1 },
+	output: { type: 'object', schema: OUTPUT_SCHEMA },
+};
+
+class SettingsFile {
+	static get FORMAT() {
+		return 'bulk-image-watermark-settings';
+	}
+
+	static get CURRENT_VERSION() {
+		return 12;
+	}
+
+	/**
+	 * Wrap serialized settings (see BulkWatermarkApp.serializeSettings) in a versioned document.
+	 * @param {Object} settings - JSON-safe settings snapshot
+	 * @returns {Object} Settings document
+	 */
+	static toDocument(settings) {
+		// Legacy field is not part of version 2 and later
+		const layers = settings.layers.map(({ patternSpacing, ...layer }) => layer);
+		return {
+			format: SettingsFile.FORMAT,
+			version: SettingsFile.CURRENT_VERSION,
+			exportedAt: new Date().toISOString(),
+			settings: { ...settings, layers },
+		};
+	}
+
+	/**
+	 * Migrate and validate a settings document.
+	 * Bare settings objects without a wrapper are treated as version 1.
+	 *
+	 * @param {Object} doc - Parsed JSON document
+	 * @returns {Object} Validated settings at the current version
+	 * @throws {Error} Describing every problem found
+	 */
+	static parse(doc) {
+		if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+			throw new Error('Settings file must contain a JSON object.');
+		}
+
+		let version = 1;
+		let settings = doc;
+
+		if ('format' in doc || 'version' in doc) {
+			if (doc.format !== SettingsFile.FORMAT) {
+				throw new Error(`Unrecognized settings format "${doc.format}".`);
+			}
+			version = doc.version;
+			settings = doc.settings;
+			if (!Number.isInteger(version) || version < 1) {
+				throw new Error(`Invalid settings version "${doc.version}".`);
+			}
+			if (version > SettingsFile.CURRENT_VERSION) {
+				throw new Error(
+					`Settings version ${version} was created by a newer version of this tool (supported: ${SettingsFile.CURRENT_VERSION}).`,
+				);
 			}
+			if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+				throw new Error('Settings document has no "settings" object.');
+			}
+		}
 
-			if (numberEl) {
-				numberEl.addEventListener('input', (e) => {
-					const value = parseInt(e.target.value);
-					this.watermarkSettings[controlId] = value;
-					this.syncControls(controlId, value);
-					this.updatePreview();
+		settings = JSON.parse(JSON.stringify(settings));
+		for (let v = version; v < SettingsFile.CURRENT_VERSION; v++) {
+			const migrate = SettingsFile.migrations[v];
+			if (migrate) settings = migrate(settings);
+		}
+
+		const problems = SettingsFile.validate(settings, LAYERS_SCHEMA, '');
+		if (problems.length > 0) {
+			throw new Error(`Invalid settings:\n- ${problems.join('\n- ')}`);
+		}
+		return settings;
+	}
+
+	/**
+	 * Migration steps keyed by the version they upgrade from. Versions that only add
+	 * optional keys have no step.
+	 */
+	static get migrations() {
+		return {
+			// v1 -> v2: split the unified spacing value into independent X/Y spacing
+			1: (settings) => {
+				const { patternSpacing, ...rest } = settings;
+				if (patternSpacing !== undefined) {
+					if (rest.patternSpacingX === undefined) rest.patternSpacingX = patternSpacing;
+					if (rest.patternSpacingY === undefined) rest.patternSpacingY = patternSpacing;
+				}
+				return rest;
+			},
+			// v2 -> v3: the single watermark becomes the only layer
+			2: (settings) => ({ layers: [settings], activeLayer: 0 }),
+			// v11 -> v12: reference pixels (800px wide) become percent of the width, so offsets keep
+			// their place on 4:3 images; the 10px margin becomes its share of the reference width
+			11: (settings) => {
+				if (!Array.isArray(settings.layers)) return settings;
+				const layers = settings.layers.map((layer) => {
+					if (!layer || typeof layer !== 'object') return layer;
+					const migrated = { ...layer, offsetUnit: 'width', safeMargin: 1.25 };
+					['offsetX', 'offsetY'].forEach((key) => {
+						if (typeof layer[key] === 'number') migrated[key] = Math.round(layer[key] * 12.5) / 100;
+					});
+					return migrated;
 				});
-			}
+				return { ...settings, layers };
+			},
+		};
+	}
+
+	/**
+	 * Validate an object against a schema. Keys may be omitted (defaults apply on load)
+	 * unless marked `required`, but unknown keys and invalid values are reported.
+	 *
+	 * @param {Object} obj - Object to validate
+	 * @param {Object} schema - Field rules ({ type, min, max, values, ... })
+	 * @param {string} path - Key path prefix for messages
+	 * @returns {string[]} Human-readable problems (empty when valid)
+	 */
+	static validate(obj, schema, path) {
+		const problems = [];
+
+		Object.keys(schema).forEach((key) => {
+			if (schema[key].required && !(key in obj)) problems.push(`Missing setting "${path + key}"`);
 		});
 
-		// Logo-specific controls that map to the same settings
-		logoControls.forEach((controlId) => {
-			const rangeEl = document.getElementById(controlId);
-			const numberEl = document.getElementById(controlId + 'Number');
-			let settingsKey;
+		Object.keys(obj).forEach((key) => {
+			const rule = schema[key];
+			const name = path + key;
+			const value = obj[key];
 
-			// Map logo control IDs to actual settings keys
-			switch (controlId) {
-				case 'logoOpacity':
-					settingsKey = 'opacity';
+			if (!rule) {
+				problems.push(`Unknown setting "${name}"`);
+				return;
+			}
+			if (value === null && rule.nullable) return;
+
+			switch (rule.type) {
+				case 'number':
+					if (typeof value !== 'number' || !isFinite(value)) {
+						problems.push(`"${name}" must be a number`);
+					} else if (value < rule.min || value > rule.max) {
+						problems.push(`"${name}" is ${value}, expected ${rule.min} to ${rule.max}`);
+					}
 					break;
-				case 'logoRotation':
-					settingsKey = 'watermarkRotation';
+				case 'boolean':
+					if (typeof value !== 'boolean') problems.push(`"${name}" must be true or false`);
 					break;
-				case 'logoPatternAngle':
-					settingsKey = 'patternAngle';
+				case 'string':
+					if (typeof value !== 'string') {
+						problems.push(`"${name}" must be text`);
+					} else if (value.length > rule.maxLength) {
+						problems.push(`"${name}" is longer than ${rule.maxLength} characters`);
+					}
+					break;
+				case 'color':
+					if (typeof value !== 'string' || !/^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(value)) {
+						problems.push(`"${name}" must be a hex color like #ffffff`);
+					}
+					break;
+				case 'enum':
+					if (!rule.values.includes(value)) {
+						problems.push(`"${name}" is "${value}", expected one of: ${rule.values.join(', ')}`);
+					}
+					break;
+				case 'dataUrl':
+					if (typeof value !== 'string' || !/^data:image\/[a-z0-9.+-]+;base64,/i.test(value)) {
+						problems.push(`"${name}" must be an embedded image data URL`);
+					}
+					break;
+				case 'object':
+					if (!value || typeof value !== 'object' || Array.isArray(value)) {
+						problems.push(`"${name}" must be an object`);
+					} else {
+						problems.push(...SettingsFile.validate(value, rule.schema, `${name}.`));
+					}
+					break;
+				case 'array':
+					if (!Array.isArray(value)) {
+						problems.push(`"${name}" must be a list`);
+					} else if (value.length < rule.minItems || value.length > rule.maxItems) {
+						problems.push(
+							`"${name}" has ${value.length} entries, expected ${rule.minItems} to ${rule.maxItems}`,
+						);
+					} else {
+						value.forEach((item, i) => {
+							problems.push(...SettingsFile.validate({ [i]: item }, { [i]: rule.items }, `${name}.`));
+						});
+					}
 					break;
-			}
-
-			if (rangeEl && settingsKey) {
-				rangeEl.addEventListener('input', (e) => {
-					const value = parseInt(e.target.value);
-					this.watermarkSettings[settingsKey] = value;
-					this.syncLogoControls(controlId, value);
-					this.updatePreview();
-				});
-			}
-
-			if (numberEl && settingsKey) {
-				numberEl.addEventListener('input', (e) => {
-					const value = parseInt(e.target.value);
-					this.watermarkSettings[settingsKey] = value;
-					this.syncLogoControls(controlId, value);
-					this.updatePreview();
-				});
 			}
 		});
 
-		// Overlay effect
-		// Text-only effect controls (shadow, outline, glow)
-		const effectShadow = document.getElementById('effectShadow');
-		const effectShadowColor = document.getElementById('effectShadowColor');
-		const effectShadowBlur = document.getElementById('effectShadowBlur');
-		const effectShadowOffsetX = document.getElementById('effectShadowOffsetX');
-		const effectShadowOffsetY = document.getElementById('effectShadowOffsetY');
-
-		const effectOutline = document.getElementById('effectOutline');
-		const effectOutlineColor = document.getElementById('effectOutlineColor');
-		const effectOutlineThickness = document.getElementById('effectOutlineThickness');
-		const effectOutlineOpacity = document.getElementById('effectOutlineOpacity');
+		return problems;
+	}
+}
 
-		const effectGlow = document.getElementById('effectGlow');
-		const effectGlowColor = document.getElementById('effectGlowColor');
-		const effectGlowSpread = document.getElementById('effectGlowSpread');
-		const effectGlowIntensity = document.getElementById('effectGlowIntensity');
+/**
+ * SETTINGS LINK
+ * =============
+ *
+ * Encodes the watermark layers into a URL fragment, so a configuration can be shared as a link:
+ *
+ *   https://example.com/#w2.eyJsIjpbeyJ0ZXh0IjoiUFJPT0YifV19
+ *
+ * The part after the version is base64url-encoded JSON, { l: [layer], a: activeLayer }, where
+ * each layer only lists values that differ from the defaults. Logos are left out (a link cannot
+ * carry images) and so are output options, which belong to a batch rather than a look.
+ * Fragments are never sent to the server.
+ *
+ * VERSION HISTORY:
+ * - 1: Layers as in SettingsFile version 10
+ * - 2: Layers as in SettingsFile version 11 (free placement)
+ * - 3: Layers as in SettingsFile version 12 (offsets in the layer's unit)
+ */
+class SettingsLink {
+	static get PREFIX() {
+		return 'w';
+	}
 
-		const bindEffect = (el, setter) => {
-			if (!el) return;
-			el.addEventListener('input', () => {
-				setter();
-				this.updatePreview();
-			});
-		};
+	static get CURRENT_VERSION() {
+		return 3;
+	}
 
-		bindEffect(effectShadow, () => {
-			this.watermarkSettings.textEffects.shadow = !!effectShadow.checked;
-			// Initialize default values when enabled
-			if (effectShadow.checked) {
-				if (effectShadowBlur) effectShadowBlur.value = this.watermarkSettings.textEffects.shadowBlur;
-				if (effectShadowOffsetX) effectShadowOffsetX.value = this.watermarkSettings.textEffects.shadowOffsetX;
-				if (effectShadowOffsetY) effectShadowOffsetY.value = this.watermarkSettings.textEffects.shadowOffsetY;
-			}
-		});
-		bindEffect(effectShadowColor, () => (this.watermarkSettings.textEffects.shadowColor = effectShadowColor.value));
-		bindEffect(
-			effectShadowBlur,
-			() => (this.watermarkSettings.textEffects.shadowBlur = Number(effectShadowBlur.value)),
-		);
-		bindEffect(
-			effectShadowOffsetX,
-			() => (this.watermarkSettings.textEffects.shadowOffsetX = Number(effectShadowOffsetX.value)),
-		);
-		bindEffect(
-			effectShadowOffsetY,
-			() => (this.watermarkSettings.textEffects.shadowOffsetY = Number(effectShadowOffsetY.value)),
-		);
-
-		bindEffect(effectOutline, () => {
-			this.watermarkSettings.textEffects.outline = !!effectOutline.checked;
-			// Initialize default values when enabled
-			if (effectOutline.checked) {
-				if (effectOutlineThickness)
-					effectOutlineThickness.value = this.watermarkSettings.textEffects.outlineThickness;
-				if (effectOutlineOpacity)
-					effectOutlineOpacity.value = this.watermarkSettings.textEffects.outlineOpacity;
-			}
-		});
-		bindEffect(
-			effectOutlineColor,
-			() => (this.watermarkSettings.textEffects.outlineColor = effectOutlineColor.value),
-		);
-		bindEffect(
-			effectOutlineThickness,
-			() => (this.watermarkSettings.textEffects.outlineThickness = Number(effectOutlineThickness.value)),
-		);
-		bindEffect(
-			effectOutlineOpacity,
-			() => (this.watermarkSettings.textEffects.outlineOpacity = Number(effectOutlineOpacity.value)),
-		);
+	/**
+	 * @param {string} hash - location.hash, with or without the leading '#'
+	 * @returns {boolean} True when the fragment looks like a settings link
+	 */
+	static isLink(hash) {
+		return new RegExp(`^#?${SettingsLink.PREFIX}\\d+\\.`).test(hash || '');
+	}
 
-		bindEffect(effectGlow, () => {
-			this.watermarkSettings.textEffects.glow = !!effectGlow.checked;
-			// Initialize default values when enabled
-			if (effectGlow.checked) {
-				if (effectGlowSpread) effectGlowSpread.value = this.watermarkSettings.textEffects.glowSpread;
-				if (effectGlowIntensity) effectGlowIntensity.value = this.watermarkSettings.textEffects.glowIntensity;
-			}
+	/**
+	 * @param {Object} settings - Output of BulkWatermarkApp.serializeSettings()
+	 * @param {Object} defaults - Default layer settings (see BulkWatermarkApp.getDefaultSettings)
+	 * @returns {string} Fragment without the leading '#'
+	 */
+	static encode(settings, defaults) {
+		const layers = settings.layers.map((layer) => {
+			const changes = {};
+			Object.keys(SETTINGS_SCHEMA).forEach((key) => {
+				if (key === 'watermarkLogo' || !(key in layer)) return;
+				if (key === 'textEffects') {
+					const effects = {};
+					Object.keys(layer.textEffects).forEach((effect) => {
+						if (layer.textEffects[effect] !== defaults.textEffects[effect]) {
+							effects[effect] = layer.textEffects[effect];
+						}
+					});
+					if (Object.keys(effects).length > 0) changes.textEffects = effects;
+				} else if (layer[key] !== defaults[key]) {
+					changes[key] = layer[key];
+				}
+			});
+			return changes;
 		});
-		bindEffect(effectGlowColor, () => (this.watermarkSettings.textEffects.glowColor = effectGlowColor.value));
-		bindEffect(
-			effectGlowSpread,
-			() => (this.watermarkSettings.textEffects.glowSpread = Number(effectGlowSpread.value)),
-		);
-		bindEffect(
-			effectGlowIntensity,
-			() => (this.watermarkSettings.textEffects.glowIntensity = Number(effectGlowIntensity.value)),
-		);
 
-		// New compact horizontal/vertical spacing controls
-		const spX = document.getElementById('patternSpacingX');
-		const spY = document.getElementById('patternSpacingY');
-		const spXNum = document.getElementById('patternSpacingXNumber');
-		const spYNum = document.getElementById('patternSpacingYNumber');
+		const json = JSON.stringify({ l: layers, a: settings.activeLayer });
+		const binary = Array.from(MetadataWriter.utf8(json), (byte) => String.fromCharCode(byte)).join('');
+		const encoded = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+		return `${SettingsLink.PREFIX}${SettingsLink.CURRENT_VERSION}.${encoded}`;
+	}
 
-		// Logo pattern spacing controls
-		const logoSpX = document.getElementById('logoPatternSpacingX');
-		const logoSpY = document.getElementById('logoPatternSpacingY');
-		const logoSpXNum = document.getElementById('logoPatternSpacingXNumber');
-		const logoSpYNum = document.getElementById('logoPatternSpacingYNumber');
+	/**
+	 * Read and validate a settings link.
+	 * @param {string} hash - location.hash, with or without the leading '#'
+	 * @returns {Object} Validated settings ({ layers, activeLayer }); layers only hold the
+	 *   values from the link, so missing keys fall back to defaults on load
+	 * @throws {Error} When the link is damaged, from a newer version or has invalid values
+	 */
+	static decode(hash) {
+		const match = new RegExp(`^#?${SettingsLink.PREFIX}(\\d+)\\.([A-Za-z0-9_-]*)$`).exec(hash || '');
+		if (!match) throw new Error('The link does not contain watermark settings.');
 
-		if (spX) {
-			spX.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingX = v;
-				const el = document.getElementById('patternSpacingXValue');
-				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
-				if (spXNum) spXNum.value = v;
-				this.updatePreview();
-			});
+		const version = Number(match[1]);
+		if (version < 1 || version > SettingsLink.CURRENT_VERSION) {
+			throw new Error(`The link was created by a newer version of this tool (link version ${version}).`);
 		}
 
-		if (spY) {
-			spY.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingY = v;
-				const el = document.getElementById('patternSpacingYValue');
-				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
-				if (spYNum) spYNum.value = v;
-				this.updatePreview();
-			});
+		let data;
+		try {
+			const binary = atob(match[2].replace(/-/g, '+').replace(/_/g, '/'));
+			data = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+		} catch (error) {
+			throw new Error('The link is incomplete or damaged.');
 		}
+		if (!data || !Array.isArray(data.l)) throw new Error('The link is incomplete or damaged.');
 
-		if (spXNum) {
-			spXNum.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingX = v;
-				if (spX) spX.value = v;
-				const el = document.getElementById('patternSpacingXValue');
-				if (el) el.textContent = v;
-				this.updatePreview();
-			});
-		}
+		return SettingsFile.parse({
+			format: SettingsFile.FORMAT,
+			version: version + 9, // Link version n holds SettingsFile version n + 9 layers
+			settings: { layers: data.l, activeLayer: data.a || 0 },
+		});
+	}
+}
 
-		if (spYNum) {
-			spYNum.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingY = v;
-				if (spY) spY.value = v;
-				const el = document.getElementById('patternSpacingYValue');
-				if (el) el.textContent = v;
-				this.updatePreview();
-			});
-		}
+/**
+ * SETTINGS HISTORY
+ * ================
+ *
+ * Undo/redo stacks of watermark settings snapshots.
+ *
+ * Callers record the state *before* mutating it. Records sharing a coalesce key
+ * that arrive within `coalesceMs` of each other (continuous slider drags, typing)
+ * are merged into the first one so a whole drag undoes in a single step.
+ */
+class SettingsHistory {
+	constructor(limit = 100, coalesceMs = 800) {
+		this.limit = limit;
+		this.coalesceMs = coalesceMs;
+		this.undoStack = [];
+		this.redoStack = [];
+		this.lastKey = null;
+		this.lastTime = 0;
+	}
 
-		// Logo pattern spacing controls
-		if (logoSpX) {
-			logoSpX.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingX = v;
-				const el = document.getElementById('logoPatternSpacingXValue');
-				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
-				if (logoSpXNum) logoSpXNum.value = v;
-				this.updatePreview();
-			});
+	/**
+	 * @param {Object} snapshot - Settings before the mutation
+	 * @param {string|null} coalesceKey - Key identifying the control, or null to never coalesce
+	 */
+	record(snapshot, coalesceKey = null) {
+		const now = Date.now();
+		if (coalesceKey && coalesceKey === this.lastKey && now - this.lastTime < this.coalesceMs) {
+			this.lastTime = now; // Extend the window while the drag continues
+			return;
 		}
 
-		if (logoSpY) {
-			logoSpY.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingY = v;
-				const el = document.getElementById('logoPatternSpacingYValue');
-				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
-				if (logoSpYNum) logoSpYNum.value = v;
-				this.updatePreview();
+		this.undoStack.push(snapshot);
+		if (this.undoStack.length > this.limit) this.undoStack.shift();
+		this.redoStack = [];
+		this.lastKey = coalesceKey;
+		this.lastTime = now;
+	}
+
+	/**
+	 * @param {Object} current - Current settings, pushed onto the redo stack
+	 * @returns {Object|null} Settings to restore
+	 */
+	undo(current) {
+		if (this.undoStack.length === 0) return null;
+		this.redoStack.push(current);
+		this.lastKey = null;
+		return this.undoStack.pop();
+	}
+
+	/**
+	 * @param {Object} current - Current settings, pushed back onto the undo stack
+	 * @returns {Object|null} Settings to restore
+	 */
+	redo(current) {
+		if (this.redoStack.length === 0) return null;
+		this.undoStack.push(current);
+		this.lastKey = null;
+		return this.redoStack.pop();
+	}
+
+	canUndo() {
+		return this.undoStack.length > 0;
+	}
+
+	canRedo() {
+		return this.redoStack.length > 0;
+	}
+}
+
+/**
+ * PRESET MANAGER
+ * ==============
+ *
+ * Stores named snapshots of the complete watermark configuration in localStorage
+ * so frequently used looks survive page reloads.
+ *
+ * FEATURES:
+ * - Save, rename, delete and apply presets from the configuration panel
+ * - Snapshots include text effects and the logo image (embedded as a data URL)
+ * - Saving under an existing name overwrites that preset after confirmation
+ * - Presets are stored as SettingsFile documents, so older presets are migrated on apply
+ *
+ * Snapshot serialization and application are delegated to BulkWatermarkApp
+ * (serializeSettings / deserializeSettings / applySettings).
+ */
+class PresetManager {
+	constructor(app) {
+		this.app = app;
+		this.storageKey = 'bulkWatermark.presets';
+		this.presets = [];
+		this.select = null;
+		this.nameInput = null;
+		this.init();
+	}
+
+	init() {
+		this.presets = this.load();
+		this.select = document.getElementById('presetSelect');
+		this.nameInput = document.getElementById('presetName');
+		this.bindEvents();
+		this.render();
+	}
+
+	bindEvents() {
+		const saveBtn = document.getElementById('savePreset');
+		const applyBtn = document.getElementById('applyPreset');
+		const renameBtn = document.getElementById('renamePreset');
+		const deleteBtn = document.getElementById('deletePreset');
+
+		if (saveBtn) saveBtn.addEventListener('click', () => this.saveCurrent());
+		if (applyBtn) applyBtn.addEventListener('click', () => this.applySelected());
+		if (renameBtn) renameBtn.addEventListener('click', () => this.renameSelected());
+		if (deleteBtn) deleteBtn.addEventListener('click', () => this.deleteSelected());
+
+		// Mirror the selected preset name into the name field for quick renames/overwrites
+		if (this.select) {
+			this.select.addEventListener('change', () => {
+				const preset = this.getSelected();
+				if (preset && this.nameInput) this.nameInput.value = preset.name;
 			});
 		}
+	}
 
-		if (logoSpXNum) {
-			logoSpXNum.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingX = v;
-				if (logoSpX) logoSpX.value = v;
-				const el = document.getElementById('logoPatternSpacingXValue');
-				if (el) el.textContent = v;
-				this.updatePreview();
-			});
+	/**
+	 * Read presets from localStorage, ignoring malformed entries.
+	 * @returns {Array<Object>} Stored presets ({ id, name, savedAt, settings })
+	 */
+	load() {
+		try {
+			const raw = localStorage.getItem(this.storageKey);
+			if (!raw) return [];
+			const parsed = JSON.parse(raw);
+			const list = Array.isArray(parsed.presets) ? parsed.presets : [];
+			return list.filter((p) => p && p.id && typeof p.name === 'string' && p.settings);
+		} catch (err) {
+			console.warn('Failed to read saved presets', err);
+			return [];
 		}
+	}
 
-		if (logoSpYNum) {
-			logoSpYNum.addEventListener('input', (e) => {
-				const v = parseInt(e.target.value);
-				this.watermarkSettings.patternSpacingY = v;
-				if (logoSpY) logoSpY.value = v;
-				const el = document.getElementById('logoPatternSpacingYValue');
-				if (el) el.textContent = v;
-				this.updatePreview();
-			});
+	/**
+	 * Persist presets to localStorage.
+	 * @returns {boolean} Whether the write succeeded (fails when storage quota is exceeded)
+	 */
+	persist() {
+		try {
+			localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, presets: this.presets }));
+			return true;
+		} catch (err) {
+			console.error('Failed to save presets:', err);
+			this.showError('Could not save presets - browser storage is full or unavailable (try a smaller logo).');
+			return false;
 		}
 	}
 
-	bindPositionControls() {
-		// Text position controls
-		document.querySelectorAll('#positionGrid .position-btn').forEach((btn) => {
-			btn.addEventListener('click', () => {
-				this.setPosition(btn.dataset.position);
-				this.updatePreview();
-			});
-		});
+	render() {
+		if (!this.select) return;
 
-		// Logo position controls
-		document.querySelectorAll('#logoPositionGrid .position-btn').forEach((btn) => {
-			btn.addEventListener('click', () => {
-				this.setPosition(btn.dataset.position);
-				this.updatePreview();
-			});
-		});
+		const selectedId = this.select.value;
+		this.select.innerHTML = '<option value="">— Select a preset —</option>';
 
-		// Text offset controls
-		const offsetX = document.getElementById('offsetX');
-		const offsetY = document.getElementById('offsetY');
+		this.presets.forEach((preset) => {
+			const option = document.createElement('option');
+			option.value = preset.id;
+			option.textContent = preset.name;
+			this.select.appendChild(option);
+		});
 
-		if (offsetX) {
-			offsetX.addEventListener('input', (e) => {
-				this.watermarkSettings.offsetX = parseInt(e.target.value);
-				const valueEl = document.getElementById('offsetXValue');
-				if (valueEl) valueEl.textContent = e.target.value;
-				this.updatePreview();
-			});
+		if (this.presets.some((p) => p.id === selectedId)) {
+			this.select.value = selectedId;
 		}
+	}
 
-		if (offsetY) {
-			offsetY.addEventListener('input', (e) => {
-				this.watermarkSettings.offsetY = parseInt(e.target.value);
-				const valueEl = document.getElementById('offsetYValue');
-				if (valueEl) valueEl.textContent = e.target.value;
-				this.updatePreview();
-			});
+	getSelected() {
+		if (!this.select || !this.select.value) return null;
+		return this.presets.find((p) => p.id === this.select.value) || null;
+	}
+
+	getNameInput() {
+		return this.nameInput ? this.nameInput.value.trim() : '';
+	}
+
+	saveCurrent() {
+		const name = this.getNameInput();
+		if (!name) {
+			this.showError('Enter a name for the preset.');
+			return;
 		}
 
-		// Logo offset controls
-		const logoOffsetX = document.getElementById('logoOffsetX');
-		const logoOffsetY = document.getElementById('logoOffsetY');
+		const settings = SettingsFile.toDocument(this.app.serializeSettings());
+		const existing = this.presets.find((p) => p.name.toLowerCase() === name.toLowerCase());
+		const previous = this.presets.map((p) => ({ ...p }));
 
-		if (logoOffsetX) {
-			logoOffsetX.addEventListener('input', (e) => {
-				this.watermarkSettings.offsetX = parseInt(e.target.value);
-				const valueEl = document.getElementById('logoOffsetXValue');
-				if (valueEl) valueEl.textContent = e.target.value;
-				this.updatePreview();
+		if (existing) {
+			if (!confirm(`Overwrite preset "${existing.name}"?`)) return;
+			existing.settings = settings;
+			existing.savedAt = new Date().toISOString();
+		} else {
+			this.presets.push({
+				id: `preset-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+				name,
+				savedAt: new Date().toISOString(),
+				settings,
 			});
 		}
 
-		if (logoOffsetY) {
-			logoOffsetY.addEventListener('input', (e) => {
-				this.watermarkSettings.offsetY = parseInt(e.target.value);
-				const valueEl = document.getElementById('logoOffsetYValue');
-				if (valueEl) valueEl.textContent = e.target.value;
-				this.updatePreview();
-			});
+		if (!this.persist()) {
+			this.presets = previous; // Roll back so memory matches storage
+			return;
 		}
-	}
 
-	bindProcessingControls() {
-		const processBtn = document.getElementById('processBtn');
-		const downloadZipBtn = document.getElementById('downloadZip');
-		const showGalleryBtn = document.getElementById('showGalleryBtn');
+		this.render();
+		const saved = this.presets.find((p) => p.name.toLowerCase() === name.toLowerCase());
+		if (saved && this.select) this.select.value = saved.id;
+		if (saved) this.app.activePresetName = saved.name;
+		this.showStatus(`Saved preset "${name}"`);
+	}
 
-		if (processBtn) {
-			processBtn.addEventListener('click', () => this.processAllImages());
+	async applySelected() {
+		const preset = this.getSelected();
+		if (!preset) {
+			this.showError('Select a preset to apply.');
+			return;
 		}
 
-		if (downloadZipBtn) {
-			downloadZipBtn.addEventListener('click', () => this.downloadZip());
+		try {
+			const settings = await this.app.deserializeSettings(SettingsFile.parse(preset.settings));
+			this.app.applySettings(settings);
+			this.app.activePresetName = preset.name;
+			this.showStatus(`Applied preset "${preset.name}"`);
+		} catch (err) {
+			console.error('Failed to apply preset:', err);
+			this.showError(`Could not apply preset "${preset.name}": ${err.message}`);
 		}
+	}
 
-		if (showGalleryBtn) {
-			// Always open the gallery modal when clicked; the modal will show an empty-state if no images
-			showGalleryBtn.addEventListener('click', () => {
-				try {
-					if (this.modal && typeof this.modal.showModal === 'function') {
-						this.modal.showModal(this.processedImages || []);
-					} else {
-						alert('Gallery is not available.');
-					}
-				} catch (e) {
-					console.error('Failed to open gallery:', e);
-				}
-			});
+	renameSelected() {
+		const preset = this.getSelected();
+		const name = this.getNameInput();
+		if (!preset) {
+			this.showError('Select a preset to rename.');
+			return;
+		}
+		if (!name) {
+			this.showError('Enter the new preset name.');
+			return;
+		}
+		if (this.presets.some((p) => p !== preset && p.name.toLowerCase() === name.toLowerCase())) {
+			this.showError(`A preset named "${name}" already exists.`);
+			return;
+		}
+
+		const oldName = preset.name;
+		preset.name = name;
+		if (!this.persist()) {
+			preset.name = oldName;
+			return;
 		}
+		this.render();
+		this.showStatus(`Renamed "${oldName}" to "${name}"`);
 	}
 
-	syncControls(controlId, value) {
-		const rangeEl = document.getElementById(controlId);
-		const numberEl = document.getElementById(controlId + 'Number');
-		const valueEl = document.getElementById(controlId + 'Value');
+	deleteSelected() {
+		const preset = this.getSelected();
+		if (!preset) {
+			this.showError('Select a preset to delete.');
+			return;
+		}
+		if (!confirm(`Delete preset "${preset.name}"?`)) return;
 
-		if (rangeEl) rangeEl.value = value;
-		if (numberEl) numberEl.value = value;
-		if (valueEl) valueEl.textContent = value;
+		const previous = this.presets;
+		this.presets = this.presets.filter((p) => p.id !== preset.id);
+		if (!this.persist()) {
+			this.presets = previous;
+			return;
+		}
+
+		if (this.select) this.select.value = '';
+		if (this.nameInput) this.nameInput.value = '';
+		this.render();
+		this.showStatus(`Deleted preset "${preset.name}"`);
 	}
 
-	syncLogoControls(controlId, value) {
-		const rangeEl = document.getElementById(controlId);
-		const numberEl = document.getElementById(controlId + 'Number');
-		const valueEl = document.getElementById(controlId + 'Value');
+	showStatus(message) {
+		const statusEl = document.getElementById('presetStatus');
+		if (statusEl) statusEl.textContent = message;
+	}
 
-		if (rangeEl) rangeEl.value = value;
-		if (numberEl) numberEl.value = value;
-		if (valueEl) valueEl.textContent = value;
+	showError(message) {
+		if (this.app.fileUploadHandler) {
+			this.app.fileUploadHandler.showError(message);
+		} else {
+			alert(message);
+		}
 	}
+}
 
-	initializeControls() {
-		// Sync all initial values
-		Object.keys(this.watermarkSettings).forEach((key) => {
-			if (typeof this.watermarkSettings[key] === 'number') {
-				this.syncControls(key, this.watermarkSettings[key]);
-			}
-		});
+/**
+ * SESSION STORE
+ * =============
+ *
+ * Keeps the working session (uploaded files, settings, preview selection and results) in
+ * IndexedDB, so closing the tab by accident does not lose it.
+ *
+ * STORAGE:
+ * - sessions: One JSON record per page load with the settings, file list and result list
+ * - blobs: Source files and processed images, written once and shared between saves
+ *
+ * FEATURES:
+ * - Every page load saves into a new session, so the previous one survives until it is
+ *   restored or discarded
+ * - One previous session is kept besides the current one: the newest with files or results,
+ *   else the newest with settings only, so reloading without files cannot bury images
+ * - Files come first within the size budget, then processed results
+ * - Restoring adopts the previous session, so its blobs are not copied again
+ */
+class SessionStore {
+	static get DB_NAME() {
+		return 'bulkWatermark';
+	}
 
-		// Ensure the new spacing controls show 0 when defaulted to 0
-		const spx = document.getElementById('patternSpacingX');
-		const spy = document.getElementById('patternSpacingY');
-		const spxVal = document.getElementById('patternSpacingXValue');
-		const spyVal = document.getElementById('patternSpacingYValue');
-		if (spx) spx.value = Number(this.watermarkSettings.patternSpacingX || 0);
-		if (spy) spy.value = Number(this.watermarkSettings.patternSpacingY || 0);
-		if (spxVal) spxVal.textContent = this.watermarkSettings.patternSpacingX || 0;
-		if (spyVal) spyVal.textContent = this.watermarkSettings.patternSpacingY || 0;
-		// If preview canvas exists, show an estimated pixel value instead of raw slider unit
-		const previewCanvas = document.getElementById('previewCanvas');
-		// Remove pixel display since we're now showing just numerical values
-		// The UI values (0-20) are displayed directly without conversion
+	static get DB_VERSION() {
+		return 1;
+	}
 
-		/* Set initial pattern mode UI */
-		this.updatePatternModeUI();
+	static get SIZE_BUDGET() {
+		return 500 * 1024 * 1024; // Bytes of files and results kept per session (at most two are stored)
+	}
 
-		/* Set initial logo control visibility */
-		this.updateLogoControlsVisibility();
+	/**
+	 * @returns {boolean} True when the browser has IndexedDB
+	 */
+	static isSupported() {
+		return typeof indexedDB !== 'undefined';
 	}
 
-	updatePatternModeUI() {
-		const patternControls = document.getElementById('patternControls');
-		const positionControls = document.getElementById('positionControls');
-		const offsetControls = document.getElementById('offsetControls');
-		const patternAngleGroup = document.getElementById('patternAngleGroup');
+	constructor() {
+		this.db = null;
+		this.sessionId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+		this.blobKeys = new Map(); // Blob -> key of its record in this session
+		this.nextBlob = 0;
+		this.queue = Promise.resolve();
+	}
 
-		// Logo controls
-		const logoPatternControls = document.getElementById('logoPatternControls');
-		const logoPositionControls = document.getElementById('logoPositionControls');
-		const logoOffsetControls = document.getElementById('logoOffsetControls');
-		const logoPatternAngleGroup = document.getElementById('logoPatternAngleGroup');
+	/**
+	 * @param {IDBRequest} request
+	 * @returns {Promise<*>} Result of the request
+	 */
+	static request(request) {
+		return new Promise((resolve, reject) => {
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+		});
+	}
 
-		const mode = this.watermarkSettings.patternMode;
+	/**
+	 * @param {IDBTransaction} transaction
+	 * @returns {Promise<void>} Resolves when the transaction has committed
+	 */
+	static complete(transaction) {
+		return new Promise((resolve, reject) => {
+			transaction.oncomplete = () => resolve();
+			transaction.onerror = () => reject(transaction.error);
+			transaction.onabort = () => reject(transaction.error || new Error('Session storage was aborted'));
+		});
+	}
 
-		if (mode === 'single') {
-			// Text controls
-			if (patternControls) patternControls.classList.add('hidden');
-			if (positionControls) positionControls.classList.remove('hidden');
-			if (offsetControls) offsetControls.classList.remove('hidden');
+	async open() {
+		if (this.db) return this.db;
+		const request = indexedDB.open(SessionStore.DB_NAME, SessionStore.DB_VERSION);
+		request.onupgradeneeded = () => {
+			const db = request.result;
+			db.createObjectStore('sessions', { keyPath: 'id' });
+			db.createObjectStore('blobs', { keyPath: 'key' }).createIndex('session', 'session');
+		};
+		this.db = await SessionStore.request(request);
+		return this.db;
+	}
 
-			// Logo controls
-			if (logoPatternControls) logoPatternControls.classList.add('hidden');
-			if (logoPositionControls) logoPositionControls.classList.remove('hidden');
-			if (logoOffsetControls) logoOffsetControls.classList.remove('hidden');
-		} else {
-			// Text controls
-			if (patternControls) patternControls.classList.remove('hidden');
-			if (positionControls) positionControls.classList.add('hidden');
-			if (offsetControls) offsetControls.classList.add('hidden');
+	/**
+	 * Find the session of an earlier page load to offer for restoring: the most recent one with
+	 * files or results, else the most recent one with settings only. All other earlier sessions
+	 * are removed, so storage holds at most this one and the current session.
+	 * @returns {Promise<Object|null>} Session record, or null if there is none
+	 */
+	async getPreviousSession() {
+		const db = await this.open();
+		const sessions = await SessionStore.request(db.transaction('sessions').objectStore('sessions').getAll());
+		const hasFiles = (session) => session.files.length + session.results.length > 0;
+		const previous = sessions
+			.filter((session) => session.id !== this.sessionId)
+			.sort((a, b) => hasFiles(b) - hasFiles(a) || b.savedAt - a.savedAt);
+		for (const session of previous.slice(1)) {
+			await this.deleteSession(session.id);
+		}
+		return previous[0] || null;
+	}
 
-			// Logo controls
-			if (logoPatternControls) logoPatternControls.classList.remove('hidden');
-			if (logoPositionControls) logoPositionControls.classList.add('hidden');
-			if (logoOffsetControls) logoOffsetControls.classList.add('hidden');
+	/**
+	 * Save the current session. Saves run one at a time; blobs already stored are not written again.
+	 * @param {Object} state - JSON-safe session record (settings, preview selection, ...)
+	 * @param {Object[]} files - { blob, record } per uploaded file, in order
+	 * @param {Object[]} results - { blob, record } per processed image; blob is null once freed
+	 * @returns {Promise<Object>} { files, results, bytes } - how many were kept within the budget
+	 */
+	save(state, files, results) {
+		return this.enqueue(() => this.saveNow(state, files, results));
+	}
 
-			if (patternAngleGroup) {
-				// Show angle control only for tiled mode (angle controls diagonal orientation)
-				if (mode === 'tiled') {
-					patternAngleGroup.classList.remove('hidden');
-				} else {
-					patternAngleGroup.classList.add('hidden');
-				}
-			}
+	/**
+	 * Run a task after the ones already queued, so saves and restores never overlap.
+	 * @param {Function} task - Returns a promise
+	 * @returns {Promise<*>} Result of the task
+	 */
+	enqueue(task) {
+		const run = this.queue.then(task);
+		this.queue = run.catch(() => {});
+		return run;
+	}
 
-			if (logoPatternAngleGroup) {
-				// Show logo angle control only for tiled mode
-				if (mode === 'tiled') {
-					logoPatternAngleGroup.classList.remove('hidden');
-				} else {
-					logoPatternAngleGroup.classList.add('hidden');
-				}
+	async saveNow(state, files, results) {
+		const db = await this.open();
+		let bytes = 0;
+		const keep = (entries) => {
+			const kept = [];
+			for (const entry of entries) {
+				const size = entry.blob ? entry.blob.size : 0;
+				if (bytes + size > SessionStore.SIZE_BUDGET) break;
+				bytes += size;
+				kept.push(entry);
 			}
-		}
+			return kept;
+		};
+		const keptFiles = keep(files);
+		const keptResults = keptFiles.length === files.length ? keep(results) : [];
+
+		const transaction = db.transaction(['sessions', 'blobs'], 'readwrite');
+		const blobs = transaction.objectStore('blobs');
+		const added = new Map(); // Blob -> key, remembered only once the transaction commits
+		const used = new Set();
+		const withBlobKey = ({ blob, record }) => {
+			if (!blob) return { ...record, blobKey: null };
+			let key = this.blobKeys.get(blob) || added.get(blob);
+			if (!key) {
+				key = `${this.sessionId}/${this.nextBlob++}`;
+				blobs.put({ key, session: this.sessionId, blob });
+				added.set(blob, key);
+			}
+			used.add(key);
+			return { ...record, blobKey: key };
+		};
+
+		transaction.objectStore('sessions').put({
+			...state,
+			id: this.sessionId,
+			savedAt: Date.now(),
+			files: keptFiles.map(withBlobKey),
+			results: keptResults.map(withBlobKey),
+			omitted: files.length + results.length - keptFiles.length - keptResults.length,
+		});
+
+		// Drop blobs of files and results that are gone
+		const removed = [...this.blobKeys].filter(([, key]) => !used.has(key));
+		removed.forEach(([, key]) => blobs.delete(key));
+
+		await SessionStore.complete(transaction);
+		added.forEach((key, blob) => this.blobKeys.set(blob, key));
+		removed.forEach(([blob]) => this.blobKeys.delete(blob));
+		return { files: keptFiles.length, results: keptResults.length, bytes };
 	}
 
-	setWatermarkType(type) {
-		this.watermarkSettings.type = type;
+	/**
+	 * Load a saved session with its blobs and continue saving into it from now on.
+	 * @param {Object} session - Record from getPreviousSession()
+	 * @returns {Promise<Object>} The session record with `blob` set on every file and result
+	 */
+	restore(session) {
+		return this.enqueue(() => this.restoreNow(session));
+	}
 
-		/* Clear watermark cache when switching types to prevent artifacts */
-		this._watermarkCacheMap.clear();
-		this._watermarkCache = null;
+	async restoreNow(session) {
+		const db = await this.open();
+		const records = await SessionStore.request(
+			db.transaction('blobs').objectStore('blobs').index('session').getAll(session.id),
+		);
+		const blobs = new Map(records.map((record) => [record.key, record.blob]));
+		const withBlob = (entry) => ({ ...entry, blob: entry.blobKey ? blobs.get(entry.blobKey) || null : null });
+		const restored = {
+			...session,
+			files: session.files.map(withBlob).filter((entry) => entry.blob),
+			results: session.results.map(withBlob),
+		};
 
-		document.querySelectorAll('.toggle-btn').forEach((btn) => btn.classList.remove('active'));
-		const toggleBtn = document.getElementById(type + 'Toggle');
-		if (toggleBtn) toggleBtn.classList.add('active');
+		await this.deleteSession(this.sessionId);
+		this.sessionId = session.id;
+		this.blobKeys = new Map();
+		restored.files.concat(restored.results).forEach((entry) => {
+			if (entry.blob) this.blobKeys.set(entry.blob, entry.blobKey);
+		});
+		this.nextBlob = records.reduce((next, record) => Math.max(next, Number(record.key.split('/')[1]) + 1), 0);
+		return restored;
+	}
 
-		const textOptions = document.getElementById('textOptions');
-		const logoOptions = document.getElementById('logoOptions');
+	/**
+	 * @param {string} id - Session to remove with its blobs
+	 */
+	async deleteSession(id) {
+		const db = await this.open();
+		const transaction = db.transaction(['sessions', 'blobs'], 'readwrite');
+		transaction.objectStore('sessions').delete(id);
+		const blobs = transaction.objectStore('blobs');
+		const keys = blobs.index('session').getAllKeys(id);
+		keys.onsuccess = () => keys.result.forEach((key) => blobs.delete(key));
+		await SessionStore.complete(transaction);
+		if (id === this.sessionId) this.blobKeys = new Map();
+	}
 
-		if (type === 'text') {
-			if (textOptions) textOptions.classList.remove('hidden');
-			if (logoOptions) logoOptions.classList.add('hidden');
-			const te = document.getElementById('textEffectsControls');
-			if (te) te.classList.remove('hidden');
-		} else if (type === 'logo') {
-			if (textOptions) textOptions.classList.add('hidden');
-			if (logoOptions) logoOptions.classList.remove('hidden');
-			const te = document.getElementById('textEffectsControls');
-			if (te) te.classList.add('hidden');
+	/**
+	 * Remove every saved session, including the current one.
+	 */
+	clear() {
+		return this.enqueue(async () => {
+			const db = await this.open();
+			const transaction = db.transaction(['sessions', 'blobs'], 'readwrite');
+			transaction.objectStore('sessions').clear();
+			transaction.objectStore('blobs').clear();
+			await SessionStore.complete(transaction);
+			this.blobKeys = new Map();
+		});
+	}
+}
 
-			/* Update logo control visibility based on upload status */
-			this.updateLogoControlsVisibility();
-		}
+/**
+ * OUTPUT FOLDER
+ * =============
+ *
+ * Writes processed images into a folder on the user's computer chosen with the File System
+ * Access API, so large batches do not have to be collected into one ZIP in memory.
+ *
+ * FEATURES:
+ * - Subfolders in output paths (export sizes, dropped folders) are created as needed
+ * - Existing files are renamed around ("photo (2).jpg"), overwritten or skipped
+ * - Files written in the same batch never replace each other, whatever the policy
+ * - Writes are queued, so images finishing together cannot claim the same name
+ * - Write permission is requested again when a remembered folder has lost it
+ */
+class OutputFolder {
+	/**
+	 * @returns {boolean} True when the browser can write to a chosen folder
+	 */
+	static isSupported() {
+		return typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function';
+	}
 
-		this.updatePreview();
+	/**
+	 * @param {FileSystemDirectoryHandle} handle - Chosen folder
+	 */
+	constructor(handle) {
+		this.handle = handle;
+		this.directories = new Map(); // Folder path -> FileSystemDirectoryHandle
+		this.written = new Set(); // Lower-case paths written in the current batch
+		this.queue = Promise.resolve();
 	}
 
-	updateLogoControlsVisibility() {
-		const hasLogo = !!this.watermarkSettings.watermarkLogo;
-		const logoConfigContainer = document.getElementById('logoConfigContainer');
+	/**
+	 * Start a batch.
+	 * @param {string[]} paths - Files kept from an earlier, resumed run of this batch
+	 */
+	beginBatch(paths) {
+		this.written = new Set(paths.map((path) => path.toLowerCase()));
+	}
 
-		if (logoConfigContainer) {
-			if (hasLogo) {
-				logoConfigContainer.classList.remove('hidden');
-			} else {
-				logoConfigContainer.classList.add('hidden');
-			}
-		}
+	get name() {
+		return this.handle.name;
 	}
 
-	setPosition(position) {
-		this.watermarkSettings.position = position;
+	/**
+	 * Let the user choose a folder.
+	 * @returns {Promise<OutputFolder|null>} Folder, or null if the picker was cancelled
+	 */
+	static async choose() {
+		try {
+			return new OutputFolder(await window.showDirectoryPicker({ id: 'watermark-output', mode: 'readwrite' }));
+		} catch (error) {
+			if (error.name === 'AbortError') return null;
+			throw error;
+		}
+	}
 
-		// Update both text and logo position grids
-		document.querySelectorAll('#positionGrid .position-btn').forEach((btn) => btn.classList.remove('active'));
-		document.querySelectorAll('#logoPositionGrid .position-btn').forEach((btn) => btn.classList.remove('active'));
+	/**
+	 * Make sure the folder can still be written to; browsers drop the permission between sessions.
+	 * @returns {Promise<boolean>} True when write access is granted
+	 */
+	async ensurePermission() {
+		if (typeof this.handle.queryPermission !== 'function') return true;
+		const options = { mode: 'readwrite' };
+		if ((await this.handle.queryPermission(options)) === 'granted') return true;
+		return (await this.handle.requestPermission(options)) === 'granted';
+	}
 
-		const textTargetBtn = document.querySelector(`#positionGrid [data-position="${position}"]`);
-		if (textTargetBtn) {
-			textTargetBtn.classList.add('active');
+	/**
+	 * @param {string} path - Folder path relative to the chosen folder, '' for the folder itself
+	 * @returns {Promise<FileSystemDirectoryHandle>}
+	 */
+	async getDirectory(path) {
+		if (!path) return this.handle;
+		// Promises are cached so images finishing together create each folder once
+		if (!this.directories.has(path)) {
+			const parts = path.split('/');
+			const name = parts.pop();
+			const directory = this.getDirectory(parts.join('/'))
+				.then((parent) => parent.getDirectoryHandle(name, { create: true }))
+				.catch((error) => {
+					this.directories.delete(path);
+					throw error;
+				});
+			this.directories.set(path, directory);
 		}
+		return this.directories.get(path);
+	}
 
-		const logoTargetBtn = document.querySelector(`#logoPositionGrid [data-position="${position}"]`);
-		if (logoTargetBtn) {
-			logoTargetBtn.classList.add('active');
+	/**
+	 * @param {FileSystemDirectoryHandle} directory
+	 * @param {string} name - File name
+	 * @returns {Promise<boolean>} True when the folder already contains an entry with this name
+	 */
+	async exists(directory, name) {
+		try {
+			await directory.getFileHandle(name);
+			return true;
+		} catch (error) {
+			if (error.name === 'NotFoundError') return false;
+			if (error.name === 'TypeMismatchError') return true; // A folder has this name
+			throw error;
 		}
 	}
 
-	resetToDefaults() {
-		/* Clear all caches */
-		this._watermarkCacheMap.clear();
-		this._watermarkCache = null;
+	/**
+	 * Write one file.
+	 * @param {string} path - Path relative to the chosen folder, e.g. "2048px/photo.jpg"
+	 * @param {Blob} blob - File contents
+	 * @param {string} conflictPolicy - 'rename' | 'overwrite' | 'skip' when the file existed
+	 *   before the batch
+	 * @returns {Promise<Object>} { path, status } where status is 'written', 'renamed',
+	 *   'overwritten' or 'skipped' and path is where the file was written
+	 */
+	write(path, blob, conflictPolicy) {
+		const write = this.queue.then(() => this.writeNow(path, blob, conflictPolicy));
+		this.queue = write.catch(() => {});
+		return write;
+	}
 
-		/* Store current mode and watermark logo to preserve them */
-		const currentType = this.watermarkSettings.type;
-		const currentWatermarkLogo = this.watermarkSettings.watermarkLogo;
+	async writeNow(path, blob, conflictPolicy) {
+		const parts = path.split('/');
+		let name = parts.pop();
+		const folder = parts.join('/');
+		const directory = await this.getDirectory(folder);
+
+		let status = 'written';
+		if (await this.exists(directory, name)) {
+			const fromThisBatch = this.written.has(path.toLowerCase());
+			if (!fromThisBatch && conflictPolicy === 'skip') return { path, status: 'skipped' };
+			if (!fromThisBatch && conflictPolicy === 'overwrite') {
+				status = 'overwritten';
+			} else {
+				const dot = name.lastIndexOf('.');
+				const base = dot > 0 ? name.slice(0, dot) : name;
+				const extension = dot > 0 ? name.slice(dot) : '';
+				let n = 2;
+				while (await this.exists(directory, `${base} (${n})${extension}`)) n++;
+				name = `${base} (${n})${extension}`;
+				status = 'renamed';
+			}
+		}
 
-		// Create default settings
-		const defaultSettings = {
-			type: currentType, // Preserve current type instead of forcing text
-			patternMode: 'single',
-			text: '© Your Watermark',
-			fontSize: 24,
-			fontFamily: 'Arial',
-			textColor: '#ffffff',
-			opacity: 70,
-			position: 'bottom-right',
-			offsetX: 0,
-			offsetY: 0,
-			watermarkLogo: currentWatermarkLogo /* Preserve current watermark logo */,
-			logoScale: 20,
-			patternSpacing: 6, // Good default spacing for visual separation (UI scale)
-			patternSpacingX: 6, // Good default horizontal spacing to prevent overlap (UI scale)
-			patternSpacingY: 7, // Higher default vertical spacing to prevent overlap (UI scale)
-			patternAngle: -45,
-			watermarkRotation: 0,
-			overlayEffect: 'none',
-			textEffects: {
-				shadow: false,
-				shadowColor: '#000000',
-				shadowBlur: 6,
-				shadowOffsetX: 2,
-				shadowOffsetY: 2,
-				outline: false,
-				outlineColor: '#000000',
-				outlineThickness: 2,
-				outlineOpacity: 100,
-				glow: false,
-				glowColor: '#ffffff',
-				glowSpread: 12,
-				glowIntensity: 100,
-			},
-		};
-
-		// Apply the default settings
-		this.watermarkSettings = defaultSettings;
-
-		// Update all form controls to reflect default values
-		this.updateFormControls();
+		const fileHandle = await directory.getFileHandle(name, { create: true });
+		const writable = await fileHandle.createWritable();
+		try {
+			await writable.write(blob);
+			await writable.close();
+		} catch (error) {
+			await writable.abort();
+			throw error;
+		}
 
-		// Update pattern mode UI (show/hide appropriate controls)
-		this.updatePatternModeUI();
+		const writtenPath = folder ? `${folder}/${name}` : name;
+		this.written.add(writtenPath.toLowerCase());
+		return { path: writtenPath, status };
+	}
+}
 
-		// Set default position (but don't change type)
-		this.setPosition('bottom-right');
+/**
+ * ZIP STREAM
+ * ==========
+ *
+ * Writes a ZIP archive one entry at a time, so a large batch is never held in memory twice
+ * (JSZip reads every blob into memory before it starts generating).
+ *
+ * FEATURES:
+ * - Entries are stored without compression; images are already compressed
+ * - Streams into a file chosen with the save picker where the File System Access API exists
+ * - Otherwise builds a Blob from the image blobs themselves, without copying their bytes
+ * - Switches to ZIP64 records once the archive passes 4 GB or 65535 entries
+ */
+class ZipStream {
+	/**
+	 * @returns {boolean} True when archives can be written straight to a file on disk
+	 */
+	static isStreamingSupported() {
+		return typeof window !== 'undefined' && typeof window.showSaveFilePicker === 'function';
+	}
 
-		// Update preview
-		this.updatePreview();
+	/**
+	 * Start an archive, asking where to save it when streaming to disk is supported.
+	 * @param {string} fileName - Suggested file name
+	 * @returns {Promise<ZipStream|null>} Archive, or null if the save picker was cancelled
+	 */
+	static async open(fileName) {
+		if (!ZipStream.isStreamingSupported()) return new ZipStream(null, fileName);
+		try {
+			const handle = await window.showSaveFilePicker({
+				id: 'watermark-zip',
+				suggestedName: fileName,
+				types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+			});
+			return new ZipStream(await handle.createWritable(), handle.name);
+		} catch (error) {
+			if (error.name === 'AbortError') return null;
+			throw error;
+		}
 	}
 
-	updateFormControls() {
-		// Update text controls
-		const textContent = document.getElementById('textContent');
-		if (textContent) textContent.value = this.watermarkSettings.text;
+	/**
+	 * @param {FileSystemWritableFileStream|null} writable - File to stream into, or null to build a Blob
+	 * @param {string} fileName - Archive file name
+	 */
+	constructor(writable, fileName) {
+		this.writable = writable;
+		this.fileName = fileName;
+		this.parts = []; // Blob parts when not streaming
+		this.entries = []; // { name, crc, size, offset, time, date } for the central directory
+		this.offset = 0;
+	}
 
-		// Font size - range, number input, and display value
-		const fontSize = document.getElementById('fontSize');
-		if (fontSize) fontSize.value = this.watermarkSettings.fontSize;
+	/**
+	 * @returns {boolean} True when entries go straight to disk, so their blobs are no longer needed
+	 */
+	get isStreaming() {
+		return this.writable !== null;
+	}
 
-		const fontSizeNumber = document.getElementById('fontSizeNumber');
-		if (fontSizeNumber) fontSizeNumber.value = this.watermarkSettings.fontSize;
+	async push(part) {
+		if (this.writable) {
+			await this.writable.write(part);
+		} else {
+			this.parts.push(part);
+		}
+		this.offset += part instanceof Uint8Array ? part.length : part.size;
+	}
 
-		const fontSizeValue = document.getElementById('fontSizeValue');
-		if (fontSizeValue) fontSizeValue.textContent = this.watermarkSettings.fontSize;
+	/**
+	 * Add one file. Entries must be added one after another.
+	 * @param {string} path - Path inside the archive, e.g. "2048px/photo.jpg"
+	 * @param {Blob} blob - File contents
+	 * @param {Date} [modified] - Modification time stored in the entry
+	 */
+	async add(path, blob, modified = new Date()) {
+		if (blob.size >= 0xffffffff) throw new Error(`${path} is too large for a ZIP archive`);
+
+		const name = MetadataWriter.utf8(path);
+		const entry = {
+			name,
+			crc: MetadataWriter.crc32(new Uint8Array(await blob.arrayBuffer())),
+			size: blob.size,
+			offset: this.offset,
+			time: (modified.getHours() << 11) | (modified.getMinutes() << 5) | (modified.getSeconds() >> 1),
+			date:
+				(Math.max(0, modified.getFullYear() - 1980) << 9) |
+				((modified.getMonth() + 1) << 5) |
+				modified.getDate(),
+		};
 
-		const fontFamily = document.getElementById('fontFamily');
-		if (fontFamily) fontFamily.value = this.watermarkSettings.fontFamily;
+		const header = new Uint8Array(30 + name.length);
+		const view = new DataView(header.buffer);
+		view.setUint32(0, 0x04034b50, true); // Local file header
+		view.setUint16(4, 20, true); // Version needed
+		view.setUint16(6, 0x0800, true); // UTF-8 names
+		view.setUint16(8, 0, true); // Stored
+		view.setUint16(10, entry.time, true);
+		view.setUint16(12, entry.date, true);
+		view.setUint32(14, entry.crc, true);
+		view.setUint32(18, entry.size, true);
+		view.setUint32(22, entry.size, true);
+		view.setUint16(26, name.length, true);
+		header.set(name, 30);
+
+		await this.push(header);
+		await this.push(blob);
+		this.entries.push(entry);
+	}
 
-		const textColor = document.getElementById('textColor');
-		if (textColor) textColor.value = this.watermarkSettings.textColor;
+	/**
+	 * Write the central directory and close the archive.
+	 * @returns {Promise<Blob|null>} The archive when it was built in memory, null when streamed to disk
+	 */
+	async finish() {
+		const directoryOffset = this.offset;
+		for (const entry of this.entries) {
+			const zip64 = entry.offset >= 0xffffffff;
+			const record = new Uint8Array(46 + entry.name.length + (zip64 ? 12 : 0));
+			const view = new DataView(record.buffer);
+			view.setUint32(0, 0x02014b50, true); // Central directory header
+			view.setUint16(4, zip64 ? 45 : 20, true); // Version made by
+			view.setUint16(6, zip64 ? 45 : 20, true); // Version needed
+			view.setUint16(8, 0x0800, true);
+			view.setUint16(10, 0, true);
+			view.setUint16(12, entry.time, true);
+			view.setUint16(14, entry.date, true);
+			view.setUint32(16, entry.crc, true);
+			view.setUint32(20, entry.size, true);
+			view.setUint32(24, entry.size, true);
+			view.setUint16(28, entry.name.length, true);
+			view.setUint16(30, zip64 ? 12 : 0, true);
+			view.setUint32(42, zip64 ? 0xffffffff : entry.offset, true);
+			record.set(entry.name, 46);
+			if (zip64) {
+				const extra = 46 + entry.name.length;
+				view.setUint16(extra, 0x0001, true); // ZIP64 extended information
+				view.setUint16(extra + 2, 8, true);
+				ZipStream.setUint64(view, extra + 4, entry.offset);
+			}
+			await this.push(record);
+		}
+		const directorySize = this.offset - directoryOffset;
+
+		const count = this.entries.length;
+		const zip64 = count >= 0xffff || directoryOffset >= 0xffffffff || this.offset >= 0xffffffff;
+		if (zip64) {
+			const recordOffset = this.offset;
+			const record = new Uint8Array(56 + 20);
+			const view = new DataView(record.buffer);
+			view.setUint32(0, 0x06064b50, true); // ZIP64 end of central directory record
+			ZipStream.setUint64(view, 4, 44);
+			view.setUint16(12, 45, true);
+			view.setUint16(14, 45, true);
+			ZipStream.setUint64(view, 24, count);
+			ZipStream.setUint64(view, 32, count);
+			ZipStream.setUint64(view, 40, directorySize);
+			ZipStream.setUint64(view, 48, directoryOffset);
+			view.setUint32(56, 0x07064b50, true); // ZIP64 end of central directory locator
+			ZipStream.setUint64(view, 64, recordOffset);
+			view.setUint32(72, 1, true);
+			await this.push(record);
+		}
 
-		// Opacity - range, number input, and display value
-		const opacity = document.getElementById('opacity');
-		if (opacity) opacity.value = this.watermarkSettings.opacity;
+		const end = new Uint8Array(22);
+		const view = new DataView(end.buffer);
+		view.setUint32(0, 0x06054b50, true); // End of central directory
+		view.setUint16(8, Math.min(count, 0xffff), true);
+		view.setUint16(10, Math.min(count, 0xffff), true);
+		view.setUint32(12, Math.min(directorySize, 0xffffffff), true);
+		view.setUint32(16, Math.min(directoryOffset, 0xffffffff), true);
+		await this.push(end);
+
+		if (this.writable) {
+			await this.writable.close();
+			return null;
+		}
+		const archive = new Blob(this.parts, { type: 'application/zip' });
+		this.parts = [];
+		return archive;
+	}
 
-		const opacityNumber = document.getElementById('opacityNumber');
-		if (opacityNumber) opacityNumber.value = this.watermarkSettings.opacity;
+	/**
+	 * Give up on the archive, removing a partly written file.
+	 */
+	async abort() {
+		this.parts = [];
+		if (this.writable) await this.writable.abort();
+	}
 
-		const opacityValue = document.getElementById('opacityValue');
-		if (opacityValue) opacityValue.textContent = this.watermarkSettings.opacity;
+	static setUint64(view, offset, value) {
+		view.setUint32(offset, value % 0x100000000, true);
+		view.setUint32(offset + 4, Math.floor(value / 0x100000000), true);
+	}
+}
 
-		// Offset controls - range, number input, and display value
-		const offsetX = document.getElementById('offsetX');
-		if (offsetX) offsetX.value = this.watermarkSettings.offsetX;
+/**
+ * WATERMARK RENDERER
+ * ==================
+ *
+ * Draws the layer stack onto a canvas and encodes the result. Holds no DOM state, so the same
+ * code renders the live preview and batch output on the main thread (BulkWatermarkApp) and in
+ * processing workers (WatermarkWorker). Their output is not guaranteed to be pixel-identical:
+ * workers decode the original file with createImageBitmap, the main thread decodes the preview
+ * data URL.
+ *
+ * STATE:
+ * - layers / watermarkSettings: Layer stack and the layer currently being drawn
+ * - textTokenContext: Token values for the image being rendered
+ * - Watermark cache and position map shared by all layers
+ */
+class WatermarkRenderer {
+	constructor() {
+		this.layers = [];
+		this.watermarkSettings = null;
+		this.textTokenContext = null; // Token values for the image being rendered (see expandTextTokens)
+		this.outputPixelScale = 1; // Canvas pixels per output pixel while rendering (see lengthToPixels)
 
-		const offsetXNumber = document.getElementById('offsetXNumber');
-		if (offsetXNumber) offsetXNumber.value = this.watermarkSettings.offsetX;
+		/*
+		 * PERFORMANCE OPTIMIZATION: Watermark cache system using Map for O(1) lookups.
+		 * Caches are keyed by comprehensive settings hash including quantized canvas dimensions.
+		 * This enables intelligent cache reuse across similar images and identical settings.
+		 */
+		this._watermarkCacheMap = new Map();
+		this._logoCacheIds = new WeakMap(); // Logo Image -> id, so different logos never share a cache entry
+		this._nextLogoCacheId = 1;
 
-		const offsetXValue = document.getElementById('offsetXValue');
-		if (offsetXValue) offsetXValue.textContent = this.watermarkSettings.offsetX;
+		/*
+		 * POSITION MAPPING: Anchor points for single watermark placement.
+		 * Values are normalized (0-1) relative to canvas dimensions. Edge anchors sit on the edge
+		 * itself; the layer's safe margin (see getSafeMargin) keeps the watermark off it.
+		 */
+		this.positionMap = {
+			'top-left': { x: 0, y: 0 }, // Top-left corner
+			'top-center': { x: 0.5, y: 0 }, // Top edge, centered
+			'top-right': { x: 1, y: 0 }, // Top-right corner
+			'middle-left': { x: 0, y: 0.5 }, // Left edge, centered
+			center: { x: 0.5, y: 0.5 }, // Exact center
+			'middle-right': { x: 1, y: 0.5 }, // Right edge, centered
+			'bottom-left': { x: 0, y: 1 }, // Bottom-left corner
+			'bottom-center': { x: 0.5, y: 1 }, // Bottom edge, centered
+			'bottom-right': { x: 1, y: 1 }, // Bottom-right corner
+		};
+	}
 
-		const offsetY = document.getElementById('offsetY');
-		if (offsetY) offsetY.value = this.watermarkSettings.offsetY;
+	/**
+	 * Create a canvas for rendering: a DOM canvas on the main thread, an OffscreenCanvas in workers.
+	 * @param {number} width - Canvas width in pixels
+	 * @param {number} height - Canvas height in pixels
+	 * @returns {HTMLCanvasElement|OffscreenCanvas}
+	 */
+	createCanvas(width, height) {
+		if (typeof document === 'undefined') return new OffscreenCanvas(width, height);
+		const canvas = document.createElement('canvas');
+		canvas.width = width;
+		canvas.height = height;
+		return canvas;
+	}
 
-		const offsetYNumber = document.getElementById('offsetYNumber');
-		if (offsetYNumber) offsetYNumber.value = this.watermarkSettings.offsetY;
+	/**
+	 * Render every export variant of one image (see outputSettings.variants).
+	 * @param {CanvasImageSource} img - Decoded, upright source image
+	 * @param {Object} job - See renderImage; the variants are read from job.outputSettings and
+	 *   job.crop (see getCropRect) replaces job.cropRect
+	 * @returns {Promise<Object[]>} One { variant, blob, metadata, encoding } per variant, in order
+	 */
+	async renderVariants(img, job) {
+		const cropRect = this.getCropRect(img, job.crop);
+		const renders = [];
+		for (const variant of job.outputSettings.variants) {
+			const rendered = await this.renderImage(img, { ...job, cropRect, variant });
+			renders.push({ variant: variant.name, ...rendered });
+		}
+		return renders;
+	}
 
-		const offsetYValue = document.getElementById('offsetYValue');
-		if (offsetYValue) offsetYValue.textContent = this.watermarkSettings.offsetY;
+	/**
+	 * CROP STAGE: Largest rectangle of the requested aspect ratio that fits the image.
+	 *
+	 * Where it sits along the cropped axis comes from, in order of preference:
+	 * - crop.position: { x, y } chosen for this image, 0 = left/top edge, 1 = right/bottom edge
+	 * - crop.anchor 'top': centred horizontally, at the top edge (keeps heads in portraits)
+	 * - crop.anchor 'smart': centred on crop.focus, or on findFocusPoint(img) when not given
+	 * - otherwise centred
+	 *
+	 * @param {CanvasImageSource} img - Upright source image
+	 * @param {Object|null} crop - { aspect: 'W:H' or 'original', anchor, position, focus }
+	 * @returns {Object} { x, y, width, height } in source pixels
+	 */
+	getCropRect(img, crop) {
+		const full = { x: 0, y: 0, width: img.width, height: img.height };
+		if (!crop || !crop.aspect || crop.aspect === 'original') return full;
+
+		const [aspectWidth, aspectHeight] = crop.aspect.split(':').map(Number);
+		const ratio = aspectWidth / aspectHeight;
+		const width = Math.max(1, Math.round(Math.min(img.width, img.height * ratio)));
+		const height = Math.max(1, Math.round(Math.min(img.height, img.width / ratio)));
+		const slackX = img.width - width;
+		const slackY = img.height - height;
+
+		let position = crop.position;
+		if (!position && crop.anchor === 'top') position = { x: 0.5, y: 0 };
+		if (!position && crop.anchor === 'smart') {
+			const focus = crop.focus || this.findFocusPoint(img);
+			position = {
+				x: slackX > 0 ? (focus.x * img.width - width / 2) / slackX : 0.5,
+				y: slackY > 0 ? (focus.y * img.height - height / 2) / slackY : 0.5,
+			};
+		}
+		if (!position) position = { x: 0.5, y: 0.5 };
+
+		const clamp = (value) => Math.min(1, Math.max(0, value));
+		return {
+			x: Math.round(slackX * clamp(position.x)),
+			y: Math.round(slackY * clamp(position.y)),
+			width,
+			height,
+		};
+	}
 
-		// Image scale - range, number input, and display value
-		const imageScale = document.getElementById('imageScale');
-		if (imageScale) imageScale.value = this.watermarkSettings.imageScale;
+	/**
+	 * Estimate where the subject of an image is, for the 'smart' crop anchor.
+	 * Detail (edges) is weighted over flat areas such as sky, walls or studio backdrops, and
+	 * the weighted centre of a small copy of the image is taken as the focus.
+	 *
+	 * @param {CanvasImageSource} img - Upright source image
+	 * @returns {Object} { x, y } from 0 to 1
+	 */
+	findFocusPoint(img) {
+		const SAMPLE_SIZE = 64; // Long side of the analysed copy
+		const scale = SAMPLE_SIZE / Math.max(img.width, img.height);
+		const width = Math.max(3, Math.round(img.width * scale));
+		const height = Math.max(3, Math.round(img.height * scale));
+		const canvas = this.createCanvas(width, height);
+		const ctx = canvas.getContext('2d');
+		ctx.drawImage(img, 0, 0, width, height);
 
-		const imageScaleNumber = document.getElementById('imageScaleNumber');
-		if (imageScaleNumber) imageScaleNumber.value = this.watermarkSettings.imageScale;
+		const { data } = ctx.getImageData(0, 0, width, height);
+		const luminance = (x, y) => {
+			const i = (y * width + x) * 4;
+			return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+		};
 
-		const imageScaleValue = document.getElementById('imageScaleValue');
-		if (imageScaleValue) imageScaleValue.textContent = this.watermarkSettings.imageScale;
+		let total = 0;
+		let sumX = 0;
+		let sumY = 0;
+		for (let y = 1; y < height - 1; y++) {
+			for (let x = 1; x < width - 1; x++) {
+				const gradient =
+					Math.abs(luminance(x + 1, y) - luminance(x - 1, y)) +
+					Math.abs(luminance(x, y + 1) - luminance(x, y - 1));
+				const weight = gradient * gradient; // Favour strong edges over noise
+				total += weight;
+				sumX += weight * (x + 0.5);
+				sumY += weight * (y + 0.5);
+			}
+		}
 
-		// Watermark rotation - range, number input, and display value
-		const watermarkRotation = document.getElementById('watermarkRotation');
-		if (watermarkRotation) watermarkRotation.value = this.watermarkSettings.watermarkRotation;
+		if (total === 0) return { x: 0.5, y: 0.5 };
+		return { x: sumX / total / width, y: sumY / total / height };
+	}
 
-		const watermarkRotationNumber = document.getElementById('watermarkRotationNumber');
-		if (watermarkRotationNumber) watermarkRotationNumber.value = this.watermarkSettings.watermarkRotation;
+	/**
+	 * Output size of an export variant, and the part of the source that fills it.
+	 *
+	 * - none: source size
+	 * - fit: fit inside width x height, keeping the aspect ratio
+	 * - long-edge: longer side becomes `width`, keeping the aspect ratio
+	 * - fill: exactly width x height, cropping the overflow around the centre
+	 * - exact: exactly width x height, stretched
+	 *
+	 * fit and long-edge never enlarge an image, so a small source is exported as is.
+	 *
+	 * @param {number} srcWidth - Source width
+	 * @param {number} srcHeight - Source height
+	 * @param {Object} variant - Export variant (see VARIANT_SCHEMA)
+	 * @returns {Object} { width, height, sx, sy, sw, sh }
+	 */
+	getVariantFrame(srcWidth, srcHeight, variant) {
+		let width = srcWidth;
+		let height = srcHeight;
+		let sx = 0;
+		let sy = 0;
+		let sw = srcWidth;
+		let sh = srcHeight;
+
+		switch (variant.resize) {
+			case 'fit': {
+				const scale = Math.min(1, variant.width / srcWidth, variant.height / srcHeight);
+				width = srcWidth * scale;
+				height = srcHeight * scale;
+				break;
+			}
+			case 'long-edge': {
+				const scale = Math.min(1, variant.width / Math.max(srcWidth, srcHeight));
+				width = srcWidth * scale;
+				height = srcHeight * scale;
+				break;
+			}
+			case 'fill': {
+				const scale = Math.max(variant.width / srcWidth, variant.height / srcHeight);
+				width = variant.width;
+				height = variant.height;
+				sw = Math.min(srcWidth, width / scale);
+				sh = Math.min(srcHeight, height / scale);
+				sx = (srcWidth - sw) / 2;
+				sy = (srcHeight - sh) / 2;
+				break;
+			}
+			case 'exact':
+				width = variant.width;
+				height = variant.height;
+				break;
+		}
 
-		const watermarkRotationValue = document.getElementById('watermarkRotationValue');
-		if (watermarkRotationValue) watermarkRotationValue.textContent = this.watermarkSettings.watermarkRotation;
+		return { width: Math.max(1, Math.round(width)), height: Math.max(1, Math.round(height)), sx, sy, sw, sh };
+	}
 
-		// Pattern spacing controls - range, number input, and display value
-		const patternSpacing = document.getElementById('patternSpacing');
-		if (patternSpacing) patternSpacing.value = this.watermarkSettings.patternSpacing;
+	/**
+	 * Watermark one upright image and encode it, including the configured output metadata.
+	 *
+	 * The variant decides the output frame. Resizing "before" watermarking draws the watermark
+	 * on the resized frame; "after" draws it on a canvas with the output's aspect ratio at up to
+	 * source resolution and scales the result down evenly, which keeps fine text sharper on large
+	 * reductions. Pixel offsets and margins are scaled with the canvas, so both stages place the
+	 * watermark at the same spot of the output; only the sharpness of the edges differs.
+	 *
+	 * @param {CanvasImageSource} img - Decoded, upright source image
+	 * @param {Object} job
+	 * @param {Blob} job.file - Original file, read for metadata when the policy keeps it
+	 * @param {Object} job.tokenContext - Text token values (see getTextTokenContext); width and
+	 *   height are set to the output size
+	 * @param {Object} [job.cropRect] - Part of the image to keep (see getCropRect); the whole image
+	 *   when omitted. The watermark is placed on this frame.
+	 * @param {Object} job.variant - Export variant (see VARIANT_SCHEMA)
+	 * @param {Object} job.format - Encoder settings (see BulkWatermarkApp.getOutputFormat):
+	 *   { mimeType, quality, background, maxBytes, allowDownscale }
+	 * @param {Object} job.outputSettings - Batch output options (metadata policy, copyright fields)
+	 * @param {Object|null} [job.overrides] - Settings overridden for this image (see getOverriddenLayer)
+	 * @returns {Promise<Object>} { blob, metadata, encoding } where metadata reports what was written
+	 *   and encoding the final { quality, bytes, width, height, withinBudget }
+	 */
+	async renderImage(img, { file, tokenContext, format, outputSettings, cropRect, variant, overrides }) {
+		const crop = cropRect || { x: 0, y: 0, width: img.width, height: img.height };
+		const frame = this.getVariantFrame(crop.width, crop.height, variant);
+		// Never more pixels than the source on either axis ('exact' stretches it), nor fewer than the output
+		const sourceScale = Math.min(frame.sw / frame.width, frame.sh / frame.height);
+		const renderScale = variant.stage === 'after' ? Math.max(1, sourceScale) : 1;
+		const renderWidth = Math.max(1, Math.round(frame.width * renderScale));
+		const renderHeight = Math.max(1, Math.round(frame.height * renderScale));
+
+		let canvas = this.createCanvas(renderWidth, renderHeight);
+		const ctx = canvas.getContext('2d');
 
-		const patternSpacingNumber = document.getElementById('patternSpacingNumber');
-		if (patternSpacingNumber) patternSpacingNumber.value = this.watermarkSettings.patternSpacing;
+		if (format.background) {
+			ctx.fillStyle = format.background;
+			ctx.fillRect(0, 0, canvas.width, canvas.height);
+		}
+		ctx.imageSmoothingQuality = 'high';
+		ctx.drawImage(img, crop.x + frame.sx, crop.y + frame.sy, frame.sw, frame.sh, 0, 0, renderWidth, renderHeight);
+		this.textTokenContext = { ...tokenContext, width: frame.width, height: frame.height };
+		this.outputPixelScale = renderScale;
+		try {
+			this.withImageOverrides(overrides, canvas, () => this.applyWatermark(ctx, canvas.width, canvas.height));
+		} finally {
+			this.outputPixelScale = 1;
+		}
 
-		const patternSpacingValue = document.getElementById('patternSpacingValue');
-		if (patternSpacingValue) patternSpacingValue.textContent = this.watermarkSettings.patternSpacing;
+		if (renderWidth !== frame.width || renderHeight !== frame.height) {
+			const resized = this.createCanvas(frame.width, frame.height);
+			const resizedCtx = resized.getContext('2d');
+			resizedCtx.imageSmoothingQuality = 'high';
+			resizedCtx.drawImage(canvas, 0, 0, frame.width, frame.height);
+			canvas = resized;
+		}
 
-		const patternSpacingX = document.getElementById('patternSpacingX');
-		if (patternSpacingX) patternSpacingX.value = this.watermarkSettings.patternSpacingX;
+		// canvas.toBlob() drops all metadata; copy the original back per policy and add copyright fields
+		const { metadataPolicy, writeMetadata } = outputSettings;
+		const metadata = { policy: metadataPolicy, copyright: writeMetadata, error: null };
+		let writesMetadata = metadataPolicy !== 'strip' || writeMetadata;
+		let source = null;
+		if (metadataPolicy !== 'strip') {
+			try {
+				source = await ExifReader.readSourceMetadata(file);
+			} catch (error) {
+				console.warn(`Failed to read metadata from ${file.name}:`, error);
+				metadata.error = error.message;
+				writesMetadata = false;
+			}
+		}
 
-		const patternSpacingXNumber = document.getElementById('patternSpacingXNumber');
-		if (patternSpacingXNumber) patternSpacingXNumber.value = this.watermarkSettings.patternSpacingX;
+		// Encode a candidate with its metadata, so size budgets include the metadata bytes
+		const encode = async (target, quality) => {
+			const blob = await this.encodeCanvas(target, format.mimeType, quality);
+			if (!writesMetadata) return blob;
+			if (!MetadataWriter.SUPPORTED_TYPES.includes(blob.type)) {
+				metadata.error = `Metadata cannot be written to ${blob.type} files`;
+				return blob;
+			}
+			try {
+				const payload = MetadataWriter.compose(source, {
+					policy: metadataPolicy,
+					copyright: writeMetadata ? outputSettings : null,
+					width: target.width,
+					height: target.height,
+				});
+				return await MetadataWriter.embed(blob, payload);
+			} catch (error) {
+				if (!metadata.error) console.warn(`Failed to write metadata for ${file.name}:`, error);
+				metadata.error = error.message;
+				return blob;
+			}
+		};
 
-		const patternSpacingXValue = document.getElementById('patternSpacingXValue');
-		if (patternSpacingXValue) patternSpacingXValue.textContent = this.watermarkSettings.patternSpacingX;
+		const encoded = format.maxBytes
+			? await this.encodeWithinBudget(canvas, format, encode)
+			: { blob: await encode(canvas, format.quality), quality: format.quality, canvas };
+		const encoding = {
+			quality: encoded.quality,
+			bytes: encoded.blob.size,
+			width: encoded.canvas.width,
+			height: encoded.canvas.height,
+			withinBudget: !format.maxBytes || encoded.blob.size <= format.maxBytes,
+		};
 
-		const patternSpacingY = document.getElementById('patternSpacingY');
-		if (patternSpacingY) patternSpacingY.value = this.watermarkSettings.patternSpacingY;
+		return { blob: encoded.blob, metadata, encoding };
+	}
 
-		const patternSpacingYNumber = document.getElementById('patternSpacingYNumber');
-		if (patternSpacingYNumber) patternSpacingYNumber.value = this.watermarkSettings.patternSpacingY;
+	/**
+	 * TARGET FILE SIZE: Encode at the highest quality whose output fits in format.maxBytes.
+	 *
+	 * The configured quality is tried first, then a binary search over whole percent steps
+	 * down to 10%. When even that is too large and format.allowDownscale is set, the image is
+	 * scaled down (estimating from the pixel count) and searched again. Lossless formats can
+	 * only be downscaled.
+	 *
+	 * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Watermarked image
+	 * @param {Object} format - Encoder settings (see renderImage)
+	 * @param {Function} encode - (canvas, quality) => Promise<Blob>
+	 * @returns {Promise<Object>} { blob, quality, canvas }; the smallest candidate if nothing fits
+	 */
+	async encodeWithinBudget(canvas, format, encode) {
+		const MIN_QUALITY = 10; // Percent
+		const MAX_DOWNSCALE_STEPS = 6;
+		const lossy = format.quality !== undefined;
+		const maxQuality = lossy ? Math.round(format.quality * 100) : null;
+		let target = canvas;
+		let smallest = null;
+
+		const attempt = async (percent) => {
+			const quality = lossy ? percent / 100 : undefined;
+			const candidate = { blob: await encode(target, quality), quality, canvas: target };
+			if (!smallest || candidate.blob.size < smallest.blob.size) smallest = candidate;
+			return candidate;
+		};
 
-		const patternSpacingYValue = document.getElementById('patternSpacingYValue');
-		if (patternSpacingYValue) patternSpacingYValue.textContent = this.watermarkSettings.patternSpacingY;
+		for (let step = 0; step <= MAX_DOWNSCALE_STEPS; step++) {
+			// Most images fit at the configured quality
+			const first = await attempt(maxQuality);
+			if (first.blob.size <= format.maxBytes) return first;
+
+			if (lossy) {
+				let best = null;
+				let low = MIN_QUALITY;
+				let high = maxQuality - 1;
+				while (low <= high) {
+					const mid = Math.floor((low + high) / 2);
+					const candidate = await attempt(mid);
+					if (candidate.blob.size <= format.maxBytes) {
+						best = candidate;
+						low = mid + 1;
+					} else {
+						high = mid - 1;
+					}
+				}
+				if (best) return best;
+			}
 
-		// Pattern angle - range, number input, and display value
-		const patternAngle = document.getElementById('patternAngle');
-		if (patternAngle) patternAngle.value = this.watermarkSettings.patternAngle;
+			if (!format.allowDownscale) break;
 
-		const patternAngleNumber = document.getElementById('patternAngleNumber');
-		if (patternAngleNumber) patternAngleNumber.value = this.watermarkSettings.patternAngle;
+			// Encoded size grows roughly with the pixel count
+			const scale = Math.min(0.9, Math.max(0.5, Math.sqrt(format.maxBytes / smallest.blob.size)));
+			const width = Math.round(target.width * scale);
+			const height = Math.round(target.height * scale);
+			if (width < 1 || height < 1) break;
 
-		const patternAngleValue = document.getElementById('patternAngleValue');
-		if (patternAngleValue) patternAngleValue.textContent = this.watermarkSettings.patternAngle;
+			const scaled = this.createCanvas(width, height);
+			const scaledCtx = scaled.getContext('2d');
+			scaledCtx.imageSmoothingQuality = 'high';
+			scaledCtx.drawImage(target, 0, 0, width, height);
+			target = scaled;
+		}
 
-		// Update pattern mode radio buttons
-		const patternModeRadios = document.querySelectorAll('input[name="patternMode"]');
-		patternModeRadios.forEach((radio) => {
-			radio.checked = radio.value === this.watermarkSettings.patternMode;
-		});
+		return smallest;
+	}
 
-		// Update text effects - checkboxes, colors, and number inputs
-		const effectShadow = document.getElementById('effectShadow');
-		if (effectShadow) effectShadow.checked = this.watermarkSettings.textEffects.shadow;
+	/**
+	 * @param {HTMLCanvasElement|OffscreenCanvas} canvas
+	 * @param {string} mimeType - Output MIME type
+	 * @param {number|undefined} quality - Encoder quality for lossy formats
+	 * @returns {Promise<Blob>}
+	 */
+	async encodeCanvas(canvas, mimeType, quality) {
+		if (typeof canvas.convertToBlob === 'function') return canvas.convertToBlob({ type: mimeType, quality });
+		const blob = await new Promise((resolve) => canvas.toBlob(resolve, mimeType, quality));
+		if (!blob) throw new Error(`Failed to encode ${mimeType}`);
+		return blob;
+	}
 
-		const effectShadowColor = document.getElementById('effectShadowColor');
-		if (effectShadowColor) effectShadowColor.value = this.watermarkSettings.textEffects.shadowColor;
+	/**
+	 * @param {CanvasImageSource} logoImg - Logo image of a layer
+	 * @returns {number} Stable id for this image object
+	 */
+	getLogoCacheId(logoImg) {
+		if (!this._logoCacheIds.has(logoImg)) this._logoCacheIds.set(logoImg, this._nextLogoCacheId++);
+		return this._logoCacheIds.get(logoImg);
+	}
 
-		const effectShadowBlur = document.getElementById('effectShadowBlur');
-		if (effectShadowBlur) effectShadowBlur.value = this.watermarkSettings.textEffects.shadowBlur;
+	/**
+	 * Pattern spacing was recomputed for the layer being drawn; the application keeps its
+	 * spacing sliders in sync here. Workers have no controls to update.
+	 */
+	syncPatternSpacingControls(uiSpacingX, uiSpacingY) {}
 
-		const effectShadowOffsetX = document.getElementById('effectShadowOffsetX');
-		if (effectShadowOffsetX) effectShadowOffsetX.value = this.watermarkSettings.textEffects.shadowOffsetX;
+	// Convert UI spacing values (0-20) to actual pixel values for rendering
+	// This function now handles the complete spacing calculation including canvas scaling
+	/**
+	 * Convert UI spacing values (0-20) to actual pixel values for watermark positioning.
+	 * This is the core spacing calculation that determines center-to-center distances between watermarks.
+	 *
+	 * @param {number} uiValue - User input value from 0-20 slider
+	 * @param {number} baseSize - The watermark's base dimension (width for X, height for Y)
+	 * @param {number} canvasScale - Canvas scaling factor (canvasSize/800) for responsive sizing
+	 * @param {boolean} isVertical - Whether this is vertical (Y) spacing calculation
+	 * @returns {number} Center-to-center distance in pixels
+	 */
+	convertSpacingToPixels(uiValue, baseSize, canvasScale = 1, isVertical = false) {
+		// Scale the watermark size to match the current canvas dimensions
+		const actualWatermarkSize = baseSize * canvasScale;
 
-		const effectShadowOffsetY = document.getElementById('effectShadowOffsetY');
-		if (effectShadowOffsetY) effectShadowOffsetY.value = this.watermarkSettings.textEffects.shadowOffsetY;
+		if (uiValue <= 0) {
+			// Value 0 = "touching" behavior: watermarks placed edge-to-edge with no gap
+			// Add a small buffer (2-5% of size) to prevent actual overlap due to rendering variations
+			const touchingBuffer = Math.max(2, actualWatermarkSize * 0.02);
+			const result = actualWatermarkSize + touchingBuffer;
 
-		const effectOutline = document.getElementById('effectOutline');
-		if (effectOutline) effectOutline.checked = this.watermarkSettings.textEffects.outline;
+			return result;
+		}
+		/*
+		 * For values 1-20, create smooth progressive spacing.
+		 * Start with a small gap for value 1 and scale up smoothly.
+		 */
 
-		const effectOutlineColor = document.getElementById('effectOutlineColor');
-		if (effectOutlineColor) effectOutlineColor.value = this.watermarkSettings.textEffects.outlineColor;
+		// Small minimum gap for value 1 - just enough to see separation
+		// Use a much smaller gap to reduce the jump between 0 and 1
+		const minGap = Math.max(5 * canvasScale, actualWatermarkSize * 0.08);
 
-		const effectOutlineThickness = document.getElementById('effectOutlineThickness');
-		if (effectOutlineThickness) effectOutlineThickness.value = this.watermarkSettings.textEffects.outlineThickness;
+		// Maximum gap for value 20 - scales with watermark size for proportional spacing
+		const maxGap = Math.max(actualWatermarkSize * 2.5, 400 * canvasScale);
 
-		const effectOutlineOpacity = document.getElementById('effectOutlineOpacity');
-		if (effectOutlineOpacity) effectOutlineOpacity.value = this.watermarkSettings.textEffects.outlineOpacity;
+		// Smooth interpolation between min and max gaps
+		const gapRange = maxGap - minGap;
+		const gapSize = minGap + ((uiValue - 1) / 19) * gapRange;
 
-		const effectGlow = document.getElementById('effectGlow');
-		if (effectGlow) effectGlow.checked = this.watermarkSettings.textEffects.glow;
+		// Final result: watermark size + calculated gap = center-to-center distance
+		const result = Math.round(actualWatermarkSize + gapSize);
 
-		const effectGlowColor = document.getElementById('effectGlowColor');
-		if (effectGlowColor) effectGlowColor.value = this.watermarkSettings.textEffects.glowColor;
+		return result;
+	}
 
-		const effectGlowSpread = document.getElementById('effectGlowSpread');
-		if (effectGlowSpread) effectGlowSpread.value = this.watermarkSettings.textEffects.glowSpread;
+	applyWatermarkWithScaling(ctx, originalWidth, originalHeight, scalingRatio) {
+		// Create a temporary context for calculations based on original image size
+		const tempCanvas = this.createCanvas(originalWidth, originalHeight);
+		const tempCtx = tempCanvas.getContext('2d');
 
-		const effectGlowIntensity = document.getElementById('effectGlowIntensity');
-		if (effectGlowIntensity) effectGlowIntensity.value = this.watermarkSettings.textEffects.glowIntensity;
+		this.forEachVisibleLayer(() => {
+			// Build watermark cache based on original image dimensions
+			this.buildWatermarkCache(tempCtx, originalWidth, originalHeight);
 
-		/* Only clear watermark logo input if there's no watermark logo in settings */
-		/* This preserves the uploaded logo when doing a mode-dependent reset */
-		const watermarkLogoInput = document.getElementById('watermarkLogo');
-		if (watermarkLogoInput && !this.watermarkSettings.watermarkLogo) {
-			watermarkLogoInput.value = '';
+			ctx.save();
+			// Scale the context to match the preview scaling
+			ctx.scale(scalingRatio, scalingRatio);
+			// Now apply watermark positioning logic based on original dimensions
+			this.applyLayer(ctx, originalWidth, originalHeight);
+			ctx.restore();
+		});
+	}
+
+	/**
+	 * Run a render step once per visible layer, bottom to top.
+	 * watermarkSettings points at each layer during its callback, so the single-watermark
+	 * drawing code renders that layer; the active layer is restored afterwards.
+	 * @param {Function} callback - Called with (layer, index)
+	 */
+	forEachVisibleLayer(callback) {
+		const activeSettings = this.watermarkSettings;
+		try {
+			this.layers.forEach((layer, index) => {
+				if (layer.visible === false) return;
+				this.watermarkSettings = layer;
+				callback(layer, index);
+			});
+		} finally {
+			this.watermarkSettings = activeSettings;
 		}
+	}
 
-		// Logo-specific controls that mirror the text controls
-		// Logo opacity controls
-		const logoOpacity = document.getElementById('logoOpacity');
-		if (logoOpacity) logoOpacity.value = this.watermarkSettings.opacity;
+	/**
+	 * PER-IMAGE OVERRIDES
+	 * A file may override some settings of each layer (see BulkWatermarkApp.openOverrides):
+	 *   { skip, layers: { [layerId]: { position, offsetX, offsetY, offsetUnit, scale, opacity, textColor } } }
+	 * Layers are keyed by their id (see BulkWatermarkApp.createLayerId), so the overrides follow a
+	 * layer that is moved, and missing keys keep the batch value.
+	 * Offsets keep the unit they were set in, so changing the layer's unit does not move them;
+	 * `scale` is a percentage of the layer's size and `skip` leaves the image without a watermark.
+	 *
+	 * @param {Object} layer - Layer settings
+	 * @param {Object} overrides - Overrides of this layer on one image
+	 * @param {{width: number, height: number}} frame - Frame the watermark is drawn on
+	 * @returns {Object} Copy of the layer to draw on that image
+	 */
+	getOverriddenLayer(layer, overrides, frame) {
+		const merged = { ...layer };
+		if ('position' in overrides) {
+			merged.position = overrides.position;
+			merged.freePosition = null; // An anchor replaces a dragged position
+		}
+		if ('offsetX' in overrides) {
+			const unit = overrides.offsetUnit || layer.offsetUnit;
+			const perLayerUnit = this.lengthToPixels(1, layer.offsetUnit, frame.width, frame.height);
+			['offsetX', 'offsetY'].forEach((key) => {
+				merged[key] = this.lengthToPixels(overrides[key], unit, frame.width, frame.height) / perLayerUnit;
+			});
+		}
+		['opacity', 'textColor'].forEach((key) => {
+			if (key in overrides) merged[key] = overrides[key];
+		});
+		if ('scale' in overrides) {
+			merged.fontSize = (layer.fontSize * overrides.scale) / 100;
+			merged.logoScale = (layer.logoScale * overrides.scale) / 100;
+		}
+		return merged;
+	}
 
-		const logoOpacityNumber = document.getElementById('logoOpacityNumber');
-		if (logoOpacityNumber) logoOpacityNumber.value = this.watermarkSettings.opacity;
+	/**
+	 * Run a drawing step with one image's overrides merged over the layers.
+	 * @param {Object|null} overrides - Overrides of the image (see getOverriddenLayer)
+	 * @param {{width: number, height: number}} frame - Frame the watermark is drawn on
+	 * @param {Function} draw - Draws the watermark; not called for skipped images
+	 */
+	withImageOverrides(overrides, frame, draw) {
+		if (!overrides) {
+			draw();
+			return;
+		}
+		if (overrides.skip) return;
 
-		const logoOpacityValue = document.getElementById('logoOpacityValue');
-		if (logoOpacityValue) logoOpacityValue.textContent = this.watermarkSettings.opacity;
+		const layers = this.layers;
+		const own = overrides.layers || {};
+		this.layers = layers.map((layer) =>
+			own[layer.id] ? this.getOverriddenLayer(layer, own[layer.id], frame) : layer,
+		);
+		try {
+			draw();
+		} finally {
+			this.layers = layers;
+		}
+	}
 
-		// Logo rotation controls
-		const logoRotation = document.getElementById('logoRotation');
-		if (logoRotation) logoRotation.value = this.watermarkSettings.watermarkRotation;
+	/**
+	 * RESOLUTION-INDEPENDENT WATERMARK SIZING
+	 * Calculate watermark size that appears the same physical proportion across all image resolutions.
+	 * Uses a simple percentage-based approach for true resolution independence.
+	 */
+	getResolutionIndependentSize(canvasWidth, canvasHeight, baseSize, sizeType = 'text') {
+		// Use the smaller dimension to ensure watermarks fit in both portrait and landscape
+		const referenceSize = Math.min(canvasWidth, canvasHeight);
 
-		const logoRotationNumber = document.getElementById('logoRotationNumber');
-		if (logoRotationNumber) logoRotationNumber.value = this.watermarkSettings.watermarkRotation;
+		// Define what percentage of the image dimension the base size should represent
+		// For text: base size 40 should be about 3.3% of a 1200px image
+		// For logos: base size 240 should be about 20% of a 1200px image
+		let sizePercentage;
+		if (sizeType === 'text') {
+			sizePercentage = baseSize / 1200; // Direct percentage relationship
+		} else {
+			sizePercentage = baseSize / 1200; // Same calculation for logos
+		}
 
-		const logoRotationValue = document.getElementById('logoRotationValue');
-		if (logoRotationValue) logoRotationValue.textContent = this.watermarkSettings.watermarkRotation;
+		// Apply the percentage to the current image's reference dimension
+		const scaledSize = referenceSize * sizePercentage;
 
-		// Logo pattern spacing controls
-		const logoPatternSpacingX = document.getElementById('logoPatternSpacingX');
-		if (logoPatternSpacingX) logoPatternSpacingX.value = this.watermarkSettings.patternSpacingX;
+		// Apply reasonable bounds to prevent extreme sizes
+		const minSize = sizeType === 'text' ? 8 : 10;
+		const maxSize = sizeType === 'text' ? referenceSize * 0.15 : referenceSize * 0.5;
 
-		const logoPatternSpacingXNumber = document.getElementById('logoPatternSpacingXNumber');
-		if (logoPatternSpacingXNumber) logoPatternSpacingXNumber.value = this.watermarkSettings.patternSpacingX;
+		return Math.max(minSize, Math.min(maxSize, scaledSize));
+	}
 
-		const logoPatternSpacingXValue = document.getElementById('logoPatternSpacingXValue');
-		if (logoPatternSpacingXValue) logoPatternSpacingXValue.textContent = this.watermarkSettings.patternSpacingX;
+	/**
+	 * Draw every visible layer onto a full-resolution canvas.
+	 */
+	applyWatermark(ctx, canvasWidth, canvasHeight) {
+		this.forEachVisibleLayer(() => {
+			/* Rebuild or reuse the cache for this layer and image size before drawing */
+			this.buildWatermarkCache(ctx, canvasWidth, canvasHeight);
+			this.applyLayer(ctx, canvasWidth, canvasHeight);
+		});
+	}
 
-		const logoPatternSpacingY = document.getElementById('logoPatternSpacingY');
-		if (logoPatternSpacingY) logoPatternSpacingY.value = this.watermarkSettings.patternSpacingY;
+	/**
+	 * Draw the layer currently in watermarkSettings with its own opacity and pattern mode.
+	 */
+	applyLayer(ctx, canvasWidth, canvasHeight) {
+		const mode = this.watermarkSettings.patternMode;
 
-		const logoPatternSpacingYNumber = document.getElementById('logoPatternSpacingYNumber');
-		if (logoPatternSpacingYNumber) logoPatternSpacingYNumber.value = this.watermarkSettings.patternSpacingY;
+		ctx.save();
+		ctx.globalAlpha = this.watermarkSettings.opacity / 100;
 
-		const logoPatternSpacingYValue = document.getElementById('logoPatternSpacingYValue');
-		if (logoPatternSpacingYValue) logoPatternSpacingYValue.textContent = this.watermarkSettings.patternSpacingY;
+		if (mode === 'single') {
+			this.applySingleWatermark(ctx, canvasWidth, canvasHeight);
+		} else {
+			// Treat diagonal and grid as a single tiled pattern implementation
+			this.applyTiledPattern(ctx, canvasWidth, canvasHeight);
+		}
 
-		// Logo pattern angle controls
-		const logoPatternAngle = document.getElementById('logoPatternAngle');
-		if (logoPatternAngle) logoPatternAngle.value = this.watermarkSettings.patternAngle;
+		ctx.restore();
+	}
 
-		const logoPatternAngleNumber = document.getElementById('logoPatternAngleNumber');
-		if (logoPatternAngleNumber) logoPatternAngleNumber.value = this.watermarkSettings.patternAngle;
+	// FIXED: Single watermark positioning
+	applySingleWatermark(ctx, canvasWidth, canvasHeight) {
+		const position = this.positionMap[this.watermarkSettings.position];
 
-		const logoPatternAngleValue = document.getElementById('logoPatternAngleValue');
-		if (logoPatternAngleValue) logoPatternAngleValue.textContent = this.watermarkSettings.patternAngle;
+		// If corner placement requested in single mode, place watermark center so it is flush to the edge.
+		const singleMode = this.watermarkSettings.patternMode === 'single';
+		const isCorner = position.x <= 0.2 || position.x >= 0.8 || position.y <= 0.2 || position.y >= 0.8;
 
-		// Logo offset controls
-		const logoOffsetX = document.getElementById('logoOffsetX');
-		if (logoOffsetX) logoOffsetX.value = this.watermarkSettings.offsetX;
+		if (singleMode && (this.watermarkSettings.freePosition || isCorner)) {
+			const placement = this.getSinglePlacement(ctx, canvasWidth, canvasHeight);
+			this.drawRotatedWatermark(ctx, placement.x, placement.y, placement.angle);
+			return;
+		}
 
-		const logoOffsetXValue = document.getElementById('logoOffsetXValue');
-		if (logoOffsetXValue) logoOffsetXValue.textContent = this.watermarkSettings.offsetX;
+		/* Non-corner single placements use the regular drawing paths */
+		if (this.watermarkSettings.type === 'text') {
+			this.drawTextWatermark(ctx, canvasWidth, canvasHeight, position);
+		} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
+			this.drawLogoWatermark(ctx, canvasWidth, canvasHeight, position);
+		}
+	}
 
-		const logoOffsetY = document.getElementById('logoOffsetY');
-		if (logoOffsetY) logoOffsetY.value = this.watermarkSettings.offsetY;
+	/**
+	 * Where a single watermark is drawn on a canvas (before rotation).
+	 *
+	 * A dragged watermark (freePosition) is centred on its normalised point, so it lands on the
+	 * same spot of every image in the batch; corner and edge anchors sit inside the safe margin.
+	 * Offsets are added in both cases.
+	 *
+	 * @param {CanvasRenderingContext2D} ctx - Context used to measure text
+	 * @param {number} canvasWidth - Frame width in pixels
+	 * @param {number} canvasHeight - Frame height in pixels
+	 * @returns {{x: number, y: number, width: number, height: number, angle: number}} Centre, size
+	 *   and rotation in degrees
+	 */
+	getSinglePlacement(ctx, canvasWidth, canvasHeight) {
+		const { width: w, height: h } = this.measureSingleWatermark(ctx, canvasWidth, canvasHeight);
+		const angle = this.watermarkSettings.watermarkRotation || 0;
+		const free = this.watermarkSettings.freePosition;
+		const position = this.positionMap[this.watermarkSettings.position];
 
-		const logoOffsetYValue = document.getElementById('logoOffsetYValue');
-		if (logoOffsetYValue) logoOffsetYValue.textContent = this.watermarkSettings.offsetY;
-	}
+		// Calculate proper corner positions with padding to keep watermark inside canvas
+		const padding = this.getSafeMargin(canvasWidth, canvasHeight);
+		let x, y;
 
-	getLoadedFiles() {
-		return this.uploadedFiles.filter((file) => file.loaded && !file.error);
-	}
+		if (free) {
+			x = free.x * canvasWidth;
+			y = free.y * canvasHeight;
+		} else {
+			// X positioning
+			if (position.x <= 0.2) {
+				x = w / 2 + padding; // Left edge with padding
+			} else if (position.x >= 0.8) {
+				x = canvasWidth - w / 2 - padding; // Right edge with padding
+			} else {
+				x = canvasWidth / 2; // Center
+			}
 
-	renderImageGrid() {
-		const imageGrid = document.getElementById('imageGrid');
-		if (!imageGrid) return;
+			// Y positioning
+			if (position.y <= 0.2) {
+				y = h / 2 + padding; // Top edge with padding
+			} else if (position.y >= 0.8) {
+				y = canvasHeight - h / 2 - padding; // Bottom edge with padding
+			} else {
+				y = canvasHeight / 2; // Center
+			}
+		}
 
-		imageGrid.innerHTML = '';
+		// Apply fine offsets in the layer's unit
+		const offset = this.getOffsetPixels(canvasWidth, canvasHeight);
+		x += offset.x;
+		y += offset.y;
 
-		this.uploadedFiles.forEach((fileData) => {
-			const imageItem = document.createElement('div');
-			imageItem.className = 'image-item';
+		// Ensure anchored watermarks stay within canvas bounds after offsets; a dragged one goes
+		// exactly where it was put
+		if (!free) {
+			x = Math.max(w / 2 + padding, Math.min(canvasWidth - w / 2 - padding, x));
+			y = Math.max(h / 2 + padding, Math.min(canvasHeight - h / 2 - padding, y));
+		}
 
-			// Add selected class if this is the current preview file
-			if (this.currentPreviewFileId === fileData.id) {
-				imageItem.classList.add('selected');
+		return { x, y, width: w, height: h, angle };
+	}
+
+	/**
+	 * Size of a single (unrotated) watermark on a canvas of the given size.
+	 * @param {CanvasRenderingContext2D} ctx - Context used to measure text (its font is changed)
+	 * @param {number} canvasWidth - Frame width in pixels
+	 * @param {number} canvasHeight - Frame height in pixels
+	 * @returns {{width: number, height: number}} Size in pixels (0 when there is nothing to draw)
+	 */
+	measureSingleWatermark(ctx, canvasWidth, canvasHeight) {
+		// Calculate actual watermark dimensions for this specific canvas
+		let w = 0;
+		let h = 0;
+
+		if (this.watermarkSettings.type === 'text') {
+			// FIXED: Use resolution-independent scaling for single text watermark positioning
+			const fontSize = this.getResolutionIndependentSize(
+				canvasWidth,
+				canvasHeight,
+				this.watermarkSettings.fontSize,
+				'text',
+			);
+			ctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
+			const text = this.getWatermarkText();
+			const metrics = ctx.measureText(text || 'Watermark');
+			w = metrics.width || fontSize * (text ? text.length * 0.6 : 4);
+			h = fontSize;
+		} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
+			const img = this.watermarkSettings.watermarkLogo;
+			const scale = this.getLogoScaleFraction();
+			// FIXED: Use resolution-independent scaling for single logo watermark positioning
+			const baseLogoSize = 240; // Base logo size at reference resolution
+			const maxSize = this.getResolutionIndependentSize(canvasWidth, canvasHeight, baseLogoSize * scale, 'logo');
+			let ratio = Math.min(maxSize / img.width, maxSize / img.height);
+			ratio = Math.max(ratio, 0.001); // Ensure minimum visibility
+			w = img.width * ratio;
+			h = img.height * ratio;
+
+			// Enforce minimum visible size
+			const MIN_VISIBLE_PX = 6;
+			if (w < MIN_VISIBLE_PX || h < MIN_VISIBLE_PX) {
+				const scaleUp = MIN_VISIBLE_PX / Math.max(1, Math.max(w, h));
+				w = Math.max(MIN_VISIBLE_PX, Math.round(w * scaleUp));
+				h = Math.max(MIN_VISIBLE_PX, Math.round(h * scaleUp));
 			}
+		}
 
-			if (fileData.preview) {
-				imageItem.innerHTML = `
-                    <div class="image-container">
-                        <img src="${fileData.preview}" alt="${fileData.name}">
-                        <div class="image-overlay">
-                            <span class="overlay-text">Set as Preview</span>
-                        </div>
-                    </div>
-                    <div class="image-info">${fileData.name}</div>
-                    <button class="remove-btn" data-id="${fileData.id}">×</button>
-                `;
-
-				// Add click handler to select this image for preview
-				const imageContainer = imageItem.querySelector('.image-container');
-				if (imageContainer) {
-					imageContainer.addEventListener('click', (e) => {
-						e.stopPropagation();
-						this.selectImageForPreview(fileData.id);
-					});
-					imageContainer.style.cursor = 'pointer';
-				}
-			} else if (fileData.error) {
-				imageItem.innerHTML = `
-                    <div style="height: 120px; display: flex; align-items: center; justify-content: center; background: var(--color-bg-4); color: var(--color-error); text-align: center; font-size: var(--font-size-xs);">
-                        Error loading
-                    </div>
-                    <div class="image-info">${fileData.name}</div>
-                    <button class="remove-btn" data-id="${fileData.id}">×</button>
-                `;
-			} else {
-				imageItem.innerHTML = `
-                    <div style="height: 120px; display: flex; align-items: center; justify-content: center; background: var(--color-bg-2);">
-                        <div class="spinner"></div>
-                    </div>
-                    <div class="image-info">${fileData.name}</div>
-                `;
-			}
-
-			const removeBtn = imageItem.querySelector('.remove-btn');
-			if (removeBtn) {
-				removeBtn.addEventListener('click', (e) => {
-					e.stopPropagation();
-					this.removeFile(fileData.id);
-				});
-			}
-
-			imageGrid.appendChild(imageItem);
-		});
-	}
+		return { width: w, height: h };
+	}
 
 	/**
-	 * Select a specific image for preview by its file ID
-	 * @param {string} fileId - The ID of the file to preview
+	 * Convert a margin or offset length to pixels of the frame being drawn.
+	 * @param {number} value - Length in `unit`
+	 * @param {string} unit - 'width' (% of the frame width), 'short' (% of its shorter side)
+	 *   or 'px' (pixels of the output frame, see outputPixelScale)
+	 * @param {number} canvasWidth - Frame width in pixels
+	 * @param {number} canvasHeight - Frame height in pixels
+	 * @returns {number} Length in pixels
 	 */
-	selectImageForPreview(fileId) {
-		// Find the file data
-		const fileData = this.uploadedFiles.find((file) => file.id === fileId);
-		if (!fileData || !fileData.preview || fileData.error) {
-			return;
-		}
-
-		// Update current preview file ID
-		this.currentPreviewFileId = fileId;
-
-		// Re-render the grid to update selection visual
-		this.renderImageGrid();
-
-		// Update the preview with this specific image
-		this.updatePreviewWithFile(fileData);
+	lengthToPixels(value, unit, canvasWidth, canvasHeight) {
+		if (unit === 'px') return value * this.outputPixelScale;
+		if (unit === 'width') return (value / 100) * canvasWidth;
+		return (value / 100) * Math.min(canvasWidth, canvasHeight);
 	}
 
 	/**
-	 * Update preview with a specific file
-	 * @param {Object} fileData - The file data object to preview
+	 * @returns {number} Distance in pixels kept between an anchored single watermark and the frame edges
 	 */
-	updatePreviewWithFile(fileData) {
-		if (!fileData.preview) return;
-
-		const img = new Image();
-		img.onload = () => this.renderPreview(img);
-		img.src = fileData.preview;
+	getSafeMargin(canvasWidth, canvasHeight) {
+		const settings = this.watermarkSettings;
+		const margin = this.lengthToPixels(settings.safeMargin || 0, settings.offsetUnit, canvasWidth, canvasHeight);
+		return Math.max(0, margin);
 	}
 
 	/**
-	 * Remove a specific file from the uploaded files list.
-	 *
-	 * UI UPDATES:
-	 * - Removes file from uploadedFiles array
-	 * - Re-renders image grid to reflect changes
-	 * - Updates all UI elements (counts, button states, etc.)
-	 * - Updates preview if no files remain
-	 *
-	 * @param {string|number} id - Unique identifier of file to remove
+	 * @returns {{x: number, y: number}} Offsets of the single watermark in pixels
 	 */
-	removeFile(id) {
-		// Check if we're removing the currently previewed file
-		const removingCurrentPreview = this.currentPreviewFileId === id;
+	getOffsetPixels(canvasWidth, canvasHeight) {
+		const settings = this.watermarkSettings;
+		return {
+			x: this.lengthToPixels(settings.offsetX, settings.offsetUnit, canvasWidth, canvasHeight),
+			y: this.lengthToPixels(settings.offsetY, settings.offsetUnit, canvasWidth, canvasHeight),
+		};
+	}
 
-		this.uploadedFiles = this.uploadedFiles.filter((file) => file.id !== id);
+	// New: combined tiled pattern (covers diagonal and grid)
+	applyTiledPattern(ctx, canvasWidth, canvasHeight) {
+		/*
+			Compute rotation and build watermark cache first. Building the cache before computing
+			spacing allows spacing math to account for the actual drawn watermark footprint
+			(including padding/shadows) so we avoid accidental overlap when the slider is at min.
+		*/
+		const rotation = this.watermarkSettings.watermarkRotation;
+		this.buildWatermarkCache(ctx, canvasWidth, canvasHeight);
+		// Now compute spacing (computePatternSpacing will consult the cache footprint when present)
+		const spacing = this.computePatternSpacing(ctx, canvasWidth, canvasHeight); // returns { x, y }
 
-		// If we removed the currently previewed file, reset the preview selection
-		if (removingCurrentPreview) {
-			this.currentPreviewFileId = null;
-		}
+		// Use angle to decide whether to render a diagonal-leaning tiled layout or an orthogonal grid.
+		const angle = Number(this.watermarkSettings.patternAngle || 0);
+		const useDiagonal = Math.abs(angle) > 1; // small angles treated as grid
 
-		this.renderImageGrid();
-		this.updateUI();
+		/* Use per-axis spacing derived from computePatternSpacing result.
+		   The spacing calculation already ensures safe values and handles "touching" behavior. */
+		let safeSpacingX = spacing.x || spacing;
+		let safeSpacingY = spacing.y || spacing;
 
-		// Update preview - if no files remain, clear it
-		if (this.uploadedFiles.length === 0) {
-			this.clearPreview();
-		} else {
-			this.updatePreview();
-		}
-	}
+		// For diagonal layouts we tile using independent horizontal (dx) and vertical (dy)
+		// spacings projected onto the rotated axes. The computePatternSpacing function
+		// already handled the conversion from UI scale to pixels, including edge-to-edge logic.
+		let dx = safeSpacingX;
+		let dy = safeSpacingY;
+		const safeSpacingAvg = Math.max(1, Math.sqrt(dx * dx + dy * dy) / Math.SQRT2);
+		const maxTilesPerAxis = 120; // hard cap to avoid freezing the UI when spacing is very small
 
-	/**
-	 * Clear all uploaded and processed images, reset UI to initial state.
-	 *
-	 * COMPLETE RESET:
-	 * - Clears uploaded files array
-	 * - Clears processed images array
-	 * - Resets image grid display
-	 * - Updates all UI elements (file counts, button states, status messages)
-	 * - Clears preview canvas
-	 * - Hides download section since no processed images remain
-	 */
-	clearAllFiles() {
-		this.uploadedFiles = [];
-		this.processedImages = [];
-		this.renderImageGrid();
-		this.updateUI();
-		this.clearPreview();
+		if (useDiagonal) {
+			// diagonal-leaning tiled layout: iterate along rotated axes centered on canvas
+			/*
+				We project independent dx (horizontal gap) and dy (vertical gap) onto the rotated axes
+				so the two sliders remain independent even with rotation. This avoids coupling X/Y
+				spacing which previously happened when we used a single averaged spacing.
+			*/
+			const tiledExtent = Math.sqrt(canvasWidth * canvasWidth + canvasHeight * canvasHeight);
+			// Estimate counts separately along each tiled axis to bound loops
+			let countX = Math.ceil(tiledExtent / dx) + 2;
+			let countY = Math.ceil(tiledExtent / dy) + 2;
+			let wasClamped = false;
+			if (countX > maxTilesPerAxis) {
+				countX = maxTilesPerAxis;
+				wasClamped = true;
+			}
+			if (countY > maxTilesPerAxis) {
+				countY = maxTilesPerAxis;
+				wasClamped = true;
+			}
 
-		// Hide download section since no processed images exist
-		const downloadSection = document.getElementById('downloadSection');
-		if (downloadSection) downloadSection.classList.add('hidden');
+			const rad = (angle * Math.PI) / 180;
+			const cosA = Math.cos(rad);
+			const sinA = Math.sin(rad);
 
-		// Hide processing progress section
-		const progressSection = document.getElementById('processingProgress');
-		if (progressSection) progressSection.classList.add('hidden');
+			let tilesDrawn = 0;
+			for (let i = -countX; i <= countX; i++) {
+				for (let j = -countY; j <= countY; j++) {
+					// Project independent dx/dy spacings onto rotated axes
+					const x = i * dx * cosA - j * dy * sinA + canvasWidth / 2;
+					const y = i * dx * sinA + j * dy * cosA + canvasHeight / 2;
 
-		// Reset file upload handler status
-		if (this.fileUploadHandler) {
-			this.fileUploadHandler.clearStatus();
-		}
-	}
+					// Draw if within an extended viewport to reduce wasted draws
+					const pad = Math.max(dx, dy);
+					if (x > -pad && x < canvasWidth + pad && y > -pad && y < canvasHeight + pad) {
+						this.drawRotatedWatermark(ctx, x, y, angle + rotation);
+						tilesDrawn++;
+					}
+				}
+			}
+		} else {
+			// grid: regular orthogonal grid starting at half-spacing offset
+			const startX = (safeSpacingX / 2) % safeSpacingX;
+			const startY = (safeSpacingY / 2) % safeSpacingY;
 
-	clearPreview() {
-		const canvas = document.getElementById('previewCanvas');
-		if (canvas) {
-			const ctx = canvas.getContext('2d');
-			ctx.clearRect(0, 0, canvas.width, canvas.height);
+			// Determine iteration bounds in tile indices to avoid iterating many empty cells
+			const countX = Math.min(Math.ceil((canvasWidth + safeSpacingX) / safeSpacingX) + 2, maxTilesPerAxis);
+			const countY = Math.min(Math.ceil((canvasHeight + safeSpacingY) / safeSpacingY) + 2, maxTilesPerAxis);
+
+			let tilesDrawn = 0;
+			for (let ix = 0; ix < countX; ix++) {
+				const x = startX + ix * safeSpacingX;
+				for (let iy = 0; iy < countY; iy++) {
+					const y = startY + iy * safeSpacingY;
+					// quick in-viewport check
+					if (
+						x > -safeSpacingX &&
+						x < canvasWidth + safeSpacingX &&
+						y > -safeSpacingY &&
+						y < canvasHeight + safeSpacingY
+					) {
+						this.drawRotatedWatermark(ctx, x, y, rotation);
+						tilesDrawn++;
+					}
+				}
+			}
 		}
 	}
 
+	// Note: diagonal/grid implementations were consolidated into applyTiledPattern.
+
 	/**
-	 * Update UI elements to reflect current application state.
+	 * Compute optimal pattern spacing to prevent watermark overlaps.
+	 * This function analyzes the current watermark type and size to calculate appropriate
+	 * spacing values for both X and Y axes independently.
 	 *
-	 * DYNAMIC UPDATES:
-	 * - Show/hide sections based on file availability
-	 * - Update file count displays
-	 * - Update process button text with actual file count
-	 * - Update download button states based on processed images
-	 * - Update upload status message appropriately
+	 * @param {CanvasRenderingContext2D} ctx - Canvas context for text measurements
+	 * @param {number} canvasWidth - Current canvas width in pixels
+	 * @param {number} canvasHeight - Current canvas height in pixels
+	 * @returns {Object} {x: spacingX, y: spacingY} - Calculated spacing values in pixels
 	 */
-	updateUI() {
-		const fileList = document.getElementById('fileList');
-		const configSection = document.getElementById('configSection');
-		const previewSection = document.getElementById('previewSection');
-		const processingSection = document.getElementById('processingSection');
-		const fileCount = document.getElementById('fileCount');
-		const processBtn = document.getElementById('processBtn');
-		const downloadZipBtn = document.getElementById('downloadZip');
-		const showGalleryBtn = document.getElementById('showGalleryBtn');
-		const uploadStatusEl = document.getElementById('uploadStatus');
+	computePatternSpacing(ctx, canvasWidth, canvasHeight) {
+		// Default watermark size estimates for fallback calculations
+		let estWidth = 100;
+		let estHeight = 40;
 
-		const hasFiles = this.uploadedFiles.length > 0;
-		const loadedFiles = this.getLoadedFiles();
-		const hasLoadedFiles = loadedFiles.length > 0;
-		const hasProcessedImages = this.processedImages && this.processedImages.length > 0;
+		/*
+		 * Calculate watermark dimensions based on type.
+		 * Text watermarks: measure font metrics scaled to canvas
+		 * Logo watermarks: scale image dimensions by user setting
+		 */
+		if (this.watermarkSettings.type === 'text') {
+			// FIXED: Use resolution-independent scaling for consistent text size across all image resolutions
+			const fontSize = this.getResolutionIndependentSize(
+				canvasWidth,
+				canvasHeight,
+				this.watermarkSettings.fontSize,
+				'text',
+			);
+			ctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
 
-		// Show/hide main sections
-		if (fileList) fileList.classList.toggle('hidden', !hasFiles);
-		if (configSection) configSection.style.display = hasFiles ? 'block' : 'none';
-		if (previewSection) previewSection.style.display = hasFiles ? 'block' : 'none';
-		if (processingSection) processingSection.style.display = hasFiles ? 'block' : 'none';
-
-		// Update file count display
-		if (fileCount) fileCount.textContent = this.uploadedFiles.length;
-
-		// Update process button text to reflect actual file count
-		if (processBtn && !processBtn.disabled) {
-			if (hasLoadedFiles) {
-				const count = loadedFiles.length;
-				processBtn.textContent = count === 1 ? 'Process 1 Image' : `Process ${count} Images`;
-			} else {
-				processBtn.textContent = 'Process All Images';
-			}
-		}
-
-		// Update download button states based on processed images
-		if (downloadZipBtn) {
-			downloadZipBtn.disabled = !hasProcessedImages;
-			if (hasProcessedImages) {
-				const count = this.processedImages.length;
-				downloadZipBtn.textContent =
-					count === 1 ? 'Download 1 Image as ZIP' : `Download ${count} Images as ZIP`;
-			} else {
-				downloadZipBtn.textContent = 'Download All as ZIP';
-			}
-		}
+			// Measure actual text dimensions, with fallback for empty/invalid text
+			const text = this.getWatermarkText();
+			const metrics = ctx.measureText(text || 'Watermark');
+			estWidth = metrics.width || fontSize * (text ? text.length * 0.6 : 4);
+			estHeight = fontSize * 1.1; // Add 10% padding for text height
+		} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
+			const img = this.watermarkSettings.watermarkLogo;
+			const scale = this.getLogoScaleFraction();
 
-		if (showGalleryBtn) {
-			// Gallery button should always be available to show empty state or processed images
-			if (hasProcessedImages) {
-				const count = this.processedImages.length;
-				const icon = showGalleryBtn.querySelector('.btn-icon');
-				const iconText = icon ? icon.outerHTML : '🖼️';
-				showGalleryBtn.innerHTML = `${iconText} View Gallery (${count} ${count === 1 ? 'image' : 'images'})`;
-			} else {
-				const icon = showGalleryBtn.querySelector('.btn-icon');
-				const iconText = icon ? icon.outerHTML : '🖼️';
-				showGalleryBtn.innerHTML = `${iconText} View Gallery & Download`;
-			}
-		}
+			// FIXED: Use resolution-independent scaling for consistent logo caching
+			const baseLogoSize = 240; // Base logo size at reference resolution
+			const maxSize = this.getResolutionIndependentSize(
+				canvasWidth,
+				canvasHeight,
+				baseLogoSize * scale,
+				'logo'
+			);
+			let imgRatio = Math.min(maxSize / Math.max(1, img.width), maxSize / Math.max(1, img.height));
+			imgRatio = Math.max(imgRatio, 0.001); // Minimum scale to prevent invisibility
 
-		// Update upload status message
-		if (uploadStatusEl) {
-			if (hasFiles) {
-				const count = this.uploadedFiles.length;
-				const loadedCount = loadedFiles.length;
-				if (loadedCount < count) {
-					uploadStatusEl.textContent = `Loading ${count} images... (${loadedCount} ready)`;
-				} else {
-					uploadStatusEl.textContent = `${count} ${count === 1 ? 'image' : 'images'} ready for processing`;
-				}
-			} else {
-				uploadStatusEl.textContent = 'Ready to upload images - Click here or drag files';
-			}
-		}
-	}
+			estWidth = Math.ceil(img.width * imgRatio);
+			estHeight = Math.ceil(img.height * imgRatio);
 
-	updatePreview() {
-		const loadedFiles = this.getLoadedFiles();
-		if (loadedFiles.length === 0) {
-			this.currentPreviewFileId = null;
-			return;
+			// Ensure minimum visible size
+			const MIN_VISIBLE_PX = 10;
+			if (estWidth < MIN_VISIBLE_PX) estWidth = MIN_VISIBLE_PX;
+			if (estHeight < MIN_VISIBLE_PX) estHeight = MIN_VISIBLE_PX;
 		}
 
-		// Always default to the first file, unless a specific file is explicitly selected
-		let fileToPreview = null;
-		if (this.currentPreviewFileId) {
-			fileToPreview = loadedFiles.find((file) => file.id === this.currentPreviewFileId);
-		}
+		/*
+		 * Independent base sizing for X and Y axes.
+		 * This prevents forcing square spacing when watermarks are rectangular.
+		 * Prefers cached dimensions when available for accuracy.
+		 */
+		let baseX = estWidth;
+		let baseY = estHeight;
 
-		// If no valid current preview file, always use the first file
-		if (!fileToPreview) {
-			fileToPreview = loadedFiles[0];
-			this.currentPreviewFileId = fileToPreview.id;
+		if (this._watermarkCache && this._watermarkCache.w && this._watermarkCache.h) {
+			// Use cached canvas footprint for more precise spacing calculations
+			// Prefer visible content size (excludes padding) for accurate edge-to-edge positioning
+			baseX = this._watermarkCache.contentW || this._watermarkCache.w;
+			baseY = this._watermarkCache.contentH || this._watermarkCache.h;
 		}
 
-		if (!fileToPreview.preview) return;
-
-		const img = new Image();
-		img.onload = () => this.renderPreview(img);
-		img.src = fileToPreview.preview;
-	}
+		// Store computed base values for UI synchronization (slider range calculations)
+		this._lastPatternBase = { x: baseX, y: baseY };
+		this._lastPatternEst = { width: estWidth, height: estHeight };
 
-	renderPreview(img) {
-		const canvas = document.getElementById('previewCanvas');
-		if (!canvas) return;
+		/*
+		 * Convert UI spacing controls (0-20 scale) to pixel values.
+		 * Process X and Y axes independently for maximum control flexibility.
+		 */
+		const uiSpacingX = Number(this.watermarkSettings.patternSpacingX) || 0;
+		const uiSpacingY = Number(this.watermarkSettings.patternSpacingY) || 0;
 
-		const ctx = canvas.getContext('2d');
+		// Calculate canvas scaling factors for responsive spacing
+		const canvasScaleX = canvasWidth / 800; // X-axis scale factor
+		const canvasScaleY = canvasHeight / 800; // Y-axis scale factor
 
-		// Get the preview section and its card body to calculate available space
-		const previewSection = document.querySelector('.preview-section');
-		const configSection = document.querySelector('.config-section');
-		const container = canvas.parentElement;
+		// When using cache dimensions, they might already be canvas-scaled
+		// Adjust scaling factors to prevent double-scaling
+		let useScaleX = canvasScaleX;
+		let useScaleY = canvasScaleY;
 
-		if (!previewSection || !configSection || !container) {
-			console.warn('Layout elements not found, using fallback sizing');
-			canvas.width = 600;
-			canvas.height = 800;
-			ctx.clearRect(0, 0, 600, 800);
-			ctx.drawImage(img, 0, 0, 600, 800);
-			return;
+		if (this._watermarkCache && this._watermarkCache.w && this._watermarkCache.h) {
+			// Cache dimensions are already scaled to the canvas, so use minimal scaling
+			useScaleX = 1;
+			useScaleY = 1;
 		}
 
-		// Get the config section's dimensions to match its height
-		const configRect = configSection.getBoundingClientRect();
-		const previewRect = previewSection.getBoundingClientRect();
-		const containerRect = container.getBoundingClientRect();
+		// Convert UI values to actual pixel spacing using core conversion function
+		const configuredPixelsX = this.convertSpacingToPixels(uiSpacingX, baseX, useScaleX, false);
+		const configuredPixelsY = this.convertSpacingToPixels(uiSpacingY, baseY, useScaleY, true);
 
-		// Use the actual container dimensions instead of calculating
-		const containerWidth = containerRect.width;
-		const containerHeight = containerRect.height;
+		/*
+		 * Calculate minimal spacing bounds for UI validation.
+		 * These represent the absolute minimum center-to-center distances.
+		 */
+		const minX = Math.max(1, Math.round(baseX));
+		const minY = Math.max(1, Math.round(baseY));
 
-		// Account for container padding (get actual padding from computed style)
-		const containerStyle = getComputedStyle(container);
-		const paddingLeft = parseFloat(containerStyle.paddingLeft) || 16;
-		const paddingRight = parseFloat(containerStyle.paddingRight) || 16;
-		const paddingTop = parseFloat(containerStyle.paddingTop) || 16;
-		const paddingBottom = parseFloat(containerStyle.paddingBottom) || 16;
+		// Use calculated pixel values directly (conversion function handles all edge cases)
+		let spacingX = configuredPixelsX;
+		let spacingY = configuredPixelsY;
 
-		// Calculate the actual available space inside the container
-		const availableWidth = containerWidth - paddingLeft - paddingRight;
-		const availableHeight = containerHeight - paddingTop - paddingBottom;
+		this.syncPatternSpacingControls(uiSpacingX, uiSpacingY);
 
-		// For portrait images, be much more conservative to prevent overflow
-		const isPortrait = img.height > img.width;
-		const aspectRatio = img.height / img.width;
-		const effectiveWidth = Math.max(200, availableWidth);
+		return { x: spacingX, y: spacingY };
+	}
 
-		let effectiveHeight;
-		if (isPortrait) {
-			// For portrait images: use stricter height constraints based on aspect ratio
-			if (aspectRatio > 2.0) {
-				// Very tall portraits: max 0.8x width ratio
-				effectiveHeight = Math.min(availableHeight, effectiveWidth * 0.8);
-			} else if (aspectRatio > 1.5) {
-				// Tall portraits: max 1.0x width ratio
-				effectiveHeight = Math.min(availableHeight, effectiveWidth * 1.0);
-			} else {
-				// Moderate portraits: max 1.2x width ratio
-				effectiveHeight = Math.min(availableHeight, effectiveWidth * 1.2);
+	/**
+	 * TEXT TOKENS
+	 * Text watermarks may contain per-image tokens that are expanded at render time:
+	 *   {filename} {index} {total} {date} {width} {height}
+	 *   {exif.Name} for EXIF tags such as {exif.DateTimeOriginal}, {exif.Model}, {exif.LensModel}
+	 * e.g. "© Studio – {filename} – {index}/{total}". Unknown tokens are left as typed;
+	 * EXIF tags missing from an image expand to an empty string.
+	 *
+	 * @param {string} text - Raw watermark text
+	 * @param {Object|null} context - Token values (see getTextTokenContext); null leaves text unchanged
+	 * @returns {string} Expanded text
+	 */
+	expandTextTokens(text, context) {
+		if (!text || !context) return text;
+		return text.replace(/\{(exif\.)?(\w+)\}/g, (match, exifPrefix, token) => {
+			if (exifPrefix) {
+				const exif = context.exif || {};
+				return Object.prototype.hasOwnProperty.call(exif, token) ? exif[token] : '';
 			}
-		} else {
-			// Landscape: use full available height
-			effectiveHeight = Math.max(300, availableHeight);
-		}
-
-		// Calculate scale to fit within the effective dimensions
-		const scaleToFitWidth = effectiveWidth / img.width;
-		const scaleToFitHeight = effectiveHeight / img.height;
-		const scale = Math.min(scaleToFitWidth, scaleToFitHeight);
-
-		// Calculate final canvas dimensions
-		const width = Math.round(img.width * scale);
-		const height = Math.round(img.height * scale);
-
-		// Safety check: ensure canvas never exceeds container bounds
-		const finalWidth = Math.min(width, effectiveWidth);
-		const finalHeight = Math.min(height, effectiveHeight);
-
-		// Set canvas dimensions
-		canvas.width = finalWidth;
-		canvas.height = finalHeight;
-
-		// Set CSS dimensions to match exactly
-		canvas.style.width = finalWidth + 'px';
-		canvas.style.height = finalHeight + 'px'; // Clear and draw image
-		ctx.clearRect(0, 0, finalWidth, finalHeight);
-		ctx.drawImage(img, 0, 0, finalWidth, finalHeight);
-
-		// Store the scaling ratio for watermark positioning
-		const originalImageWidth = img.width;
-		const originalImageHeight = img.height;
-		const previewRatio = scale; // Use the calculated scale, not undefined 'ratio'
+			return Object.prototype.hasOwnProperty.call(context, token) ? String(context[token]) : match;
+		});
+	}
 
-		/* Apply watermark with proper scaling - base calculations on original image size,
-		   then scale the final positioning for the preview canvas */
-		this.applyWatermarkWithScaling(ctx, originalImageWidth, originalImageHeight, previewRatio);
+	/**
+	 * Watermark text of the layer being rendered, with tokens expanded for the current image.
+	 * @returns {string} Text to draw
+	 */
+	getWatermarkText() {
+		return this.expandTextTokens(this.watermarkSettings.text, this.textTokenContext);
 	}
 
-	applyWatermarkWithScaling(ctx, originalWidth, originalHeight, scalingRatio) {
-		// Create a temporary context for calculations based on original image size
-		const tempCanvas = document.createElement('canvas');
-		const tempCtx = tempCanvas.getContext('2d');
-		tempCanvas.width = originalWidth;
-		tempCanvas.height = originalHeight;
+	// FIXED: Text watermark with proper positioning
+	drawTextWatermark(ctx, canvasWidth, canvasHeight, position) {
+		// FIXED: Use resolution-independent scaling for text watermark drawing
+		const fontSize = this.getResolutionIndependentSize(
+			canvasWidth,
+			canvasHeight,
+			this.watermarkSettings.fontSize,
+			'text',
+		);
+		ctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
+		ctx.textBaseline = 'middle';
 
-		// Build watermark cache based on original image dimensions
-		this.buildWatermarkCache(tempCtx, originalWidth, originalHeight);
+		// base coordinates
+		let x = canvasWidth * position.x;
+		let y = canvasHeight * position.y;
 
-		// Now apply watermark positioning logic based on original dimensions
-		const mode = this.watermarkSettings.patternMode;
+		// Calculate text dimensions for proper positioning
+		const text = this.getWatermarkText();
+		const metrics = ctx.measureText(text);
+		const textWidth = metrics.width || fontSize * (text ? text.length * 0.6 : 4);
+		const textHeight = fontSize;
 
-		ctx.save();
-		// Scale the context to match the preview scaling
-		ctx.scale(scalingRatio, scalingRatio);
-		ctx.globalAlpha = this.watermarkSettings.opacity / 100;
+		// Padding: the layer's safe margin
+		const padding = this.getSafeMargin(canvasWidth, canvasHeight);
+		const singleMode = this.watermarkSettings.patternMode === 'single';
+		const isCorner = position.x <= 0.2 || position.x >= 0.8 || position.y <= 0.2 || position.y >= 0.8;
 
-		if (mode === 'single') {
-			this.applySingleWatermark(ctx, originalWidth, originalHeight);
+		// Simplified positioning for better center alignment
+		if (position.x === 0.5 && position.y === 0.5) {
+			// Perfect center positioning - no complex bounds checking
+			ctx.textAlign = 'center';
+			x = canvasWidth / 2;
+			y = canvasHeight / 2;
 		} else {
-			// Treat diagonal and grid as a single tiled pattern implementation
-			this.applyTiledPattern(ctx, originalWidth, originalHeight);
-		}
-
-		ctx.restore();
-	}
-
-	/**
-	 * RESOLUTION-INDEPENDENT WATERMARK SIZING
-	 * Calculate watermark size that appears the same physical proportion across all image resolutions.
-	 * Uses a simple percentage-based approach for true resolution independence.
-	 */
-	getResolutionIndependentSize(canvasWidth, canvasHeight, baseSize, sizeType = 'text') {
-		// Use the smaller dimension to ensure watermarks fit in both portrait and landscape
-		const referenceSize = Math.min(canvasWidth, canvasHeight);
-
-		// Define what percentage of the image dimension the base size should represent
-		// For text: base size 40 should be about 3.3% of a 1200px image
-		// For logos: base size 240 should be about 20% of a 1200px image
-		let sizePercentage;
-		if (sizeType === 'text') {
-			sizePercentage = baseSize / 1200; // Direct percentage relationship
-		} else {
-			sizePercentage = baseSize / 1200; // Same calculation for logos
-		}
-
-		// Apply the percentage to the current image's reference dimension
-		const scaledSize = referenceSize * sizePercentage;
-
-		// Apply reasonable bounds to prevent extreme sizes
-		const minSize = sizeType === 'text' ? 8 : 10;
-		const maxSize = sizeType === 'text' ? referenceSize * 0.15 : referenceSize * 0.5;
-
-		return Math.max(minSize, Math.min(maxSize, scaledSize));
-	}
-
-	applyWatermark(ctx, canvasWidth, canvasHeight) {
-		const mode = this.watermarkSettings.patternMode;
-
-		ctx.save();
-		ctx.globalAlpha = this.watermarkSettings.opacity / 100;
-
-		if (mode === 'single') {
-			this.applySingleWatermark(ctx, canvasWidth, canvasHeight);
-		} else {
-			// Treat diagonal and grid as a single tiled pattern implementation
-			this.applyTiledPattern(ctx, canvasWidth, canvasHeight);
-		}
-
-		ctx.restore();
-	}
-
-	// FIXED: Single watermark positioning
-	applySingleWatermark(ctx, canvasWidth, canvasHeight) {
-		const position = this.positionMap[this.watermarkSettings.position];
-		const angle = this.watermarkSettings.watermarkRotation || 0;
-
-		// If corner placement requested in single mode, place watermark center so it is flush to the edge.
-		const singleMode = this.watermarkSettings.patternMode === 'single';
-		const isCorner = position.x <= 0.2 || position.x >= 0.8 || position.y <= 0.2 || position.y >= 0.8;
-
-		if (singleMode && isCorner) {
-			// Calculate actual watermark dimensions for this specific canvas
-			let w = 0;
-			let h = 0;
-
-			if (this.watermarkSettings.type === 'text') {
-				// FIXED: Use resolution-independent scaling for single text watermark positioning
-				const fontSize = this.getResolutionIndependentSize(
-					canvasWidth,
-					canvasHeight,
-					this.watermarkSettings.fontSize,
-					'text',
-				);
-				ctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
-				const metrics = ctx.measureText(this.watermarkSettings.text || 'Watermark');
-				w =
-					metrics.width ||
-					fontSize * (this.watermarkSettings.text ? this.watermarkSettings.text.length * 0.6 : 4);
-				h = fontSize;
-			} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
-				const img = this.watermarkSettings.watermarkLogo;
-				const scale = this.getLogoScaleFraction();
-				// FIXED: Use resolution-independent scaling for single logo watermark positioning
-				const baseLogoSize = 240; // Base logo size at reference resolution
-				const maxSize = this.getResolutionIndependentSize(
-					canvasWidth,
-					canvasHeight,
-					baseLogoSize * scale,
-					'logo',
-				);
-				let ratio = Math.min(maxSize / img.width, maxSize / img.height);
-				ratio = Math.max(ratio, 0.001); // Ensure minimum visibility
-				w = img.width * ratio;
-				h = img.height * ratio;
-
-				// Enforce minimum visible size
-				const MIN_VISIBLE_PX = 6;
-				if (w < MIN_VISIBLE_PX || h < MIN_VISIBLE_PX) {
-					const scaleUp = MIN_VISIBLE_PX / Math.max(1, Math.max(w, h));
-					w = Math.max(MIN_VISIBLE_PX, Math.round(w * scaleUp));
-					h = Math.max(MIN_VISIBLE_PX, Math.round(h * scaleUp));
-				}
-			}
-
-			// Calculate proper corner positions with padding to keep watermark inside canvas
-			const padding = 10; // Small padding to keep watermark fully visible
-			let x, y;
-
-			// X positioning
+			// Position and clamp based on alignment for other positions
 			if (position.x <= 0.2) {
-				x = w / 2 + padding; // Left edge with padding
+				// Left alignment
+				x = Math.max(padding, x);
+				ctx.textAlign = 'start';
+				// Ensure text doesn't go beyond right edge
+				x = Math.min(x, canvasWidth - textWidth - padding);
 			} else if (position.x >= 0.8) {
-				x = canvasWidth - w / 2 - padding; // Right edge with padding
+				// Right alignment
+				x = Math.min(canvasWidth - padding, x);
+				ctx.textAlign = 'end';
+				// Ensure text doesn't go beyond left edge
+				x = Math.max(x, textWidth + padding);
 			} else {
-				x = canvasWidth / 2; // Center
+				// Center alignment
+				ctx.textAlign = 'center';
+				// Ensure centered text stays within bounds
+				x = Math.max(textWidth / 2 + padding, Math.min(canvasWidth - textWidth / 2 - padding, x));
 			}
 
-			// Y positioning
+			// Y positioning with bounds checking
 			if (position.y <= 0.2) {
-				y = h / 2 + padding; // Top edge with padding
+				// Top alignment
+				y = Math.max(textHeight / 2 + padding, y);
 			} else if (position.y >= 0.8) {
-				y = canvasHeight - h / 2 - padding; // Bottom edge with padding
+				// Bottom alignment
+				y = Math.min(canvasHeight - textHeight / 2 - padding, y);
 			} else {
-				y = canvasHeight / 2; // Center
+				// Center alignment
+				y = Math.max(textHeight / 2 + padding, Math.min(canvasHeight - textHeight / 2 - padding, y));
 			}
+		}
 
-			// Apply fine offsets using relative scaling instead of hardcoded values
-			const REFERENCE_WIDTH = 800;
-			const REFERENCE_HEIGHT = 600;
-			x += (this.watermarkSettings.offsetX * canvasWidth) / REFERENCE_WIDTH;
-			y += (this.watermarkSettings.offsetY * canvasHeight) / REFERENCE_HEIGHT;
-
-			// Ensure watermark stays within canvas bounds after offsets
-			x = Math.max(w / 2 + padding, Math.min(canvasWidth - w / 2 - padding, x));
-			y = Math.max(h / 2 + padding, Math.min(canvasHeight - h / 2 - padding, y));
+		// Apply offsets in the layer's unit
+		const offset = this.getOffsetPixels(canvasWidth, canvasHeight);
+		x += offset.x;
+		y += offset.y;
 
-			this.drawRotatedWatermark(ctx, x, y, angle);
-			return;
+		// Final bounds check after applying offsets (skip for perfect center)
+		if (!(position.x === 0.5 && position.y === 0.5)) {
+			if (ctx.textAlign === 'start') {
+				x = Math.max(padding, Math.min(canvasWidth - textWidth - padding, x));
+			} else if (ctx.textAlign === 'end') {
+				x = Math.max(textWidth + padding, Math.min(canvasWidth - padding, x));
+			} else {
+				x = Math.max(textWidth / 2 + padding, Math.min(canvasWidth - textWidth / 2 - padding, x));
+			}
+			y = Math.max(textHeight / 2 + padding, Math.min(canvasHeight - textHeight / 2 - padding, y));
 		}
 
-		/* Non-corner single placements use the regular drawing paths */
-		if (this.watermarkSettings.type === 'text') {
-			this.drawTextWatermark(ctx, canvasWidth, canvasHeight, position);
-		} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
-			this.drawLogoWatermark(ctx, canvasWidth, canvasHeight, position);
+		// Apply rotation and effects
+		if (this.watermarkSettings.watermarkRotation !== 0) {
+			ctx.save();
+			ctx.translate(x, y);
+			ctx.rotate((this.watermarkSettings.watermarkRotation * Math.PI) / 180);
+			this.renderTextWithEffects(ctx, text, 0, 0);
+			ctx.restore();
+		} else {
+			this.renderTextWithEffects(ctx, text, x, y);
 		}
 	}
 
-	// New: combined tiled pattern (covers diagonal and grid)
-	applyTiledPattern(ctx, canvasWidth, canvasHeight) {
+	/**
+	 * Render a single watermark instance at specified coordinates with rotation.
+	 *
+	 * PERFORMANCE CRITICAL: This function is called for every tile in pattern layouts.
+	 * Optimizations include intelligent caching and precision content extraction.
+	 *
+	 * RENDERING STRATEGY:
+	 * 1. CACHE PATH (Fast): Use pre-rendered offscreen canvas when available
+	 * 2. FALLBACK PATH (Slow): Direct rendering for edge cases
+	 *
+	 * @param {CanvasRenderingContext2D} ctx - Target canvas context
+	 * @param {number} x - X coordinate for watermark center
+	 * @param {number} y - Y coordinate for watermark center
+	 * @param {number} angle - Rotation angle in degrees
+	 */
+	drawRotatedWatermark(ctx, x, y, angle) {
 		/*
-			Compute rotation and build watermark cache first. Building the cache before computing
-			spacing allows spacing math to account for the actual drawn watermark footprint
-			(including padding/shadows) so we avoid accidental overlap when the slider is at min.
-		*/
-		const rotation = this.watermarkSettings.watermarkRotation;
-		this.buildWatermarkCache(ctx, canvasWidth, canvasHeight);
-		// Now compute spacing (computePatternSpacing will consult the cache footprint when present)
-		const spacing = this.computePatternSpacing(ctx, canvasWidth, canvasHeight); // returns { x, y }
-
-		// Use angle to decide whether to render a diagonal-leaning tiled layout or an orthogonal grid.
-		const angle = Number(this.watermarkSettings.patternAngle || 0);
-		const useDiagonal = Math.abs(angle) > 1; // small angles treated as grid
-
-		/* Use per-axis spacing derived from computePatternSpacing result.
-		   The spacing calculation already ensures safe values and handles "touching" behavior. */
-		let safeSpacingX = spacing.x || spacing;
-		let safeSpacingY = spacing.y || spacing;
+		 * FAST PATH: Use cached pre-rendered watermark.
+		 * This path provides 10-100x performance improvement for dense patterns.
+		 */
+		if (this._watermarkCache && this._watermarkCache.canvas) {
+			const cache = this._watermarkCache;
 
-		// For diagonal layouts we tile using independent horizontal (dx) and vertical (dy)
-		// spacings projected onto the rotated axes. The computePatternSpacing function
-		// already handled the conversion from UI scale to pixels, including edge-to-edge logic.
-		let dx = safeSpacingX;
-		let dy = safeSpacingY;
-		const safeSpacingAvg = Math.max(1, Math.sqrt(dx * dx + dy * dy) / Math.SQRT2);
-		const maxTilesPerAxis = 120; // hard cap to avoid freezing the UI when spacing is very small
+			// Setup transformation matrix for rotation and positioning
+			ctx.save();
+			ctx.translate(x, y);
+			ctx.rotate((angle * Math.PI) / 180);
 
-		if (useDiagonal) {
-			// diagonal-leaning tiled layout: iterate along rotated axes centered on canvas
 			/*
-				We project independent dx (horizontal gap) and dy (vertical gap) onto the rotated axes
-				so the two sliders remain independent even with rotation. This avoids coupling X/Y
-				spacing which previously happened when we used a single averaged spacing.
-			*/
-			const tiledExtent = Math.sqrt(canvasWidth * canvasWidth + canvasHeight * canvasHeight);
-			// Estimate counts separately along each tiled axis to bound loops
-			let countX = Math.ceil(tiledExtent / dx) + 2;
-			let countY = Math.ceil(tiledExtent / dy) + 2;
-			let wasClamped = false;
-			if (countX > maxTilesPerAxis) {
-				countX = maxTilesPerAxis;
-				wasClamped = true;
-			}
-			if (countY > maxTilesPerAxis) {
-				countY = maxTilesPerAxis;
-				wasClamped = true;
-			}
+			 * PRECISION CONTENT EXTRACTION: Draw only visible content area.
+			 * Excludes cache padding to ensure perfect edge-to-edge tile alignment.
+			 */
+			const srcPad = cache.pad ? cache.pad : 0;
+			let srcW = cache.contentW || cache.w; // Content width (no padding)
+			let srcH = cache.contentH || cache.h; // Content height (no padding)
 
-			const rad = (angle * Math.PI) / 180;
-			const cosA = Math.cos(rad);
-			const sinA = Math.sin(rad);
+			// Safety bounds: ensure non-zero dimensions
+			srcW = Math.max(1, Math.round(srcW));
+			srcH = Math.max(1, Math.round(srcH));
 
-			let tilesDrawn = 0;
-			for (let i = -countX; i <= countX; i++) {
-				for (let j = -countY; j <= countY; j++) {
-					// Project independent dx/dy spacings onto rotated axes
-					const x = i * dx * cosA - j * dy * sinA + canvasWidth / 2;
-					const y = i * dx * sinA + j * dy * cosA + canvasHeight / 2;
+			// Calculate exact source coordinates within cached canvas
+			const realSrcX = cache.pad ? cache.pad : Math.round((cache.w - srcW) / 2);
+			const realSrcY = cache.pad ? cache.pad : Math.round((cache.h - srcH) / 2);
 
-					// Draw if within an extended viewport to reduce wasted draws
-					const pad = Math.max(dx, dy);
-					if (x > -pad && x < canvasWidth + pad && y > -pad && y < canvasHeight + pad) {
-						this.drawRotatedWatermark(ctx, x, y, angle + rotation);
-						tilesDrawn++;
-					}
-				}
+			/*
+			 * FALLBACK SAFETY: If content area is too small (calculation error),
+			 * draw the full cache to prevent rendering failure.
+			 */
+			if (srcW <= 2 || srcH <= 2) {
+				ctx.drawImage(cache.canvas, -cache.w / 2, -cache.h / 2, cache.w, cache.h);
+				ctx.restore();
+				return;
 			}
-		} else {
-			// grid: regular orthogonal grid starting at half-spacing offset
-			const startX = (safeSpacingX / 2) % safeSpacingX;
-			const startY = (safeSpacingY / 2) % safeSpacingY;
 
-			// Determine iteration bounds in tile indices to avoid iterating many empty cells
-			const countX = Math.min(Math.ceil((canvasWidth + safeSpacingX) / safeSpacingX) + 2, maxTilesPerAxis);
-			const countY = Math.min(Math.ceil((canvasHeight + safeSpacingY) / safeSpacingY) + 2, maxTilesPerAxis);
+			// Draw precise content area centered at origin
+			ctx.drawImage(cache.canvas, realSrcX, realSrcY, srcW, srcH, -srcW / 2, -srcH / 2, srcW, srcH);
 
-			let tilesDrawn = 0;
-			for (let ix = 0; ix < countX; ix++) {
-				const x = startX + ix * safeSpacingX;
-				for (let iy = 0; iy < countY; iy++) {
-					const y = startY + iy * safeSpacingY;
-					// quick in-viewport check
-					if (
-						x > -safeSpacingX &&
-						x < canvasWidth + safeSpacingX &&
-						y > -safeSpacingY &&
-						y < canvasHeight + safeSpacingY
-					) {
-						this.drawRotatedWatermark(ctx, x, y, rotation);
-						tilesDrawn++;
-					}
-				}
-			}
+			ctx.restore();
+			return;
 		}
-	}
-
-	// Note: diagonal/grid implementations were consolidated into applyTiledPattern.
-
-	/**
-	 * Compute optimal pattern spacing to prevent watermark overlaps.
-	 * This function analyzes the current watermark type and size to calculate appropriate
-	 * spacing values for both X and Y axes independently.
-	 *
-	 * @param {CanvasRenderingContext2D} ctx - Canvas context for text measurements
-	 * @param {number} canvasWidth - Current canvas width in pixels
-	 * @param {number} canvasHeight - Current canvas height in pixels
-	 * @returns {Object} {x: spacingX, y: spacingY} - Calculated spacing values in pixels
-	 */
-	computePatternSpacing(ctx, canvasWidth, canvasHeight) {
-		// Default watermark size estimates for fallback calculations
-		let estWidth = 100;
-		let estHeight = 40;
 
 		/*
-		 * Calculate watermark dimensions based on type.
-		 * Text watermarks: measure font metrics scaled to canvas
-		 * Logo watermarks: scale image dimensions by user setting
+		 * FALLBACK PATH: Direct rendering without cache.
+		 * Should be rare since cache is built during pattern initialization.
+		 * Provides compatibility when cache building fails.
 		 */
 		if (this.watermarkSettings.type === 'text') {
-			// FIXED: Use resolution-independent scaling for consistent text size across all image resolutions
-			const fontSize = this.getResolutionIndependentSize(
-				canvasWidth,
-				canvasHeight,
-				this.watermarkSettings.fontSize,
-				'text',
-			);
+			// FIXED: Use resolution-independent scaling for rotated text rendering fallback
+			const fontSize = this.getResolutionIndependentSize(600, 600, this.watermarkSettings.fontSize, 'text');
 			ctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
+			ctx.textBaseline = 'middle';
+			ctx.textAlign = 'center';
 
-			// Measure actual text dimensions, with fallback for empty/invalid text
-			const metrics = ctx.measureText(this.watermarkSettings.text || 'Watermark');
-			estWidth =
-				metrics.width ||
-				fontSize * (this.watermarkSettings.text ? this.watermarkSettings.text.length * 0.6 : 4);
-			estHeight = fontSize * 1.1; // Add 10% padding for text height
+			ctx.save();
+			ctx.translate(x, y);
+			ctx.rotate((angle * Math.PI) / 180);
+
+			// Use new text rendering function that includes outline support
+			this.renderTextWithEffects(ctx, this.getWatermarkText(), 0, 0);
+			ctx.restore();
 		} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
 			const img = this.watermarkSettings.watermarkLogo;
 			const scale = this.getLogoScaleFraction();
 
-			// FIXED: Use resolution-independent scaling for consistent logo caching
+			// FIXED: Use resolution-independent scaling for consistent logo rendering
 			const baseLogoSize = 240; // Base logo size at reference resolution
 			const maxSize = this.getResolutionIndependentSize(
-				canvasWidth,
-				canvasHeight,
+				600,
+				600,
 				baseLogoSize * scale,
 				'logo'
 			);
-			let imgRatio = Math.min(maxSize / Math.max(1, img.width), maxSize / Math.max(1, img.height));
-			imgRatio = Math.max(imgRatio, 0.001); // Minimum scale to prevent invisibility
-
-			estWidth = Math.ceil(img.width * imgRatio);
-			estHeight = Math.ceil(img.height * imgRatio);
-
-			// Ensure minimum visible size
-			const MIN_VISIBLE_PX = 10;
-			if (estWidth < MIN_VISIBLE_PX) estWidth = MIN_VISIBLE_PX;
-			if (estHeight < MIN_VISIBLE_PX) estHeight = MIN_VISIBLE_PX;
-		}
+			let ratio = Math.min(maxSize / img.width, maxSize / img.height);
+			ratio = Math.max(ratio, 0.001);
+			const width = img.width * ratio;
+			const height = img.height * ratio;
 
-		/*
-		 * Independent base sizing for X and Y axes.
-		 * This prevents forcing square spacing when watermarks are rectangular.
-		 * Prefers cached dimensions when available for accuracy.
-		 */
-		let baseX = estWidth;
-		let baseY = estHeight;
+			ctx.save();
+			ctx.translate(x, y);
+			ctx.rotate((angle * Math.PI) / 180);
 
-		if (this._watermarkCache && this._watermarkCache.w && this._watermarkCache.h) {
-			// Use cached canvas footprint for more precise spacing calculations
-			// Prefer visible content size (excludes padding) for accurate edge-to-edge positioning
-			baseX = this._watermarkCache.contentW || this._watermarkCache.w;
-			baseY = this._watermarkCache.contentH || this._watermarkCache.h;
+			// Apply transparency if specified
+			ctx.globalAlpha = this.watermarkSettings.opacity;
+			ctx.drawImage(img, -width / 2, -height / 2, width, height);
+			ctx.restore();
 		}
+	}
 
-		// Store computed base values for UI synchronization (slider range calculations)
-		this._lastPatternBase = { x: baseX, y: baseY };
-		this._lastPatternEst = { width: estWidth, height: estHeight };
-
-		/*
-		 * Convert UI spacing controls (0-20 scale) to pixel values.
-		 * Process X and Y axes independently for maximum control flexibility.
-		 */
-		const uiSpacingX = Number(this.watermarkSettings.patternSpacingX) || 0;
-		const uiSpacingY = Number(this.watermarkSettings.patternSpacingY) || 0;
+	/**
+	 * Build optimized watermark cache for pattern rendering performance.
+	 *
+	 * PURPOSE: Pre-render watermark content to offscreen canvas for dramatic performance improvement.
+	 * Creates reusable bitmap that eliminates complex text/logo rendering during tile drawing.
+	 *
+	 * CACHE STRATEGY:
+	 * - Quantized Size Keys: Groups similar canvas sizes to maximize cache reuse
+	 * - Content-Aware Keys: Includes text/logo content and styling in cache key
+	 * - Map-Based Storage: Maintains multiple caches for different configurations
+	 *
+	 * PERFORMANCE IMPACT: 10-100x speedup for dense patterns (100+ tiles)
+	 * Memory optimization: Limited cache size with automatic cleanup
+	 *
+	 * @param {CanvasRenderingContext2D} ctx - Reference context (for font metrics)
+	 * @param {number} canvasWidth - Target canvas width
+	 * @param {number} canvasHeight - Target canvas height
+	 */
+	buildWatermarkCache(ctx, canvasWidth, canvasHeight) {
+		try {
+			/*
+			 * QUANTIZATION STRATEGY: Group similar canvas sizes to improve cache hit rates.
+			 * Reduces unique cache entries by grouping dimensions into 50px buckets.
+			 */
+			const QUANTIZE = 50; // 50px buckets
+			const qW = Math.max(1, Math.round(canvasWidth / QUANTIZE) * QUANTIZE);
+			const qH = Math.max(1, Math.round(canvasHeight / QUANTIZE) * QUANTIZE);
 
-		// Calculate canvas scaling factors for responsive spacing
-		const canvasScaleX = canvasWidth / 800; // X-axis scale factor
-		const canvasScaleY = canvasHeight / 800; // Y-axis scale factor
+			/*
+			 * CACHE KEY GENERATION: Create unique identifier including all relevant settings.
+			 * Ensures cache is invalidated when any visual parameter changes.
+			 */
+			const keyObj = {
+				type: this.watermarkSettings.type, // "text" or "logo"
+				text: this.getWatermarkText(), // Text content
+				fontSize: this.watermarkSettings.fontSize, // Font size
+				fontFamily: this.watermarkSettings.fontFamily, // Font family
+				logoScale: this.watermarkSettings.logoScale, // Logo scale percentage
+				textColor: this.watermarkSettings.textColor, // Text color
+				overlayEffect: this.watermarkSettings.overlayEffect, // Shadow/outline effects
+				// Text effects settings for cache invalidation
+				textEffects: this.watermarkSettings.textEffects
+					? {
+							shadow: this.watermarkSettings.textEffects.shadow,
+							shadowColor: this.watermarkSettings.textEffects.shadowColor,
+							shadowBlur: this.watermarkSettings.textEffects.shadowBlur,
+							shadowOffsetX: this.watermarkSettings.textEffects.shadowOffsetX,
+							shadowOffsetY: this.watermarkSettings.textEffects.shadowOffsetY,
+							outline: this.watermarkSettings.textEffects.outline,
+							outlineColor: this.watermarkSettings.textEffects.outlineColor,
+							outlineThickness: this.watermarkSettings.textEffects.outlineThickness,
+							outlineOpacity: this.watermarkSettings.textEffects.outlineOpacity,
+							glow: this.watermarkSettings.textEffects.glow,
+							glowColor: this.watermarkSettings.textEffects.glowColor,
+							glowSpread: this.watermarkSettings.textEffects.glowSpread,
+							glowIntensity: this.watermarkSettings.textEffects.glowIntensity,
+						}
+					: null,
+				qW, // Quantized width
+				qH, // Quantized height
+				canvasWidth, // Actual canvas width
+				canvasHeight, // Actual canvas height
+			};
 
-		// When using cache dimensions, they might already be canvas-scaled
-		// Adjust scaling factors to prevent double-scaling
-		let useScaleX = canvasScaleX;
-		let useScaleY = canvasScaleY;
+			/*
+			 * LOGO-SPECIFIC CACHE KEYS: Include logo dimensions to prevent
+			 * cache reuse between different logo images.
+			 */
+			if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
+				try {
+					const logoImg = this.watermarkSettings.watermarkLogo;
+					keyObj.logoW = logoImg.width || 0;
+					keyObj.logoH = logoImg.height || 0;
+					keyObj.logoId = this.getLogoCacheId(logoImg);
+				} catch (e) {
+					// Ignore logo dimension extraction errors
+				}
+			}
+			const cacheKey = JSON.stringify(keyObj);
 
-		if (this._watermarkCache && this._watermarkCache.w && this._watermarkCache.h) {
-			// Cache dimensions are already scaled to the canvas, so use minimal scaling
-			useScaleX = 1;
-			useScaleY = 1;
-		}
+			/*
+			 * CACHE LOOKUP: Check if cache already exists for this configuration.
+			 * Map-based storage provides O(1) lookup performance.
+			 */
+			const existingCache = this._watermarkCacheMap.get(cacheKey);
+			if (existingCache) {
+				this._watermarkCache = existingCache; // Set active cache reference
+				return;
+			}
 
-		// Convert UI values to actual pixel spacing using core conversion function
-		const configuredPixelsX = this.convertSpacingToPixels(uiSpacingX, baseX, useScaleX, false);
-		const configuredPixelsY = this.convertSpacingToPixels(uiSpacingY, baseY, useScaleY, true);
+			/*
+			 * CACHE BUILDING: Create new offscreen canvas with optimized content rendering.
+			 * Only executed when cache miss occurs - expensive but amortized across tile pattern.
+			 */
 
-		/*
-		 * Calculate minimal spacing bounds for UI validation.
-		 * These represent the absolute minimum center-to-center distances.
-		 */
-		const minX = Math.max(1, Math.round(baseX));
-		const minY = Math.max(1, Math.round(baseY));
+			/*
+			 * DIMENSION ESTIMATION: Calculate optimal cache canvas size.
+			 * Must match actual rendered size to prevent scaling artifacts.
+			 */
+			let estW = 100; // Default text width estimate
+			let estH = 40; // Default text height estimate
 
-		// Use calculated pixel values directly (conversion function handles all edge cases)
-		let spacingX = configuredPixelsX;
-		let spacingY = configuredPixelsY;
+			if (this.watermarkSettings.type === 'text') {
+				// FIXED: Use resolution-independent scaling for cached text dimension calculation
+				const fontSize = this.getResolutionIndependentSize(
+					canvasWidth,
+					canvasHeight,
+					this.watermarkSettings.fontSize,
+					'text',
+				);
+				const tmpFont = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
+				ctx.font = tmpFont;
+				const text = this.getWatermarkText();
+				const metrics = ctx.measureText(text || 'Watermark');
 
-		/*
-		 * Synchronize UI slider ranges with calculated values.
-		 * Sets appropriate min/max/step values for consistent user experience.
-		 */
-		try {
-			const sx = document.getElementById('patternSpacingX');
-			const sy = document.getElementById('patternSpacingY');
+				// Use measured width or fallback estimation
+				estW = metrics.width || fontSize * (text ? text.length * 0.6 : 4);
+				estH = Math.ceil(fontSize * 1.1); // Line height approximation
+			} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
+				// FIXED: Use resolution-independent scaling for cached logo dimension calculation
+				const img = this.watermarkSettings.watermarkLogo;
+				const scale = this.getLogoScaleFraction();
 
-			if (sx) {
-				// UI scale is fixed 0-20 for intuitive control
-				sx.min = 0; // 0 = touching
-				sx.max = 20; // 20 = maximum spacing
-				sx.step = 1; // Integer steps only
-				// Only update value if slider not currently being dragged
-				if (!sx.matches(':active')) sx.value = uiSpacingX;
+				/*
+				 * SCALING ALGORITHM: Use resolution-independent scaling for true consistency.
+				 * This makes watermarks appear proportionally identical across different image resolutions.
+				 */
+				const baseLogoSize = 240; // Base logo size at reference resolution
+				const maxSize = this.getResolutionIndependentSize(
+					canvasWidth,
+					canvasHeight,
+					baseLogoSize * scale,
+					'logo',
+				);
+				let imgRatio = Math.min(maxSize / Math.max(1, img.width), maxSize / Math.max(1, img.height));
+				imgRatio = Math.max(imgRatio, 0.001); // Minimum scale to prevent invisibility
+				estW = Math.ceil(img.width * imgRatio);
+				estH = Math.ceil(img.height * imgRatio);
+				/* Ensure estimated cache footprint is at least a few pixels to avoid zero-sized caches */
+				const MIN_VISIBLE_PX = 6;
+				if (estW < MIN_VISIBLE_PX) estW = MIN_VISIBLE_PX;
+				if (estH < MIN_VISIBLE_PX) estH = MIN_VISIBLE_PX;
 			}
 
-			if (sy) {
-				sy.min = 0;
-				sy.max = 20;
-				sy.step = 1;
-				if (!sy.matches(':active')) sy.value = uiSpacingY;
+			// Add a small padding for shadow/glow effects
+			const pad = Math.ceil(Math.max(estW, estH) * 0.15) + 4;
+			const c = this.createCanvas(Math.ceil(estW + pad * 2), Math.ceil(estH + pad * 2));
+			const cctx = c.getContext('2d');
+			cctx.clearRect(0, 0, c.width, c.height);
+
+			if (this.watermarkSettings.type === 'text') {
+				// FIXED: Use resolution-independent scaling for cached text rendering
+				const fontSize = this.getResolutionIndependentSize(
+					canvasWidth,
+					canvasHeight,
+					this.watermarkSettings.fontSize,
+					'text',
+				);
+				cctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
+				cctx.textBaseline = 'middle';
+				cctx.textAlign = 'center';
+				this.renderTextWithEffects(cctx, this.getWatermarkText(), c.width / 2, c.height / 2);
+			} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
+				const img = this.watermarkSettings.watermarkLogo;
+				const scale = this.getLogoScaleFraction();
+				// FIXED: Use resolution-independent scaling for cached logo rendering
+				const baseLogoSize = 240; // Base logo size at reference resolution
+				const maxSize = this.getResolutionIndependentSize(
+					canvasWidth,
+					canvasHeight,
+					baseLogoSize * scale,
+					'logo',
+				);
+				let ratio = Math.min(maxSize / img.width, maxSize / img.height);
+				ratio = Math.max(ratio, 0.001);
+				const w = img.width * ratio;
+				const h = img.height * ratio;
+				this.applyTextEffects(cctx);
+				/* For logo watermarks, tint/gradient effects are handled by composite operations if chosen. */
+				if (this.watermarkSettings.overlayEffect === 'tint') {
+					cctx.globalCompositeOperation = 'source-atop';
+					cctx.fillStyle = this.getEffectFillStyle(cctx);
+					cctx.drawImage(img, (c.width - w) / 2, (c.height - h) / 2, w, h);
+					cctx.fillRect((c.width - w) / 2, (c.height - h) / 2, w, h);
+					// reset composite
+					cctx.globalCompositeOperation = 'source-over';
+				} else {
+					cctx.drawImage(img, (c.width - w) / 2, (c.height - h) / 2, w, h);
+				}
+			}
+
+			const cacheEntry = {
+				key: cacheKey,
+				canvas: c,
+				w: c.width,
+				h: c.height,
+				// contentW/contentH represent the watermark's visible content size (without extra cache padding)
+				contentW: Math.ceil(estW),
+				contentH: Math.ceil(estH),
+				pad,
+			};
+
+			/*
+			 * CACHE BOUND: Per-image text tokens create one entry per file during a batch,
+			 * so evict the oldest entries (Map keeps insertion order) beyond a fixed limit.
+			 */
+			const MAX_CACHE_ENTRIES = 50;
+			while (this._watermarkCacheMap.size >= MAX_CACHE_ENTRIES) {
+				this._watermarkCacheMap.delete(this._watermarkCacheMap.keys().next().value);
 			}
+
+			this._watermarkCacheMap.set(cacheKey, cacheEntry);
+			this._watermarkCache = cacheEntry; /* quick reference */
 		} catch (err) {
-			// Graceful fallback if UI elements are missing
-			if (console && console.warn) console.warn('Failed to sync patternSpacing X/Y sliders:', err);
+			console.warn('Failed to build watermark cache', err);
 		}
+	}
 
-		return { x: spacingX, y: spacingY };
+	/**
+	 * Convert logo scale percentage (1-500) to decimal fraction (0.01-5.0).
+	 *
+	 * SCALING LOGIC: Logo scale setting represents percentage of canvas dimension.
+	 * - 20% = logo sized to 20% of smaller canvas dimension
+	 * - 100% = logo sized to full canvas dimension
+	 * - 500% = logo can be 5x larger than canvas (for artistic effects)
+	 *
+	 * SAFETY MEASURES: Validates input and applies reasonable bounds to prevent
+	 * invisible logos (too small) or memory issues (too large).
+	 *
+	 * @returns {number} Scale factor as decimal (e.g., 0.2 for 20%)
+	 */
+	getLogoScaleFraction() {
+		// Extract and validate scale value from settings
+		let s = Number(this.watermarkSettings.logoScale);
+
+		// Fallback to 20% for invalid/missing values
+		if (!isFinite(s) || s <= 0) s = 20;
+
+		// Apply safety bounds: 1% minimum, 500% maximum
+		s = Math.max(1, Math.min(500, s));
+
+		// Convert percentage to decimal fraction
+		return s / 100;
 	}
 
-	// FIXED: Text watermark with proper positioning
-	drawTextWatermark(ctx, canvasWidth, canvasHeight, position) {
-		// FIXED: Use resolution-independent scaling for text watermark drawing
-		const fontSize = this.getResolutionIndependentSize(
+	drawLogoWatermark(ctx, canvasWidth, canvasHeight, position) {
+		const img = this.watermarkSettings.watermarkLogo;
+		const scale = this.getLogoScaleFraction();
+
+		// FIXED: Use resolution-independent scaling for consistent logo rendering
+		const baseLogoSize = 240; // Base logo size at reference resolution
+		const maxSize = this.getResolutionIndependentSize(
 			canvasWidth,
 			canvasHeight,
-			this.watermarkSettings.fontSize,
-			'text',
+			baseLogoSize * scale,
+			'logo'
 		);
-		ctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
-		ctx.textBaseline = 'middle';
 
-		// base coordinates
-		let x = canvasWidth * position.x;
-		let y = canvasHeight * position.y;
+		// Calculate ratio to fit logo within target size while maintaining aspect ratio
+		let ratio = Math.min(maxSize / img.width, maxSize / img.height);
 
-		// Calculate text dimensions for proper positioning
-		const metrics = ctx.measureText(this.watermarkSettings.text);
-		const textWidth =
-			metrics.width || fontSize * (this.watermarkSettings.text ? this.watermarkSettings.text.length * 0.6 : 4);
-		const textHeight = fontSize;
+		// Ensure ratio is not zero; clamp to tiny epsilon to keep logo visible
+		ratio = Math.max(ratio, 0.001);
 
-		// Padding: use consistent padding for all modes
-		const padding = 10;
-		const singleMode = this.watermarkSettings.patternMode === 'single';
-		const isCorner = position.x <= 0.2 || position.x >= 0.8 || position.y <= 0.2 || position.y >= 0.8;
+		let logoWidth = img.width * ratio;
+		let logoHeight = img.height * ratio;
+
+		// Enforce a sensible minimum visible size (in px) to avoid invisible logos
+		const MIN_VISIBLE_PX = 10;
+		if (logoWidth < MIN_VISIBLE_PX || logoHeight < MIN_VISIBLE_PX) {
+			const scaleUp = MIN_VISIBLE_PX / Math.max(1, Math.max(logoWidth, logoHeight));
+			logoWidth = Math.max(MIN_VISIBLE_PX, Math.round(logoWidth * scaleUp));
+			logoHeight = Math.max(MIN_VISIBLE_PX, Math.round(logoHeight * scaleUp));
+		}
+
+		// Padding: the layer's safe margin
+		const padding = this.getSafeMargin(canvasWidth, canvasHeight);
+
+		// Calculate initial position
+		let x = canvasWidth * position.x;
+		let y = canvasHeight * position.y;
 
 		// Simplified positioning for better center alignment
 		if (position.x === 0.5 && position.y === 0.5) {
-			// Perfect center positioning - no complex bounds checking
-			ctx.textAlign = 'center';
-			x = canvasWidth / 2;
-			y = canvasHeight / 2;
+			// Perfect center positioning - place center of logo at center of canvas
+			x = (canvasWidth - logoWidth) / 2;
+			y = (canvasHeight - logoHeight) / 2;
 		} else {
-			// Position and clamp based on alignment for other positions
+			// Position based on alignment for other positions
 			if (position.x <= 0.2) {
 				// Left alignment
 				x = Math.max(padding, x);
-				ctx.textAlign = 'start';
-				// Ensure text doesn't go beyond right edge
-				x = Math.min(x, canvasWidth - textWidth - padding);
 			} else if (position.x >= 0.8) {
 				// Right alignment
-				x = Math.min(canvasWidth - padding, x);
-				ctx.textAlign = 'end';
-				// Ensure text doesn't go beyond left edge
-				x = Math.max(x, textWidth + padding);
+				x = Math.max(padding, Math.min(canvasWidth - logoWidth - padding, x));
 			} else {
 				// Center alignment
-				ctx.textAlign = 'center';
-				// Ensure centered text stays within bounds
-				x = Math.max(textWidth / 2 + padding, Math.min(canvasWidth - textWidth / 2 - padding, x));
+				x = Math.max(
+					logoWidth / 2 + padding,
+					Math.min(canvasWidth - logoWidth / 2 - padding, x - logoWidth / 2),
+				);
 			}
 
-			// Y positioning with bounds checking
 			if (position.y <= 0.2) {
 				// Top alignment
-				y = Math.max(textHeight / 2 + padding, y);
+				y = Math.max(padding, y);
 			} else if (position.y >= 0.8) {
 				// Bottom alignment
-				y = Math.min(canvasHeight - textHeight / 2 - padding, y);
+				y = Math.max(padding, Math.min(canvasHeight - logoHeight - padding, y));
 			} else {
 				// Center alignment
-				y = Math.max(textHeight / 2 + padding, Math.min(canvasHeight - textHeight / 2 - padding, y));
+				y = Math.max(
+					logoHeight / 2 + padding,
+					Math.min(canvasHeight - logoHeight / 2 - padding, y - logoHeight / 2),
+				);
 			}
 		}
 
-		// Apply offsets using relative scaling instead of hardcoded values
-		const REFERENCE_WIDTH = 800;
-		const REFERENCE_HEIGHT = 600;
-		x += (this.watermarkSettings.offsetX * canvasWidth) / REFERENCE_WIDTH;
-		y += (this.watermarkSettings.offsetY * canvasHeight) / REFERENCE_HEIGHT;
+		/* Apply offsets in the layer's unit */
+		const offset = this.getOffsetPixels(canvasWidth, canvasHeight);
+		x += offset.x;
+		y += offset.y;
 
-		// Final bounds check after applying offsets (skip for perfect center)
+		/* FIXED: Ensure logo stays within bounds but allow full size without forced cropping */
+		// Only apply bounds check if logo would go completely outside canvas
 		if (!(position.x === 0.5 && position.y === 0.5)) {
-			if (ctx.textAlign === 'start') {
-				x = Math.max(padding, Math.min(canvasWidth - textWidth - padding, x));
-			} else if (ctx.textAlign === 'end') {
-				x = Math.max(textWidth + padding, Math.min(canvasWidth - padding, x));
-			} else {
-				x = Math.max(textWidth / 2 + padding, Math.min(canvasWidth - textWidth / 2 - padding, x));
-			}
-			y = Math.max(textHeight / 2 + padding, Math.min(canvasHeight - textHeight / 2 - padding, y));
+			// Allow logo to extend slightly beyond edges if needed, but keep at least 50% visible
+			const minVisibleRatio = 0.5;
+			x = Math.max(-logoWidth * (1 - minVisibleRatio), Math.min(canvasWidth - logoWidth * minVisibleRatio, x));
+			y = Math.max(-logoHeight * (1 - minVisibleRatio), Math.min(canvasHeight - logoHeight * minVisibleRatio, y));
 		}
 
-		// Apply rotation and effects
+		/* Apply rotation */
 		if (this.watermarkSettings.watermarkRotation !== 0) {
 			ctx.save();
-			ctx.translate(x, y);
+			/* Use center of logo for rotation */
+			ctx.translate(x + logoWidth / 2, y + logoHeight / 2);
 			ctx.rotate((this.watermarkSettings.watermarkRotation * Math.PI) / 180);
-			this.renderTextWithEffects(ctx, this.watermarkSettings.text, 0, 0);
+			ctx.drawImage(img, -logoWidth / 2, -logoHeight / 2, logoWidth, logoHeight);
 			ctx.restore();
 		} else {
-			this.renderTextWithEffects(ctx, this.watermarkSettings.text, x, y);
+			ctx.drawImage(img, x, y, logoWidth, logoHeight);
 		}
 	}
 
-	/**
-	 * Render a single watermark instance at specified coordinates with rotation.
-	 *
-	 * PERFORMANCE CRITICAL: This function is called for every tile in pattern layouts.
-	 * Optimizations include intelligent caching and precision content extraction.
-	 *
-	 * RENDERING STRATEGY:
-	 * 1. CACHE PATH (Fast): Use pre-rendered offscreen canvas when available
-	 * 2. FALLBACK PATH (Slow): Direct rendering for edge cases
-	 *
-	 * @param {CanvasRenderingContext2D} ctx - Target canvas context
-	 * @param {number} x - X coordinate for watermark center
-	 * @param {number} y - Y coordinate for watermark center
-	 * @param {number} angle - Rotation angle in degrees
-	 */
-	drawRotatedWatermark(ctx, x, y, angle) {
-		/*
-		 * FAST PATH: Use cached pre-rendered watermark.
-		 * This path provides 10-100x performance improvement for dense patterns.
-		 */
-		if (this._watermarkCache && this._watermarkCache.canvas) {
-			const cache = this._watermarkCache;
-
-			// Setup transformation matrix for rotation and positioning
-			ctx.save();
-			ctx.translate(x, y);
-			ctx.rotate((angle * Math.PI) / 180);
+	applyTextEffects(ctx) {
+		// Only apply these canvas-level effects for text watermarks
+		if (this.watermarkSettings.type !== 'text') return;
 
-			/*
-			 * PRECISION CONTENT EXTRACTION: Draw only visible content area.
-			 * Excludes cache padding to ensure perfect edge-to-edge tile alignment.
-			 */
-			const srcPad = cache.pad ? cache.pad : 0;
-			let srcW = cache.contentW || cache.w; // Content width (no padding)
-			let srcH = cache.contentH || cache.h; // Content height (no padding)
+		const te = this.watermarkSettings.textEffects || {};
 
-			// Safety bounds: ensure non-zero dimensions
-			srcW = Math.max(1, Math.round(srcW));
-			srcH = Math.max(1, Math.round(srcH));
+		// Helper: convert #rrggbb or #rgb to rgba string with alpha
+		const hexToRgba = (hex, alpha = 1) => {
+			let h = hex.replace('#', '');
+			if (h.length === 3) {
+				h = h
+					.split('')
+					.map((c) => c + c)
+					.join('');
+			}
+			const bigint = parseInt(h, 16);
+			const r = (bigint >> 16) & 255;
+			const g = (bigint >> 8) & 255;
+			const b = bigint & 255;
+			return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+		};
 
-			// Calculate exact source coordinates within cached canvas
-			const realSrcX = cache.pad ? cache.pad : Math.round((cache.w - srcW) / 2);
-			const realSrcY = cache.pad ? cache.pad : Math.round((cache.h - srcH) / 2);
+		// Reset common shadow/composite values first to known defaults
+		ctx.shadowColor = 'transparent';
+		ctx.shadowBlur = 0;
+		ctx.shadowOffsetX = 0;
+		ctx.shadowOffsetY = 0;
+		ctx.globalCompositeOperation = 'source-over';
 
-			/*
-			 * FALLBACK SAFETY: If content area is too small (calculation error),
-			 * draw the full cache to prevent rendering failure.
-			 */
-			if (srcW <= 2 || srcH <= 2) {
-				ctx.drawImage(cache.canvas, -cache.w / 2, -cache.h / 2, cache.w, cache.h);
-				ctx.restore();
-				return;
-			}
+		// Shadow - fix 0-value issue by checking explicitly and using actual values
+		if (te.shadow) {
+			ctx.shadowColor = te.shadowColor || 'rgba(0,0,0,0.5)';
+			// Use explicit check for 0 instead of fallback to prevent spacing-like issues
+			ctx.shadowBlur = te.shadowBlur !== undefined ? Number(te.shadowBlur) : 6;
+			ctx.shadowOffsetX = te.shadowOffsetX !== undefined ? Number(te.shadowOffsetX) : 2;
+			ctx.shadowOffsetY = te.shadowOffsetY !== undefined ? Number(te.shadowOffsetY) : 2;
+		}
 
-			// Draw precise content area centered at origin
-			ctx.drawImage(cache.canvas, realSrcX, realSrcY, srcW, srcH, -srcW / 2, -srcH / 2, srcW, srcH);
+		// Glow - use new spread and intensity controls
+		if (te.glow) {
+			const intensity = te.glowIntensity !== undefined ? Number(te.glowIntensity) / 100 : 1;
+			const spread = te.glowSpread !== undefined ? Number(te.glowSpread) : 12;
 
-			ctx.restore();
-			return;
+			// Convert glow color to rgba with intensity-based alpha
+			const glowColor = te.glowColor || this.watermarkSettings.textColor;
+			ctx.shadowColor = hexToRgba(glowColor, intensity);
+			ctx.shadowBlur = spread;
 		}
 
-		/*
-		 * FALLBACK PATH: Direct rendering without cache.
-		 * Should be rare since cache is built during pattern initialization.
-		 * Provides compatibility when cache building fails.
-		 */
-		if (this.watermarkSettings.type === 'text') {
-			// FIXED: Use resolution-independent scaling for rotated text rendering fallback
-			const fontSize = this.getResolutionIndependentSize(600, 600, this.watermarkSettings.fontSize, 'text');
-			ctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
-			ctx.textBaseline = 'middle';
-			ctx.textAlign = 'center';
+		// Default fillStyle remains text color (gradient/tint removed as per requirement)
+		ctx.fillStyle = this.watermarkSettings.textColor;
+	}
+
+	/**
+	 * Render text with effects including outline support
+	 * @param {CanvasRenderingContext2D} ctx - Canvas context
+	 * @param {string} text - Text to render
+	 * @param {number} x - X position
+	 * @param {number} y - Y position
+	 */
+	renderTextWithEffects(ctx, text, x, y) {
+		const te = this.watermarkSettings.textEffects;
+
+		// First, render outline if enabled
+		if (te.outline) {
+			const opacity = te.outlineOpacity !== undefined ? Number(te.outlineOpacity) / 100 : 1;
+			const thickness = te.outlineThickness !== undefined ? Number(te.outlineThickness) : 2;
 
 			ctx.save();
-			ctx.translate(x, y);
-			ctx.rotate((angle * Math.PI) / 180);
+			// Clear shadow effects for outline
+			ctx.shadowColor = 'transparent';
+			ctx.shadowBlur = 0;
+			ctx.shadowOffsetX = 0;
+			ctx.shadowOffsetY = 0;
 
-			// Use new text rendering function that includes outline support
-			this.renderTextWithEffects(ctx, this.watermarkSettings.text, 0, 0);
+			// Set outline properties
+			ctx.strokeStyle = te.outlineColor || '#000000';
+			ctx.lineWidth = thickness;
+			ctx.globalAlpha = opacity;
+			ctx.strokeText(text, x, y);
 			ctx.restore();
-		} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
-			const img = this.watermarkSettings.watermarkLogo;
-			const scale = this.getLogoScaleFraction();
+		}
 
-			// FIXED: Use resolution-independent scaling for consistent logo rendering
-			const baseLogoSize = 240; // Base logo size at reference resolution
-			const maxSize = this.getResolutionIndependentSize(
-				600,
-				600,
-				baseLogoSize * scale,
-				'logo'
-			);
-			let ratio = Math.min(maxSize / img.width, maxSize / img.height);
-			ratio = Math.max(ratio, 0.001);
-			const width = img.width * ratio;
-			const height = img.height * ratio;
+		// Then render the main text with effects
+		this.applyTextEffects(ctx);
+		ctx.fillStyle = this.getEffectFillStyle(ctx);
+		ctx.fillText(text, x, y);
+	}
 
-			ctx.save();
-			ctx.translate(x, y);
-			ctx.rotate((angle * Math.PI) / 180);
+	getEffectFillStyle(ctx) {
+		// Always use the configured text color for fills. Effects that change appearance
+		// are applied via shadow/blur or stroke; gradient/tint overlays were removed.
+		return this.watermarkSettings.textColor;
+	}
+}
 
-			// Apply transparency if specified
-			ctx.globalAlpha = this.watermarkSettings.opacity;
-			ctx.drawImage(img, -width / 2, -height / 2, width, height);
-			ctx.restore();
+/**
+ * WATERMARK WORKER
+ * ================
+ *
+ * Renderer running inside a processing worker: app.js is loaded as a classic worker script
+ * (see the bootstrap at the end of this file) and draws with OffscreenCanvas.
+ *
+ * MESSAGES:
+ * - { type: 'configure', layers, outputSettings }: Layer stack for the batch, logos as ImageBitmaps
+ * - { type: 'render', id, source, file, tokenContext, format, crop, overrides }: Decode and crop one
+ *   image, then watermark it with its overrides (see getOverriddenLayer) and encode it once per
+ *   export variant
+ * Each render message is answered with { id, renders } (see renderVariants) or { id, error }.
+ */
+class WatermarkWorker extends WatermarkRenderer {
+	constructor(scope) {
+		super();
+		this.scope = scope;
+		this.outputSettings = null;
+		scope.addEventListener('message', (e) => this.handleMessage(e.data));
+	}
+
+	async handleMessage(message) {
+		if (message.type === 'configure') {
+			this.layers = message.layers;
+			this.outputSettings = message.outputSettings;
+			this._watermarkCacheMap.clear();
+			return;
+		}
+		if (message.type !== 'render') return;
+
+		try {
+			// 'from-image' applies the EXIF orientation; loadOrientedImage does the same on the main thread
+			const bitmap = await createImageBitmap(message.source, { imageOrientation: 'from-image' });
+			try {
+				const renders = await this.renderVariants(bitmap, {
+					file: message.file,
+					tokenContext: message.tokenContext,
+					format: message.format,
+					crop: message.crop,
+					overrides: message.overrides,
+					outputSettings: this.outputSettings,
+				});
+				this.scope.postMessage({ id: message.id, renders });
+			} finally {
+				bitmap.close();
+			}
+		} catch (error) {
+			this.scope.postMessage({ id: message.id, error: error.message || String(error) });
 		}
 	}
+}
 
+/**
+ * WATERMARK WORKER POOL
+ * =====================
+ *
+ * Runs WatermarkWorker instances for one batch and hands each of them one image at a time.
+ * Workers that fail to start (e.g. the page was opened from file://) or crash are retired;
+ * their jobs are rejected so the caller can process those images on the main thread.
+ */
+class WatermarkWorkerPool {
 	/**
-	 * Build optimized watermark cache for pattern rendering performance.
-	 *
-	 * PURPOSE: Pre-render watermark content to offscreen canvas for dramatic performance improvement.
-	 * Creates reusable bitmap that eliminates complex text/logo rendering during tile drawing.
-	 *
-	 * CACHE STRATEGY:
-	 * - Quantized Size Keys: Groups similar canvas sizes to maximize cache reuse
-	 * - Content-Aware Keys: Includes text/logo content and styling in cache key
-	 * - Map-Based Storage: Maintains multiple caches for different configurations
-	 *
-	 * PERFORMANCE IMPACT: 10-100x speedup for dense patterns (100+ tiles)
-	 * Memory optimization: Limited cache size with automatic cleanup
-	 *
-	 * @param {CanvasRenderingContext2D} ctx - Reference context (for font metrics)
-	 * @param {number} canvasWidth - Target canvas width
-	 * @param {number} canvasHeight - Target canvas height
+	 * @returns {boolean} True when workers can render with OffscreenCanvas in this browser
 	 */
-	buildWatermarkCache(ctx, canvasWidth, canvasHeight) {
-		try {
-			/*
-			 * QUANTIZATION STRATEGY: Group similar canvas sizes to improve cache hit rates.
-			 * Reduces unique cache entries by grouping dimensions into 50px buckets.
-			 */
-			const QUANTIZE = 50; // 50px buckets
-			const qW = Math.max(1, Math.round(canvasWidth / QUANTIZE) * QUANTIZE);
-			const qH = Math.max(1, Math.round(canvasHeight / QUANTIZE) * QUANTIZE);
-
-			/*
-			 * CACHE KEY GENERATION: Create unique identifier including all relevant settings.
-			 * Ensures cache is invalidated when any visual parameter changes.
-			 */
-			const keyObj = {
-				type: this.watermarkSettings.type, // "text" or "logo"
-				text: this.watermarkSettings.text, // Text content
-				fontSize: this.watermarkSettings.fontSize, // Font size
-				fontFamily: this.watermarkSettings.fontFamily, // Font family
-				logoScale: this.watermarkSettings.logoScale, // Logo scale percentage
-				textColor: this.watermarkSettings.textColor, // Text color
-				overlayEffect: this.watermarkSettings.overlayEffect, // Shadow/outline effects
-				// Text effects settings for cache invalidation
-				textEffects: this.watermarkSettings.textEffects
-					? {
-							shadow: this.watermarkSettings.textEffects.shadow,
-							shadowColor: this.watermarkSettings.textEffects.shadowColor,
-							shadowBlur: this.watermarkSettings.textEffects.shadowBlur,
-							shadowOffsetX: this.watermarkSettings.textEffects.shadowOffsetX,
-							shadowOffsetY: this.watermarkSettings.textEffects.shadowOffsetY,
-							outline: this.watermarkSettings.textEffects.outline,
-							outlineColor: this.watermarkSettings.textEffects.outlineColor,
-							outlineThickness: this.watermarkSettings.textEffects.outlineThickness,
-							outlineOpacity: this.watermarkSettings.textEffects.outlineOpacity,
-							glow: this.watermarkSettings.textEffects.glow,
-							glowColor: this.watermarkSettings.textEffects.glowColor,
-							glowSpread: this.watermarkSettings.textEffects.glowSpread,
-							glowIntensity: this.watermarkSettings.textEffects.glowIntensity,
-						}
-					: null,
-				qW, // Quantized width
-				qH, // Quantized height
-				canvasWidth, // Actual canvas width
-				canvasHeight, // Actual canvas height
-			};
+	static isSupported() {
+		return (
+			typeof Worker !== 'undefined' &&
+			typeof OffscreenCanvas !== 'undefined' &&
+			typeof createImageBitmap === 'function' &&
+			!!WatermarkWorkerPool.scriptUrl
+		);
+	}
 
-			/*
-			 * LOGO-SPECIFIC CACHE KEYS: Include logo dimensions to prevent
-			 * cache reuse between different logo images.
-			 */
-			if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
-				try {
-					const logoImg = this.watermarkSettings.watermarkLogo;
-					keyObj.logoW = logoImg.width || 0;
-					keyObj.logoH = logoImg.height || 0;
-				} catch (e) {
-					// Ignore logo dimension extraction errors
-				}
-			}
-			const cacheKey = JSON.stringify(keyObj);
+	/**
+	 * @returns {number} Default number of workers: one per spare CPU core, at most 4
+	 */
+	static get DEFAULT_SIZE() {
+		const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+		return Math.max(1, Math.min(4, cores - 1));
+	}
 
-			/*
-			 * CACHE LOOKUP: Check if cache already exists for this configuration.
-			 * Map-based storage provides O(1) lookup performance.
-			 */
-			const existingCache = this._watermarkCacheMap.get(cacheKey);
-			if (existingCache) {
-				this._watermarkCache = existingCache; // Set active cache reference
-				return;
-			}
+	/**
+	 * @param {number} size - Number of workers to start
+	 */
+	constructor(size) {
+		this.workers = [];
+		this.idle = [];
+		this.queue = [];
+		this.running = new Map(); // Worker -> job it is rendering
+		this.nextId = 1;
+		this.terminated = false;
+
+		for (let i = 0; i < size; i++) {
+			const worker = new Worker(WatermarkWorkerPool.scriptUrl);
+			worker.addEventListener('message', (e) => this.handleReply(worker, e.data));
+			worker.addEventListener('error', (e) => this.handleFailure(worker, e));
+			this.workers.push(worker);
+			this.idle.push(worker);
+		}
+	}
 
-			/*
-			 * CACHE BUILDING: Create new offscreen canvas with optimized content rendering.
-			 * Only executed when cache miss occurs - expensive but amortized across tile pattern.
-			 */
+	get size() {
+		return this.workers.length;
+	}
 
-			/*
-			 * DIMENSION ESTIMATION: Calculate optimal cache canvas size.
-			 * Must match actual rendered size to prevent scaling artifacts.
-			 */
-			let estW = 100; // Default text width estimate
-			let estH = 40; // Default text height estimate
+	/**
+	 * Send the batch configuration to every worker.
+	 * @param {Object} config - { layers, outputSettings } (see WatermarkWorker)
+	 */
+	configure(config) {
+		this.workers.forEach((worker) => worker.postMessage({ type: 'configure', ...config }));
+	}
 
-			if (this.watermarkSettings.type === 'text') {
-				// FIXED: Use resolution-independent scaling for cached text dimension calculation
-				const fontSize = this.getResolutionIndependentSize(
-					canvasWidth,
-					canvasHeight,
-					this.watermarkSettings.fontSize,
-					'text',
-				);
-				const tmpFont = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
-				ctx.font = tmpFont;
-				const metrics = ctx.measureText(this.watermarkSettings.text || 'Watermark');
+	/**
+	 * Queue one image for rendering.
+	 * @param {Object} job - { source, file, tokenContext, format, crop, overrides } (see WatermarkWorker)
+	 * @returns {Promise<Object[]>} One { variant, blob, metadata, encoding } per export variant
+	 */
+	render(job) {
+		return new Promise((resolve, reject) => {
+			this.queue.push({ job, resolve, reject });
+			this.dispatch();
+		});
+	}
+
+	dispatch() {
+		if (this.workers.length === 0) {
+			this.queue.splice(0).forEach((task) => task.reject(new Error('No processing workers available')));
+			return;
+		}
+		while (this.idle.length > 0 && this.queue.length > 0) {
+			const worker = this.idle.shift();
+			const task = { ...this.queue.shift(), id: this.nextId++ };
+			this.running.set(worker, task);
+			worker.postMessage({ type: 'render', id: task.id, ...task.job });
+		}
+	}
+
+	handleReply(worker, reply) {
+		const task = this.running.get(worker);
+		if (!task || task.id !== reply.id) return;
+
+		this.running.delete(worker);
+		this.idle.push(worker);
+		if (reply.error) {
+			task.reject(new Error(reply.error));
+		} else {
+			task.resolve(reply.renders);
+		}
+		this.dispatch();
+	}
+
+	handleFailure(worker, event) {
+		event.preventDefault();
+		console.warn('Processing worker failed:', event.message || event);
+		worker.terminate();
+		this.workers = this.workers.filter((w) => w !== worker);
+		this.idle = this.idle.filter((w) => w !== worker);
+
+		const task = this.running.get(worker);
+		if (task) {
+			this.running.delete(worker);
+			task.reject(new Error('Processing worker failed'));
+		}
+		this.dispatch();
+	}
+
+	/**
+	 * Stop all workers, including images they are rendering; pending jobs are rejected.
+	 */
+	terminate() {
+		this.terminated = true;
+		this.workers.forEach((worker) => worker.terminate());
+		this.workers = [];
+		this.idle = [];
+		this.running.forEach((task) => task.reject(new Error('Processing cancelled')));
+		this.running.clear();
+		this.queue.splice(0).forEach((task) => task.reject(new Error('Processing cancelled')));
+	}
+}
+
+/**
+ * BULK WATERMARK APPLICATION - Main Application Class
+ *
+ * A comprehensive image watermarking tool supporting both text and logo watermarks
+ * with advanced pattern layouts, spacing controls, and batch processing capabilities.
+ *
+ * KEY FEATURES:
+ * - Dual watermark types: text with effects, logo images
+ * - Pattern modes: single placement, diagonal grids, orthogonal grids
+ * - Independent X/Y spacing controls with intuitive 0-20 scale
+ * - Performance-optimized with intelligent caching system
+ * - Batch processing with ZIP download
+ * - Real-time preview with responsive scaling
+ */
+class BulkWatermarkApp extends WatermarkRenderer {
+	constructor() {
+		super();
+
+		// File management arrays
+		this.uploadedFiles = []; // Original uploaded image files with metadata
+		this.processedImages = []; // Final watermarked images ready for download
+		this.currentPreviewFileId = null; // Track which file is currently being previewed
+		this.activePresetName = ''; // Last saved or applied preset, for the {preset} filename token
+		this.outputFolder = null; // OutputFolder chosen for "Save to folder"
+		this.archiving = false; // A ZIP is being written (see saveZip)
+		this.overrideFileId = null; // File whose overrides are open in the override panel
+		this.overrideOffsetUnit = 'short'; // Unit of the offsets shown in the override panel
+
+		/*
+		 * WATERMARK CONFIGURATION: Complete settings object defining appearance and behavior.
+		 * This is the active layer: the UI controls edit it, and rendering temporarily points it
+		 * at each layer in turn (see forEachVisibleLayer).
+		 */
+		this.watermarkSettings = {
+			// Core watermark properties
+			id: this.createLayerId(), // Ties per-image overrides to the layer (not saved with settings)
+			visible: true, // Hidden layers are skipped when rendering
+			type: 'text', // "text" | "logo" - determines rendering pipeline
+			patternMode: 'single', // "single" | "diagonal" | "grid" - layout mode
+
+			// Text watermark configuration
+			text: '© Your Watermark', // Displayed text content
+			fontSize: 24, // Base font size (scaled by canvas)
+			fontFamily: 'Arial', // Font family name
+			textColor: '#ffffff', // Text fill color (hex format)
+
+			// Common properties
+			opacity: 70, // Transparency percentage (0-100)
+			position: 'bottom-right', // Single mode position key
+			offsetUnit: 'short', // Unit of offsets and safe margin: 'width' | 'short' (percent) | 'px'
+			offsetX: 0, // Fine position adjustment (in offsetUnit)
+			offsetY: 0, // Fine position adjustment (in offsetUnit)
+			safeMargin: 2, // Distance kept from the frame edges (in offsetUnit)
+			freePosition: null, // { x, y } centre (0-1 of the frame) once dragged on the preview
+			watermarkRotation: 0, // Individual watermark rotation (degrees)
+
+			// Logo watermark configuration
+			watermarkLogo: null, // Image object for logo mode
+			logoScale: 20, // Logo size percentage (1-500)
+
+			// Pattern spacing configuration (NEW: 0-20 UI scale)
+			patternSpacing: 6, // Legacy: unified spacing (deprecated)
+			patternSpacingX: 6, // Horizontal spacing (0=touching, 20=maximum)
+			patternSpacingY: 7, // Vertical spacing (0=touching, 20=maximum)
+			patternAngle: -45, // Pattern rotation angle (degrees)
+
+			/*
+			 * TEXT EFFECTS: Advanced visual enhancements for text watermarks.
+			 * Each effect can be independently enabled/configured.
+			 */
+			textEffects: {
+				// Shadow effect
+				shadow: false, // Enable/disable shadow
+				shadowColor: '#000000', // Shadow color
+				shadowBlur: 6, // Shadow blur radius
+				shadowOffsetX: 2, // Shadow horizontal offset
+				shadowOffsetY: 2, // Shadow vertical offset
+
+				// Text outline effect
+				outline: false, // Enable/disable outline
+				outlineColor: '#000000', // Outline stroke color
+				outlineThickness: 2, // Outline stroke width
+				outlineOpacity: 100, // Outline opacity (0-100)
+
+				// Glow effect
+				glow: false, // Enable/disable glow
+				glowColor: '#ffffff', // Glow color (usually matches text)
+				glowSpread: 12, // Glow spread/blur radius (renamed from glowBlur)
+				glowIntensity: 100, // Glow intensity/transparency (0-100)
+			},
+
+			// Logo overlay effects
+			overlayEffect: 'none', // "none" | "tint" - logo processing mode
+		};
+
+		/*
+		 * WATERMARK LAYERS: Ordered stack rendered bottom (index 0) to top.
+		 * Each entry is a complete settings object like the one above.
+		 */
+		this.layers = [this.watermarkSettings];
+		this.activeLayerIndex = 0;
+
+		/*
+		 * OUTPUT OPTIONS: Applied to every processed file, independent of the layers.
+		 * metadataPolicy decides how much of the source file's EXIF/XMP is copied;
+		 * copyright fields are written as EXIF/IPTC/XMP when writeMetadata is enabled.
+		 */
+		this.outputSettings = this.getDefaultOutputSettings();
+
+		/*
+		 * PROCESSING OPTIONS: Machine-specific, so kept in localStorage rather than in
+		 * presets or exported settings. concurrency = number of processing workers.
+		 */
+		this.processingSettings = this.loadProcessingSettings();
+
+		/*
+		 * BATCH STATE: activeBatch is the running batch ({ paused, cancelled, pool, waiters });
+		 * interruptedRun records the settings of a cancelled batch so it can be resumed, and
+		 * resultsSignature those of the last batch, so a retry only keeps results still up to date.
+		 */
+		this.activeBatch = null;
+		this.interruptedRun = null;
+		this.resultsSignature = null;
+
+		/*
+		 * SESSION: The working session is saved to IndexedDB shortly after each change (see
+		 * SessionStore). previousSession is one from an earlier page load that can be restored.
+		 */
+		this.session = SessionStore.isSupported() ? new SessionStore() : null;
+		this.previousSession = null;
+		this.sessionSaveTimer = null;
+		this.restoringSession = false;
+
+		// Initialize application components and event bindings
+		this.init();
+	}
+
+	init() {
+		/* Make globally available */
+		window.watermarkApp = this;
+
+		/* Initialize components */
+		this.fileUploadHandler = new FileUploadHandler();
+		this.modal = new ProcessedImageModal();
+		this.modal.onRetryFailed = () => {
+			this.modal.closeModal();
+			this.retryFailedImages();
+		};
+		this.modal.onSaveZip = (images, fileName, button) => this.saveZip(images, fileName, button);
+		this.presetManager = new PresetManager(this);
+		this.history = new SettingsHistory();
+
+		/* Wait for DOM then bind events */
+		if (document.readyState === 'loading') {
+			document.addEventListener('DOMContentLoaded', () => this.onReady());
+		} else {
+			this.onReady();
+		}
+	}
+
+	onReady() {
+		this.bindEvents();
+		this.initializeControls();
+		if (SettingsLink.isLink(window.location.hash)) {
+			/* Settings from a shared link replace the defaults */
+			this.loadSettingsLink(window.location.hash);
+		} else {
+			/* Ensure 'single' pattern is selected on load */
+			try {
+				this.watermarkSettings.patternMode = 'single';
+				const radios = document.querySelectorAll('input[name="patternMode"]');
+				radios.forEach((r) => {
+					r.checked = r.value === 'single';
+				});
+				this.updatePatternModeUI();
+				this.updatePreview();
+			} catch (err) {
+				console.warn('Failed to enforce single pattern mode on init', err);
+			}
+		}
+		this.updateUI();
+		this.initSession();
+	}
+
+	/**
+	 * @param {File[]} files - Validated image files
+	 * @param {Map} [folders] - File -> folder path for files from a dropped folder
+	 */
+	addFiles(files, folders = new Map()) {
+		files.forEach((file) => {
+			const fileData = this.createFileData(file, folders.get(file) || '');
+			this.uploadedFiles.push(fileData);
+			this.loadImagePreview(fileData);
+		});
+
+		this.updateUI();
+	}
+
+	/**
+	 * @param {File} file - Image file
+	 * @param {string} folder - Path inside a dropped folder or archive, '' for none
+	 * @returns {Object} Entry for uploadedFiles, still to be loaded with loadImagePreview()
+	 */
+	createFileData(file, folder) {
+		return {
+			file: file,
+			name: file.name,
+			folder: folder, // Path inside a dropped folder, recreated in the ZIP
+			size: file.size,
+			id: Date.now() + Math.random(),
+			preview: null,
+			loaded: false,
+			error: null,
+			exif: null, // Parsed EXIF metadata (see ExifReader)
+			orientation: 1, // EXIF orientation still to be applied when drawing
+			decodableFile: file, // Blob the browser can decode (HEIC is converted to JPEG)
+			processStatus: null, // null | 'queued' | 'processing' | 'done' | 'failed' for the last batch
+			processError: null, // Failure reason when processStatus is 'failed'
+			cropPosition: null, // { x, y } crop box position dragged on the preview, or null for the anchor
+			focusPoint: null, // Cached subject position for the smart crop anchor
+			overrides: null, // Settings overridden for this image (see getOverriddenLayer), or null
+		};
+	}
+
+	/**
+	 * Load image preview for a file and update UI when complete.
+	 *
+	 * ASYNC LOADING:
+	 * - Uses FileReader to load image data asynchronously
+	 * - Updates file metadata when loading completes
+	 * - Re-renders image grid to show loading progress
+	 * - Updates UI elements to reflect current loaded file count
+	 * - Triggers preview update for first loaded file
+	 *
+	 * @param {Object} fileData - File data object with metadata
+	 */
+	async loadImagePreview(fileData) {
+		const fileName = fileData.file.name.toLowerCase();
+		const isHEIC =
+			fileData.file.type === 'image/heic' ||
+			fileData.file.type === 'image/heif' ||
+			fileName.endsWith('.heic') ||
+			fileName.endsWith('.heif');
+
+		// Read EXIF from the original file; HEIC decoding already applies the orientation
+		try {
+			fileData.exif = await ExifReader.readFile(fileData.file);
+			if (fileData.exif && !isHEIC) fileData.orientation = fileData.exif.tags.Orientation || 1;
+		} catch (error) {
+			console.warn(`Failed to read EXIF metadata from ${fileData.name}:`, error);
+		}
+
+		let fileToRead = fileData.file;
+
+		if (isHEIC) {
+			try {
+				if (typeof heic2any === 'undefined') {
+					throw new Error('HEIC converter not loaded');
+				}
+
+				const convertedBlob = await heic2any({
+					blob: fileData.file,
+					toType: 'image/jpeg',
+					quality: 0.9,
+				});
+
+				fileToRead = Array.isArray(convertedBlob) ? convertedBlob[0] : convertedBlob;
+				fileData.decodableFile = fileToRead;
+			} catch (error) {
+				console.error('HEIC conversion failed:', error);
+				fileData.error = 'Failed to convert HEIC image';
+				this.renderImageGrid();
+				this.updateUI();
+				return;
+			}
+		}
+
+		const reader = new FileReader();
+
+		reader.onload = (e) => {
+			fileData.preview = e.target.result;
+			fileData.loaded = true;
+			this.updateUI();
+
+			// A restored session keeps its preview selection once that image has loaded
+			const waitingForPreview = this.uploadedFiles.some(
+				(file) => file.id === this.currentPreviewFileId && !file.loaded && !file.error,
+			);
+			if (
+				fileData.id === this.currentPreviewFileId ||
+				(this.getLoadedFiles().length === 1 && !waitingForPreview)
+			) {
+				this.currentPreviewFileId = fileData.id;
+				setTimeout(() => this.updatePreview(), 500);
+			}
+
+			// Re-render grid to show selection state
+			this.renderImageGrid();
+		};
+
+		reader.onerror = () => {
+			fileData.error = 'Failed to load image';
+			this.renderImageGrid();
+			this.updateUI();
+		};
+
+		reader.readAsDataURL(fileToRead);
+	}
+
+	bindEvents() {
+		/* Clear files */
+		const clearBtn = document.getElementById('clearFiles');
+		if (clearBtn) {
+			clearBtn.addEventListener('click', () => this.clearAllFiles());
+		}
+
+		/* Reset to defaults button */
+		const resetBtn = document.getElementById('resetDefaults');
+		if (resetBtn) {
+			resetBtn.addEventListener('click', () => this.resetToDefaults());
+		}
+
+		/* Watermark layers */
+		const addLayerBtn = document.getElementById('addLayer');
+		const layerList = document.getElementById('layerList');
+		if (addLayerBtn) addLayerBtn.addEventListener('click', () => this.addLayer());
+		if (layerList) {
+			layerList.addEventListener('click', (e) => {
+				const button = e.target.closest('button[data-action]');
+				const item = e.target.closest('.layer-item');
+				if (!button || !item || button.disabled) return;
+
+				const index = parseInt(item.dataset.index);
+				switch (button.dataset.action) {
+					case 'select':
+						this.selectLayer(index);
+						break;
+					case 'visibility':
+						this.toggleLayerVisibility(index);
+						break;
+					case 'up':
+						this.moveLayer(index, 1);
+						break;
+					case 'down':
+						this.moveLayer(index, -1);
+						break;
+					case 'duplicate':
+						this.duplicateLayer(index);
+						break;
+					case 'delete':
+						this.deleteLayer(index);
+						break;
+				}
+			});
+		}
+		this.renderLayerList();
+
+		/* Undo / redo */
+		const undoBtn = document.getElementById('undoSettings');
+		const redoBtn = document.getElementById('redoSettings');
+		if (undoBtn) undoBtn.addEventListener('click', () => this.undo());
+		if (redoBtn) redoBtn.addEventListener('click', () => this.redo());
+		this.updateHistoryButtons();
+
+		// Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their native undo
+		document.addEventListener('keydown', (e) => {
+			if (!(e.ctrlKey || e.metaKey) || e.altKey || e.key.toLowerCase() !== 'z') return;
+			const target = e.target;
+			const isTextField =
+				target &&
+				(target.isContentEditable ||
+					target.tagName === 'TEXTAREA' ||
+					(target.tagName === 'INPUT' && ['text', 'number', 'search'].includes(target.type)));
+			if (isTextField) return;
+
+			e.preventDefault();
+			if (e.shiftKey) {
+				this.redo();
+			} else {
+				this.undo();
+			}
+		});
+
+		/* Settings export/import */
+		const exportBtn = document.getElementById('exportSettings');
+		const importBtn = document.getElementById('importSettings');
+		const importInput = document.getElementById('importSettingsFile');
+		const copyLinkBtn = document.getElementById('copySettingsLink');
+		if (exportBtn) {
+			exportBtn.addEventListener('click', () => this.exportSettings());
+		}
+		if (copyLinkBtn) {
+			copyLinkBtn.addEventListener('click', () => this.copySettingsLink());
+		}
+		if (importBtn && importInput) {
+			importBtn.addEventListener('click', () => {
+				importInput.value = '';
+				importInput.click();
+			});
+			importInput.addEventListener('change', (e) => {
+				const file = e.target.files[0];
+				if (file) this.importSettingsFile(file);
+			});
+		}
+
+		// Watermark type toggles
+		const textToggle = document.getElementById('textToggle');
+		const logoToggle = document.getElementById('logoToggle');
+		if (textToggle) textToggle.addEventListener('click', () => this.setWatermarkType('text'));
+		if (logoToggle) logoToggle.addEventListener('click', () => this.setWatermarkType('logo'));
+
+		// Pattern mode
+		document.querySelectorAll('input[name="patternMode"]').forEach((radio) => {
+			radio.addEventListener('change', (e) => {
+				this.recordHistory();
+				this.watermarkSettings.patternMode = e.target.value;
+				this.updatePatternModeUI();
+				this.updatePreview();
+			});
+		});
+
+		// Text controls
+		this.bindTextControls();
+
+		// Image controls
+		this.bindLogoControls();
+
+		// Range controls
+		this.bindRangeControls();
+
+		// Position controls
+		this.bindPositionControls();
+
+		// Output metadata
+		this.bindOutputControls();
+
+		// Export sizes
+		this.bindVariantControls();
+
+		// Crop box on the preview
+		this.bindCropControls();
+		this.bindWatermarkDragControls();
+
+		// Per-image overrides from the image grid
+		this.bindOverrideControls();
+
+		// Processing
+		this.bindProcessingControls();
+	}
+
+	bindTextControls() {
+		const textContent = document.getElementById('textContent');
+		const fontFamily = document.getElementById('fontFamily');
+		const textColor = document.getElementById('textColor');
+
+		if (textContent) {
+			textContent.addEventListener('input', () => {
+				this.recordHistory('text');
+				this.watermarkSettings.text = textContent.value;
+				this.updatePreview();
+			});
+		}
+
+		if (fontFamily) {
+			fontFamily.addEventListener('change', () => {
+				this.recordHistory();
+				this.watermarkSettings.fontFamily = fontFamily.value;
+				this.updatePreview();
+			});
+		}
+
+		if (textColor) {
+			textColor.addEventListener('change', () => {
+				this.recordHistory();
+				this.watermarkSettings.textColor = textColor.value;
+				this.updatePreview();
+			});
+		}
+	}
+
+	bindLogoControls() {
+		const watermarkLogo = document.getElementById('watermarkLogo');
+		if (watermarkLogo) {
+			watermarkLogo.addEventListener('change', (e) => {
+				const file = e.target.files[0];
+				if (file) {
+					const reader = new FileReader();
+					reader.onload = (e) => {
+						const img = new Image();
+						img.onload = () => {
+							/* Logo upload and the implied switch to logo mode form one undo step */
+							this.recordHistory();
+							this._historyPaused = true;
+							this.watermarkSettings.watermarkLogo = img;
+							/* Switch to logo watermark mode */
+							try {
+								this.setWatermarkType('logo');
+							} catch (err) {
+								this.watermarkSettings.type = 'logo';
+							}
+							this._historyPaused = false;
+
+							/* Update logo control visibility now that logo is uploaded */
+							this.updateLogoControlsVisibility();
+
+							const previewImg = document.getElementById('watermarkPreviewImg');
+							const watermarkPreview = document.getElementById('watermarkPreview');
+
+							if (previewImg && watermarkPreview) {
+								previewImg.src = e.target.result;
+								watermarkPreview.classList.remove('hidden');
+							}
+
+							/* Ensure logoScale setting is synced */
+							const logoScaleEl = document.getElementById('logoScale');
+							const logoScaleNum = document.getElementById('logoScaleNumber');
+							if (logoScaleEl)
+								this.watermarkSettings.logoScale =
+									Number(logoScaleEl.value) || this.watermarkSettings.logoScale;
+							if (logoScaleNum)
+								this.watermarkSettings.logoScale =
+									Number(logoScaleNum.value) || this.watermarkSettings.logoScale;
+
+							/* Prebuild watermark cache for immediate rendering */
+							try {
+								const tempCanvas = document.createElement('canvas');
+								tempCanvas.width = Math.max(200, img.width);
+								tempCanvas.height = Math.max(200, img.height);
+								const tctx = tempCanvas.getContext('2d');
+								this.buildWatermarkCache(tctx, tempCanvas.width, tempCanvas.height);
+							} catch (err) {
+								/* fail silently */
+							}
+
+							this.updateFormControls();
+							this.updatePreview();
+						};
+						img.src = e.target.result;
+					};
+					reader.readAsDataURL(file);
+				}
+			});
+		}
+	}
+
+	bindRangeControls() {
+		const controls = ['fontSize', 'logoScale', 'opacity', 'patternAngle', 'watermarkRotation'];
+		const logoControls = ['logoOpacity', 'logoRotation', 'logoPatternAngle'];
+
+		controls.forEach((controlId) => {
+			const rangeEl = document.getElementById(controlId);
+			const numberEl = document.getElementById(controlId + 'Number');
+
+			if (rangeEl) {
+				rangeEl.addEventListener('input', (e) => {
+					const value = parseInt(e.target.value);
+					this.recordHistory(controlId);
+					this.watermarkSettings[controlId] = value;
+					this.syncControls(controlId, value);
+					this.updatePreview();
+				});
+			}
+
+			if (numberEl) {
+				numberEl.addEventListener('input', (e) => {
+					const value = parseInt(e.target.value);
+					this.recordHistory(controlId);
+					this.watermarkSettings[controlId] = value;
+					this.syncControls(controlId, value);
+					this.updatePreview();
+				});
+			}
+		});
+
+		// Logo-specific controls that map to the same settings
+		logoControls.forEach((controlId) => {
+			const rangeEl = document.getElementById(controlId);
+			const numberEl = document.getElementById(controlId + 'Number');
+			let settingsKey;
+
+			// Map logo control IDs to actual settings keys
+			switch (controlId) {
+				case 'logoOpacity':
+					settingsKey = 'opacity';
+					break;
+				case 'logoRotation':
+					settingsKey = 'watermarkRotation';
+					break;
+				case 'logoPatternAngle':
+					settingsKey = 'patternAngle';
+					break;
+			}
+
+			if (rangeEl && settingsKey) {
+				rangeEl.addEventListener('input', (e) => {
+					const value = parseInt(e.target.value);
+					this.recordHistory(settingsKey);
+					this.watermarkSettings[settingsKey] = value;
+					this.syncLogoControls(controlId, value);
+					this.updatePreview();
+				});
+			}
+
+			if (numberEl && settingsKey) {
+				numberEl.addEventListener('input', (e) => {
+					const value = parseInt(e.target.value);
+					this.recordHistory(settingsKey);
+					this.watermarkSettings[settingsKey] = value;
+					this.syncLogoControls(controlId, value);
+					this.updatePreview();
+				});
+			}
+		});
+
+		// Overlay effect
+		// Text-only effect controls (shadow, outline, glow)
+		const effectShadow = document.getElementById('effectShadow');
+		const effectShadowColor = document.getElementById('effectShadowColor');
+		const effectShadowBlur = document.getElementById('effectShadowBlur');
+		const effectShadowOffsetX = document.getElementById('effectShadowOffsetX');
+		const effectShadowOffsetY = document.getElementById('effectShadowOffsetY');
+
+		const effectOutline = document.getElementById('effectOutline');
+		const effectOutlineColor = document.getElementById('effectOutlineColor');
+		const effectOutlineThickness = document.getElementById('effectOutlineThickness');
+		const effectOutlineOpacity = document.getElementById('effectOutlineOpacity');
+
+		const effectGlow = document.getElementById('effectGlow');
+		const effectGlowColor = document.getElementById('effectGlowColor');
+		const effectGlowSpread = document.getElementById('effectGlowSpread');
+		const effectGlowIntensity = document.getElementById('effectGlowIntensity');
+
+		const bindEffect = (el, setter) => {
+			if (!el) return;
+			el.addEventListener('input', () => {
+				this.recordHistory(el.id);
+				setter();
+				this.updatePreview();
+			});
+		};
+
+		bindEffect(effectShadow, () => {
+			this.watermarkSettings.textEffects.shadow = !!effectShadow.checked;
+			// Initialize default values when enabled
+			if (effectShadow.checked) {
+				if (effectShadowBlur) effectShadowBlur.value = this.watermarkSettings.textEffects.shadowBlur;
+				if (effectShadowOffsetX) effectShadowOffsetX.value = this.watermarkSettings.textEffects.shadowOffsetX;
+				if (effectShadowOffsetY) effectShadowOffsetY.value = this.watermarkSettings.textEffects.shadowOffsetY;
+			}
+		});
+		bindEffect(effectShadowColor, () => (this.watermarkSettings.textEffects.shadowColor = effectShadowColor.value));
+		bindEffect(
+			effectShadowBlur,
+			() => (this.watermarkSettings.textEffects.shadowBlur = Number(effectShadowBlur.value)),
+		);
+		bindEffect(
+			effectShadowOffsetX,
+			() => (this.watermarkSettings.textEffects.shadowOffsetX = Number(effectShadowOffsetX.value)),
+		);
+		bindEffect(
+			effectShadowOffsetY,
+			() => (this.watermarkSettings.textEffects.shadowOffsetY = Number(effectShadowOffsetY.value)),
+		);
+
+		bindEffect(effectOutline, () => {
+			this.watermarkSettings.textEffects.outline = !!effectOutline.checked;
+			// Initialize default values when enabled
+			if (effectOutline.checked) {
+				if (effectOutlineThickness)
+					effectOutlineThickness.value = this.watermarkSettings.textEffects.outlineThickness;
+				if (effectOutlineOpacity)
+					effectOutlineOpacity.value = this.watermarkSettings.textEffects.outlineOpacity;
+			}
+		});
+		bindEffect(
+			effectOutlineColor,
+			() => (this.watermarkSettings.textEffects.outlineColor = effectOutlineColor.value),
+		);
+		bindEffect(
+			effectOutlineThickness,
+			() => (this.watermarkSettings.textEffects.outlineThickness = Number(effectOutlineThickness.value)),
+		);
+		bindEffect(
+			effectOutlineOpacity,
+			() => (this.watermarkSettings.textEffects.outlineOpacity = Number(effectOutlineOpacity.value)),
+		);
+
+		bindEffect(effectGlow, () => {
+			this.watermarkSettings.textEffects.glow = !!effectGlow.checked;
+			// Initialize default values when enabled
+			if (effectGlow.checked) {
+				if (effectGlowSpread) effectGlowSpread.value = this.watermarkSettings.textEffects.glowSpread;
+				if (effectGlowIntensity) effectGlowIntensity.value = this.watermarkSettings.textEffects.glowIntensity;
+			}
+		});
+		bindEffect(effectGlowColor, () => (this.watermarkSettings.textEffects.glowColor = effectGlowColor.value));
+		bindEffect(
+			effectGlowSpread,
+			() => (this.watermarkSettings.textEffects.glowSpread = Number(effectGlowSpread.value)),
+		);
+		bindEffect(
+			effectGlowIntensity,
+			() => (this.watermarkSettings.textEffects.glowIntensity = Number(effectGlowIntensity.value)),
+		);
+
+		// New compact horizontal/vertical spacing controls
+		const spX = document.getElementById('patternSpacingX');
+		const spY = document.getElementById('patternSpacingY');
+		const spXNum = document.getElementById('patternSpacingXNumber');
+		const spYNum = document.getElementById('patternSpacingYNumber');
+
+		// Logo pattern spacing controls
+		const logoSpX = document.getElementById('logoPatternSpacingX');
+		const logoSpY = document.getElementById('logoPatternSpacingY');
+		const logoSpXNum = document.getElementById('logoPatternSpacingXNumber');
+		const logoSpYNum = document.getElementById('logoPatternSpacingYNumber');
+
+		if (spX) {
+			spX.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingX');
+				this.watermarkSettings.patternSpacingX = v;
+				const el = document.getElementById('patternSpacingXValue');
+				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
+				if (spXNum) spXNum.value = v;
+				this.updatePreview();
+			});
+		}
+
+		if (spY) {
+			spY.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingY');
+				this.watermarkSettings.patternSpacingY = v;
+				const el = document.getElementById('patternSpacingYValue');
+				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
+				if (spYNum) spYNum.value = v;
+				this.updatePreview();
+			});
+		}
+
+		if (spXNum) {
+			spXNum.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingX');
+				this.watermarkSettings.patternSpacingX = v;
+				if (spX) spX.value = v;
+				const el = document.getElementById('patternSpacingXValue');
+				if (el) el.textContent = v;
+				this.updatePreview();
+			});
+		}
+
+		if (spYNum) {
+			spYNum.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingY');
+				this.watermarkSettings.patternSpacingY = v;
+				if (spY) spY.value = v;
+				const el = document.getElementById('patternSpacingYValue');
+				if (el) el.textContent = v;
+				this.updatePreview();
+			});
+		}
+
+		// Logo pattern spacing controls
+		if (logoSpX) {
+			logoSpX.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingX');
+				this.watermarkSettings.patternSpacingX = v;
+				const el = document.getElementById('logoPatternSpacingXValue');
+				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
+				if (logoSpXNum) logoSpXNum.value = v;
+				this.updatePreview();
+			});
+		}
+
+		if (logoSpY) {
+			logoSpY.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingY');
+				this.watermarkSettings.patternSpacingY = v;
+				const el = document.getElementById('logoPatternSpacingYValue');
+				if (el) el.textContent = v; // Show the actual UI value, not a pixel estimate
+				if (logoSpYNum) logoSpYNum.value = v;
+				this.updatePreview();
+			});
+		}
+
+		if (logoSpXNum) {
+			logoSpXNum.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingX');
+				this.watermarkSettings.patternSpacingX = v;
+				if (logoSpX) logoSpX.value = v;
+				const el = document.getElementById('logoPatternSpacingXValue');
+				if (el) el.textContent = v;
+				this.updatePreview();
+			});
+		}
+
+		if (logoSpYNum) {
+			logoSpYNum.addEventListener('input', (e) => {
+				const v = parseInt(e.target.value);
+				this.recordHistory('patternSpacingY');
+				this.watermarkSettings.patternSpacingY = v;
+				if (logoSpY) logoSpY.value = v;
+				const el = document.getElementById('logoPatternSpacingYValue');
+				if (el) el.textContent = v;
+				this.updatePreview();
+			});
+		}
+	}
+
+	bindPositionControls() {
+		// Text position controls
+		document.querySelectorAll('#positionGrid .position-btn').forEach((btn) => {
+			btn.addEventListener('click', () => {
+				this.recordHistory();
+				this.watermarkSettings.freePosition = null; // Back to an anchor after dragging
+				this.setPosition(btn.dataset.position);
+				this.updatePreview();
+			});
+		});
+
+		// Logo position controls
+		document.querySelectorAll('#logoPositionGrid .position-btn').forEach((btn) => {
+			btn.addEventListener('click', () => {
+				this.recordHistory();
+				this.watermarkSettings.freePosition = null; // Back to an anchor after dragging
+				this.setPosition(btn.dataset.position);
+				this.updatePreview();
+			});
+		});
+
+		// Offset and safe margin controls; the text and logo panels edit the same settings
+		const lengthControls = {
+			offsetX: 'offsetX',
+			offsetY: 'offsetY',
+			safeMargin: 'safeMargin',
+			logoOffsetX: 'offsetX',
+			logoOffsetY: 'offsetY',
+			logoSafeMargin: 'safeMargin',
+		};
+		Object.entries(lengthControls).forEach(([id, key]) => {
+			const input = document.getElementById(id);
+			if (!input) return;
+			input.addEventListener('input', (e) => {
+				this.recordHistory(key);
+				this.watermarkSettings[key] = parseFloat(e.target.value);
+				this.updateOffsetControls();
+				this.updatePreview();
+			});
+		});
+
+		['offsetUnit', 'logoOffsetUnit'].forEach((id) => {
+			const select = document.getElementById(id);
+			if (!select) return;
+			select.addEventListener('change', (e) => {
+				this.recordHistory();
+				this.setOffsetUnit(e.target.value);
+				this.updatePreview();
+			});
+		});
+	}
+
+	/**
+	 * Slider ranges of offsets and the safe margin in each unit (see WatermarkRenderer.lengthToPixels).
+	 */
+	static get OFFSET_UNITS() {
+		return {
+			width: { suffix: '%', offset: 50, margin: 25, step: 0.1 },
+			short: { suffix: '%', offset: 50, margin: 25, step: 0.1 },
+			px: { suffix: 'px', offset: 2000, margin: 1000, step: 1 },
+		};
+	}
+
+	/**
+	 * Change the unit of the active layer's offsets and safe margin. Values are converted on the
+	 * previewed frame so the watermark stays where it is there.
+	 * @param {string} unit - 'width', 'short' or 'px'
+	 */
+	setOffsetUnit(unit) {
+		const settings = this.watermarkSettings;
+		const range = BulkWatermarkApp.OFFSET_UNITS[unit];
+		const frame = this.previewWatermark ? this.previewWatermark.frame : null;
+		const convert = (value, min, max) => {
+			let converted = value;
+			if (frame) {
+				const pixels = this.lengthToPixels(value, settings.offsetUnit, frame.width, frame.height);
+				converted = pixels / this.lengthToPixels(1, unit, frame.width, frame.height);
+			}
+			// Snap to the slider step (toFixed drops floating point noise such as 0.30000000000000004)
+			const snapped = Number((Math.round(converted / range.step) * range.step).toFixed(1));
+			return Math.max(min, Math.min(max, snapped));
+		};
+
+		settings.offsetX = convert(settings.offsetX, -range.offset, range.offset);
+		settings.offsetY = convert(settings.offsetY, -range.offset, range.offset);
+		settings.safeMargin = convert(settings.safeMargin, 0, range.margin);
+		settings.offsetUnit = unit;
+		this.updateOffsetControls();
+		this.updateOverrideControls(); // Offsets not yet overridden switch to the new unit
+	}
+
+	/**
+	 * Show the active layer's offsets, safe margin and their unit in both the text and logo panels.
+	 */
+	updateOffsetControls() {
+		const settings = this.watermarkSettings;
+		const range = BulkWatermarkApp.OFFSET_UNITS[settings.offsetUnit] || BulkWatermarkApp.OFFSET_UNITS.short;
+
+		['', 'logo'].forEach((prefix) => {
+			const id = (name) => (prefix ? prefix + name.charAt(0).toUpperCase() + name.slice(1) : name);
+
+			const unitSelect = document.getElementById(id('offsetUnit'));
+			if (unitSelect) unitSelect.value = settings.offsetUnit;
+
+			[
+				['offsetX', -range.offset, range.offset],
+				['offsetY', -range.offset, range.offset],
+				['safeMargin', 0, range.margin],
+			].forEach(([key, min, max]) => {
+				const input = document.getElementById(id(key));
+				if (input) {
+					input.min = min;
+					input.max = max;
+					input.step = range.step;
+					input.value = settings[key];
+				}
+				const valueEl = document.getElementById(`${id(key)}Value`);
+				if (valueEl) valueEl.textContent = settings[key];
+			});
+		});
+
+		document.querySelectorAll('.offset-unit-label').forEach((label) => {
+			label.textContent = range.suffix;
+		});
+	}
+
+	/**
+	 * Map of output option keys to their form control ids.
+	 */
+	get outputControlIds() {
+		return {
+			cropAspect: 'cropAspect',
+			cropAnchor: 'cropAnchor',
+			filenameTemplate: 'filenameTemplate',
+			format: 'outputFormat',
+			quality: 'outputQuality',
+			background: 'outputBackground',
+			maxFileSize: 'outputMaxSize',
+			allowDownscale: 'outputAllowDownscale',
+			metadataPolicy: 'metadataPolicy',
+			writeMetadata: 'writeMetadata',
+			copyright: 'metaCopyright',
+			artist: 'metaArtist',
+			creditLine: 'metaCredit',
+			usageTerms: 'metaUsageTerms',
+			contactUrl: 'metaContactUrl',
+		};
+	}
+
+	bindOutputControls() {
+		const ids = this.outputControlIds;
+		// Options that show, hide or describe other controls
+		const dependentKeys = ['writeMetadata', 'format', 'quality', 'maxFileSize', 'cropAspect', 'filenameTemplate'];
+		Object.keys(ids).forEach((key) => {
+			const el = document.getElementById(ids[key]);
+			if (!el) return;
+			const event = el.type === 'checkbox' || el.tagName === 'SELECT' ? 'change' : 'input';
+			el.addEventListener(event, () => {
+				if (el.type === 'checkbox') this.outputSettings[key] = el.checked;
+				else if (el.type === 'range' || el.type === 'number') this.outputSettings[key] = Number(el.value) || 0;
+				else this.outputSettings[key] = el.value.trim();
+				if (dependentKeys.includes(key)) this.updateOutputControls();
+				if (key === 'cropAspect' || key === 'cropAnchor') this.updatePreview();
+				this.scheduleSessionSave();
+			});
+		});
+
+		// Formats the browser cannot encode stay visible but unselectable
+		const formatSelect = document.getElementById('outputFormat');
+		if (formatSelect) {
+			Array.from(formatSelect.options).forEach((option) => {
+				if (option.value !== 'original' && !this.canEncodeFormat(option.value)) {
+					option.disabled = true;
+					option.textContent += ' (not supported by this browser)';
+				}
+			});
+		}
+		this.updateOutputControls();
+	}
+
+	updateOutputControls() {
+		const ids = this.outputControlIds;
+		Object.keys(ids).forEach((key) => {
+			const el = document.getElementById(ids[key]);
+			if (!el) return;
+			if (el.type === 'checkbox') {
+				el.checked = this.outputSettings[key];
+			} else if (el !== document.activeElement) {
+				el.value = this.outputSettings[key];
+			}
+		});
+
+		const qualityValue = document.getElementById('outputQualityValue');
+		if (qualityValue) qualityValue.textContent = this.outputSettings.quality;
+		this.renderVariantList();
+
+		this.updateFilenameExample();
+
+		// Quality only applies to lossy formats; the fill colour only when output can be JPEG
+		const format = this.outputSettings.format;
+		const visibility = {
+			metadataFields: this.outputSettings.writeMetadata,
+			outputQualityGroup: format !== 'png',
+			outputBackgroundGroup: format === 'original' || format === 'jpeg',
+			outputDownscaleOption: this.outputSettings.maxFileSize > 0,
+			cropAnchorGroup: this.outputSettings.cropAspect !== 'original',
+		};
+		Object.keys(visibility).forEach((id) => {
+			const el = document.getElementById(id);
+			if (!el) return;
+			if (visibility[id]) {
+				el.classList.remove('hidden');
+			} else {
+				el.classList.add('hidden');
+			}
+		});
+	}
+
+	/**
+	 * @param {Object} [overrides] - Fields to change from the full-size default
+	 * @returns {Object} Export variant (see VARIANT_SCHEMA)
+	 */
+	getDefaultVariant(overrides = {}) {
+		return { name: 'Original', resize: 'none', width: 2048, height: 2048, stage: 'before', ...overrides };
+	}
+
+	/**
+	 * @param {string} name - Requested variant name
+	 * @param {number} [ignoreIndex] - Variant being renamed
+	 * @returns {string} The name, numbered if another variant already uses it
+	 */
+	getUniqueVariantName(name, ignoreIndex = -1) {
+		const base = name.trim() || 'Variant';
+		const taken = (candidate) =>
+			this.outputSettings.variants.some(
+				(variant, index) => index !== ignoreIndex && variant.name.toLowerCase() === candidate.toLowerCase(),
+			);
+		let unique = base;
+		for (let n = 2; taken(unique); n++) unique = `${base} ${n}`;
+		return unique;
+	}
+
+	/**
+	 * @param {string} name - Variant name
+	 * @returns {string} ZIP folder name without path separators or reserved characters
+	 */
+	getVariantFolder(name) {
+		return name.replace(/[\\/:*?"<>|]/g, '_').trim() || 'variant';
+	}
+
+	addVariant() {
+		const variants = this.outputSettings.variants;
+		if (variants.length >= MAX_EXPORT_VARIANTS) {
+			this.fileUploadHandler.showError(`A maximum of ${MAX_EXPORT_VARIANTS} export sizes is supported.`);
+			return;
+		}
+		// Suggest the next common web size below the smallest one so far
+		const sizes = variants.filter((variant) => variant.resize !== 'none').map((variant) => variant.width);
+		const width = sizes.length === 0 ? 2048 : Math.max(1, Math.round(Math.min(...sizes) / 2));
+		variants.push(
+			this.getDefaultVariant({
+				name: this.getUniqueVariantName(`${width}px`),
+				resize: 'long-edge',
+				width,
+				height: width,
+			}),
+		);
+		this.renderVariantList();
+	}
+
+	removeVariant(index) {
+		if (this.outputSettings.variants.length <= 1) return;
+		this.outputSettings.variants.splice(index, 1);
+		this.renderVariantList();
+	}
+
+	/**
+	 * @param {number} index - Variant index
+	 * @param {string} field - Key of VARIANT_SCHEMA
+	 * @param {string} value - Control value
+	 */
+	updateVariant(index, field, value) {
+		const variant = this.outputSettings.variants[index];
+		if (!variant) return;
+
+		if (field === 'width' || field === 'height') {
+			const size = parseInt(value);
+			if (size >= VARIANT_SCHEMA[field].min && size <= VARIANT_SCHEMA[field].max) variant[field] = size;
+		} else if (field === 'name') {
+			variant.name = value;
+		} else {
+			variant[field] = value;
+			this.renderVariantList(); // Size and stage fields depend on the resize mode
+		}
+	}
+
+	/**
+	 * Render the export size list, one row per variant.
+	 */
+	renderVariantList() {
+		const list = document.getElementById('variantList');
+		if (!list) return;
+
+		const variants = this.outputSettings.variants;
+		list.innerHTML = '';
+		variants.forEach((variant, index) => {
+			const item = document.createElement('li');
+			item.className = 'variant-item';
+			item.dataset.index = index;
+			const sized = variant.resize !== 'none';
+			const twoSided = variant.resize === 'fit' || variant.resize === 'fill' || variant.resize === 'exact';
+
+			item.innerHTML = `
+                <input type="text" class="form-control variant-name" data-field="name" maxlength="60" aria-label="Variant name" />
+                <select class="form-control" data-field="resize" aria-label="Resize mode">
+                    <option value="none">Original size</option>
+                    <option value="long-edge">Long edge</option>
+                    <option value="fit">Fit inside</option>
+                    <option value="fill">Fill (crop)</option>
+                    <option value="exact">Exact (stretch)</option>
+                </select>
+                <input type="number" class="form-control variant-size${sized ? '' : ' hidden'}" data-field="width" min="1" max="20000" aria-label="Width" />
+                <input type="number" class="form-control variant-size${twoSided ? '' : ' hidden'}" data-field="height" min="1" max="20000" aria-label="Height" />
+                <select class="form-control${sized ? '' : ' hidden'}" data-field="stage" aria-label="Resize stage">
+                    <option value="before">Resize, then watermark</option>
+                    <option value="after">Watermark, then resize</option>
+                </select>
+                <button class="btn btn--outline btn--sm" data-action="remove" title="Remove"${variants.length <= 1 ? ' disabled' : ''}>×</button>
+            `;
+			// Set as values so user-entered names are never parsed as HTML
+			item.querySelectorAll('[data-field]').forEach((el) => {
+				el.value = variant[el.dataset.field];
+			});
+
+			list.appendChild(item);
+		});
+
+		const addBtn = document.getElementById('addVariant');
+		if (addBtn) addBtn.disabled = variants.length >= MAX_EXPORT_VARIANTS;
+	}
+
+	bindVariantControls() {
+		const addBtn = document.getElementById('addVariant');
+		const list = document.getElementById('variantList');
+		if (addBtn) addBtn.addEventListener('click', () => this.addVariant());
+		if (!list) return;
+
+		list.addEventListener('input', (e) => {
+			const item = e.target.closest('.variant-item');
+			if (item && e.target.dataset.field && e.target.tagName !== 'SELECT') {
+				this.updateVariant(parseInt(item.dataset.index), e.target.dataset.field, e.target.value);
+			}
+		});
+		list.addEventListener('change', (e) => {
+			const item = e.target.closest('.variant-item');
+			if (!item || !e.target.dataset.field) return;
+			const index = parseInt(item.dataset.index);
+			if (e.target.dataset.field === 'name') {
+				// Names become ZIP folders, so they must be unique
+				this.updateVariant(index, 'name', this.getUniqueVariantName(e.target.value, index));
+				this.renderVariantList();
+			} else if (e.target.tagName === 'SELECT') {
+				this.updateVariant(index, e.target.dataset.field, e.target.value);
+			} else {
+				this.renderVariantList(); // Show the size that was actually kept
+			}
+		});
+		list.addEventListener('click', (e) => {
+			const button = e.target.closest('button[data-action="remove"]');
+			const item = e.target.closest('.variant-item');
+			if (button && item && !button.disabled) this.removeVariant(parseInt(item.dataset.index));
+		});
+		this.renderVariantList();
+	}
+
+	static get PROCESSING_STORAGE_KEY() {
+		return 'bulkWatermark.processing';
+	}
+
+	/**
+	 * @returns {Object} Processing options from localStorage, or defaults
+	 */
+	loadProcessingSettings() {
+		const settings = {
+			concurrency: WatermarkWorkerPool.DEFAULT_SIZE,
+			destination: 'zip', // 'zip' | 'folder' (see OutputFolder)
+			conflictPolicy: 'rename', // 'rename' | 'overwrite' | 'skip' for files already in the folder
+			releaseSaved: false, // Free processed images once they are on disk (see releaseProcessedImage)
+			keepSession: true, // Save the working session in IndexedDB (see SessionStore)
+		};
+		try {
+			const stored = JSON.parse(localStorage.getItem(BulkWatermarkApp.PROCESSING_STORAGE_KEY));
+			const concurrency = stored && Number(stored.concurrency);
+			if (concurrency >= 1 && concurrency <= 16) settings.concurrency = Math.round(concurrency);
+			if (stored && ['zip', 'folder'].includes(stored.destination)) settings.destination = stored.destination;
+			if (stored && ['rename', 'overwrite', 'skip'].includes(stored.conflictPolicy)) {
+				settings.conflictPolicy = stored.conflictPolicy;
+			}
+			if (stored && typeof stored.releaseSaved === 'boolean') settings.releaseSaved = stored.releaseSaved;
+			if (stored && typeof stored.keepSession === 'boolean') settings.keepSession = stored.keepSession;
+		} catch (error) {
+			console.warn('Failed to read processing options:', error);
+		}
+		return settings;
+	}
+
+	saveProcessingSettings() {
+		try {
+			localStorage.setItem(BulkWatermarkApp.PROCESSING_STORAGE_KEY, JSON.stringify(this.processingSettings));
+		} catch (error) {
+			console.warn('Failed to save processing options:', error);
+		}
+	}
+
+	bindProcessingControls() {
+		const processBtn = document.getElementById('processBtn');
+		const downloadZipBtn = document.getElementById('downloadZip');
+		const showGalleryBtn = document.getElementById('showGalleryBtn');
+		const concurrencyInput = document.getElementById('workerConcurrency');
+
+		if (concurrencyInput) {
+			concurrencyInput.value = this.processingSettings.concurrency;
+			concurrencyInput.disabled = !WatermarkWorkerPool.isSupported();
+			concurrencyInput.addEventListener('change', () => {
+				const value = Math.round(Number(concurrencyInput.value));
+				this.processingSettings.concurrency = Math.max(1, Math.min(16, value || 1));
+				concurrencyInput.value = this.processingSettings.concurrency;
+				this.saveProcessingSettings();
+			});
+		}
+
+		if (processBtn) {
+			processBtn.addEventListener('click', () => this.processAllImages());
+		}
+
+		this.bindDestinationControls();
+
+		const batchButtons = {
+			pauseProcessing: () => this.pauseProcessing(),
+			resumeProcessing: () => this.resumeProcessing(),
+			cancelProcessing: () => this.cancelProcessing(),
+			retryFailed: () => this.retryFailedImages(),
+		};
+		Object.keys(batchButtons).forEach((id) => {
+			const btn = document.getElementById(id);
+			if (btn) btn.addEventListener('click', batchButtons[id]);
+		});
+
+		if (downloadZipBtn) {
+			downloadZipBtn.addEventListener('click', () => this.downloadZip());
+		}
+
+		if (showGalleryBtn) {
+			// Always open the gallery modal when clicked; the modal will show an empty-state if no images
+			showGalleryBtn.addEventListener('click', () => {
+				try {
+					if (this.modal && typeof this.modal.showModal === 'function') {
+						this.modal.showModal(this.processedImages || [], this.getFailedFiles());
+					} else {
+						alert('Gallery is not available.');
+					}
+				} catch (e) {
+					console.error('Failed to open gallery:', e);
+				}
+			});
+		}
+	}
+
+	/**
+	 * "Save to" controls: ZIP download, or a local folder where the browser supports it.
+	 */
+	bindDestinationControls() {
+		const destinationSelect = document.getElementById('saveDestination');
+		const chooseBtn = document.getElementById('chooseOutputFolder');
+		const conflictSelect = document.getElementById('outputConflict');
+		const releaseOption = document.getElementById('releaseSavedOption');
+		const releaseCheckbox = document.getElementById('releaseSaved');
+
+		// Only useful where images can be written to disk as they are saved
+		if (releaseOption && (OutputFolder.isSupported() || ZipStream.isStreamingSupported())) {
+			releaseOption.classList.remove('hidden');
+		}
+		if (releaseCheckbox) {
+			releaseCheckbox.checked = this.processingSettings.releaseSaved;
+			releaseCheckbox.addEventListener('change', () => {
+				this.processingSettings.releaseSaved = releaseCheckbox.checked;
+				this.saveProcessingSettings();
+			});
+		}
+
+		if (destinationSelect) {
+			const folderOption = destinationSelect.querySelector('option[value="folder"]');
+			if (folderOption && !OutputFolder.isSupported()) {
+				folderOption.disabled = true;
+				folderOption.textContent += ' (not supported by this browser)';
+			}
+			destinationSelect.addEventListener('change', () => {
+				this.processingSettings.destination = destinationSelect.value;
+				this.saveProcessingSettings();
+				this.updateDestinationControls();
+			});
+		}
+
+		if (conflictSelect) {
+			conflictSelect.addEventListener('change', () => {
+				this.processingSettings.conflictPolicy = conflictSelect.value;
+				this.saveProcessingSettings();
+			});
+		}
+
+		if (chooseBtn) {
+			chooseBtn.addEventListener('click', async () => {
+				try {
+					const folder = await OutputFolder.choose();
+					if (folder) this.outputFolder = folder;
+				} catch (error) {
+					console.error('Failed to choose output folder:', error);
+					this.fileUploadHandler.showError(`Could not open the folder: ${error.message}`);
+				}
+				this.updateDestinationControls();
+			});
+		}
+
+		this.updateDestinationControls();
+	}
+
+	updateDestinationControls() {
+		const destinationSelect = document.getElementById('saveDestination');
+		const conflictSelect = document.getElementById('outputConflict');
+		const folderControls = document.getElementById('outputFolderControls');
+		const folderName = document.getElementById('outputFolderName');
+
+		if (destinationSelect) destinationSelect.value = this.isSavingToFolder() ? 'folder' : 'zip';
+		if (conflictSelect) conflictSelect.value = this.processingSettings.conflictPolicy;
+		if (folderName) folderName.textContent = this.outputFolder ? this.outputFolder.name : 'No folder chosen';
+		if (folderControls) {
+			if (this.isSavingToFolder()) {
+				folderControls.classList.remove('hidden');
+			} else {
+				folderControls.classList.add('hidden');
+			}
+		}
+	}
+
+	/**
+	 * @returns {boolean} True when results are written to a local folder instead of a ZIP
+	 */
+	isSavingToFolder() {
+		return this.processingSettings.destination === 'folder' && OutputFolder.isSupported();
+	}
+
+	/**
+	 * Choose the output folder if none is chosen yet, and make sure it can be written to.
+	 * @returns {Promise<OutputFolder|null>} Folder, or null when the batch should not start
+	 */
+	async prepareOutputFolder() {
+		try {
+			if (!this.outputFolder) this.outputFolder = await OutputFolder.choose();
+			this.updateDestinationControls();
+			if (!this.outputFolder) return null;
+			if (!(await this.outputFolder.ensurePermission())) {
+				this.fileUploadHandler.showError(`No permission to save into "${this.outputFolder.name}".`);
+				return null;
+			}
+			return this.outputFolder;
+		} catch (error) {
+			console.error('Failed to open output folder:', error);
+			this.fileUploadHandler.showError(`Could not open the output folder: ${error.message}`);
+			return null;
+		}
+	}
+
+	/**
+	 * Write the results of one source image into the output folder. Renamed files keep the
+	 * name they were given on disk, so the gallery and a later ZIP match the folder.
+	 * @param {OutputFolder} folder - Destination
+	 * @param {Object[]} images - Processed images of one source file
+	 * @returns {Promise<Object[]>} One OutputFolder.write() result per image
+	 */
+	async saveToOutputFolder(folder, images) {
+		const saved = [];
+		for (const image of images) {
+			image.saved = await folder.write(image.path, image.blob, this.processingSettings.conflictPolicy);
+			if (image.saved.status !== 'skipped') {
+				image.path = image.saved.path;
+				image.name = image.saved.path.split('/').pop();
+				if (this.processingSettings.releaseSaved) this.releaseProcessedImage(image, folder.name);
+			}
+			saved.push(image.saved);
+		}
+		return saved;
+	}
+
+	syncControls(controlId, value) {
+		const rangeEl = document.getElementById(controlId);
+		const numberEl = document.getElementById(controlId + 'Number');
+		const valueEl = document.getElementById(controlId + 'Value');
+
+		if (rangeEl) rangeEl.value = value;
+		if (numberEl) numberEl.value = value;
+		if (valueEl) valueEl.textContent = value;
+	}
+
+	syncLogoControls(controlId, value) {
+		const rangeEl = document.getElementById(controlId);
+		const numberEl = document.getElementById(controlId + 'Number');
+		const valueEl = document.getElementById(controlId + 'Value');
+
+		if (rangeEl) rangeEl.value = value;
+		if (numberEl) numberEl.value = value;
+		if (valueEl) valueEl.textContent = value;
+	}
+
+	initializeControls() {
+		// Sync all initial values
+		Object.keys(this.watermarkSettings).forEach((key) => {
+			if (typeof this.watermarkSettings[key] === 'number') {
+				this.syncControls(key, this.watermarkSettings[key]);
+			}
+		});
+
+		// Ensure the new spacing controls show 0 when defaulted to 0
+		const spx = document.getElementById('patternSpacingX');
+		const spy = document.getElementById('patternSpacingY');
+		const spxVal = document.getElementById('patternSpacingXValue');
+		const spyVal = document.getElementById('patternSpacingYValue');
+		if (spx) spx.value = Number(this.watermarkSettings.patternSpacingX || 0);
+		if (spy) spy.value = Number(this.watermarkSettings.patternSpacingY || 0);
+		if (spxVal) spxVal.textContent = this.watermarkSettings.patternSpacingX || 0;
+		if (spyVal) spyVal.textContent = this.watermarkSettings.patternSpacingY || 0;
+		// If preview canvas exists, show an estimated pixel value instead of raw slider unit
+		const previewCanvas = document.getElementById('previewCanvas');
+		// Remove pixel display since we're now showing just numerical values
+		// The UI values (0-20) are displayed directly without conversion
+
+		/* Set initial pattern mode UI */
+		this.updatePatternModeUI();
+
+		/* Set initial logo control visibility */
+		this.updateLogoControlsVisibility();
+	}
+
+	updatePatternModeUI() {
+		const patternControls = document.getElementById('patternControls');
+		const positionControls = document.getElementById('positionControls');
+		const offsetControls = document.getElementById('offsetControls');
+		const patternAngleGroup = document.getElementById('patternAngleGroup');
+
+		// Logo controls
+		const logoPatternControls = document.getElementById('logoPatternControls');
+		const logoPositionControls = document.getElementById('logoPositionControls');
+		const logoOffsetControls = document.getElementById('logoOffsetControls');
+		const logoPatternAngleGroup = document.getElementById('logoPatternAngleGroup');
+
+		const mode = this.watermarkSettings.patternMode;
+
+		if (mode === 'single') {
+			// Text controls
+			if (patternControls) patternControls.classList.add('hidden');
+			if (positionControls) positionControls.classList.remove('hidden');
+			if (offsetControls) offsetControls.classList.remove('hidden');
+
+			// Logo controls
+			if (logoPatternControls) logoPatternControls.classList.add('hidden');
+			if (logoPositionControls) logoPositionControls.classList.remove('hidden');
+			if (logoOffsetControls) logoOffsetControls.classList.remove('hidden');
+		} else {
+			// Text controls
+			if (patternControls) patternControls.classList.remove('hidden');
+			if (positionControls) positionControls.classList.add('hidden');
+			if (offsetControls) offsetControls.classList.add('hidden');
+
+			// Logo controls
+			if (logoPatternControls) logoPatternControls.classList.remove('hidden');
+			if (logoPositionControls) logoPositionControls.classList.add('hidden');
+			if (logoOffsetControls) logoOffsetControls.classList.add('hidden');
+
+			if (patternAngleGroup) {
+				// Show angle control only for tiled mode (angle controls diagonal orientation)
+				if (mode === 'tiled') {
+					patternAngleGroup.classList.remove('hidden');
+				} else {
+					patternAngleGroup.classList.add('hidden');
+				}
+			}
+
+			if (logoPatternAngleGroup) {
+				// Show logo angle control only for tiled mode
+				if (mode === 'tiled') {
+					logoPatternAngleGroup.classList.remove('hidden');
+				} else {
+					logoPatternAngleGroup.classList.add('hidden');
+				}
+			}
+		}
+	}
+
+	setWatermarkType(type) {
+		if (type !== this.watermarkSettings.type) this.recordHistory();
+		this.watermarkSettings.type = type;
+
+		/* Clear watermark cache when switching types to prevent artifacts */
+		this._watermarkCacheMap.clear();
+		this._watermarkCache = null;
+
+		document.querySelectorAll('.toggle-btn').forEach((btn) => btn.classList.remove('active'));
+		const toggleBtn = document.getElementById(type + 'Toggle');
+		if (toggleBtn) toggleBtn.classList.add('active');
+
+		const textOptions = document.getElementById('textOptions');
+		const logoOptions = document.getElementById('logoOptions');
+
+		if (type === 'text') {
+			if (textOptions) textOptions.classList.remove('hidden');
+			if (logoOptions) logoOptions.classList.add('hidden');
+			const te = document.getElementById('textEffectsControls');
+			if (te) te.classList.remove('hidden');
+		} else if (type === 'logo') {
+			if (textOptions) textOptions.classList.add('hidden');
+			if (logoOptions) logoOptions.classList.remove('hidden');
+			const te = document.getElementById('textEffectsControls');
+			if (te) te.classList.add('hidden');
+
+			/* Update logo control visibility based on upload status */
+			this.updateLogoControlsVisibility();
+		}
+
+		this.updatePreview();
+	}
+
+	updateLogoControlsVisibility() {
+		const hasLogo = !!this.watermarkSettings.watermarkLogo;
+		const logoConfigContainer = document.getElementById('logoConfigContainer');
+
+		if (logoConfigContainer) {
+			if (hasLogo) {
+				logoConfigContainer.classList.remove('hidden');
+			} else {
+				logoConfigContainer.classList.add('hidden');
+			}
+		}
+	}
+
+	setPosition(position) {
+		this.watermarkSettings.position = position;
+
+		// Update both text and logo position grids
+		document.querySelectorAll('#positionGrid .position-btn').forEach((btn) => btn.classList.remove('active'));
+		document.querySelectorAll('#logoPositionGrid .position-btn').forEach((btn) => btn.classList.remove('active'));
+
+		// A dragged watermark is not at any anchor
+		if (this.watermarkSettings.freePosition) return;
+
+		const textTargetBtn = document.querySelector(`#positionGrid [data-position="${position}"]`);
+		if (textTargetBtn) {
+			textTargetBtn.classList.add('active');
+		}
+
+		const logoTargetBtn = document.querySelector(`#logoPositionGrid [data-position="${position}"]`);
+		if (logoTargetBtn) {
+			logoTargetBtn.classList.add('active');
+		}
+	}
+
+	/**
+	 * Default watermark settings used by resets and as the base for restored snapshots.
+	 * @returns {Object} Fresh settings object (no logo)
+	 */
+	getDefaultSettings() {
+		return {
+			id: this.createLayerId(),
+			visible: true,
+			type: 'text',
+			patternMode: 'single',
+			text: '© Your Watermark',
+			fontSize: 24,
+			fontFamily: 'Arial',
+			textColor: '#ffffff',
+			opacity: 70,
+			position: 'bottom-right',
+			offsetUnit: 'short',
+			offsetX: 0,
+			offsetY: 0,
+			safeMargin: 2,
+			freePosition: null,
+			watermarkLogo: null,
+			logoScale: 20,
+			patternSpacing: 6, // Good default spacing for visual separation (UI scale)
+			patternSpacingX: 6, // Good default horizontal spacing to prevent overlap (UI scale)
+			patternSpacingY: 7, // Higher default vertical spacing to prevent overlap (UI scale)
+			patternAngle: -45,
+			watermarkRotation: 0,
+			overlayEffect: 'none',
+			textEffects: {
+				shadow: false,
+				shadowColor: '#000000',
+				shadowBlur: 6,
+				shadowOffsetX: 2,
+				shadowOffsetY: 2,
+				outline: false,
+				outlineColor: '#000000',
+				outlineThickness: 2,
+				outlineOpacity: 100,
+				glow: false,
+				glowColor: '#ffffff',
+				glowSpread: 12,
+				glowIntensity: 100,
+			},
+		};
+	}
+
+	/**
+	 * Ids are kept by undo snapshots and workers but not by settings files, presets, links or
+	 * sessions, so loaded layers always get new ones.
+	 * @returns {string} Id for a new layer
+	 */
+	createLayerId() {
+		return `layer-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+	}
+
+	/**
+	 * @returns {Object} Fresh output options (original format at maximum quality, original
+	 *   metadata stripped, no copyright fields)
+	 */
+	getDefaultOutputSettings() {
+		return {
+			cropAspect: 'original', // 'W:H' to crop before watermarking
+			cropAnchor: 'center', // 'center' | 'top' | 'smart'
+			filenameTemplate: 'watermarked_{name}', // Extension is added to match the format
+			variants: [this.getDefaultVariant()], // Full size only
+			format: 'original',
+			quality: 100,
+			background: '#ffffff',
+			maxFileSize: 0, // MB, 0 = no limit
+			allowDownscale: false,
+			metadataPolicy: 'strip',
+			writeMetadata: false,
+			copyright: '',
+			artist: '',
+			creditLine: '',
+			usageTerms: '',
+			contactUrl: '',
+		};
+	}
+
+	resetToDefaults() {
+		this.recordHistory();
+
+		/* Clear all caches */
+		this._watermarkCacheMap.clear();
+		this._watermarkCache = null;
+
+		/* Store current mode and watermark logo to preserve them */
+		const currentType = this.watermarkSettings.type;
+		const currentWatermarkLogo = this.watermarkSettings.watermarkLogo;
+
+		// Create default settings
+		const defaultSettings = {
+			...this.getDefaultSettings(),
+			type: currentType, // Preserve current type instead of forcing text
+			watermarkLogo: currentWatermarkLogo /* Preserve current watermark logo */,
+			visible: this.watermarkSettings.visible,
+			id: this.watermarkSettings.id, // Keep the overrides of this layer
+		};
+
+		// Apply the default settings to the active layer only
+		this.watermarkSettings = defaultSettings;
+		this.layers[this.activeLayerIndex] = defaultSettings;
+		this.renderLayerList();
+
+		// Update all form controls to reflect default values
+		this.updateFormControls();
+
+		// Update pattern mode UI (show/hide appropriate controls)
+		this.updatePatternModeUI();
+
+		// Set default position (but don't change type)
+		this.setPosition('bottom-right');
+
+		// Update preview
+		this.updatePreview();
+	}
+
+	/**
+	 * Create a JSON-safe snapshot of all watermark layers and the output options.
+	 * Logo Images are embedded as data URLs so the snapshot is self-contained.
+	 * @returns {{layers: Object[], activeLayer: number, output: Object}} Plain object suitable for JSON.stringify
+	 */
+	serializeSettings() {
+		return {
+			layers: this.layers.map((layer) => this.serializeLayer(layer)),
+			activeLayer: this.activeLayerIndex,
+			output: JSON.parse(JSON.stringify(this.outputSettings)),
+		};
+	}
+
+	/**
+	 * @param {Object} layer - Settings of one layer
+	 * @returns {Object} JSON-safe copy with the logo as a data URL
+	 */
+	serializeLayer(layer) {
+		const { watermarkLogo, id, ...rest } = layer;
+		const snapshot = JSON.parse(JSON.stringify(rest));
+		snapshot.watermarkLogo = watermarkLogo ? this.getLogoDataUrl(watermarkLogo) : null;
+		return snapshot;
+	}
+
+	/**
+	 * Convert a logo image to a data URL, reusing the source URL when it already is one.
+	 * @param {HTMLImageElement} img - Loaded logo image
+	 * @returns {string|null} Data URL or null if the image cannot be read
+	 */
+	getLogoDataUrl(img) {
+		if (img.src && img.src.startsWith('data:')) return img.src;
+		try {
+			const canvas = document.createElement('canvas');
+			canvas.width = img.naturalWidth || img.width;
+			canvas.height = img.naturalHeight || img.height;
+			canvas.getContext('2d').drawImage(img, 0, 0);
+			return canvas.toDataURL('image/png');
+		} catch (err) {
+			console.warn('Failed to serialize watermark logo', err);
+			return null;
+		}
+	}
+
+	/**
+	 * Rebuild live layers from a serialized snapshot.
+	 * @param {Object} snapshot - Output of serializeSettings() or SettingsFile.parse()
+	 * @returns {Promise<Object>} Layer stack ready for applySettings()
+	 */
+	async deserializeSettings(snapshot) {
+		const layers = await Promise.all(snapshot.layers.map((layer) => this.deserializeLayer(layer)));
+		const activeLayer = Math.min(Math.max(0, snapshot.activeLayer || 0), layers.length - 1);
+		const settings = { layers, activeLayer };
+		if (snapshot.output) settings.output = { ...this.getDefaultOutputSettings(), ...snapshot.output };
+		return settings;
+	}
+
+	/**
+	 * Rebuild a live layer from its serialized form.
+	 * Missing keys fall back to current defaults; the logo data URL is decoded into an Image.
+	 * @param {Object} snapshot - Output of serializeLayer()
+	 * @returns {Promise<Object>} Layer settings object
+	 */
+	deserializeLayer(snapshot) {
+		const defaults = this.getDefaultSettings();
+		const settings = {
+			...defaults,
+			...snapshot,
+			textEffects: { ...defaults.textEffects, ...(snapshot.textEffects || {}) },
+			watermarkLogo: null,
+		};
+
+		if (!snapshot.watermarkLogo) return Promise.resolve(settings);
+
+		return new Promise((resolve, reject) => {
+			const img = new Image();
+			img.onload = () => {
+				settings.watermarkLogo = img;
+				resolve(settings);
+			};
+			img.onerror = () => reject(new Error('Failed to load logo image from settings'));
+			img.src = snapshot.watermarkLogo;
+		});
+	}
+
+	/**
+	 * Replace all watermark layers and refresh every control and the preview.
+	 * Output options are replaced too when the settings include them (undo snapshots do not).
+	 * @param {{layers: Object[], activeLayer: number, output?: Object}} settings - See deserializeSettings
+	 * @param {Object} [options]
+	 * @param {boolean} [options.recordHistory=true] - Record the replaced settings as an undo step
+	 */
+	applySettings(settings, { recordHistory = true } = {}) {
+		if (recordHistory) this.recordHistory();
+
+		this._watermarkCacheMap.clear();
+		this._watermarkCache = null;
+
+		this.layers = settings.layers;
+		if (settings.output) {
+			this.outputSettings = settings.output;
+			this.updateOutputControls();
+		}
+		this.selectLayer(settings.activeLayer);
+	}
+
+	/**
+	 * Make a layer the one edited by the controls and refresh the UI to show its settings.
+	 * @param {number} index - Layer index
+	 */
+	selectLayer(index) {
+		this.activeLayerIndex = Math.min(Math.max(0, index), this.layers.length - 1);
+		this.watermarkSettings = this.layers[this.activeLayerIndex];
+
+		this._historyPaused = true;
+		try {
+			this.updateFormControls();
+			this.updatePatternModeUI();
+			this.setPosition(this.watermarkSettings.position);
+			this.setWatermarkType(this.watermarkSettings.type); // Also refreshes logo visibility and the preview
+		} finally {
+			this._historyPaused = false;
+		}
+		this.renderLayerList();
+		this.updateOverrideControls(); // The override panel edits the active layer
+	}
+
+	/**
+	 * Deep copy of one layer. The logo Image is shared by reference since it is never mutated.
+	 * @param {Object} layer - Layer settings
+	 * @returns {Object} Independent copy
+	 */
+	cloneLayer(layer) {
+		const { watermarkLogo, ...rest } = layer;
+		return { ...JSON.parse(JSON.stringify(rest)), watermarkLogo };
+	}
+
+	/**
+	 * Deep copy of all layers for the undo history.
+	 * @returns {{layers: Object[], activeLayer: number}} Settings snapshot
+	 */
+	captureSettings() {
+		return {
+			layers: this.layers.map((layer) => this.cloneLayer(layer)),
+			activeLayer: this.activeLayerIndex,
+		};
+	}
+
+	addLayer() {
+		if (this.layers.length >= MAX_WATERMARK_LAYERS) {
+			this.fileUploadHandler.showError(`A maximum of ${MAX_WATERMARK_LAYERS} layers is supported.`);
+			return;
+		}
+		this.recordHistory();
+		this.layers.push(this.getDefaultSettings());
+		this.selectLayer(this.layers.length - 1);
+	}
+
+	duplicateLayer(index) {
+		if (this.layers.length >= MAX_WATERMARK_LAYERS) {
+			this.fileUploadHandler.showError(`A maximum of ${MAX_WATERMARK_LAYERS} layers is supported.`);
+			return;
+		}
+		this.recordHistory();
+		this.layers.splice(index + 1, 0, { ...this.cloneLayer(this.layers[index]), id: this.createLayerId() });
+		this.selectLayer(index + 1);
+	}
+
+	deleteLayer(index) {
+		if (this.layers.length <= 1) return; // There is always at least one layer
+		this.recordHistory();
+		this.layers.splice(index, 1);
+		this.selectLayer(index <= this.activeLayerIndex ? this.activeLayerIndex - 1 : this.activeLayerIndex);
+	}
+
+	/**
+	 * Move a layer within the stack.
+	 * @param {number} index - Layer index
+	 * @param {number} direction - +1 to move it up (drawn later), -1 to move it down
+	 */
+	moveLayer(index, direction) {
+		const target = index + direction;
+		if (target < 0 || target >= this.layers.length) return;
+		this.recordHistory();
+		const [layer] = this.layers.splice(index, 1);
+		this.layers.splice(target, 0, layer);
+
+		if (this.activeLayerIndex === index) {
+			this.activeLayerIndex = target;
+		} else if (this.activeLayerIndex === target) {
+			this.activeLayerIndex = index;
+		}
+		this.renderLayerList();
+		this.updatePreview();
+	}
+
+	toggleLayerVisibility(index) {
+		this.recordHistory();
+		const layer = this.layers[index];
+		layer.visible = layer.visible === false;
+		this.renderLayerList();
+		this.updatePreview();
+	}
+
+	/**
+	 * Short description of a layer for the layer list.
+	 * @param {Object} layer - Layer settings
+	 * @returns {string} Label such as 'Text "PROOF" · tiled'
+	 */
+	getLayerLabel(layer) {
+		let mode = layer.patternMode === 'tiled' ? 'tiled' : layer.position;
+		if (mode !== 'tiled' && layer.freePosition) mode = 'free';
+		if (layer.type === 'logo') {
+			return `Logo${layer.watermarkLogo ? '' : ' (none uploaded)'} · ${mode}`;
+		}
+		const text = layer.text.length > 24 ? layer.text.slice(0, 24) + '…' : layer.text;
+		return `Text "${text}" · ${mode}`;
+	}
+
+	/**
+	 * @returns {string} Everything the layer panel shows, to skip rebuilding it when nothing changed
+	 */
+	getLayerListKey() {
+		const items = this.layers.map((layer) => [this.getLayerLabel(layer), layer.visible !== false]);
+		return JSON.stringify({ items, active: this.activeLayerIndex });
+	}
+
+	/**
+	 * Render the layer panel, top-most layer first.
+	 */
+	renderLayerList() {
+		const list = document.getElementById('layerList');
+		if (!list) return;
+
+		list.innerHTML = '';
+		this._layerListKey = this.getLayerListKey();
+
+		for (let index = this.layers.length - 1; index >= 0; index--) {
+			const layer = this.layers[index];
+			const item = document.createElement('li');
+			item.className = 'layer-item';
+			item.dataset.index = index;
+			if (index === this.activeLayerIndex) item.classList.add('active');
+			if (layer.visible === false) item.classList.add('layer-hidden');
+
+			item.innerHTML = `
+                <button class="layer-select" data-action="select" title="Edit this layer"></button>
+                <div class="layer-actions">
+                    <button class="btn btn--outline btn--sm" data-action="visibility">${layer.visible === false ? 'Show' : 'Hide'}</button>
+                    <button class="btn btn--outline btn--sm" data-action="up" title="Move up"${index === this.layers.length - 1 ? ' disabled' : ''}>▲</button>
+                    <button class="btn btn--outline btn--sm" data-action="down" title="Move down"${index === 0 ? ' disabled' : ''}>▼</button>
+                    <button class="btn btn--outline btn--sm" data-action="duplicate" title="Duplicate">⧉</button>
+                    <button class="btn btn--outline btn--sm" data-action="delete" title="Delete"${this.layers.length <= 1 ? ' disabled' : ''}>×</button>
+                </div>
+            `;
+			// Set as text so user-entered watermark text is never parsed as HTML
+			item.querySelector('.layer-select').textContent = `${index + 1}. ${this.getLayerLabel(layer)}`;
+
+			list.appendChild(item);
+		}
+
+		const addBtn = document.getElementById('addLayer');
+		if (addBtn) addBtn.disabled = this.layers.length >= MAX_WATERMARK_LAYERS;
+
+		// Badges only count the overrides of layers that still exist
+		this.uploadedFiles.forEach((fileData) => {
+			const imageItem = document.querySelector(`#imageGrid .image-item[data-id="${fileData.id}"]`);
+			if (imageItem) this.renderOverrideBadge(imageItem, fileData);
+		});
+	}
+
+	/**
+	 * Record the current settings as an undo step before they are mutated.
+	 * @param {string|null} coalesceKey - Control key; repeated calls with the same key in quick
+	 *   succession (e.g. a slider drag) collapse into a single step
+	 */
+	recordHistory(coalesceKey = null) {
+		if (this._historyPaused || !this.history) return;
+		this.history.record(this.captureSettings(), coalesceKey);
+		this.updateHistoryButtons();
+	}
+
+	undo() {
+		const previous = this.history.undo(this.captureSettings());
+		if (previous) this.applySettings(previous, { recordHistory: false });
+		this.updateHistoryButtons();
+	}
+
+	redo() {
+		const next = this.history.redo(this.captureSettings());
+		if (next) this.applySettings(next, { recordHistory: false });
+		this.updateHistoryButtons();
+	}
+
+	updateHistoryButtons() {
+		const undoBtn = document.getElementById('undoSettings');
+		const redoBtn = document.getElementById('redoSettings');
+		if (undoBtn) undoBtn.disabled = !this.history.canUndo();
+		if (redoBtn) redoBtn.disabled = !this.history.canRedo();
+	}
+
+	/**
+	 * Download the current settings as a versioned JSON document.
+	 */
+	exportSettings() {
+		const doc = SettingsFile.toDocument(this.serializeSettings());
+		const blob = new Blob([JSON.stringify(doc, null, 2)], { type: 'application/json' });
+		const url = URL.createObjectURL(blob);
+		const a = document.createElement('a');
+		a.href = url;
+		a.download = 'watermark-settings.json';
+		document.body.appendChild(a);
+		a.click();
+		document.body.removeChild(a);
+		URL.revokeObjectURL(url);
+	}
+
+	/**
+	 * Load settings from an exported JSON file, migrating older versions.
+	 * Validation problems are shown to the user and leave current settings untouched.
+	 * @param {File} file - JSON file chosen by the user
+	 */
+	async importSettingsFile(file) {
+		try {
+			let doc;
+			try {
+				doc = JSON.parse(await file.text());
+			} catch (err) {
+				throw new Error(`${file.name} is not a valid JSON file.`);
+			}
+
+			const settings = await this.deserializeSettings(SettingsFile.parse(doc));
+			this.applySettings(settings);
+		} catch (err) {
+			console.error('Settings import failed:', err);
+			if (this.fileUploadHandler) {
+				this.fileUploadHandler.showError(`Could not import settings: ${err.message}`);
+			}
+		}
+	}
+
+	/**
+	 * @returns {string} Page URL that reproduces the current watermark layers (see SettingsLink)
+	 */
+	getSettingsLink() {
+		const fragment = SettingsLink.encode(this.serializeSettings(), this.getDefaultSettings());
+		return `${window.location.href.split('#')[0]}#${fragment}`;
+	}
+
+	async copySettingsLink() {
+		const link = this.getSettingsLink();
+		const hasLogo = this.layers.some((layer) => layer.type === 'logo');
+		const note = hasLogo ? ' Logos are not included; the recipient adds them again.' : '';
+		try {
+			await navigator.clipboard.writeText(link);
+			this.presetManager.showStatus(`Settings link copied.${note}`);
+		} catch (err) {
+			// Clipboard access can be blocked; let the user copy the link by hand
+			window.prompt('Copy this link:', link);
+			if (note) this.presetManager.showStatus(note.trim());
+		}
+	}
+
+	/**
+	 * Apply settings from a shared link, then remove the fragment so a reload does not
+	 * undo later changes.
+	 * @param {string} hash - location.hash holding a settings link
+	 */
+	async loadSettingsLink(hash) {
+		try {
+			const settings = await this.deserializeSettings(SettingsLink.decode(hash));
+			this.applySettings(settings, { recordHistory: false });
+			this.presetManager.showStatus('Settings loaded from the link.');
+		} catch (err) {
+			console.error('Settings link failed:', err);
+			this.fileUploadHandler.showError(`Could not load the settings link: ${err.message}`);
+		}
+		if (window.history && window.history.replaceState) {
+			window.history.replaceState(null, '', window.location.href.split('#')[0]);
+		}
+	}
+
+	updateFormControls() {
+		// Update text controls
+		const textContent = document.getElementById('textContent');
+		if (textContent) textContent.value = this.watermarkSettings.text;
+
+		// Font size - range, number input, and display value
+		const fontSize = document.getElementById('fontSize');
+		if (fontSize) fontSize.value = this.watermarkSettings.fontSize;
+
+		const fontSizeNumber = document.getElementById('fontSizeNumber');
+		if (fontSizeNumber) fontSizeNumber.value = this.watermarkSettings.fontSize;
+
+		const fontSizeValue = document.getElementById('fontSizeValue');
+		if (fontSizeValue) fontSizeValue.textContent = this.watermarkSettings.fontSize;
+
+		const fontFamily = document.getElementById('fontFamily');
+		if (fontFamily) fontFamily.value = this.watermarkSettings.fontFamily;
+
+		const textColor = document.getElementById('textColor');
+		if (textColor) textColor.value = this.watermarkSettings.textColor;
+
+		// Opacity - range, number input, and display value
+		const opacity = document.getElementById('opacity');
+		if (opacity) opacity.value = this.watermarkSettings.opacity;
+
+		const opacityNumber = document.getElementById('opacityNumber');
+		if (opacityNumber) opacityNumber.value = this.watermarkSettings.opacity;
+
+		const opacityValue = document.getElementById('opacityValue');
+		if (opacityValue) opacityValue.textContent = this.watermarkSettings.opacity;
+
+		// Offset and safe margin controls (text and logo panels)
+		this.updateOffsetControls();
+
+		// Image scale - range, number input, and display value
+		const imageScale = document.getElementById('imageScale');
+		if (imageScale) imageScale.value = this.watermarkSettings.imageScale;
+
+		const imageScaleNumber = document.getElementById('imageScaleNumber');
+		if (imageScaleNumber) imageScaleNumber.value = this.watermarkSettings.imageScale;
+
+		const imageScaleValue = document.getElementById('imageScaleValue');
+		if (imageScaleValue) imageScaleValue.textContent = this.watermarkSettings.imageScale;
+
+		// Watermark rotation - range, number input, and display value
+		const watermarkRotation = document.getElementById('watermarkRotation');
+		if (watermarkRotation) watermarkRotation.value = this.watermarkSettings.watermarkRotation;
+
+		const watermarkRotationNumber = document.getElementById('watermarkRotationNumber');
+		if (watermarkRotationNumber) watermarkRotationNumber.value = this.watermarkSettings.watermarkRotation;
+
+		const watermarkRotationValue = document.getElementById('watermarkRotationValue');
+		if (watermarkRotationValue) watermarkRotationValue.textContent = this.watermarkSettings.watermarkRotation;
+
+		// Pattern spacing controls - range, number input, and display value
+		const patternSpacing = document.getElementById('patternSpacing');
+		if (patternSpacing) patternSpacing.value = this.watermarkSettings.patternSpacing;
+
+		const patternSpacingNumber = document.getElementById('patternSpacingNumber');
+		if (patternSpacingNumber) patternSpacingNumber.value = this.watermarkSettings.patternSpacing;
+
+		const patternSpacingValue = document.getElementById('patternSpacingValue');
+		if (patternSpacingValue) patternSpacingValue.textContent = this.watermarkSettings.patternSpacing;
+
+		const patternSpacingX = document.getElementById('patternSpacingX');
+		if (patternSpacingX) patternSpacingX.value = this.watermarkSettings.patternSpacingX;
+
+		const patternSpacingXNumber = document.getElementById('patternSpacingXNumber');
+		if (patternSpacingXNumber) patternSpacingXNumber.value = this.watermarkSettings.patternSpacingX;
+
+		const patternSpacingXValue = document.getElementById('patternSpacingXValue');
+		if (patternSpacingXValue) patternSpacingXValue.textContent = this.watermarkSettings.patternSpacingX;
+
+		const patternSpacingY = document.getElementById('patternSpacingY');
+		if (patternSpacingY) patternSpacingY.value = this.watermarkSettings.patternSpacingY;
+
+		const patternSpacingYNumber = document.getElementById('patternSpacingYNumber');
+		if (patternSpacingYNumber) patternSpacingYNumber.value = this.watermarkSettings.patternSpacingY;
+
+		const patternSpacingYValue = document.getElementById('patternSpacingYValue');
+		if (patternSpacingYValue) patternSpacingYValue.textContent = this.watermarkSettings.patternSpacingY;
+
+		// Pattern angle - range, number input, and display value
+		const patternAngle = document.getElementById('patternAngle');
+		if (patternAngle) patternAngle.value = this.watermarkSettings.patternAngle;
+
+		const patternAngleNumber = document.getElementById('patternAngleNumber');
+		if (patternAngleNumber) patternAngleNumber.value = this.watermarkSettings.patternAngle;
+
+		const patternAngleValue = document.getElementById('patternAngleValue');
+		if (patternAngleValue) patternAngleValue.textContent = this.watermarkSettings.patternAngle;
+
+		// Update pattern mode radio buttons
+		const patternModeRadios = document.querySelectorAll('input[name="patternMode"]');
+		patternModeRadios.forEach((radio) => {
+			radio.checked = radio.value === this.watermarkSettings.patternMode;
+		});
+
+		// Update text effects - checkboxes, colors, and number inputs
+		const effectShadow = document.getElementById('effectShadow');
+		if (effectShadow) effectShadow.checked = this.watermarkSettings.textEffects.shadow;
+
+		const effectShadowColor = document.getElementById('effectShadowColor');
+		if (effectShadowColor) effectShadowColor.value = this.watermarkSettings.textEffects.shadowColor;
+
+		const effectShadowBlur = document.getElementById('effectShadowBlur');
+		if (effectShadowBlur) effectShadowBlur.value = this.watermarkSettings.textEffects.shadowBlur;
+
+		const effectShadowOffsetX = document.getElementById('effectShadowOffsetX');
+		if (effectShadowOffsetX) effectShadowOffsetX.value = this.watermarkSettings.textEffects.shadowOffsetX;
+
+		const effectShadowOffsetY = document.getElementById('effectShadowOffsetY');
+		if (effectShadowOffsetY) effectShadowOffsetY.value = this.watermarkSettings.textEffects.shadowOffsetY;
+
+		const effectOutline = document.getElementById('effectOutline');
+		if (effectOutline) effectOutline.checked = this.watermarkSettings.textEffects.outline;
+
+		const effectOutlineColor = document.getElementById('effectOutlineColor');
+		if (effectOutlineColor) effectOutlineColor.value = this.watermarkSettings.textEffects.outlineColor;
+
+		const effectOutlineThickness = document.getElementById('effectOutlineThickness');
+		if (effectOutlineThickness) effectOutlineThickness.value = this.watermarkSettings.textEffects.outlineThickness;
+
+		const effectOutlineOpacity = document.getElementById('effectOutlineOpacity');
+		if (effectOutlineOpacity) effectOutlineOpacity.value = this.watermarkSettings.textEffects.outlineOpacity;
+
+		const effectGlow = document.getElementById('effectGlow');
+		if (effectGlow) effectGlow.checked = this.watermarkSettings.textEffects.glow;
+
+		const effectGlowColor = document.getElementById('effectGlowColor');
+		if (effectGlowColor) effectGlowColor.value = this.watermarkSettings.textEffects.glowColor;
+
+		const effectGlowSpread = document.getElementById('effectGlowSpread');
+		if (effectGlowSpread) effectGlowSpread.value = this.watermarkSettings.textEffects.glowSpread;
+
+		const effectGlowIntensity = document.getElementById('effectGlowIntensity');
+		if (effectGlowIntensity) effectGlowIntensity.value = this.watermarkSettings.textEffects.glowIntensity;
+
+		/* Only clear watermark logo input if there's no watermark logo in settings */
+		/* This preserves the uploaded logo when doing a mode-dependent reset */
+		const watermarkLogoInput = document.getElementById('watermarkLogo');
+		if (watermarkLogoInput && !this.watermarkSettings.watermarkLogo) {
+			watermarkLogoInput.value = '';
+		}
+
+		// Logo thumbnail reflects the logo held in settings (e.g. after applying a preset)
+		const previewImg = document.getElementById('watermarkPreviewImg');
+		const watermarkPreview = document.getElementById('watermarkPreview');
+		if (previewImg && watermarkPreview) {
+			if (this.watermarkSettings.watermarkLogo) {
+				previewImg.src = this.watermarkSettings.watermarkLogo.src;
+				watermarkPreview.classList.remove('hidden');
+			} else {
+				previewImg.removeAttribute('src');
+				watermarkPreview.classList.add('hidden');
+			}
+		}
+
+		// Logo scale - range, number input, and display value
+		const logoScale = document.getElementById('logoScale');
+		if (logoScale) logoScale.value = this.watermarkSettings.logoScale;
+
+		const logoScaleNumber = document.getElementById('logoScaleNumber');
+		if (logoScaleNumber) logoScaleNumber.value = this.watermarkSettings.logoScale;
+
+		const logoScaleValue = document.getElementById('logoScaleValue');
+		if (logoScaleValue) logoScaleValue.textContent = this.watermarkSettings.logoScale;
+
+		// Logo-specific controls that mirror the text controls
+		// Logo opacity controls
+		const logoOpacity = document.getElementById('logoOpacity');
+		if (logoOpacity) logoOpacity.value = this.watermarkSettings.opacity;
+
+		const logoOpacityNumber = document.getElementById('logoOpacityNumber');
+		if (logoOpacityNumber) logoOpacityNumber.value = this.watermarkSettings.opacity;
+
+		const logoOpacityValue = document.getElementById('logoOpacityValue');
+		if (logoOpacityValue) logoOpacityValue.textContent = this.watermarkSettings.opacity;
+
+		// Logo rotation controls
+		const logoRotation = document.getElementById('logoRotation');
+		if (logoRotation) logoRotation.value = this.watermarkSettings.watermarkRotation;
+
+		const logoRotationNumber = document.getElementById('logoRotationNumber');
+		if (logoRotationNumber) logoRotationNumber.value = this.watermarkSettings.watermarkRotation;
+
+		const logoRotationValue = document.getElementById('logoRotationValue');
+		if (logoRotationValue) logoRotationValue.textContent = this.watermarkSettings.watermarkRotation;
+
+		// Logo pattern spacing controls
+		const logoPatternSpacingX = document.getElementById('logoPatternSpacingX');
+		if (logoPatternSpacingX) logoPatternSpacingX.value = this.watermarkSettings.patternSpacingX;
+
+		const logoPatternSpacingXNumber = document.getElementById('logoPatternSpacingXNumber');
+		if (logoPatternSpacingXNumber) logoPatternSpacingXNumber.value = this.watermarkSettings.patternSpacingX;
+
+		const logoPatternSpacingXValue = document.getElementById('logoPatternSpacingXValue');
+		if (logoPatternSpacingXValue) logoPatternSpacingXValue.textContent = this.watermarkSettings.patternSpacingX;
+
+		const logoPatternSpacingY = document.getElementById('logoPatternSpacingY');
+		if (logoPatternSpacingY) logoPatternSpacingY.value = this.watermarkSettings.patternSpacingY;
+
+		const logoPatternSpacingYNumber = document.getElementById('logoPatternSpacingYNumber');
+		if (logoPatternSpacingYNumber) logoPatternSpacingYNumber.value = this.watermarkSettings.patternSpacingY;
+
+		const logoPatternSpacingYValue = document.getElementById('logoPatternSpacingYValue');
+		if (logoPatternSpacingYValue) logoPatternSpacingYValue.textContent = this.watermarkSettings.patternSpacingY;
+
+		// Logo pattern angle controls
+		const logoPatternAngle = document.getElementById('logoPatternAngle');
+		if (logoPatternAngle) logoPatternAngle.value = this.watermarkSettings.patternAngle;
+
+		const logoPatternAngleNumber = document.getElementById('logoPatternAngleNumber');
+		if (logoPatternAngleNumber) logoPatternAngleNumber.value = this.watermarkSettings.patternAngle;
+
+		const logoPatternAngleValue = document.getElementById('logoPatternAngleValue');
+		if (logoPatternAngleValue) logoPatternAngleValue.textContent = this.watermarkSettings.patternAngle;
+	}
+
+	getLoadedFiles() {
+		return this.uploadedFiles.filter((file) => file.loaded && !file.error);
+	}
+
+	renderImageGrid() {
+		const imageGrid = document.getElementById('imageGrid');
+		if (!imageGrid) return;
+
+		imageGrid.innerHTML = '';
+
+		// Files from dropped folders are listed under a heading per folder
+		const hasFolders = this.uploadedFiles.some((fileData) => fileData.folder);
+		let currentFolder = null;
+
+		this.uploadedFiles.forEach((fileData) => {
+			if (hasFolders && fileData.folder !== currentFolder) {
+				currentFolder = fileData.folder;
+				const heading = document.createElement('div');
+				heading.className = 'image-grid-folder';
+				heading.textContent = currentFolder || 'Loose files';
+				imageGrid.appendChild(heading);
+			}
+
+			const imageItem = document.createElement('div');
+			imageItem.className = 'image-item';
+			imageItem.dataset.id = fileData.id;
+
+			// Add selected class if this is the current preview file
+			if (this.currentPreviewFileId === fileData.id) {
+				imageItem.classList.add('selected');
+			}
+
+			if (fileData.preview) {
+				imageItem.innerHTML = `
+                    <div class="image-container">
+                        <img src="${fileData.preview}" alt="${fileData.name}">
+                        <div class="image-overlay">
+                            <span class="overlay-text">Set as Preview</span>
+                        </div>
+                    </div>
+                    <div class="image-info">${fileData.name}</div>
+                    <button class="remove-btn" data-id="${fileData.id}">×</button>
+                    <button class="override-btn" data-id="${fileData.id}" title="Settings for this image">✎</button>
+                `;
+
+				imageItem.querySelector('.override-btn').addEventListener('click', (e) => {
+					e.stopPropagation();
+					this.openOverrides(fileData.id);
+				});
+				this.renderOverrideBadge(imageItem, fileData);
+
+				// Add click handler to select this image for preview
+				const imageContainer = imageItem.querySelector('.image-container');
+				if (imageContainer) {
+					imageContainer.addEventListener('click', (e) => {
+						e.stopPropagation();
+						this.selectImageForPreview(fileData.id);
+					});
+					imageContainer.style.cursor = 'pointer';
+				}
+			} else if (fileData.error) {
+				imageItem.innerHTML = `
+                    <div style="height: 120px; display: flex; align-items: center; justify-content: center; background: var(--color-bg-4); color: var(--color-error); text-align: center; font-size: var(--font-size-xs);">
+                        Error loading
+                    </div>
+                    <div class="image-info">${fileData.name}</div>
+                    <button class="remove-btn" data-id="${fileData.id}">×</button>
+                `;
+			} else {
+				imageItem.innerHTML = `
+                    <div style="height: 120px; display: flex; align-items: center; justify-content: center; background: var(--color-bg-2);">
+                        <div class="spinner"></div>
+                    </div>
+                    <div class="image-info">${fileData.name}</div>
+                `;
+			}
 
-				// Use measured width or fallback estimation
-				estW =
-					metrics.width ||
-					fontSize * (this.watermarkSettings.text ? this.watermarkSettings.text.length * 0.6 : 4);
-				estH = Math.ceil(fontSize * 1.1); // Line height approximation
-			} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
-				// FIXED: Use resolution-independent scaling for cached logo dimension calculation
-				const img = this.watermarkSettings.watermarkLogo;
-				const scale = this.getLogoScaleFraction();
+			const removeBtn = imageItem.querySelector('.remove-btn');
+			if (removeBtn) {
+				removeBtn.addEventListener('click', (e) => {
+					e.stopPropagation();
+					this.removeFile(fileData.id);
+				});
+			}
+
+			this.renderProcessStatus(imageItem, fileData);
+			imageGrid.appendChild(imageItem);
+		});
+
+		// Close the override panel when its image was removed
+		if (this.overrideFileId && !this.uploadedFiles.some((fileData) => fileData.id === this.overrideFileId)) {
+			this.closeOverrides();
+		}
+	}
+
+	/**
+	 * Show which images have their own settings, and mark the one open in the override panel.
+	 * @param {HTMLElement} imageItem - Grid item of the image
+	 * @param {Object} fileData - Entry from uploadedFiles
+	 */
+	renderOverrideBadge(imageItem, fileData) {
+		const existing = imageItem.querySelector('.override-badge');
+		if (existing) existing.remove();
+		if (this.overrideFileId === fileData.id) {
+			imageItem.classList.add('overriding');
+		} else {
+			imageItem.classList.remove('overriding');
+		}
+		if (!fileData.overrides) return;
+		// Overrides of deleted layers stay for undo but no longer apply
+		if (!fileData.overrides.skip && this.getLayerOverrides(fileData).length === 0) return;
+
+		const badge = document.createElement('span');
+		badge.className = 'override-badge';
+		if (fileData.overrides.skip) {
+			badge.textContent = 'No watermark';
+		} else {
+			badge.textContent = 'Custom';
+			const own = this.getLayerOverrides(fileData);
+			const labels = Object.values(BulkWatermarkApp.OVERRIDE_CONTROLS)
+				.filter((control) => own.some((layer) => Object.keys(control.keys).some((key) => key in layer)))
+				.map((control) => control.label);
+			badge.title = `Own ${labels.join(', ')} on ${own.length === 1 ? '1 layer' : `${own.length} layers`}`;
+		}
+		imageItem.appendChild(badge);
+	}
+
+	/**
+	 * Override panel fields: each checkbox (data-override) enables the inputs of its settings.
+	 */
+	static get OVERRIDE_CONTROLS() {
+		return {
+			position: { label: 'position', keys: { position: 'overridePosition' } },
+			offset: { label: 'offset', keys: { offsetX: 'overrideOffsetX', offsetY: 'overrideOffsetY' } },
+			scale: { label: 'scale', keys: { scale: 'overrideScale' } },
+			opacity: { label: 'opacity', keys: { opacity: 'overrideOpacity' } },
+			textColor: { label: 'text color', keys: { textColor: 'overrideTextColor' } },
+		};
+	}
+
+	/**
+	 * Edit the settings of one image in the override panel; the image is previewed meanwhile.
+	 * @param {number} fileId - Id of the image in uploadedFiles
+	 */
+	openOverrides(fileId) {
+		const panel = document.getElementById('overridePanel');
+		if (!panel || !this.uploadedFiles.some((fileData) => fileData.id === fileId)) return;
+
+		this.overrideFileId = fileId;
+		this.updateOverrideControls();
+		panel.classList.remove('hidden');
+		this.selectImageForPreview(fileId); // Also re-renders the grid to mark the image
+	}
+
+	closeOverrides() {
+		this.overrideFileId = null;
+		const panel = document.getElementById('overridePanel');
+		if (panel) panel.classList.add('hidden');
+		document.querySelectorAll('#imageGrid .overriding').forEach((item) => item.classList.remove('overriding'));
+	}
+
+	/**
+	 * @returns {Object|null} Entry of uploadedFiles open in the override panel
+	 */
+	getOverrideFile() {
+		return this.uploadedFiles.find((fileData) => fileData.id === this.overrideFileId) || null;
+	}
+
+	/**
+	 * @param {Object} fileData - Entry of uploadedFiles
+	 * @returns {Object[]} Overrides of that image for the current layers, bottom layer first
+	 */
+	getLayerOverrides(fileData) {
+		const layers = fileData.overrides ? fileData.overrides.layers : null;
+		if (!layers) return [];
+		return this.layers.map((layer) => layers[layer.id]).filter(Boolean);
+	}
+
+	/**
+	 * @param {Object} fileData - Entry of uploadedFiles
+	 * @returns {Object} Overrides of the active layer on that image (see getOverriddenLayer)
+	 */
+	getActiveLayerOverrides(fileData) {
+		const layers = fileData.overrides ? fileData.overrides.layers : null;
+		return (layers && layers[this.watermarkSettings.id]) || {};
+	}
+
+	/**
+	 * Sessions outlive layer ids, so they store overrides by the layer's place in the stack.
+	 * @param {Object|null} overrides - Overrides of one image (see getOverriddenLayer)
+	 * @returns {Object|null} Same overrides keyed by layer index
+	 */
+	overridesToLayerIndexes(overrides) {
+		if (!overrides || !overrides.layers) return overrides;
+		const layers = {};
+		this.layers.forEach((layer, index) => {
+			if (overrides.layers[layer.id]) layers[index] = overrides.layers[layer.id];
+		});
+		return { ...overrides, layers };
+	}
+
+	/**
+	 * @param {Object|null} overrides - Output of overridesToLayerIndexes
+	 * @returns {Object|null} Same overrides keyed by the id of the current layers
+	 */
+	overridesFromLayerIndexes(overrides) {
+		if (!overrides || !overrides.layers) return overrides;
+		const layers = {};
+		this.layers.forEach((layer, index) => {
+			if (overrides.layers[index]) layers[layer.id] = overrides.layers[index];
+		});
+		return { ...overrides, layers };
+	}
+
+	/**
+	 * Show the overrides of the open image for the active layer. Settings it does not override
+	 * show the layer's batch value as a starting point.
+	 */
+	updateOverrideControls() {
+		const fileData = this.getOverrideFile();
+		if (!fileData) return;
+
+		const overrides = this.getActiveLayerOverrides(fileData);
+		const settings = this.watermarkSettings;
+		const values = {
+			position: settings.position,
+			offsetX: settings.offsetX,
+			offsetY: settings.offsetY,
+			scale: 100,
+			opacity: settings.opacity,
+			textColor: settings.textColor,
+			...overrides,
+		};
+
+		const name = document.getElementById('overrideFileName');
+		if (name) name.textContent = fileData.name;
+		const layerName = document.getElementById('overrideLayerName');
+		if (layerName) layerName.textContent = this.activeLayerIndex + 1;
+		const skip = document.getElementById('overrideSkip');
+		if (skip) skip.checked = Boolean(fileData.overrides && fileData.overrides.skip);
+
+		// Overridden offsets keep the unit they were set in; new ones use the layer's unit
+		this.overrideOffsetUnit = overrides.offsetUnit || settings.offsetUnit;
+		const range = BulkWatermarkApp.OFFSET_UNITS[this.overrideOffsetUnit] || BulkWatermarkApp.OFFSET_UNITS.short;
+		const unitLabel = document.getElementById('overrideOffsetUnit');
+		if (unitLabel) unitLabel.textContent = range.suffix;
+		['overrideOffsetX', 'overrideOffsetY'].forEach((id) => {
+			const input = document.getElementById(id);
+			if (input) {
+				input.min = -range.offset;
+				input.max = range.offset;
+				input.step = range.step;
+			}
+		});
+
+		Object.entries(BulkWatermarkApp.OVERRIDE_CONTROLS).forEach(([field, control]) => {
+			const checkbox = document.querySelector(`#overrideFields [data-override="${field}"]`);
+			if (checkbox) checkbox.checked = Object.keys(control.keys).some((key) => key in overrides);
+			Object.entries(control.keys).forEach(([key, id]) => {
+				const input = document.getElementById(id);
+				if (input) input.value = values[key];
+			});
+		});
+
+		this.updateOverrideFieldStates();
+	}
+
+	/**
+	 * Enable the inputs of checked fields; a skipped image has no watermark to adjust.
+	 */
+	updateOverrideFieldStates() {
+		const skip = document.getElementById('overrideSkip');
+		const skipped = skip ? skip.checked : false;
+
+		Object.entries(BulkWatermarkApp.OVERRIDE_CONTROLS).forEach(([field, control]) => {
+			const checkbox = document.querySelector(`#overrideFields [data-override="${field}"]`);
+			if (checkbox) checkbox.disabled = skipped;
+			Object.values(control.keys).forEach((id) => {
+				const input = document.getElementById(id);
+				if (input) input.disabled = skipped || !checkbox || !checkbox.checked;
+			});
+		});
+
+		const opacity = document.getElementById('overrideOpacity');
+		const opacityValue = document.getElementById('overrideOpacityValue');
+		if (opacity && opacityValue) opacityValue.textContent = opacity.value;
+	}
+
+	/**
+	 * Read the panel into the open image's overrides. Only the active layer's entry is replaced;
+	 * the other layers keep theirs.
+	 * @returns {Object|null} Overrides of the image, or null when nothing is overridden
+	 */
+	readOverrideControls() {
+		const fileData = this.getOverrideFile();
+		const layers = { ...(fileData && fileData.overrides ? fileData.overrides.layers : {}) };
+		delete layers[this.watermarkSettings.id];
+
+		const own = {};
+		Object.entries(BulkWatermarkApp.OVERRIDE_CONTROLS).forEach(([field, control]) => {
+			const checkbox = document.querySelector(`#overrideFields [data-override="${field}"]`);
+			if (!checkbox || !checkbox.checked) return;
+
+			Object.entries(control.keys).forEach(([key, id]) => {
+				const input = document.getElementById(id);
+				if (!input) return;
+				if (input.type !== 'number' && input.type !== 'range') {
+					own[key] = input.value;
+					return;
+				}
+				// Empty or partial numbers fall back to the input's initial value, then to its range
+				let value = parseFloat(input.value);
+				if (!isFinite(value)) value = parseFloat(input.defaultValue) || 0;
+				if (input.min !== '') value = Math.max(Number(input.min), value);
+				if (input.max !== '') value = Math.min(Number(input.max), value);
+				own[key] = value;
+			});
+			if (field === 'offset') own.offsetUnit = this.overrideOffsetUnit;
+		});
+		if (Object.keys(own).length > 0) layers[this.watermarkSettings.id] = own;
+
+		const overrides = {};
+		const skip = document.getElementById('overrideSkip');
+		if (skip && skip.checked) overrides.skip = true;
+		if (Object.keys(layers).length > 0) overrides.layers = layers;
+		return Object.keys(overrides).length > 0 ? overrides : null;
+	}
+
+	/**
+	 * Store new overrides for the open image and refresh its badge, the preview and the session.
+	 * @param {Object|null} overrides - See getOverriddenLayer
+	 */
+	setImageOverrides(overrides) {
+		const fileData = this.getOverrideFile();
+		if (!fileData) return;
+
+		fileData.overrides = overrides;
+		const imageItem = document.querySelector(`#imageGrid .image-item[data-id="${fileData.id}"]`);
+		if (imageItem) this.renderOverrideBadge(imageItem, fileData);
+		if (this.currentPreviewFileId === fileData.id) this.updatePreviewWithFile(fileData);
+		this.scheduleSessionSave();
+	}
+
+	bindOverrideControls() {
+		const panel = document.getElementById('overridePanel');
+		if (!panel) return;
+
+		// Checkboxes and the select apply on change, typed and dragged values while editing
+		const isToggle = (target) => target.type === 'checkbox' || target.tagName === 'SELECT';
+		const apply = () => {
+			this.updateOverrideFieldStates();
+			this.setImageOverrides(this.readOverrideControls());
+		};
+		panel.addEventListener('change', (e) => {
+			if (isToggle(e.target)) apply();
+		});
+		panel.addEventListener('input', (e) => {
+			if (e.target.matches('input') && !isToggle(e.target)) apply();
+		});
+
+		const clearBtn = document.getElementById('clearOverrides');
+		if (clearBtn) {
+			clearBtn.addEventListener('click', () => {
+				this.setImageOverrides(null);
+				this.updateOverrideControls();
+			});
+		}
+
+		const closeBtn = document.getElementById('closeOverrides');
+		if (closeBtn) closeBtn.addEventListener('click', () => this.closeOverrides());
+	}
+
+	/**
+	 * Select a specific image for preview by its file ID
+	 * @param {string} fileId - The ID of the file to preview
+	 */
+	selectImageForPreview(fileId) {
+		// Find the file data
+		const fileData = this.uploadedFiles.find((file) => file.id === fileId);
+		if (!fileData || !fileData.preview || fileData.error) {
+			return;
+		}
+
+		// Update current preview file ID
+		this.currentPreviewFileId = fileId;
+
+		// Re-render the grid to update selection visual
+		this.renderImageGrid();
+
+		// Update the preview with this specific image
+		this.updatePreviewWithFile(fileData);
+		this.scheduleSessionSave();
+	}
+
+	/**
+	 * Update preview with a specific file
+	 * @param {Object} fileData - The file data object to preview
+	 */
+	updatePreviewWithFile(fileData) {
+		if (!fileData.preview) return;
+
+		this.loadOrientedImage(fileData)
+			.then((img) => {
+				this.textTokenContext = this.getTextTokenContext(fileData, img);
+				this.renderPreview(img, fileData);
+			})
+			.catch((error) => console.error('Preview failed:', error));
+	}
+
+	/**
+	 * Decode a file's preview data URL and apply its EXIF orientation if the browser does not.
+	 * @param {Object} fileData - Entry from uploadedFiles
+	 * @returns {Promise<HTMLImageElement|HTMLCanvasElement>} Upright drawable
+	 */
+	async loadOrientedImage(fileData) {
+		const img = await new Promise((resolve, reject) => {
+			const image = new Image();
+			image.onload = () => resolve(image);
+			image.onerror = () => reject(new Error(`Failed to decode ${fileData.name}`));
+			image.src = fileData.preview;
+		});
+
+		if (fileData.orientation > 1 && !(await ImageOrientation.browserAppliesOrientation())) {
+			return ImageOrientation.apply(img, fileData.orientation);
+		}
+		return img;
+	}
+
+	/**
+	 * Remove a specific file from the uploaded files list.
+	 *
+	 * UI UPDATES:
+	 * - Removes file from uploadedFiles array
+	 * - Re-renders image grid to reflect changes
+	 * - Updates all UI elements (counts, button states, etc.)
+	 * - Updates preview if no files remain
+	 *
+	 * @param {string|number} id - Unique identifier of file to remove
+	 */
+	removeFile(id) {
+		// Check if we're removing the currently previewed file
+		const removingCurrentPreview = this.currentPreviewFileId === id;
+
+		this.uploadedFiles = this.uploadedFiles.filter((file) => file.id !== id);
+
+		// If we removed the currently previewed file, reset the preview selection
+		if (removingCurrentPreview) {
+			this.currentPreviewFileId = null;
+		}
+
+		this.renderImageGrid();
+		this.updateUI();
+
+		// Update preview - if no files remain, clear it
+		if (this.uploadedFiles.length === 0) {
+			this.clearPreview();
+		} else {
+			this.updatePreview();
+		}
+	}
+
+	/**
+	 * Clear all uploaded and processed images, reset UI to initial state.
+	 *
+	 * COMPLETE RESET:
+	 * - Clears uploaded files array
+	 * - Clears processed images array
+	 * - Resets image grid display
+	 * - Updates all UI elements (file counts, button states, status messages)
+	 * - Clears preview canvas
+	 * - Hides download section since no processed images remain
+	 */
+	clearAllFiles() {
+		this.uploadedFiles = [];
+		this.processedImages = [];
+		this.interruptedRun = null;
+		this.resultsSignature = null;
+		this.renderImageGrid();
+		this.updateUI();
+		this.clearPreview();
+
+		// Hide download section since no processed images exist
+		const downloadSection = document.getElementById('downloadSection');
+		if (downloadSection) downloadSection.classList.add('hidden');
+
+		// Hide processing progress section
+		const progressSection = document.getElementById('processingProgress');
+		if (progressSection) progressSection.classList.add('hidden');
+
+		// Reset file upload handler status
+		if (this.fileUploadHandler) {
+			this.fileUploadHandler.clearStatus();
+		}
+	}
+
+	clearPreview() {
+		const canvas = document.getElementById('previewCanvas');
+		if (canvas) {
+			const ctx = canvas.getContext('2d');
+			ctx.clearRect(0, 0, canvas.width, canvas.height);
+		}
+	}
+
+	static get SESSION_SAVE_DELAY() {
+		return 1000; // ms after the last change
+	}
+
+	/**
+	 * Bind the session controls and offer to restore the session of an earlier page load.
+	 */
+	async initSession() {
+		const controls = document.getElementById('sessionControls');
+		const keepCheckbox = document.getElementById('keepSession');
+		const restoreBtn = document.getElementById('restoreSession');
+		const discardBtn = document.getElementById('discardSession');
+		const clearBtn = document.getElementById('clearSession');
+		if (!this.session) return;
+
+		if (controls) controls.classList.remove('hidden');
+		if (keepCheckbox) {
+			keepCheckbox.checked = this.processingSettings.keepSession;
+			keepCheckbox.addEventListener('change', () => {
+				this.processingSettings.keepSession = keepCheckbox.checked;
+				this.saveProcessingSettings();
+				if (keepCheckbox.checked) {
+					this.scheduleSessionSave();
+				} else {
+					this.clearSavedSession();
+				}
+			});
+		}
+		if (restoreBtn) restoreBtn.addEventListener('click', () => this.restoreSession());
+		if (discardBtn) discardBtn.addEventListener('click', () => this.discardSession());
+		if (clearBtn) clearBtn.addEventListener('click', () => this.clearSavedSession());
+
+		try {
+			this.previousSession = await this.session.getPreviousSession();
+		} catch (error) {
+			console.warn('Failed to read the saved session:', error);
+			this.showSessionStatus('Sessions cannot be saved in this browser.');
+			this.session = null;
+			return;
+		}
+		// Settings alone are only worth restoring when they differ from the current ones
+		const previous = this.previousSession;
+		if (previous && !this.sessionHasFiles(previous)) {
+			const current = SettingsFile.toDocument(this.serializeSettings()).settings;
+			if (JSON.stringify(previous.settings.settings) === JSON.stringify(current)) this.previousSession = null;
+		}
+		this.updateSessionRestore();
+		this.scheduleSessionSave();
+	}
+
+	/**
+	 * @param {Object} session - Session record (see SessionStore)
+	 * @returns {boolean} True when it has files or results, false when it only holds settings
+	 */
+	sessionHasFiles(session) {
+		return session.files.length + session.results.length > 0;
+	}
+
+	/**
+	 * Show or hide the "Restore Previous Session" banner.
+	 */
+	updateSessionRestore() {
+		const banner = document.getElementById('sessionRestore');
+		const text = document.getElementById('sessionRestoreText');
+		const session = this.previousSession;
+		if (!banner) return;
+
+		if (session && !this.sessionHasFiles(session)) {
+			const date = new Date(session.savedAt).toLocaleString();
+			if (text) text.textContent = `Your watermark settings from ${date} can be restored.`;
+			banner.classList.remove('hidden');
+		} else if (session) {
+			const date = new Date(session.savedAt).toLocaleString();
+			const count = session.files.length;
+			const contents = count === 1 ? '1 image' : `${count} images`;
+			const processed = session.results.length > 0 ? `, ${session.results.length} processed` : '';
+			if (text) text.textContent = `Your session from ${date} (${contents}${processed}) can be restored.`;
+			banner.classList.remove('hidden');
+		} else {
+			banner.classList.add('hidden');
+		}
+	}
+
+	showSessionStatus(message) {
+		const status = document.getElementById('sessionStatus');
+		if (status) status.textContent = message;
+	}
+
+	scheduleSessionSave() {
+		if (!this.session || !this.processingSettings.keepSession || this.restoringSession) return;
+		clearTimeout(this.sessionSaveTimer);
+		this.sessionSaveTimer = setTimeout(() => this.saveSession(), BulkWatermarkApp.SESSION_SAVE_DELAY);
+	}
+
+	/**
+	 * Save files, settings, preview selection and results (see SessionStore).
+	 */
+	async saveSession() {
+		this.sessionSaveTimer = null;
+		if (!this.session || !this.processingSettings.keepSession) return;
+
+		const files = this.uploadedFiles
+			.filter((fileData) => !fileData.error)
+			.map((fileData) => ({
+				blob: fileData.file,
+				record: {
+					id: fileData.id,
+					name: fileData.name,
+					folder: fileData.folder,
+					cropPosition: fileData.cropPosition,
+					overrides: this.overridesToLayerIndexes(fileData.overrides),
+					// A batch that is still running is not resumed after a reload
+					processStatus: ['done', 'failed'].includes(fileData.processStatus) ? fileData.processStatus : null,
+					processError: fileData.processError,
+				},
+			}));
+		const results = this.processedImages.map((image) => {
+			const { blob, url, ...record } = image;
+			return { blob, record };
+		});
+		const state = {
+			settings: SettingsFile.toDocument(this.serializeSettings()),
+			previewId: this.currentPreviewFileId,
+		};
 
-				/*
-				 * SCALING ALGORITHM: Use resolution-independent scaling for true consistency.
-				 * This makes watermarks appear proportionally identical across different image resolutions.
-				 */
-				const baseLogoSize = 240; // Base logo size at reference resolution
-				const maxSize = this.getResolutionIndependentSize(
-					canvasWidth,
-					canvasHeight,
-					baseLogoSize * scale,
-					'logo',
+		try {
+			const saved = await this.session.save(state, files, results);
+			if (files.length + results.length === 0) return; // Settings only, nothing worth reporting
+			const size =
+				saved.bytes >= 1024 * 1024
+					? `${(saved.bytes / (1024 * 1024)).toFixed(1)} MB`
+					: `${Math.max(1, Math.round(saved.bytes / 1024))} KB`;
+			const omitted = files.length + results.length - saved.files - saved.results;
+			if (omitted > 0) {
+				const limit = Math.round(SessionStore.SIZE_BUDGET / (1024 * 1024));
+				this.showSessionStatus(
+					`Session saved (${size}); ${omitted} files over the ${limit} MB limit were left out.`,
 				);
-				let imgRatio = Math.min(maxSize / Math.max(1, img.width), maxSize / Math.max(1, img.height));
-				imgRatio = Math.max(imgRatio, 0.001); // Minimum scale to prevent invisibility
-				estW = Math.ceil(img.width * imgRatio);
-				estH = Math.ceil(img.height * imgRatio);
-				/* Ensure estimated cache footprint is at least a few pixels to avoid zero-sized caches */
-				const MIN_VISIBLE_PX = 6;
-				if (estW < MIN_VISIBLE_PX) estW = MIN_VISIBLE_PX;
-				if (estH < MIN_VISIBLE_PX) estH = MIN_VISIBLE_PX;
+			} else {
+				this.showSessionStatus(`Session saved (${size}).`);
 			}
+		} catch (error) {
+			console.warn('Failed to save the session:', error);
+			this.showSessionStatus(`Session could not be saved: ${error.message}`);
+		}
+	}
 
-			// Add a small padding for shadow/glow effects
-			const pad = Math.ceil(Math.max(estW, estH) * 0.15) + 4;
-			const c = document.createElement('canvas');
-			c.width = Math.ceil(estW + pad * 2);
-			c.height = Math.ceil(estH + pad * 2);
-			const cctx = c.getContext('2d');
-			cctx.clearRect(0, 0, c.width, c.height);
+	/**
+	 * Replace the current files, settings and results with the session of an earlier page load.
+	 * A session with settings only replaces the settings and keeps the current files.
+	 */
+	async restoreSession() {
+		const previous = this.previousSession;
+		if (!previous || !this.session) return;
+		const settingsOnly = !this.sessionHasFiles(previous);
+		if (
+			this.uploadedFiles.length > 0 &&
+			!settingsOnly &&
+			!confirm('Replace the current images and settings with the previous session?')
+		) {
+			return;
+		}
 
-			if (this.watermarkSettings.type === 'text') {
-				// FIXED: Use resolution-independent scaling for cached text rendering
-				const fontSize = this.getResolutionIndependentSize(
-					canvasWidth,
-					canvasHeight,
-					this.watermarkSettings.fontSize,
-					'text',
-				);
-				cctx.font = `${fontSize}px ${this.watermarkSettings.fontFamily}`;
-				cctx.textBaseline = 'middle';
-				cctx.textAlign = 'center';
-				this.renderTextWithEffects(cctx, this.watermarkSettings.text, c.width / 2, c.height / 2);
-			} else if (this.watermarkSettings.type === 'logo' && this.watermarkSettings.watermarkLogo) {
-				const img = this.watermarkSettings.watermarkLogo;
-				const scale = this.getLogoScaleFraction();
-				// FIXED: Use resolution-independent scaling for cached logo rendering
-				const baseLogoSize = 240; // Base logo size at reference resolution
-				const maxSize = this.getResolutionIndependentSize(
-					canvasWidth,
-					canvasHeight,
-					baseLogoSize * scale,
-					'logo',
-				);
-				let ratio = Math.min(maxSize / img.width, maxSize / img.height);
-				ratio = Math.max(ratio, 0.001);
-				const w = img.width * ratio;
-				const h = img.height * ratio;
-				this.applyTextEffects(cctx);
-				/* For logo watermarks, tint/gradient effects are handled by composite operations if chosen. */
-				if (this.watermarkSettings.overlayEffect === 'tint') {
-					cctx.globalCompositeOperation = 'source-atop';
-					cctx.fillStyle = this.getEffectFillStyle(cctx);
-					cctx.drawImage(img, (c.width - w) / 2, (c.height - h) / 2, w, h);
-					cctx.fillRect((c.width - w) / 2, (c.height - h) / 2, w, h);
-					// reset composite
-					cctx.globalCompositeOperation = 'source-over';
+		clearTimeout(this.sessionSaveTimer);
+		this.restoringSession = true;
+		try {
+			const session = await this.session.restore(previous);
+			const settings = await this.deserializeSettings(SettingsFile.parse(session.settings));
+			this.applySettings(settings);
+			if (!settingsOnly) this.restoreSessionFiles(session);
+
+			this.previousSession = null;
+			this.updateSessionRestore();
+			this.renderImageGrid();
+		} catch (error) {
+			console.error('Failed to restore the session:', error);
+			this.fileUploadHandler.showError(`Could not restore the previous session: ${error.message}`);
+		} finally {
+			this.restoringSession = false;
+		}
+		this.updateUI();
+		if (settingsOnly) this.scheduleSessionSave(); // The current files move into the adopted session
+	}
+
+	/**
+	 * Replace the current files and results with those of a restored session.
+	 * @param {Object} session - Output of SessionStore.restore()
+	 */
+	restoreSessionFiles(session) {
+		this.uploadedFiles = session.files.map((entry) => {
+			const file = entry.blob instanceof File ? entry.blob : new File([entry.blob], entry.name);
+			return {
+				...this.createFileData(file, entry.folder),
+				id: entry.id,
+				name: entry.name,
+				cropPosition: entry.cropPosition,
+				overrides: this.overridesFromLayerIndexes(entry.overrides || null),
+				processStatus: entry.processStatus,
+				processError: entry.processError,
+			};
+		});
+		this.processedImages = session.results.map(({ blobKey, blob, ...image }) => ({
+			...image,
+			blob,
+			url: blob ? URL.createObjectURL(blob) : null,
+		}));
+		this.interruptedRun = null;
+		this.resultsSignature = null; // Settings may have changed after the results were made
+		this.currentPreviewFileId = session.previewId;
+		this.uploadedFiles.forEach((fileData) => this.loadImagePreview(fileData));
+
+		const downloadSection = document.getElementById('downloadSection');
+		if (downloadSection) {
+			if (this.processedImages.length > 0) {
+				downloadSection.classList.remove('hidden');
+			} else {
+				downloadSection.classList.add('hidden');
+			}
+		}
+	}
+
+	async discardSession() {
+		const previous = this.previousSession;
+		this.previousSession = null;
+		this.updateSessionRestore();
+		if (!previous || !this.session) return;
+		try {
+			await this.session.deleteSession(previous.id);
+		} catch (error) {
+			console.warn('Failed to discard the previous session:', error);
+		}
+	}
+
+	/**
+	 * Remove every saved session from the browser. Later changes are saved again while
+	 * "Keep this session" is ticked.
+	 */
+	async clearSavedSession() {
+		if (!this.session) return;
+		clearTimeout(this.sessionSaveTimer);
+		this.previousSession = null;
+		this.updateSessionRestore();
+		try {
+			await this.session.clear();
+			this.showSessionStatus('Saved session cleared.');
+		} catch (error) {
+			console.warn('Failed to clear the saved session:', error);
+			this.showSessionStatus(`Session could not be cleared: ${error.message}`);
+		}
+	}
+
+	/**
+	 * Update UI elements to reflect current application state.
+	 *
+	 * DYNAMIC UPDATES:
+	 * - Show/hide sections based on file availability
+	 * - Update file count displays
+	 * - Update process button text with actual file count
+	 * - Update download button states based on processed images
+	 * - Update upload status message appropriately
+	 */
+	updateUI() {
+		const fileList = document.getElementById('fileList');
+		const configSection = document.getElementById('configSection');
+		const previewSection = document.getElementById('previewSection');
+		const processingSection = document.getElementById('processingSection');
+		const fileCount = document.getElementById('fileCount');
+		const processBtn = document.getElementById('processBtn');
+		const downloadZipBtn = document.getElementById('downloadZip');
+		const showGalleryBtn = document.getElementById('showGalleryBtn');
+		const uploadStatusEl = document.getElementById('uploadStatus');
+
+		const hasFiles = this.uploadedFiles.length > 0;
+		const loadedFiles = this.getLoadedFiles();
+		const hasLoadedFiles = loadedFiles.length > 0;
+		const hasProcessedImages = this.processedImages && this.processedImages.length > 0;
+
+		// Show/hide main sections
+		if (fileList) fileList.classList.toggle('hidden', !hasFiles);
+		if (configSection) configSection.style.display = hasFiles ? 'block' : 'none';
+		if (previewSection) previewSection.style.display = hasFiles ? 'block' : 'none';
+		if (processingSection) processingSection.style.display = hasFiles ? 'block' : 'none';
+
+		// Update file count display
+		if (fileCount) fileCount.textContent = this.uploadedFiles.length;
+
+		// The file name example uses the first loaded image
+		this.updateFilenameExample();
+
+		// Update process button text to reflect actual file count
+		if (processBtn && !processBtn.disabled) {
+			const resumable = this.getResumableImages();
+			const remaining = loadedFiles.filter((fileData) => !resumable.has(fileData.id)).length;
+			if (resumable.size > 0 && remaining > 0) {
+				processBtn.textContent = `Resume (${remaining} remaining)`;
+			} else if (hasLoadedFiles) {
+				const count = loadedFiles.length;
+				processBtn.textContent = count === 1 ? 'Process 1 Image' : `Process ${count} Images`;
+			} else {
+				processBtn.textContent = 'Process All Images';
+			}
+		}
+
+		// Update download button states based on processed images
+		if (downloadZipBtn && !this.archiving) {
+			// Images freed after saving to disk (see releaseProcessedImage) cannot be zipped again
+			const count = hasProcessedImages ? this.processedImages.filter((image) => image.blob).length : 0;
+			downloadZipBtn.disabled = count === 0;
+			if (count > 0) {
+				downloadZipBtn.textContent =
+					count === 1 ? 'Download 1 Image as ZIP' : `Download ${count} Images as ZIP`;
+			} else if (hasProcessedImages) {
+				downloadZipBtn.textContent = 'All Images Saved to Disk';
+			} else {
+				downloadZipBtn.textContent = 'Download All as ZIP';
+			}
+		}
+
+		if (showGalleryBtn) {
+			// Gallery button should always be available to show empty state or processed images
+			if (hasProcessedImages) {
+				const count = this.processedImages.length;
+				const icon = showGalleryBtn.querySelector('.btn-icon');
+				const iconText = icon ? icon.outerHTML : '🖼️';
+				showGalleryBtn.innerHTML = `${iconText} View Gallery (${count} ${count === 1 ? 'image' : 'images'})`;
+			} else {
+				const icon = showGalleryBtn.querySelector('.btn-icon');
+				const iconText = icon ? icon.outerHTML : '🖼️';
+				showGalleryBtn.innerHTML = `${iconText} View Gallery & Download`;
+			}
+		}
+
+		// Update upload status message
+		if (uploadStatusEl) {
+			if (hasFiles) {
+				const count = this.uploadedFiles.length;
+				const loadedCount = loadedFiles.length;
+				if (loadedCount < count) {
+					uploadStatusEl.textContent = `Loading ${count} images... (${loadedCount} ready)`;
 				} else {
-					cctx.drawImage(img, (c.width - w) / 2, (c.height - h) / 2, w, h);
+					uploadStatusEl.textContent = `${count} ${count === 1 ? 'image' : 'images'} ready for processing`;
 				}
+			} else {
+				uploadStatusEl.textContent = 'Ready to upload images - Click here or drag files';
 			}
+		}
 
-			const cacheEntry = {
-				key: cacheKey,
-				canvas: c,
-				w: c.width,
-				h: c.height,
-				// contentW/contentH represent the watermark's visible content size (without extra cache padding)
-				contentW: Math.ceil(estW),
-				contentH: Math.ceil(estH),
-				pad,
-			};
+		this.scheduleSessionSave();
+	}
+
+	updatePreview() {
+		// Layer labels show text, type and position; rebuild the list only when one of them changed
+		if (this.getLayerListKey() !== this._layerListKey) this.renderLayerList();
+		this.scheduleSessionSave();
+
+		const loadedFiles = this.getLoadedFiles();
+		if (loadedFiles.length === 0) {
+			this.currentPreviewFileId = null;
+			return;
+		}
+
+		// Always default to the first file, unless a specific file is explicitly selected
+		let fileToPreview = null;
+		if (this.currentPreviewFileId) {
+			fileToPreview = loadedFiles.find((file) => file.id === this.currentPreviewFileId);
+		}
+
+		// If no valid current preview file, always use the first file
+		if (!fileToPreview) {
+			fileToPreview = loadedFiles[0];
+			this.currentPreviewFileId = fileToPreview.id;
+		}
+
+		if (!fileToPreview.preview) return;
+
+		this.updatePreviewWithFile(fileToPreview);
+	}
+
+	renderPreview(img, fileData) {
+		const canvas = document.getElementById('previewCanvas');
+		if (!canvas) return;
+
+		// Kept so dragging the crop box or the watermark can redraw without decoding the image again
+		this.previewImage = img;
+		this.previewFileData = fileData;
+		this.previewCrop = null;
+		this.previewWatermark = null;
+
+		const ctx = canvas.getContext('2d');
+
+		// Get the preview section and its card body to calculate available space
+		const previewSection = document.querySelector('.preview-section');
+		const configSection = document.querySelector('.config-section');
+		const container = canvas.parentElement;
+
+		if (!previewSection || !configSection || !container) {
+			console.warn('Layout elements not found, using fallback sizing');
+			canvas.width = 600;
+			canvas.height = 800;
+			ctx.clearRect(0, 0, 600, 800);
+			ctx.drawImage(img, 0, 0, 600, 800);
+			return;
+		}
+
+		// Get the config section's dimensions to match its height
+		const configRect = configSection.getBoundingClientRect();
+		const previewRect = previewSection.getBoundingClientRect();
+		const containerRect = container.getBoundingClientRect();
+
+		// Use the actual container dimensions instead of calculating
+		const containerWidth = containerRect.width;
+		const containerHeight = containerRect.height;
+
+		// Account for container padding (get actual padding from computed style)
+		const containerStyle = getComputedStyle(container);
+		const paddingLeft = parseFloat(containerStyle.paddingLeft) || 16;
+		const paddingRight = parseFloat(containerStyle.paddingRight) || 16;
+		const paddingTop = parseFloat(containerStyle.paddingTop) || 16;
+		const paddingBottom = parseFloat(containerStyle.paddingBottom) || 16;
+
+		// Calculate the actual available space inside the container
+		const availableWidth = containerWidth - paddingLeft - paddingRight;
+		const availableHeight = containerHeight - paddingTop - paddingBottom;
+
+		// For portrait images, be much more conservative to prevent overflow
+		const isPortrait = img.height > img.width;
+		const aspectRatio = img.height / img.width;
+		const effectiveWidth = Math.max(200, availableWidth);
 
-			this._watermarkCacheMap.set(cacheKey, cacheEntry);
-			this._watermarkCache = cacheEntry; /* quick reference */
-		} catch (err) {
-			console.warn('Failed to build watermark cache', err);
+		let effectiveHeight;
+		if (isPortrait) {
+			// For portrait images: use stricter height constraints based on aspect ratio
+			if (aspectRatio > 2.0) {
+				// Very tall portraits: max 0.8x width ratio
+				effectiveHeight = Math.min(availableHeight, effectiveWidth * 0.8);
+			} else if (aspectRatio > 1.5) {
+				// Tall portraits: max 1.0x width ratio
+				effectiveHeight = Math.min(availableHeight, effectiveWidth * 1.0);
+			} else {
+				// Moderate portraits: max 1.2x width ratio
+				effectiveHeight = Math.min(availableHeight, effectiveWidth * 1.2);
+			}
+		} else {
+			// Landscape: use full available height
+			effectiveHeight = Math.max(300, availableHeight);
 		}
-	}
 
-	/**
-	 * Convert logo scale percentage (1-500) to decimal fraction (0.01-5.0).
-	 *
-	 * SCALING LOGIC: Logo scale setting represents percentage of canvas dimension.
-	 * - 20% = logo sized to 20% of smaller canvas dimension
-	 * - 100% = logo sized to full canvas dimension
-	 * - 500% = logo can be 5x larger than canvas (for artistic effects)
-	 *
-	 * SAFETY MEASURES: Validates input and applies reasonable bounds to prevent
-	 * invisible logos (too small) or memory issues (too large).
-	 *
-	 * @returns {number} Scale factor as decimal (e.g., 0.2 for 20%)
-	 */
-	getLogoScaleFraction() {
-		// Extract and validate scale value from settings
-		let s = Number(this.watermarkSettings.logoScale);
+		// Calculate scale to fit within the effective dimensions
+		const scaleToFitWidth = effectiveWidth / img.width;
+		const scaleToFitHeight = effectiveHeight / img.height;
+		const scale = Math.min(scaleToFitWidth, scaleToFitHeight);
 
-		// Fallback to 20% for invalid/missing values
-		if (!isFinite(s) || s <= 0) s = 20;
+		// Calculate final canvas dimensions
+		const width = Math.round(img.width * scale);
+		const height = Math.round(img.height * scale);
 
-		// Apply safety bounds: 1% minimum, 500% maximum
-		s = Math.max(1, Math.min(500, s));
+		// Safety check: ensure canvas never exceeds container bounds
+		const finalWidth = Math.min(width, effectiveWidth);
+		const finalHeight = Math.min(height, effectiveHeight);
 
-		// Convert percentage to decimal fraction
-		return s / 100;
-	}
+		// Set canvas dimensions
+		canvas.width = finalWidth;
+		canvas.height = finalHeight;
 
-	drawLogoWatermark(ctx, canvasWidth, canvasHeight, position) {
-		const img = this.watermarkSettings.watermarkLogo;
-		const scale = this.getLogoScaleFraction();
+		// Set CSS dimensions to match exactly
+		canvas.style.width = finalWidth + 'px';
+		canvas.style.height = finalHeight + 'px'; // Clear and draw image
+		ctx.clearRect(0, 0, finalWidth, finalHeight);
+		ctx.drawImage(img, 0, 0, finalWidth, finalHeight);
 
-		// FIXED: Use resolution-independent scaling for consistent logo rendering
-		const baseLogoSize = 240; // Base logo size at reference resolution
-		const maxSize = this.getResolutionIndependentSize(
-			canvasWidth,
-			canvasHeight,
-			baseLogoSize * scale,
-			'logo'
-		);
+		// Store the scaling ratio for watermark positioning
+		const originalImageWidth = img.width;
+		const originalImageHeight = img.height;
+		const previewRatio = scale; // Use the calculated scale, not undefined 'ratio'
 
-		// Calculate ratio to fit logo within target size while maintaining aspect ratio
-		let ratio = Math.min(maxSize / img.width, maxSize / img.height);
+		const crop = this.getCropRect(img, this.getCropSpec(fileData, img));
+		const cropped = crop.width !== originalImageWidth || crop.height !== originalImageHeight;
+		if (cropped) {
+			canvas.classList.add('crop-active');
+		} else {
+			canvas.classList.remove('crop-active');
+		}
 
-		// Ensure ratio is not zero; clamp to tiny epsilon to keep logo visible
-		ratio = Math.max(ratio, 0.001);
+		if (!cropped) {
+			/* Apply watermark with proper scaling - base calculations on original image size,
+			   then scale the final positioning for the preview canvas */
+			this.withImageOverrides(fileData.overrides, crop, () =>
+				this.applyWatermarkWithScaling(ctx, originalImageWidth, originalImageHeight, previewRatio),
+			);
+			this.drawWatermarkHandles(ctx, crop, previewRatio);
+			return;
+		}
 
-		let logoWidth = img.width * ratio;
-		let logoHeight = img.height * ratio;
+		/* CROP PREVIEW: The watermark is placed on the cropped frame; the area outside it is dimmed */
+		const box = {
+			x: crop.x * previewRatio,
+			y: crop.y * previewRatio,
+			width: crop.width * previewRatio,
+			height: crop.height * previewRatio,
+		};
+		this.textTokenContext = { ...this.textTokenContext, width: crop.width, height: crop.height };
 
-		// Enforce a sensible minimum visible size (in px) to avoid invisible logos
-		const MIN_VISIBLE_PX = 10;
-		if (logoWidth < MIN_VISIBLE_PX || logoHeight < MIN_VISIBLE_PX) {
-			const scaleUp = MIN_VISIBLE_PX / Math.max(1, Math.max(logoWidth, logoHeight));
-			logoWidth = Math.max(MIN_VISIBLE_PX, Math.round(logoWidth * scaleUp));
-			logoHeight = Math.max(MIN_VISIBLE_PX, Math.round(logoHeight * scaleUp));
-		}
+		ctx.save();
+		ctx.beginPath();
+		ctx.rect(box.x, box.y, box.width, box.height);
+		ctx.clip();
+		ctx.translate(box.x, box.y);
+		this.withImageOverrides(fileData.overrides, crop, () =>
+			this.applyWatermarkWithScaling(ctx, crop.width, crop.height, previewRatio),
+		);
+		ctx.restore();
 
-		// FIXED: Use adaptive padding that scales with canvas size to prevent cropping
-		const padding = Math.max(10, Math.min(canvasWidth, canvasHeight) * 0.02);
+		ctx.save();
+		ctx.fillStyle = 'rgba(0, 0, 0, 0.55)';
+		ctx.beginPath();
+		ctx.rect(0, 0, finalWidth, finalHeight);
+		ctx.rect(box.x, box.y, box.width, box.height);
+		ctx.fill('evenodd');
+		ctx.strokeStyle = '#ffffff';
+		ctx.lineWidth = 1;
+		ctx.setLineDash([6, 4]);
+		ctx.strokeRect(box.x + 0.5, box.y + 0.5, box.width - 1, box.height - 1);
+		ctx.restore();
 
-		// Calculate initial position
-		let x = canvasWidth * position.x;
-		let y = canvasHeight * position.y;
+		this.previewCrop = { fileData, crop, scale: previewRatio };
+		this.drawWatermarkHandles(ctx, crop, previewRatio);
+	}
 
-		// Simplified positioning for better center alignment
-		if (position.x === 0.5 && position.y === 0.5) {
-			// Perfect center positioning - place center of logo at center of canvas
-			x = (canvasWidth - logoWidth) / 2;
-			y = (canvasHeight - logoHeight) / 2;
-		} else {
-			// Position based on alignment for other positions
-			if (position.x <= 0.2) {
-				// Left alignment
-				x = Math.max(padding, x);
-			} else if (position.x >= 0.8) {
-				// Right alignment
-				x = Math.max(padding, Math.min(canvasWidth - logoWidth - padding, x));
-			} else {
-				// Center alignment
-				x = Math.max(
-					logoWidth / 2 + padding,
-					Math.min(canvasWidth - logoWidth / 2 - padding, x - logoWidth / 2),
-				);
-			}
+	static get PREVIEW_HANDLE_RADIUS() {
+		return 7; // Grab distance around a handle, in canvas pixels
+	}
 
-			if (position.y <= 0.2) {
-				// Top alignment
-				y = Math.max(padding, y);
-			} else if (position.y >= 0.8) {
-				// Bottom alignment
-				y = Math.max(padding, Math.min(canvasHeight - logoHeight - padding, y));
-			} else {
-				// Center alignment
-				y = Math.max(
-					logoHeight / 2 + padding,
-					Math.min(canvasHeight - logoHeight / 2 - padding, y - logoHeight / 2),
-				);
-			}
+	static get PREVIEW_ROTATE_HANDLE_DISTANCE() {
+		return 24; // Rotate handle distance above the watermark box, in canvas pixels
+	}
+
+	/**
+	 * Outline the active single watermark on the preview with a resize handle (bottom-right
+	 * corner) and a rotate handle (above the top edge), and remember where they are for dragging.
+	 * @param {CanvasRenderingContext2D} ctx - Preview canvas context
+	 * @param {{x: number, y: number, width: number, height: number}} frame - Cropped frame in image pixels
+	 * @param {number} scale - Preview pixels per image pixel
+	 */
+	drawWatermarkHandles(ctx, frame, scale) {
+		const settings = this.watermarkSettings;
+		ctx.canvas.classList.remove('watermark-handles');
+		if (settings.visible === false || settings.patternMode !== 'single') return;
+		// The handles edit the batch settings, which this image's overrides of the layer would hide
+		const fileData = this.previewFileData;
+		if (fileData && fileData.overrides) {
+			if (fileData.overrides.skip || Object.keys(this.getActiveLayerOverrides(fileData)).length > 0) return;
 		}
 
-		/* Apply offsets using relative scaling instead of hardcoded values */
-		const REFERENCE_WIDTH = 800;
-		const REFERENCE_HEIGHT = 600;
-		x += (this.watermarkSettings.offsetX * canvasWidth) / REFERENCE_WIDTH;
-		y += (this.watermarkSettings.offsetY * canvasHeight) / REFERENCE_HEIGHT;
+		const measureCtx = this.createCanvas(1, 1).getContext('2d');
+		const placement = this.getSinglePlacement(measureCtx, frame.width, frame.height);
+		if (placement.width <= 0 || placement.height <= 0) return;
+
+		const handle = {
+			frame,
+			scale,
+			x: (frame.x + placement.x) * scale,
+			y: (frame.y + placement.y) * scale,
+			halfWidth: (placement.width * scale) / 2 + 4,
+			halfHeight: (placement.height * scale) / 2 + 4,
+			angle: placement.angle,
+		};
+		const radius = BulkWatermarkApp.PREVIEW_HANDLE_RADIUS;
+		const rotateY = -handle.halfHeight - BulkWatermarkApp.PREVIEW_ROTATE_HANDLE_DISTANCE;
 
-		/* FIXED: Ensure logo stays within bounds but allow full size without forced cropping */
-		// Only apply bounds check if logo would go completely outside canvas
-		if (!(position.x === 0.5 && position.y === 0.5)) {
-			// Allow logo to extend slightly beyond edges if needed, but keep at least 50% visible
-			const minVisibleRatio = 0.5;
-			x = Math.max(-logoWidth * (1 - minVisibleRatio), Math.min(canvasWidth - logoWidth * minVisibleRatio, x));
-			y = Math.max(-logoHeight * (1 - minVisibleRatio), Math.min(canvasHeight - logoHeight * minVisibleRatio, y));
-		}
+		ctx.save();
+		ctx.translate(handle.x, handle.y);
+		ctx.rotate((handle.angle * Math.PI) / 180);
+		ctx.lineWidth = 1;
+		ctx.strokeStyle = '#ffffff';
+		ctx.setLineDash([4, 3]);
+		ctx.strokeRect(-handle.halfWidth, -handle.halfHeight, handle.halfWidth * 2, handle.halfHeight * 2);
+		ctx.setLineDash([]);
+		ctx.beginPath();
+		ctx.moveTo(0, -handle.halfHeight);
+		ctx.lineTo(0, rotateY);
+		ctx.stroke();
+
+		ctx.fillStyle = '#ffffff';
+		ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+		ctx.fillRect(handle.halfWidth - radius / 2, handle.halfHeight - radius / 2, radius, radius);
+		ctx.strokeRect(handle.halfWidth - radius / 2, handle.halfHeight - radius / 2, radius, radius);
+		ctx.beginPath();
+		ctx.arc(0, rotateY, radius / 2, 0, Math.PI * 2);
+		ctx.fill();
+		ctx.stroke();
+		ctx.restore();
 
-		/* Apply rotation */
-		if (this.watermarkSettings.watermarkRotation !== 0) {
-			ctx.save();
-			/* Use center of logo for rotation */
-			ctx.translate(x + logoWidth / 2, y + logoHeight / 2);
-			ctx.rotate((this.watermarkSettings.watermarkRotation * Math.PI) / 180);
-			ctx.drawImage(img, -logoWidth / 2, -logoHeight / 2, logoWidth, logoHeight);
-			ctx.restore();
-		} else {
-			ctx.drawImage(img, x, y, logoWidth, logoHeight);
-		}
+		ctx.canvas.classList.add('watermark-handles');
+		this.previewWatermark = handle;
 	}
 
-	applyTextEffects(ctx) {
-		// Only apply these canvas-level effects for text watermarks
-		if (this.watermarkSettings.type !== 'text') return;
-
-		const te = this.watermarkSettings.textEffects || {};
+	/**
+	 * Which part of the previewed watermark is under the pointer.
+	 * @param {PointerEvent|MouseEvent} e - Event on the preview canvas
+	 * @returns {string|null} 'rotate', 'resize', 'move' or null
+	 */
+	hitTestPreviewWatermark(e) {
+		const handle = this.previewWatermark;
+		if (!handle) return null;
+
+		const point = this.getPreviewCanvasPoint(e);
+		const angle = (handle.angle * Math.PI) / 180;
+		const dx = point.x - handle.x;
+		const dy = point.y - handle.y;
+		// Pointer in the watermark's own (unrotated) coordinates
+		const x = dx * Math.cos(angle) + dy * Math.sin(angle);
+		const y = -dx * Math.sin(angle) + dy * Math.cos(angle);
+		const radius = BulkWatermarkApp.PREVIEW_HANDLE_RADIUS;
+		const rotateY = -handle.halfHeight - BulkWatermarkApp.PREVIEW_ROTATE_HANDLE_DISTANCE;
+
+		if (Math.hypot(x, y - rotateY) <= radius) return 'rotate';
+		if (Math.abs(x - handle.halfWidth) <= radius && Math.abs(y - handle.halfHeight) <= radius) return 'resize';
+		if (Math.abs(x) <= handle.halfWidth && Math.abs(y) <= handle.halfHeight) return 'move';
+		return null;
+	}
 
-		// Helper: convert #rrggbb or #rgb to rgba string with alpha
-		const hexToRgba = (hex, alpha = 1) => {
-			let h = hex.replace('#', '');
-			if (h.length === 3) {
-				h = h
-					.split('')
-					.map((c) => c + c)
-					.join('');
-			}
-			const bigint = parseInt(h, 16);
-			const r = (bigint >> 16) & 255;
-			const g = (bigint >> 8) & 255;
-			const b = bigint & 255;
-			return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+	/**
+	 * @param {PointerEvent|MouseEvent} e - Event on the preview canvas
+	 * @returns {{x: number, y: number}} Point in preview canvas pixels
+	 */
+	getPreviewCanvasPoint(e) {
+		const canvas = document.getElementById('previewCanvas');
+		const rect = canvas.getBoundingClientRect();
+		return {
+			x: (e.clientX - rect.left) * (canvas.width / (rect.width || canvas.width)),
+			y: (e.clientY - rect.top) * (canvas.height / (rect.height || canvas.height)),
 		};
+	}
 
-		// Reset common shadow/composite values first to known defaults
-		ctx.shadowColor = 'transparent';
-		ctx.shadowBlur = 0;
-		ctx.shadowOffsetX = 0;
-		ctx.shadowOffsetY = 0;
-		ctx.globalCompositeOperation = 'source-over';
+	/**
+	 * Drag the active single watermark on the preview: the box moves it (stored as a normalised
+	 * freePosition, so it maps onto every image size), the corner handle resizes it and the top
+	 * handle rotates it (Shift snaps to 15°). Each drag is one undo step.
+	 */
+	bindWatermarkDragControls() {
+		const canvas = document.getElementById('previewCanvas');
+		if (!canvas) return;
 
-		// Shadow - fix 0-value issue by checking explicitly and using actual values
-		if (te.shadow) {
-			ctx.shadowColor = te.shadowColor || 'rgba(0,0,0,0.5)';
-			// Use explicit check for 0 instead of fallback to prevent spacing-like issues
-			ctx.shadowBlur = te.shadowBlur !== undefined ? Number(te.shadowBlur) : 6;
-			ctx.shadowOffsetX = te.shadowOffsetX !== undefined ? Number(te.shadowOffsetX) : 2;
-			ctx.shadowOffsetY = te.shadowOffsetY !== undefined ? Number(te.shadowOffsetY) : 2;
-		}
+		let drag = null;
 
-		// Glow - use new spread and intensity controls
-		if (te.glow) {
-			const intensity = te.glowIntensity !== undefined ? Number(te.glowIntensity) / 100 : 1;
-			const spread = te.glowSpread !== undefined ? Number(te.glowSpread) : 12;
+		canvas.addEventListener('pointerdown', (e) => {
+			const part = this.hitTestPreviewWatermark(e);
+			if (!part) return;
 
-			// Convert glow color to rgba with intensity-based alpha
-			const glowColor = te.glowColor || this.watermarkSettings.textColor;
-			ctx.shadowColor = hexToRgba(glowColor, intensity);
-			ctx.shadowBlur = spread;
-		}
+			const handle = this.previewWatermark;
+			drag = {
+				part,
+				start: this.getPreviewCanvasPoint(e),
+				handle,
+				fontSize: this.watermarkSettings.fontSize,
+				logoScale: this.watermarkSettings.logoScale,
+				recorded: false,
+			};
+			if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+			e.preventDefault();
+		});
 
-		// Default fillStyle remains text color (gradient/tint removed as per requirement)
-		ctx.fillStyle = this.watermarkSettings.textColor;
+		canvas.addEventListener('pointermove', (e) => {
+			if (!drag) {
+				const part = this.hitTestPreviewWatermark(e);
+				const cursors = { move: 'move', resize: 'nwse-resize', rotate: 'grab' };
+				canvas.style.cursor = part ? cursors[part] : '';
+				return;
+			}
+			if (!this.previewImage) return;
+
+			const point = this.getPreviewCanvasPoint(e);
+			const { handle, start } = drag;
+			if (!drag.recorded) {
+				if (point.x === start.x && point.y === start.y) return;
+				this.recordHistory();
+				drag.recorded = true;
+			}
+
+			const settings = this.watermarkSettings;
+			if (drag.part === 'move') {
+				// Offsets are folded into the new position so the watermark follows the pointer exactly
+				const x = (handle.x + point.x - start.x) / handle.scale - handle.frame.x;
+				const y = (handle.y + point.y - start.y) / handle.scale - handle.frame.y;
+				settings.freePosition = {
+					x: Math.min(1, Math.max(0, x / handle.frame.width)),
+					y: Math.min(1, Math.max(0, y / handle.frame.height)),
+				};
+				settings.offsetX = 0;
+				settings.offsetY = 0;
+				this.setPosition(settings.position);
+			} else if (drag.part === 'resize') {
+				const ratio =
+					Math.hypot(point.x - handle.x, point.y - handle.y) /
+					Math.max(1, Math.hypot(start.x - handle.x, start.y - handle.y));
+				if (settings.type === 'logo') {
+					settings.logoScale = Math.round(Math.min(500, Math.max(1, drag.logoScale * ratio)));
+				} else {
+					settings.fontSize = Math.round(Math.min(500, Math.max(10, drag.fontSize * ratio)));
+				}
+			} else {
+				let angle = (Math.atan2(point.y - handle.y, point.x - handle.x) * 180) / Math.PI + 90;
+				if (e.shiftKey) angle = Math.round(angle / 15) * 15;
+				angle = Math.round(angle);
+				if (angle > 180) angle -= 360;
+				settings.watermarkRotation = angle;
+			}
+
+			this.renderPreview(this.previewImage, this.previewFileData);
+		});
+
+		const endDrag = () => {
+			if (!drag) return;
+			const changed = drag.recorded;
+			drag = null;
+			if (!changed) return;
+			this.updateFormControls();
+			this.updatePreview();
+		};
+		canvas.addEventListener('pointerup', endDrag);
+		canvas.addEventListener('pointercancel', endDrag);
 	}
 
 	/**
-	 * Render text with effects including outline support
-	 * @param {CanvasRenderingContext2D} ctx - Canvas context
-	 * @param {string} text - Text to render
-	 * @param {number} x - X position
-	 * @param {number} y - Y position
+	 * Dragging inside the crop box on the preview moves the crop of the previewed image;
+	 * a double-click returns it to the batch anchor.
 	 */
-	renderTextWithEffects(ctx, text, x, y) {
-		const te = this.watermarkSettings.textEffects;
+	bindCropControls() {
+		const canvas = document.getElementById('previewCanvas');
+		if (!canvas) return;
+
+		let drag = null;
+		const toImagePoint = (e) => {
+			const rect = canvas.getBoundingClientRect();
+			const scale = this.previewCrop.scale;
+			return {
+				x: ((e.clientX - rect.left) * (canvas.width / (rect.width || canvas.width))) / scale,
+				y: ((e.clientY - rect.top) * (canvas.height / (rect.height || canvas.height))) / scale,
+			};
+		};
+
+		canvas.addEventListener('pointerdown', (e) => {
+			// The watermark and its handles take precedence over the crop box beneath them
+			if (!this.previewCrop || this.hitTestPreviewWatermark(e)) return;
+			const point = toImagePoint(e);
+			const { crop } = this.previewCrop;
+			const inside =
+				point.x >= crop.x &&
+				point.x <= crop.x + crop.width &&
+				point.y >= crop.y &&
+				point.y <= crop.y + crop.height;
+			if (!inside) return;
+
+			drag = { start: point, crop, fileData: this.previewCrop.fileData };
+			if (canvas.setPointerCapture) canvas.setPointerCapture(e.pointerId);
+			e.preventDefault();
+		});
+
+		canvas.addEventListener('pointermove', (e) => {
+			if (!drag || !this.previewImage) return;
+			const point = toImagePoint(e);
+			const { crop, fileData } = drag;
+			const slackX = this.previewImage.width - crop.width;
+			const slackY = this.previewImage.height - crop.height;
+			fileData.cropPosition = {
+				x: slackX > 0 ? Math.min(1, Math.max(0, (crop.x + point.x - drag.start.x) / slackX)) : 0.5,
+				y: slackY > 0 ? Math.min(1, Math.max(0, (crop.y + point.y - drag.start.y) / slackY)) : 0.5,
+			};
+			this.textTokenContext = this.getTextTokenContext(fileData, this.previewImage);
+			this.renderPreview(this.previewImage, fileData);
+		});
+
+		const endDrag = () => {
+			drag = null;
+		};
+		canvas.addEventListener('pointerup', endDrag);
+		canvas.addEventListener('pointercancel', endDrag);
+
+		canvas.addEventListener('dblclick', (e) => {
+			if (!this.previewCrop || !this.previewCrop.fileData.cropPosition || this.hitTestPreviewWatermark(e)) return;
+			const { fileData } = this.previewCrop;
+			fileData.cropPosition = null;
+			this.textTokenContext = this.getTextTokenContext(fileData, this.previewImage);
+			this.renderPreview(this.previewImage, fileData);
+		});
+	}
 
-		// First, render outline if enabled
-		if (te.outline) {
-			const opacity = te.outlineOpacity !== undefined ? Number(te.outlineOpacity) / 100 : 1;
-			const thickness = te.outlineThickness !== undefined ? Number(te.outlineThickness) : 2;
+	/**
+	 * Synchronize UI slider ranges with calculated values.
+	 * Sets appropriate min/max/step values for consistent user experience.
+	 */
+	syncPatternSpacingControls(uiSpacingX, uiSpacingY) {
+		try {
+			const sx = document.getElementById('patternSpacingX');
+			const sy = document.getElementById('patternSpacingY');
 
-			ctx.save();
-			// Clear shadow effects for outline
-			ctx.shadowColor = 'transparent';
-			ctx.shadowBlur = 0;
-			ctx.shadowOffsetX = 0;
-			ctx.shadowOffsetY = 0;
+			if (sx) {
+				// UI scale is fixed 0-20 for intuitive control
+				sx.min = 0; // 0 = touching
+				sx.max = 20; // 20 = maximum spacing
+				sx.step = 1; // Integer steps only
+				// Only update value if slider not currently being dragged
+				if (!sx.matches(':active')) sx.value = uiSpacingX;
+			}
 
-			// Set outline properties
-			ctx.strokeStyle = te.outlineColor || '#000000';
-			ctx.lineWidth = thickness;
-			ctx.globalAlpha = opacity;
-			ctx.strokeText(text, x, y);
-			ctx.restore();
+			if (sy) {
+				sy.min = 0;
+				sy.max = 20;
+				sy.step = 1;
+				if (!sy.matches(':active')) sy.value = uiSpacingY;
+			}
+		} catch (err) {
+			// Graceful fallback if UI elements are missing
+			if (console && console.warn) console.warn('Failed to sync patternSpacing X/Y sliders:', err);
 		}
-
-		// Then render the main text with effects
-		this.applyTextEffects(ctx);
-		ctx.fillStyle = this.getEffectFillStyle(ctx);
-		ctx.fillText(text, x, y);
 	}
 
-	getEffectFillStyle(ctx) {
-		// Always use the configured text color for fills. Effects that change appearance
-		// are applied via shadow/blur or stroke; gradient/tint overlays were removed.
-		return this.watermarkSettings.textColor;
+	/**
+	 * Token values for one image.
+	 * @param {Object} fileData - Entry from uploadedFiles
+	 * @param {HTMLImageElement|null} img - Loaded image (for its dimensions); null for workers, which
+	 *   fill in the size after decoding
+	 * @returns {Object} Values keyed by token name
+	 */
+	getTextTokenContext(fileData, img) {
+		const loadedFiles = this.getLoadedFiles();
+		const now = new Date();
+		const pad = (n) => String(n).padStart(2, '0');
+
+		return {
+			filename: fileData.name.replace(/\.[^/.]+$/, ''),
+			index: loadedFiles.indexOf(fileData) + 1,
+			total: loadedFiles.length,
+			date: `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`,
+			width: img ? img.width : null,
+			height: img ? img.height : null,
+			exif: fileData.exif ? ExifReader.toTokenValues(fileData.exif.tags) : {},
+		};
 	}
 
 	/**
@@ -3588,17 +9177,18 @@ class BulkWatermarkApp {
 	 * BATCH PROCESSING WORKFLOW:
 	 * 1. Validate loaded files
 	 * 2. Setup UI for progress tracking
-	 * 3. Process each image sequentially with progress updates
-	 * 4. Handle errors gracefully (continue processing other images)
-	 * 5. Setup download interface and auto-show modal
+	 * 3. Render images in a worker pool (or on the main thread) with progress updates
+	 * 4. Honour pause/cancel between images (cancel also stops images rendering in workers)
+	 * 5. Handle errors gracefully (continue processing other images)
+	 * 6. Setup download interface and auto-show modal
 	 *
 	 * PERFORMANCE CONSIDERATIONS:
-	 * - Sequential processing prevents memory exhaustion
-	 * - 100ms delay between images allows UI updates
-	 * - Progress tracking provides user feedback
+	 * - Workers decode, render and encode off the main thread, so the UI stays responsive
+	 * - Concurrency (one image per worker) is configurable and bounds memory use
+	 * - Results keep upload order regardless of completion order
 	 * - Error isolation ensures batch completion
 	 */
-	async processAllImages() {
+	async processAllImages({ retryFailed = false } = {}) {
 		// Validate that we have images to process
 		const loadedFiles = this.getLoadedFiles();
 		if (loadedFiles.length === 0) {
@@ -3606,6 +9196,16 @@ class BulkWatermarkApp {
 			return;
 		}
 
+		/*
+		 * OUTPUT FOLDER: When saving to a folder, each image is written to disk as soon as it
+		 * is finished. The folder is chosen, or its permission renewed, before anything starts.
+		 */
+		let outputFolder = null;
+		if (this.isSavingToFolder()) {
+			outputFolder = await this.prepareOutputFolder();
+			if (!outputFolder) return;
+		}
+
 		/*
 		 * UI SETUP: Prepare progress interface and disable controls.
 		 * Prevents user interference during processing.
@@ -3624,39 +9224,138 @@ class BulkWatermarkApp {
 		// Show progress section for user feedback
 		if (progressSection) progressSection.classList.remove('hidden');
 
-		// Clear any previous processed images
-		this.processedImages = [];
-
 		/*
-		 * SEQUENTIAL PROCESSING LOOP: Process images one by one.
-		 * Sequential approach prevents memory issues and allows progress tracking.
+		 * RESUME / RETRY: After a cancelled batch, images finished with the same settings are
+		 * kept and skipped. A retry keeps every result and only reprocesses failed images, unless
+		 * the settings changed since, so one download never mixes old and new settings.
+		 * Any other run starts from scratch. Each source file has one result per export variant.
 		 */
-		for (let i = 0; i < loadedFiles.length; i++) {
-			const fileData = loadedFiles[i];
+		const retrying = retryFailed && this.resultsSignature === this.getBatchSignature();
+		const kept = retrying ? this.groupBySource(this.processedImages) : this.getResumableImages();
+		this.interruptedRun = null;
+		const results = loadedFiles.map((fileData) => kept.get(fileData.id) || null);
+		const pendingIndexes = [];
+		results.forEach((result, index) => {
+			const fileData = loadedFiles[index];
+			if (result) {
+				this.setProcessStatus(fileData, 'done');
+			} else if (!retrying || fileData.processStatus === 'failed') {
+				this.setProcessStatus(fileData, 'queued');
+				pendingIndexes.push(index);
+			}
+		});
+		this.processedImages = results.filter(Boolean).flat();
+		this.hideProcessingSummary();
+		const savedCounts = { written: 0, skipped: 0 };
+		if (outputFolder) outputFolder.beginBatch(this.processedImages.map((image) => image.path));
 
-			// Calculate and display progress percentage
-			const progress = ((i + 1) / loadedFiles.length) * 100;
+		/*
+		 * PARALLEL PROCESSING: Each worker renders one image at a time; without worker
+		 * support, images are processed one by one on the main thread. An image whose
+		 * worker fails is retried on the main thread.
+		 */
+		const signature = this.getBatchSignature();
+		const batch = { paused: false, cancelled: false, pool: null, waiters: [], showProgress: null };
+		this.activeBatch = batch;
+		this.updateBatchControls();
+
+		const pool = await this.createWorkerPool();
+		batch.pool = pool;
+		if (batch.cancelled && pool) pool.terminate();
+		const total = results.filter(Boolean).length + pendingIndexes.length;
+		let completed = total - pendingIndexes.length;
+		let nextIndex = 0;
+
+		const showProgress = () => {
+			const progress = (completed / total) * 100;
 			if (progressFill) progressFill.style.width = progress + '%';
-			if (progressText) progressText.textContent = `Processing ${i + 1} of ${loadedFiles.length} images...`;
+			if (!progressText) return;
+			if (batch.paused) {
+				progressText.textContent = `Paused after ${completed} of ${total} images`;
+			} else {
+				progressText.textContent = `Processed ${completed} of ${total} images...`;
+			}
+		};
+		batch.showProgress = showProgress;
 
-			try {
-				// Process individual image with current watermark settings
-				const processedData = await this.processImage(fileData);
-				this.processedImages.push(processedData);
-			} catch (error) {
-				// ERROR ISOLATION: Log error but continue with remaining images
-				console.error(`Error processing ${fileData.name}:`, error);
-				// Could add UI notification for failed images here
+		const runQueue = async () => {
+			while (nextIndex < pendingIndexes.length) {
+				// Pause and cancel take effect between images
+				await this.waitWhilePaused(batch);
+				if (batch.cancelled) return;
+
+				const index = pendingIndexes[nextIndex++];
+				const fileData = loadedFiles[index];
+				this.setProcessStatus(fileData, 'processing');
+
+				try {
+					const processed = pool
+						? await this.processImageInWorker(pool, fileData)
+						: await this.processImage(fileData);
+					if (outputFolder) {
+						const saved = await this.saveToOutputFolder(outputFolder, processed);
+						saved.forEach(({ status }) => {
+							if (status === 'skipped') savedCounts.skipped++;
+							else savedCounts.written++;
+						});
+					}
+					results[index] = processed;
+					this.setProcessStatus(fileData, 'done');
+				} catch (error) {
+					if (batch.cancelled) return;
+					// ERROR ISOLATION: Record the failure and continue with remaining images
+					console.error(`Error processing ${fileData.name}:`, error);
+					this.setProcessStatus(fileData, 'failed', error.message || String(error));
+				}
+
+				// Calculate and display progress percentage
+				completed++;
+				showProgress();
+
+				// On the main thread, yield so the progress bar can repaint between images
+				if (!pool) await new Promise((resolve) => setTimeout(resolve, 0));
 			}
+		};
 
-			// Brief delay allows UI updates and prevents browser freezing
-			await new Promise((resolve) => setTimeout(resolve, 100));
-		}
+		showProgress();
+		await Promise.all(Array.from({ length: pool ? pool.size : 1 }, runQueue));
+		if (pool) pool.terminate();
+
+		// Keep finished results even when the batch was cancelled
+		this.processedImages = results.filter(Boolean).flat();
+		if (!outputFolder) this.assignOutputPaths(this.processedImages); // Files on disk keep their names
+		this.activeBatch = null;
+		this.updateBatchControls();
+
+		// Images that never finished are no longer queued
+		loadedFiles.forEach((fileData) => {
+			if (fileData.processStatus === 'queued' || fileData.processStatus === 'processing') {
+				this.setProcessStatus(fileData, null);
+			}
+		});
 
-		if (progressText) progressText.textContent = 'Processing complete!';
+		const failedFiles = this.getFailedFiles();
+		const interrupted = batch.cancelled && completed < total;
+		this.resultsSignature = signature;
+		if (interrupted) {
+			this.interruptedRun = { signature };
+			if (progressText) progressText.textContent = `Cancelled after ${completed} of ${total} images`;
+		} else if (progressText) {
+			progressText.textContent =
+				failedFiles.length > 0
+					? `Processing complete: ${results.filter(Boolean).length} succeeded, ${failedFiles.length} failed`
+					: 'Processing complete!';
+		}
+		if (outputFolder && progressText) {
+			progressText.textContent += ` Saved ${savedCounts.written} files to "${outputFolder.name}".`;
+			if (savedCounts.skipped > 0) {
+				progressText.textContent += ` ${savedCounts.skipped} existing files were skipped.`;
+			}
+		}
+		this.showProcessingSummary(failedFiles);
 
 		const downloadSection = document.getElementById('downloadSection');
-		if (downloadSection) downloadSection.classList.remove('hidden');
+		if (downloadSection && this.processedImages.length > 0) downloadSection.classList.remove('hidden');
 
 		if (processBtn) {
 			processBtn.disabled = false;
@@ -3666,11 +9365,13 @@ class BulkWatermarkApp {
 		// Update UI to reflect new processed images count and button states
 		this.updateUI();
 
+		if (interrupted) return;
+
 		// AUTO-SHOW MODAL
 		setTimeout(() => {
 			try {
 				if (this.modal && typeof this.modal.showModal === 'function') {
-					this.modal.showModal(this.processedImages);
+					this.modal.showModal(this.processedImages, this.getFailedFiles());
 				} else {
 					console.warn('Modal instance missing or showModal not a function - creating fallback overlay');
 					// create a simple fallback modal element
@@ -3697,97 +9398,553 @@ class BulkWatermarkApp {
 		}, 1000);
 	}
 
-	processImage(fileData) {
-		return new Promise((resolve) => {
-			const img = new Image();
-			img.onload = () => {
-				const canvas = document.createElement('canvas');
-				const ctx = canvas.getContext('2d');
-
-				canvas.width = img.width;
-				canvas.height = img.height;
-
-				ctx.drawImage(img, 0, 0);
-				/* Before applying, rebuild or reuse cache for this image size and compute spacing */
-				this.buildWatermarkCache(ctx, canvas.width, canvas.height);
-				const spacing = this.computePatternSpacing(ctx, canvas.width, canvas.height);
-				this.applyWatermark(ctx, canvas.width, canvas.height);
-
-				// FIXED: Detect original image format and save with maximum quality
-				// Preserve PNG format for lossless quality, use maximum quality for JPEG/WebP
-				const originalFormat = fileData.name.toLowerCase();
-				let mimeType = 'image/jpeg';
-				let quality = 1.0; // Maximum quality for lossy formats
-
-				if (originalFormat.endsWith('.png')) {
-					mimeType = 'image/png';
-					quality = undefined; // PNG is always lossless, quality parameter ignored
-				} else if (originalFormat.endsWith('.webp')) {
-					mimeType = 'image/webp';
-					quality = 1.0; // Maximum quality
-				} else if (originalFormat.endsWith('.jpg') || originalFormat.endsWith('.jpeg')) {
-					mimeType = 'image/jpeg';
-					quality = 1.0; // Maximum quality
-				}
+	static get PROCESS_STATUS_LABELS() {
+		return { queued: 'Queued', processing: 'Processing', done: 'Done', failed: 'Failed' };
+	}
 
-				canvas.toBlob(
-					(blob) => {
-						// Preserve original extension or use appropriate one
-						let extension = 'jpg';
-						if (mimeType === 'image/png') extension = 'png';
-						else if (mimeType === 'image/webp') extension = 'webp';
-
-						const processedName = `watermarked_${fileData.name.replace(/\.[^/.]+$/, '')}.${extension}`;
-						resolve({
-							name: processedName,
-							originalName: fileData.name,
-							blob: blob,
-							url: URL.createObjectURL(blob),
-						});
-					},
-					mimeType,
-					quality,
-				);
-			};
-			img.src = fileData.preview;
+	/**
+	 * Record a file's batch status and update its badge in the image grid.
+	 * @param {Object} fileData - Entry from uploadedFiles
+	 * @param {string|null} status - null | 'queued' | 'processing' | 'done' | 'failed'
+	 * @param {string|null} error - Failure reason for 'failed'
+	 */
+	setProcessStatus(fileData, status, error = null) {
+		fileData.processStatus = status;
+		fileData.processError = status === 'failed' ? error : null;
+
+		const imageGrid = document.getElementById('imageGrid');
+		if (!imageGrid) return;
+		const imageItem = Array.from(imageGrid.children).find((item) => item.dataset.id === String(fileData.id));
+		if (imageItem) this.renderProcessStatus(imageItem, fileData);
+	}
+
+	renderProcessStatus(imageItem, fileData) {
+		const existing = imageItem.querySelector('.process-status');
+		if (existing) existing.remove();
+		if (!fileData.processStatus) return;
+
+		const badge = document.createElement('span');
+		badge.className = `process-status process-status--${fileData.processStatus}`;
+		badge.textContent = BulkWatermarkApp.PROCESS_STATUS_LABELS[fileData.processStatus];
+		if (fileData.processError) badge.title = fileData.processError;
+		imageItem.appendChild(badge);
+	}
+
+	/**
+	 * @returns {Object[]} { id, name, reason } for each file whose last processing failed
+	 */
+	getFailedFiles() {
+		return this.getLoadedFiles()
+			.filter((fileData) => fileData.processStatus === 'failed')
+			.map((fileData) => ({ id: fileData.id, name: fileData.name, reason: fileData.processError }));
+	}
+
+	/**
+	 * List failed files below the progress bar with a retry button.
+	 * @param {Object[]} failedFiles - Output of getFailedFiles
+	 */
+	showProcessingSummary(failedFiles) {
+		const summary = document.getElementById('processingSummary');
+		const list = document.getElementById('failedList');
+		if (!summary || !list) return;
+
+		if (failedFiles.length === 0) {
+			this.hideProcessingSummary();
+			return;
+		}
+
+		list.innerHTML = '';
+		failedFiles.forEach((failed) => {
+			const item = document.createElement('li');
+			const name = document.createElement('strong');
+			name.textContent = failed.name;
+			item.appendChild(name);
+			item.appendChild(document.createTextNode(`: ${failed.reason}`));
+			list.appendChild(item);
+		});
+		summary.classList.remove('hidden');
+	}
+
+	hideProcessingSummary() {
+		const summary = document.getElementById('processingSummary');
+		if (summary) summary.classList.add('hidden');
+	}
+
+	retryFailedImages() {
+		if (this.activeBatch || this.getFailedFiles().length === 0) return;
+		this.processAllImages({ retryFailed: true });
+	}
+
+	/**
+	 * Identifies everything that affects output pixels and metadata, so a cancelled batch
+	 * is only resumed when its finished images are still up to date.
+	 * @returns {string}
+	 */
+	getBatchSignature() {
+		const layers = this.layers.map((layer) => {
+			const { watermarkLogo, ...rest } = layer;
+			return { ...rest, watermarkLogo: watermarkLogo ? this.getLogoCacheId(watermarkLogo) : null };
+		});
+		const crops = this.getLoadedFiles().map((fileData) => fileData.cropPosition || null);
+		const overrides = this.getLoadedFiles().map((fileData) => fileData.overrides || null);
+		return JSON.stringify({ layers, output: this.outputSettings, crops, overrides });
+	}
+
+	/**
+	 * @returns {Map} Source file id -> processed images, for images a resumed batch can skip
+	 */
+	getResumableImages() {
+		if (this.interruptedRun && this.interruptedRun.signature === this.getBatchSignature()) {
+			return this.groupBySource(this.processedImages);
+		}
+		return new Map();
+	}
+
+	/**
+	 * @param {Object[]} images - Processed images
+	 * @returns {Map} Source file id -> its processed images (one per export variant)
+	 */
+	groupBySource(images) {
+		const groups = new Map();
+		images.forEach((image) => {
+			if (!groups.has(image.sourceId)) groups.set(image.sourceId, []);
+			groups.get(image.sourceId).push(image);
+		});
+		return groups;
+	}
+
+	/**
+	 * Resolves once the batch is resumed or cancelled.
+	 */
+	async waitWhilePaused(batch) {
+		while (batch.paused && !batch.cancelled) {
+			await new Promise((resolve) => batch.waiters.push(resolve));
+		}
+	}
+
+	pauseProcessing() {
+		const batch = this.activeBatch;
+		if (!batch || batch.cancelled) return;
+		batch.paused = true;
+		if (batch.showProgress) batch.showProgress();
+		this.updateBatchControls();
+	}
+
+	resumeProcessing() {
+		const batch = this.activeBatch;
+		if (!batch) return;
+		batch.paused = false;
+		batch.waiters.splice(0).forEach((resolve) => resolve());
+		if (batch.showProgress) batch.showProgress();
+		this.updateBatchControls();
+	}
+
+	/**
+	 * Stop the running batch. Images being rendered in workers are abandoned; finished
+	 * images are kept, and the next run with unchanged settings only processes the rest.
+	 */
+	cancelProcessing() {
+		const batch = this.activeBatch;
+		if (!batch) return;
+		batch.cancelled = true;
+		batch.waiters.splice(0).forEach((resolve) => resolve());
+		if (batch.pool) batch.pool.terminate();
+		this.updateBatchControls();
+	}
+
+	updateBatchControls() {
+		const batch = this.activeBatch;
+		const controls = document.getElementById('processingControls');
+		const pauseBtn = document.getElementById('pauseProcessing');
+		const resumeBtn = document.getElementById('resumeProcessing');
+		const cancelBtn = document.getElementById('cancelProcessing');
+
+		if (controls) {
+			if (batch) {
+				controls.classList.remove('hidden');
+			} else {
+				controls.classList.add('hidden');
+			}
+		}
+		if (pauseBtn && resumeBtn) {
+			const paused = !!(batch && batch.paused);
+			if (paused) {
+				pauseBtn.classList.add('hidden');
+				resumeBtn.classList.remove('hidden');
+			} else {
+				pauseBtn.classList.remove('hidden');
+				resumeBtn.classList.add('hidden');
+			}
+			pauseBtn.disabled = !batch || batch.cancelled;
+		}
+		if (cancelBtn) cancelBtn.disabled = !batch || batch.cancelled;
+	}
+
+	/**
+	 * Start a worker pool for a batch and send it the current layers and output options.
+	 * @returns {Promise<WatermarkWorkerPool|null>} Pool, or null to process on the main thread
+	 */
+	async createWorkerPool() {
+		if (!WatermarkWorkerPool.isSupported()) return null;
+
+		try {
+			// Logos cannot be sent as Image elements; workers draw ImageBitmap copies instead
+			const layers = await Promise.all(
+				this.layers.map(async (layer) => {
+					const copy = this.cloneLayer(layer);
+					if (layer.watermarkLogo) copy.watermarkLogo = await createImageBitmap(layer.watermarkLogo);
+					return copy;
+				}),
+			);
+
+			const pool = new WatermarkWorkerPool(this.processingSettings.concurrency);
+			pool.configure({ layers, outputSettings: { ...this.outputSettings } });
+			return pool;
+		} catch (error) {
+			console.warn('Processing workers unavailable, using the main thread:', error);
+			return null;
+		}
+	}
+
+	/**
+	 * Process one image in a worker, falling back to the main thread if the worker fails.
+	 * @returns {Promise<Object[]>} Processed images, one per export variant
+	 */
+	async processImageInWorker(pool, fileData) {
+		const format = this.getOutputFormat(fileData);
+		let renders;
+		try {
+			renders = await pool.render({
+				source: fileData.decodableFile || fileData.file,
+				file: fileData.file,
+				tokenContext: this.getTextTokenContext(fileData, null),
+				format,
+				crop: this.getCropSpec(fileData, null),
+				overrides: fileData.overrides,
+			});
+		} catch (error) {
+			if (pool.terminated) throw error; // Cancelled, not failed
+			console.warn(`Worker could not process ${fileData.name}, retrying on the main thread:`, error);
+			return this.processImage(fileData);
+		}
+		return renders.map((rendered) => this.createProcessedImage(fileData, format, rendered));
+	}
+
+	/**
+	 * @returns {Promise<Object[]>} Processed images, one per export variant
+	 */
+	async processImage(fileData) {
+		const img = await this.loadOrientedImage(fileData);
+		const format = this.getOutputFormat(fileData);
+		const renders = await this.renderVariants(img, {
+			file: fileData.file,
+			tokenContext: this.getTextTokenContext(fileData, img),
+			format,
+			crop: this.getCropSpec(fileData, img),
+			overrides: fileData.overrides,
+			outputSettings: this.outputSettings,
+		});
+		return renders.map((rendered) => this.createProcessedImage(fileData, format, rendered));
+	}
+
+	/**
+	 * Crop settings of one image: the batch aspect ratio and anchor, plus the position the
+	 * crop box was dragged to on the preview for this image.
+	 * @param {Object} fileData - Entry from uploadedFiles
+	 * @param {CanvasImageSource|null} img - Loaded image, used to find (and cache) the smart
+	 *   anchor focus; workers find it themselves
+	 * @returns {Object} Crop settings for WatermarkRenderer.getCropRect
+	 */
+	getCropSpec(fileData, img) {
+		const { cropAspect, cropAnchor } = this.outputSettings;
+		if (cropAnchor === 'smart' && cropAspect !== 'original' && !fileData.focusPoint && img) {
+			fileData.focusPoint = this.findFocusPoint(img);
+		}
+		return {
+			aspect: cropAspect,
+			anchor: cropAnchor,
+			position: fileData.cropPosition || null,
+			focus: fileData.focusPoint || null,
+		};
+	}
+
+	/**
+	 * Output formats offered by the format select, keyed by outputSettings.format.
+	 */
+	static get OUTPUT_FORMATS() {
+		return {
+			jpeg: { mimeType: 'image/jpeg', extension: 'jpg', lossy: true, alpha: false },
+			png: { mimeType: 'image/png', extension: 'png', lossy: false, alpha: true },
+			webp: { mimeType: 'image/webp', extension: 'webp', lossy: true, alpha: true },
+			avif: { mimeType: 'image/avif', extension: 'avif', lossy: true, alpha: true },
+		};
+	}
+
+	/**
+	 * Browsers silently fall back to PNG for types they cannot encode, so each format is
+	 * probed once with a tiny canvas.
+	 * @param {string} key - Key of OUTPUT_FORMATS
+	 * @returns {boolean} True when canvas encoding to this format is supported
+	 */
+	canEncodeFormat(key) {
+		if (!this._encoderSupport) this._encoderSupport = {};
+		if (!(key in this._encoderSupport)) {
+			const mimeType = BulkWatermarkApp.OUTPUT_FORMATS[key].mimeType;
+			try {
+				const dataUrl = this.createCanvas(1, 1).toDataURL(mimeType);
+				this._encoderSupport[key] = dataUrl.startsWith(`data:${mimeType}`);
+			} catch (error) {
+				this._encoderSupport[key] = false;
+			}
+		}
+		return this._encoderSupport[key];
+	}
+
+	/**
+	 * Encoder settings for a file, from the batch output options.
+	 * "Keep original" preserves PNG and WebP; JPEG, GIF and HEIC inputs are saved as JPEG.
+	 * @param {Object} fileData - Entry from uploadedFiles
+	 * @returns {Object} { mimeType, quality, background, maxBytes, allowDownscale, extension }
+	 */
+	getOutputFormat(fileData) {
+		const { format, quality, background, maxFileSize, allowDownscale } = this.outputSettings;
+		let key = format;
+
+		if (key === 'original') {
+			const originalFormat = fileData.name.toLowerCase();
+			if (originalFormat.endsWith('.png')) key = 'png';
+			else if (originalFormat.endsWith('.webp')) key = 'webp';
+			else key = 'jpeg';
+		}
+		if (!this.canEncodeFormat(key)) key = 'jpeg';
+
+		const { mimeType, extension, lossy, alpha } = BulkWatermarkApp.OUTPUT_FORMATS[key];
+		return {
+			mimeType,
+			quality: lossy ? quality / 100 : undefined, // PNG is always lossless, quality ignored
+			background: alpha ? null : background, // Flatten transparency onto the fill colour
+			maxBytes: maxFileSize > 0 ? Math.round(maxFileSize * 1024 * 1024) : null, // Size limit in MB
+			allowDownscale,
+			extension,
+		};
+	}
+
+	/**
+	 * @param {Object} fileData - Source entry from uploadedFiles
+	 * @param {Object} format - Output of getOutputFormat
+	 * @param {Object} rendered - { variant, blob, metadata, encoding } from renderVariants
+	 * @returns {Object} Entry for processedImages; `path` is its location in the ZIP. Names are
+	 *   made unique across the batch by assignOutputPaths.
+	 */
+	createProcessedImage(fileData, format, { variant, blob, metadata, encoding }) {
+		// Name the file after what the encoder actually produced
+		const formats = BulkWatermarkApp.OUTPUT_FORMATS;
+		const encoded = Object.keys(formats).find((key) => formats[key].mimeType === blob.type);
+		const extension = encoded ? formats[encoded].extension : format.extension;
+		const baseName = this.getOutputBaseName(fileData, variant, encoding);
+		const processedName = `${baseName}.${extension}`;
+		// With several variants each one gets its own folder, containing the dropped folder tree
+		const folders = fileData.folder ? fileData.folder.split('/').map((part) => this.sanitizeFilename(part)) : [];
+		if (this.outputSettings.variants.length > 1) folders.unshift(this.getVariantFolder(variant));
+		const folder = folders.join('/');
+		return {
+			name: processedName,
+			path: folder ? `${folder}/${processedName}` : processedName,
+			baseName,
+			extension,
+			folder,
+			variant,
+			originalName: fileData.name,
+			sourceId: fileData.id,
+			blob: blob,
+			url: URL.createObjectURL(blob),
+			metadata,
+			encoding,
+		};
+	}
+
+	/**
+	 * FILENAME TEMPLATE: Output name (without extension) of one processed image.
+	 *
+	 * TOKENS:
+	 * - {name}: Original file name without extension
+	 * - {index}, {total}: Position in the batch and batch size; {index:000} pads to three digits
+	 * - {date}: Processing date (YYYY-MM-DD)
+	 * - {width}, {height}: Output size in pixels
+	 * - {preset}: Name of the last saved or applied preset
+	 * - {variant}: Export size name
+	 *
+	 * @param {Object} fileData - Source entry from uploadedFiles
+	 * @param {string} variant - Export variant name
+	 * @param {Object|null} encoding - Encoding report (for the output size), null if unknown
+	 * @returns {string} Sanitised base name
+	 */
+	getOutputBaseName(fileData, variant, encoding) {
+		const context = this.getTextTokenContext(fileData, null);
+		const tokens = {
+			name: context.filename,
+			index: context.index,
+			total: context.total,
+			date: context.date,
+			width: encoding ? encoding.width : '',
+			height: encoding ? encoding.height : '',
+			preset: this.activePresetName,
+			variant,
+		};
+		const template = this.outputSettings.filenameTemplate || '{name}';
+		const expanded = template.replace(/\{(\w+)(?::(0+))?\}/g, (match, token, padding) => {
+			if (!Object.prototype.hasOwnProperty.call(tokens, token)) return match;
+			const value = String(tokens[token]);
+			return padding ? value.padStart(padding.length, '0') : value;
+		});
+		return this.sanitizeFilename(expanded);
+	}
+
+	/**
+	 * Make a name safe on Windows, macOS and Linux, and inside ZIP files.
+	 * @param {string} name - File name without extension
+	 * @returns {string} Name without path separators, reserved characters or device names
+	 */
+	sanitizeFilename(name) {
+		let safe = name
+			.replace(/[\\/:*?"<>|\x00-\x1f]/g, '_')
+			.replace(/\s+/g, ' ')
+			.replace(/^[\s.]+|[\s.]+$/g, '') // Windows drops trailing dots and spaces
+			.slice(0, 150);
+		if (/^(con|prn|aux|nul|com\d|lpt\d)$/i.test(safe)) safe = `_${safe}`;
+		return safe || 'image';
+	}
+
+	/**
+	 * Give every processed image a unique name within its folder, in upload order, so files
+	 * with the same name (e.g. IMG_0001.jpg from two cameras) do not overwrite each other.
+	 * Later duplicates get a number: "IMG_0001 (2).jpg".
+	 * @param {Object[]} images - Processed images
+	 */
+	assignOutputPaths(images) {
+		const used = new Set();
+		images.forEach((image) => {
+			let name = `${image.baseName}.${image.extension}`;
+			const key = (candidate) => `${image.folder}/${candidate}`.toLowerCase(); // Case-insensitive file systems
+			for (let n = 2; used.has(key(name)); n++) name = `${image.baseName} (${n}).${image.extension}`;
+			used.add(key(name));
+			image.name = name;
+			image.path = image.folder ? `${image.folder}/${name}` : name;
 		});
 	}
 
+	/**
+	 * Show the output name of the first image with the current template below the template field.
+	 */
+	updateFilenameExample() {
+		const example = document.getElementById('filenameExample');
+		if (!example) return;
+		const fileData = this.getLoadedFiles()[0] || { name: 'IMG_0001.jpg' };
+		const extension = this.getOutputFormat(fileData).extension;
+		example.textContent = `${this.getOutputBaseName(fileData, this.outputSettings.variants[0].name, null)}.${extension}`;
+	}
+
 	async downloadZip() {
 		if (this.processedImages.length === 0) {
 			alert('No processed images to download.');
 			return;
 		}
 
-		try {
-			const zip = new JSZip();
+		await this.saveZip(this.processedImages, 'watermarked_images.zip', document.getElementById('downloadZip'));
+	}
 
-			for (const imageData of this.processedImages) {
-				zip.file(imageData.name, imageData.blob);
-			}
+	/**
+	 * Save processed images as a ZIP archive, one entry at a time (see ZipStream), showing
+	 * progress on the button that started it. Images freed after an earlier save are left out.
+	 * @param {Object[]} images - Processed images
+	 * @param {string} fileName - Suggested archive name
+	 * @param {HTMLElement|null} button - Button to show progress on
+	 */
+	async saveZip(images, fileName, button) {
+		if (this.archiving) return;
+		const available = images.filter((image) => image.blob);
+		if (available.length === 0) {
+			alert('These images were freed from memory after they were saved. Process them again to download them.');
+			return;
+		}
+
+		let zip;
+		try {
+			zip = await ZipStream.open(fileName);
+		} catch (error) {
+			console.error('Error creating ZIP:', error);
+			alert(`Error creating ZIP file: ${error.message}`);
+			return;
+		}
+		if (!zip) return;
 
-			const zipBlob = await zip.generateAsync({ type: 'blob' });
+		this.archiving = true;
+		const label = button ? button.innerHTML : '';
+		if (button) button.disabled = true;
+		// Streamed entries are already on disk, so their blobs can go straight away
+		const release = zip.isStreaming && this.processingSettings.releaseSaved;
 
-			const url = URL.createObjectURL(zipBlob);
-			const a = document.createElement('a');
-			a.href = url;
-			a.download = 'watermarked_images.zip';
-			document.body.appendChild(a);
-			a.click();
-			document.body.removeChild(a);
-			URL.revokeObjectURL(url);
+		try {
+			for (let i = 0; i < available.length; i++) {
+				if (button) button.textContent = `Archiving ${i + 1} of ${available.length}…`;
+				await zip.add(available[i].path, available[i].blob);
+				if (release) this.releaseProcessedImage(available[i], zip.fileName);
+			}
+			if (button) button.textContent = 'Finishing ZIP…';
+			const archive = await zip.finish();
+
+			if (archive) {
+				const url = URL.createObjectURL(archive);
+				const a = document.createElement('a');
+				a.href = url;
+				a.download = zip.fileName;
+				document.body.appendChild(a);
+				a.click();
+				document.body.removeChild(a);
+				URL.revokeObjectURL(url);
+			}
 		} catch (error) {
 			console.error('Error creating ZIP:', error);
-			alert('Error creating ZIP file.');
+			await zip.abort().catch(() => {});
+			alert(`Error creating ZIP file: ${error.message}`);
+		} finally {
+			this.archiving = false;
+			if (button) {
+				button.innerHTML = label;
+				button.disabled = false;
+			}
+			if (release) this.modal.populateGallery();
+			this.updateUI();
 		}
 	}
+
+	/**
+	 * Drop a processed image's blob and preview URL once it is saved to disk. The image stays
+	 * in the gallery as a placeholder and is left out of later ZIP downloads.
+	 * @param {Object} image - Processed image
+	 * @param {string} savedTo - Archive or folder name shown in the gallery
+	 */
+	releaseProcessedImage(image, savedTo) {
+		if (image.url) URL.revokeObjectURL(image.url);
+		image.blob = null;
+		image.url = null;
+		image.savedTo = savedTo;
+	}
 }
 
-/* Initialize when DOM is ready */
-if (document.readyState === 'loading') {
-	document.addEventListener('DOMContentLoaded', () => {
-		new BulkWatermarkApp();
-	});
+if (typeof document === 'undefined') {
+	/* Loaded as a processing worker (see WatermarkWorkerPool) */
+	new WatermarkWorker(self);
 } else {
-	new BulkWatermarkApp();
+	/* Workers load this same script; its URL is only known while it is first executing */
+	WatermarkWorkerPool.scriptUrl = document.currentScript ? document.currentScript.src : null;
+
+	/* Initialize when DOM is ready */
+	if (document.readyState === 'loading') {
+		document.addEventListener('DOMContentLoaded', () => {
+			new BulkWatermarkApp();
+		});
+	} else {
+		new BulkWatermarkApp();
+	}
 }